@@ -12,6 +12,7 @@ const SERVER_URL = process.argv[2] || 'ws://127.0.0.1:8420';
 
 const ws = new WebSocket(SERVER_URL);
 let currentRoomId = null;
+let capabilities = new Set(); // What the server supports, from the hello reply
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -20,20 +21,37 @@ const rl = readline.createInterface({
 
 ws.on('open', () => {
   console.log(`Connected to ${SERVER_URL}`);
+  // Agree on a protocol version and learn what the server can do
+  ws.send(JSON.stringify({
+    type: 'hello',
+    protocolVersions: [1],
+    client: { name: 'simple-client', version: '1.0.0' }
+  }));
+});
+
+function showHelp() {
   console.log('Commands:');
   console.log('  /create <agent> [dir] - Create a room');
   console.log('  /list                 - List rooms');
   console.log('  /join <room-id>       - Join a room');
+  if (capabilities.has('queue')) {
+    console.log('  /queue                - Show queued messages');
+  }
   console.log('  /quit                 - Exit');
   console.log('  (any other text)      - Send message to agent');
   console.log('');
-  prompt();
-});
+}
 
 ws.on('message', (data) => {
   const msg = JSON.parse(data.toString());
 
   switch (msg.type) {
+    case 'hello':
+      capabilities = new Set(msg.capabilities);
+      console.log(`Server ${msg.serverVersion}, protocol v${msg.protocolVersion}`);
+      showHelp();
+      break;
+
     case 'welcome':
       console.log(`\nWelcome! Client ID: ${msg.clientId.slice(0, 8)}`);
       if (msg.rooms.length > 0) {
@@ -71,6 +89,11 @@ ws.on('message', (data) => {
       });
       break;
 
+    case 'queue':
+      console.log(`\nQueue (${msg.queue.length}):`);
+      msg.queue.forEach(item => console.log(`  ${item.position}. ${item.content}`));
+      break;
+
     case 'error':
       console.error(`\n[Error] ${msg.error}`);
       break;
@@ -137,6 +160,14 @@ function handleInput(input) {
         }
         break;
 
+      case 'queue':
+        if (!capabilities.has('queue')) {
+          console.log('This server has no message queue');
+        } else if (currentRoomId) {
+          ws.send(JSON.stringify({ type: 'list_queue', roomId: currentRoomId }));
+        }
+        break;
+
       case 'quit':
         ws.close();
         rl.close();
@@ -12,6 +12,134 @@ export class BaseAgent extends EventEmitter {
     this.process = null;
     this.status = 'idle';
     this.buffer = '';
+    this.allowedTools = options.allowedTools || []; // Pre-approved tools when not auto-accepting
+    this.toolCalls = new Map(); // In-flight tool calls by ID
+  }
+
+  /**
+   * Record the start of a tool call and emit a normalized 'tool_call' event
+   * @param {string} id - The tool call ID (from the CLI, or generated)
+   * @param {string} tool - The tool name as reported by the CLI
+   * @param {object} input - The tool input
+   */
+  startToolCall(id, tool, input = {}) {
+    const call = {
+      id,
+      tool,
+      input: BaseAgent.truncateValue(input),
+      startedAt: Date.now(),
+      endedAt: null,
+      result: null,
+      isError: false,
+      status: 'running'
+    };
+    this.toolCalls.set(id, call);
+    this.emit('tool_call', { ...call });
+    return call;
+  }
+
+  /**
+   * Record the end of a tool call and emit the completed 'tool_call' event
+   * @param {string} id - The tool call ID passed to startToolCall()
+   * @param {*} result - The raw tool result (summarized before emitting)
+   * @param {boolean} isError - Whether the tool failed
+   */
+  finishToolCall(id, result, isError = false) {
+    const call = this.toolCalls.get(id);
+    if (!call) return null;
+
+    this.toolCalls.delete(id);
+    Object.assign(call, {
+      endedAt: Date.now(),
+      result: BaseAgent.summarizeResult(result),
+      isError: !!isError,
+      status: isError ? 'error' : 'completed'
+    });
+    this.emit('tool_call', { ...call });
+    return call;
+  }
+
+  /**
+   * Close calls the CLI never reported a result for (e.g. at the end of a turn)
+   */
+  finishOpenToolCalls() {
+    for (const id of Array.from(this.toolCalls.keys())) {
+      this.finishToolCall(id, null);
+    }
+  }
+
+  /**
+   * Find the oldest in-flight call of a tool, for CLIs that do not
+   * report call IDs on completion
+   */
+  findOpenToolCall(tool) {
+    for (const call of this.toolCalls.values()) {
+      if (!tool || call.tool === tool) return call;
+    }
+    return null;
+  }
+
+  /**
+   * Report the tokens (and cost, when the CLI knows it) of the current turn
+   * as a normalized 'usage' event
+   * @param {object} usage - { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, costUsd }
+   */
+  reportUsage(usage) {
+    this.emit('usage', {
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      cacheReadTokens: usage.cacheReadTokens || 0,
+      cacheWriteTokens: usage.cacheWriteTokens || 0,
+      costUsd: usage.costUsd ?? null
+    });
+  }
+
+  /**
+   * Report the session ID the CLI says it is using, as a 'session' event
+   * Only reported sessions exist on the CLI's side, so only they can be resumed.
+   */
+  reportSession(sessionId) {
+    if (!sessionId || sessionId === this.reportedSessionId) return;
+    this.sessionId = this.reportedSessionId = sessionId;
+    this.emit('session', sessionId);
+  }
+
+  /**
+   * Reduce a tool result to a short one-line-ish summary
+   */
+  static summarizeResult(result, maxLength = 200) {
+    if (result == null) return null;
+
+    let text;
+    if (typeof result === 'string') {
+      text = result;
+    } else if (Array.isArray(result)) {
+      // Content blocks ([{ type: 'text', text }])
+      text = result.map(block => (typeof block === 'string' ? block : block?.text ?? '')).join('\n');
+    } else {
+      text = JSON.stringify(result);
+    }
+
+    text = text.trim();
+    return text.length > maxLength ? text.slice(0, maxLength - 3) + '...' : text;
+  }
+
+  /**
+   * Truncate long strings inside a tool input (e.g. whole file contents)
+   */
+  static truncateValue(value, maxLength = 2000) {
+    if (typeof value === 'string') {
+      return value.length > maxLength ? value.slice(0, maxLength - 3) + '...' : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => BaseAgent.truncateValue(item, maxLength));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, BaseAgent.truncateValue(item, maxLength)])
+      );
+    }
+    return value;
   }
 
   /**
@@ -62,6 +190,17 @@ export class BaseAgent extends EventEmitter {
     throw new Error('start() must be implemented by subclass');
   }
 
+  /**
+   * Answer a 'permission_request' event emitted by this agent
+   * Adapters whose CLI can relay permission prompts override this
+   * @param {string} requestId - The request ID from the event
+   * @param {{allow: boolean, message?: string}} decision - The decision
+   * @returns {boolean} - True if the decision was delivered
+   */
+  respondToPermission(requestId, decision) {
+    return false;
+  }
+
   /**
    * Stop the agent process
    */
@@ -14,10 +14,12 @@ export class ClaudeAgent extends BaseAgent {
     this.process = null;
     this.isInteractive = options.interactive !== false; // Default to interactive
     this.sessionId = options.sessionId || uuidv4();
+    this.resume = options.resume || false; // Resume an existing session instead of starting one
     this.buffer = '';
     this.currentResolve = null;
     this.currentReject = null;
     this.streaming = false;
+    this.pendingPermissions = new Map(); // Permission request ID -> tool input
   }
 
   async start() {
@@ -41,14 +43,18 @@ export class ClaudeAgent extends BaseAgent {
       '--print',  // Required for streaming modes
       '--output-format', 'stream-json',
       '--input-format', 'stream-json',
-      '--verbose',  // Required for stream-json output
-      '--session-id', this.sessionId
+      '--verbose'  // Required for stream-json output
     ];
 
-    if (this.autoAccept) {
-      args.push('--dangerously-skip-permissions');
+    // Pick up where a previous process left off (e.g. after a server restart)
+    if (this.resume) {
+      args.push('--resume', this.sessionId);
+    } else {
+      args.push('--session-id', this.sessionId);
     }
 
+    args.push(...this.getPermissionArgs());
+
     if (this.model) {
       args.push('--model', this.model);
     }
@@ -99,6 +105,18 @@ export class ClaudeAgent extends BaseAgent {
     });
   }
 
+  /**
+   * Get permission flags for streaming mode
+   * Without auto-accept, permission prompts are relayed over stdio
+   * as control requests (see handleEvent) instead of being skipped
+   */
+  getPermissionArgs() {
+    if (this.autoAccept) {
+      return ['--dangerously-skip-permissions'];
+    }
+    return ['--permission-prompt-tool', 'stdio'];
+  }
+
   /**
    * Handle streaming JSON data from Claude
    */
@@ -128,6 +146,8 @@ export class ClaudeAgent extends BaseAgent {
   handleEvent(event) {
     switch (event.type) {
       case 'system':
+        // The init event arrives with the first prompt, once the session exists
+        this.reportSession(event.session_id);
         this.emit('system', event);
         break;
 
@@ -144,6 +164,18 @@ export class ClaudeAgent extends BaseAgent {
                 name: block.name,
                 input: block.input
               });
+              this.startToolCall(block.id, block.name, block.input);
+            }
+          }
+        }
+        break;
+
+      case 'user':
+        // Tool results are echoed back as user messages
+        if (Array.isArray(event.message?.content)) {
+          for (const block of event.message.content) {
+            if (block.type === 'tool_result') {
+              this.finishToolCall(block.tool_use_id, block.content, block.is_error);
             }
           }
         }
@@ -174,6 +206,16 @@ export class ClaudeAgent extends BaseAgent {
 
       case 'result':
         // Final result - resolve the promise
+        this.finishOpenToolCalls();
+        if (event.usage || event.total_cost_usd !== undefined) {
+          this.reportUsage({
+            inputTokens: event.usage?.input_tokens,
+            outputTokens: event.usage?.output_tokens,
+            cacheReadTokens: event.usage?.cache_read_input_tokens,
+            cacheWriteTokens: event.usage?.cache_creation_input_tokens,
+            costUsd: event.total_cost_usd
+          });
+        }
         this.streaming = false;
         this.status = 'ready';
         this.emit('status', 'ready');
@@ -188,6 +230,22 @@ export class ClaudeAgent extends BaseAgent {
         }
         break;
 
+      case 'control_request':
+        // Claude is asking whether it may use a tool
+        if (event.request?.subtype === 'can_use_tool') {
+          const { tool_name: tool, input } = event.request;
+          this.pendingPermissions.set(event.request_id, input);
+          this.emit('permission_request', {
+            id: event.request_id,
+            tool,
+            input,
+            description: this.getToolDescription(tool)
+          });
+        } else {
+          this.emit('event', event);
+        }
+        break;
+
       case 'error':
         this.emit('error', new Error(event.error?.message || 'Unknown error'));
         if (this.currentReject) {
@@ -203,6 +261,32 @@ export class ClaudeAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Answer a relayed permission request
+   */
+  respondToPermission(requestId, decision) {
+    if (!this.pendingPermissions.has(requestId) || !this.process || this.process.killed) {
+      return false;
+    }
+
+    const input = this.pendingPermissions.get(requestId);
+    this.pendingPermissions.delete(requestId);
+
+    const response = decision.allow
+      ? { behavior: 'allow', updatedInput: input }
+      : { behavior: 'deny', message: decision.message || 'Denied by user' };
+
+    this.process.stdin.write(JSON.stringify({
+      type: 'control_response',
+      response: {
+        subtype: 'success',
+        request_id: requestId,
+        response
+      }
+    }) + '\n');
+    return true;
+  }
+
   /**
    * Send a message to Claude
    */
@@ -334,9 +418,7 @@ export class ClaudeAgent extends BaseAgent {
       '--continue'  // Resume from last session
     ];
 
-    if (this.autoAccept) {
-      args.push('--dangerously-skip-permissions');
-    }
+    args.push(...this.getPermissionArgs());
 
     if (this.model) {
       args.push('--model', this.model);
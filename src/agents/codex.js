@@ -46,10 +46,26 @@ export class CodexAgent extends BaseAgent {
       this.status = 'busy';
       this.emit('status', 'busy');
 
-      proc.stdout.on('data', (data) => {
-        const text = data.toString();
+      // The codex CLI prints one JSON event per line; other tools print plain text
+      const parseJson = this.command === 'codex';
+      let lineBuffer = '';
+      const handleText = (text) => {
         fullResponse += text;
         this.emit('stream', text);
+      };
+
+      proc.stdout.on('data', (data) => {
+        if (!parseJson) {
+          handleText(data.toString());
+          return;
+        }
+
+        lineBuffer += data.toString();
+        const lines = lineBuffer.split('\n');
+        lineBuffer = lines.pop() || '';
+        for (const line of lines) {
+          this.handleLine(line, handleText);
+        }
       });
 
       proc.stderr.on('data', (data) => {
@@ -57,6 +73,11 @@ export class CodexAgent extends BaseAgent {
       });
 
       proc.on('close', (code) => {
+        if (lineBuffer) {
+          this.handleLine(lineBuffer, handleText);
+          lineBuffer = '';
+        }
+        this.finishOpenToolCalls();
         this.status = 'ready';
         this.emit('status', 'ready');
 
@@ -82,6 +103,104 @@ export class CodexAgent extends BaseAgent {
     });
   }
 
+  /**
+   * Handle one line of codex output
+   * Tool calls become tool_call events, message text is streamed,
+   * and anything that is not JSON is streamed as-is.
+   */
+  handleLine(line, onText) {
+    if (!line.trim()) return;
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      onText(line + '\n');
+      return;
+    }
+
+    // The end of a `codex exec --json` turn; its input tokens include the cached ones
+    if (event.type === 'turn.completed' && event.usage) {
+      const cached = event.usage.cached_input_tokens || 0;
+      this.reportUsage({
+        inputTokens: Math.max((event.usage.input_tokens || 0) - cached, 0),
+        outputTokens: event.usage.output_tokens,
+        cacheReadTokens: cached
+      });
+      return;
+    }
+
+    // `codex exec --json` wraps work in items
+    const item = event.item;
+    if (item) {
+      switch (item.type) {
+        case 'agent_message':
+          if (event.type === 'item.completed' && item.text) onText(item.text + '\n');
+          return;
+        case 'command_execution':
+          if (event.type === 'item.started') {
+            this.startToolCall(item.id, 'shell', { command: item.command });
+          } else if (event.type === 'item.completed') {
+            if (!this.toolCalls.has(item.id)) {
+              this.startToolCall(item.id, 'shell', { command: item.command });
+            }
+            this.finishToolCall(item.id, item.aggregated_output, item.exit_code !== 0);
+          }
+          return;
+        case 'file_change':
+          if (event.type === 'item.completed') {
+            this.startToolCall(item.id, 'apply_patch', { changes: item.changes });
+            this.finishToolCall(item.id, null, item.status === 'failed');
+          }
+          return;
+        case 'mcp_tool_call':
+          if (event.type === 'item.started') {
+            this.startToolCall(item.id, item.tool, item.arguments);
+          } else if (event.type === 'item.completed') {
+            this.finishToolCall(item.id, item.result ?? item.error, item.status === 'failed');
+          }
+          return;
+        default:
+          return;
+      }
+    }
+
+    // Older `codex --quiet` output: response items, one per line
+    switch (event.type) {
+      case 'message':
+        for (const block of event.content || []) {
+          if (block.text) onText(block.text + '\n');
+        }
+        break;
+      case 'function_call': {
+        let input = {};
+        try {
+          input = JSON.parse(event.arguments || '{}');
+        } catch {
+          input = { arguments: event.arguments };
+        }
+        const command = Array.isArray(input.command) ? input.command.join(' ') : input.command;
+        this.startToolCall(event.call_id || event.id, event.name, command ? { ...input, command } : input);
+        break;
+      }
+      case 'function_call_output': {
+        let output = event.output;
+        let isError = false;
+        try {
+          const parsed = JSON.parse(event.output);
+          output = parsed.output ?? output;
+          isError = (parsed.metadata?.exit_code ?? 0) !== 0;
+        } catch {
+          // Plain text output
+        }
+        this.finishToolCall(event.call_id, output, isError);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
   buildArgs(content) {
     // Customize based on the specific CLI tool
     switch (this.command) {
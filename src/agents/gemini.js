@@ -2,6 +2,21 @@ import { BaseAgent } from './base.js';
 import { spawn } from 'child_process';
 import { v4 as uuidv4 } from 'uuid';
 
+/**
+ * Gemini CLI names for the tools permission rules refer to
+ */
+const GEMINI_TOOLS = {
+  read: 'read_file',
+  write: 'write_file',
+  edit: 'replace',
+  bash: 'run_shell_command',
+  glob: 'glob',
+  grep: 'search_file_content',
+  ls: 'list_directory',
+  webfetch: 'web_fetch',
+  websearch: 'google_web_search'
+};
+
 /**
  * Google Gemini CLI adapter
  * Runs Gemini in interactive streaming mode for full interactivity
@@ -25,6 +40,34 @@ export class GeminiAgent extends BaseAgent {
     this.checkpointing = options.checkpointing !== false; // Enable checkpointing
   }
 
+  /**
+   * Translate permission rules ("Read", "Bash(npm test*)") to --allowed-tools entries
+   * Gemini only matches shell commands by prefix, so exact Bash rules, path
+   * patterns, "*" and unknown tools are dropped rather than widened.
+   * @param {string[]} rules - The room's allow list
+   * @returns {string[]}
+   */
+  static translateRules(rules = []) {
+    const allowed = [];
+    for (const rule of rules) {
+      const match = String(rule).trim().match(/^([^()]+?)(?:\((.*)\))?$/);
+      const tool = match && GEMINI_TOOLS[match[1].trim().toLowerCase()];
+      if (!tool) continue;
+
+      const pattern = match[2] ?? null;
+      let entry = null;
+      if (pattern === null) {
+        entry = tool;
+      } else if (tool === 'run_shell_command' && pattern.endsWith('*') && pattern.length > 1) {
+        entry = `${tool}(${pattern.slice(0, -1).trim()})`;
+      }
+      if (entry && !allowed.includes(entry)) {
+        allowed.push(entry);
+      }
+    }
+    return allowed;
+  }
+
   async start() {
     // Verify gemini CLI is available before starting
     BaseAgent.verifyCommand('gemini',
@@ -110,6 +153,12 @@ export class GeminiAgent extends BaseAgent {
       args.push('--sandbox');
     }
 
+    // Gemini cannot relay prompts, so pre-approve the room's allow-list instead
+    const allowedTools = GeminiAgent.translateRules(this.allowedTools);
+    if (!this.autoAccept && allowedTools.length > 0) {
+      args.push('--allowed-tools', allowedTools.join(','));
+    }
+
     // Enable checkpointing for session recovery
     if (this.checkpointing) {
       args.push('--checkpointing');
@@ -177,6 +226,7 @@ export class GeminiAgent extends BaseAgent {
                   name: block.name,
                   input: block.input
                 });
+                this.startToolCall(block.id || uuidv4(), block.name, block.input);
               }
             }
           }
@@ -191,15 +241,30 @@ export class GeminiAgent extends BaseAgent {
           tool: event.tool || event.name,
           description: this.getToolDescription(event.tool || event.name)
         });
+        this.startToolCall(
+          event.id || event.callId || uuidv4(),
+          event.tool || event.name,
+          event.args || event.input || {}
+        );
         break;
 
       case 'tool_end':
-      case 'tool_result':
+      case 'tool_result': {
         this.emit('activity', {
           type: 'tool_end',
           tool: event.tool || event.name
         });
+        // Match by ID when reported, otherwise the oldest open call of the tool
+        const callId = event.id || event.callId || this.findOpenToolCall(event.tool || event.name)?.id;
+        if (callId) {
+          this.finishToolCall(
+            callId,
+            event.result ?? event.output ?? event.error,
+            !!event.error || event.status === 'error'
+          );
+        }
         break;
+      }
 
       case 'delta':
       case 'content_delta':
@@ -213,6 +278,10 @@ export class GeminiAgent extends BaseAgent {
       case 'result':
       case 'complete':
         // Final result - resolve the promise
+        this.finishOpenToolCalls();
+        if (event.stats) {
+          this.reportStats(event.stats);
+        }
         this.streaming = false;
         this.status = 'ready';
         this.emit('status', 'ready');
@@ -296,6 +365,23 @@ export class GeminiAgent extends BaseAgent {
     });
   }
 
+  /**
+   * Report the token counts of Gemini's stats, summed over the models it used
+   * ({ models: { name: { tokens: { prompt, candidates, cached, thoughts } } } })
+   */
+  reportStats(stats) {
+    const models = Object.values(stats.models || {});
+    if (models.length === 0) return;
+
+    const sum = (field) => models.reduce((total, model) => total + (model.tokens?.[field] || 0), 0);
+    const cached = sum('cached');
+    this.reportUsage({
+      inputTokens: Math.max(sum('prompt') - cached, 0),
+      outputTokens: sum('candidates') + sum('thoughts'),
+      cacheReadTokens: cached
+    });
+  }
+
   /**
    * Send message in one-shot mode (non-interactive)
    */
@@ -318,6 +404,11 @@ export class GeminiAgent extends BaseAgent {
         if (this.sandbox) {
           args.push('--sandbox');
         }
+      } else {
+        const allowedTools = GeminiAgent.translateRules(this.allowedTools);
+        if (allowedTools.length > 0) {
+          args.push('--allowed-tools', allowedTools.join(','));
+        }
       }
 
       // Model selection
@@ -369,6 +460,15 @@ export class GeminiAgent extends BaseAgent {
         if (code === 0 || fullResponse.trim()) {
           // Try to extract the final result from JSON
           let result = fullResponse.trim();
+          try {
+            // `--output-format json` prints a single { response, stats } object
+            const output = JSON.parse(result);
+            if (output.stats && !output.type) {
+              this.reportStats(output.stats);
+            }
+          } catch (e) {
+            // Not one JSON object
+          }
           try {
             // Look for final result in last JSON line
             const lines = fullResponse.trim().split('\n').reverse();
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { GeminiAgent } from './gemini.js';
+
+describe('GeminiAgent allowed tools', () => {
+  it('should translate permission rules to Gemini tool names', () => {
+    expect(GeminiAgent.translateRules(['Read', 'grep', 'Bash(npm test*)', 'Bash(git status*)', 'Read']))
+      .toEqual(['read_file', 'search_file_content', 'run_shell_command(npm test)', 'run_shell_command(git status)']);
+  });
+
+  it('should drop rules Gemini cannot express', () => {
+    expect(GeminiAgent.translateRules(['*', 'Bash(git status)', 'Edit(src/*)', 'Bash(*)', 'NotebookEdit'])).toEqual([]);
+  });
+
+  it('should pass the translated allow list when not auto-accepting', () => {
+    const agent = new GeminiAgent({ autoAccept: false, allowedTools: ['Read', 'Bash(npm test*)'] });
+    const args = agent.buildInteractiveArgs();
+
+    expect(args).not.toContain('--yolo');
+    expect(args[args.indexOf('--allowed-tools') + 1]).toBe('read_file,run_shell_command(npm test)');
+  });
+});
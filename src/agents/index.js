@@ -34,6 +34,14 @@ export async function createAgent(type, options = {}) {
   return agent;
 }
 
+/**
+ * Resolve an alias (e.g. "openai") to the agent type it stands for ("codex")
+ */
+export function canonicalAgentType(type) {
+  const AgentClass = agents[type.toLowerCase()];
+  return Object.keys(agents).find(name => agents[name] === AgentClass) || type;
+}
+
 /**
  * List available agent types
  */
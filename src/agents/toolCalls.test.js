@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { ClaudeAgent } from './claude.js';
+import { CodexAgent } from './codex.js';
+
+function collect(agent) {
+  const calls = [];
+  agent.on('tool_call', call => calls.push(call));
+  return calls;
+}
+
+describe('tool_call events', () => {
+  it('should pair Claude tool_use blocks with their results', () => {
+    const agent = new ClaudeAgent({ directory: '/repo' });
+    const calls = collect(agent);
+
+    agent.handleEvent({
+      type: 'assistant',
+      message: { content: [{ type: 'tool_use', id: 't1', name: 'Edit', input: { file_path: '/repo/a.js' } }] }
+    });
+    agent.handleEvent({
+      type: 'user',
+      message: { content: [{ type: 'tool_result', tool_use_id: 't1', content: 'File updated', is_error: false }] }
+    });
+
+    expect(calls).toHaveLength(2);
+    expect(calls[0]).toMatchObject({ id: 't1', tool: 'Edit', status: 'running', input: { file_path: '/repo/a.js' } });
+    expect(calls[1]).toMatchObject({ id: 't1', status: 'completed', result: 'File updated', isError: false });
+    expect(calls[1].endedAt).toBeGreaterThanOrEqual(calls[1].startedAt);
+  });
+
+  it('should flag failed tool results', () => {
+    const agent = new ClaudeAgent();
+    const calls = collect(agent);
+
+    agent.handleEvent({
+      type: 'assistant',
+      message: { content: [{ type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'npm test' } }] }
+    });
+    agent.handleEvent({
+      type: 'user',
+      message: { content: [{ type: 'tool_result', tool_use_id: 't1', content: [{ type: 'text', text: 'exit 1' }], is_error: true }] }
+    });
+
+    expect(calls[1]).toMatchObject({ status: 'error', isError: true, result: 'exit 1' });
+  });
+
+  it('should parse codex command executions', () => {
+    const agent = new CodexAgent();
+    const calls = collect(agent);
+    const text = [];
+
+    agent.handleLine(JSON.stringify({ type: 'item.started', item: { id: 'c1', type: 'command_execution', command: 'ls' } }), t => text.push(t));
+    agent.handleLine(JSON.stringify({ type: 'item.completed', item: { id: 'c1', type: 'command_execution', command: 'ls', aggregated_output: 'a.js\n', exit_code: 0 } }), t => text.push(t));
+    agent.handleLine('plain output', t => text.push(t));
+
+    expect(calls.map(c => c.status)).toEqual(['running', 'completed']);
+    expect(calls[1]).toMatchObject({ tool: 'shell', input: { command: 'ls' }, result: 'a.js' });
+    expect(text).toEqual(['plain output\n']);
+  });
+
+  it('should truncate long inputs and results', () => {
+    const agent = new ClaudeAgent();
+    const calls = collect(agent);
+
+    agent.startToolCall('t1', 'Write', { file_path: 'a.js', content: 'x'.repeat(5000) });
+    agent.finishToolCall('t1', 'y'.repeat(500));
+
+    expect(calls[0].input.content).toHaveLength(2000);
+    expect(calls[1].result).toHaveLength(200);
+  });
+
+  it('should close calls left open at the end of a turn', () => {
+    const agent = new ClaudeAgent();
+    const calls = collect(agent);
+
+    agent.startToolCall('t1', 'Read', { file_path: 'a.js' });
+    agent.finishOpenToolCalls();
+
+    expect(calls[1]).toMatchObject({ id: 't1', status: 'completed' });
+    expect(agent.toolCalls.size).toBe(0);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { ClaudeAgent } from './claude.js';
+import { CodexAgent } from './codex.js';
+import { GeminiAgent } from './gemini.js';
+
+function collect(agent) {
+  const reports = [];
+  agent.on('usage', usage => reports.push(usage));
+  return reports;
+}
+
+describe('usage events', () => {
+  it('should read tokens and cost from Claude results', () => {
+    const agent = new ClaudeAgent();
+    const reports = collect(agent);
+
+    agent.handleEvent({
+      type: 'result',
+      result: 'Done',
+      total_cost_usd: 0.0421,
+      usage: { input_tokens: 12, output_tokens: 340, cache_creation_input_tokens: 1500, cache_read_input_tokens: 18000 }
+    });
+
+    expect(reports).toEqual([{ inputTokens: 12, outputTokens: 340, cacheReadTokens: 18000, cacheWriteTokens: 1500, costUsd: 0.0421 }]);
+  });
+
+  it('should read tokens from codex turns, without counting cached input twice', () => {
+    const agent = new CodexAgent();
+    const reports = collect(agent);
+
+    agent.handleLine(JSON.stringify({ type: 'turn.completed', usage: { input_tokens: 5000, cached_input_tokens: 4000, output_tokens: 250 } }), () => {});
+
+    expect(reports).toEqual([{ inputTokens: 1000, outputTokens: 250, cacheReadTokens: 4000, cacheWriteTokens: 0, costUsd: null }]);
+  });
+
+  it('should sum Gemini stats over its models', () => {
+    const agent = new GeminiAgent();
+    const reports = collect(agent);
+
+    agent.handleEvent({
+      type: 'result',
+      result: 'Done',
+      stats: {
+        models: {
+          'gemini-2.5-pro': { tokens: { prompt: 900, candidates: 100, cached: 400, thoughts: 50 } },
+          'gemini-2.5-flash': { tokens: { prompt: 100, candidates: 10 } }
+        }
+      }
+    });
+
+    expect(reports).toEqual([{ inputTokens: 600, outputTokens: 160, cacheReadTokens: 400, cacheWriteTokens: 0, costUsd: null }]);
+  });
+});
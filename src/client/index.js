@@ -0,0 +1,652 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { parseServerAddress } from '../server/transport.js';
+import { SUPPORTED_VERSIONS } from '../server/protocol.js';
+
+/**
+ * Client for the bob protocol
+ *
+ *   const client = new BobClient({ address: 'localhost:8420', token, name: 'ci' });
+ *   await client.connect();
+ *   const room = await client.createRoom({ agentType: 'claude', directory: '/repo' });
+ *   const turn = await client.send(room.roomId, 'Fix the failing test');
+ *   for await (const event of turn) {
+ *     if (event.type === 'stream') process.stdout.write(event.chunk);
+ *   }
+ *   const { response, changes } = await turn.done;
+ *
+ * Every server message is also emitted as an event named after its type
+ * ('message', 'stream', 'status', 'room_joined', ...), and as 'event' for
+ * clients that want them all. Errors answering a request reject its promise
+ * instead; any others are emitted as 'server_error'.
+ * Connection events: 'connected', 'disconnected', 'reconnecting' and 'reconnected'.
+ */
+
+// Events that belong to a turn and carry its turnId (see Room.TURN_EVENTS)
+const TURN_EVENTS = new Set(['stream', 'activity', 'status', 'message', 'tool_call', 'usage']);
+
+/**
+ * An error reply from the server
+ */
+export class BobClientError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BobClientError';
+    this.command = details.command || null;
+    this.errors = details.errors || [];
+    this.turnId = details.turnId || null;
+  }
+}
+
+/**
+ * One prompt's run through an agent
+ * Iterate it for the turn's events; `done` settles when the turn ends.
+ */
+export class Turn {
+  constructor({ roomId, turnId, queued }) {
+    this.roomId = roomId;
+    this.turnId = turnId;
+    this.queued = queued;
+    this.messages = []; // Non-user messages of the turn
+    this.events = [];
+    this.finished = false;
+    this.waiting = null; // Resolves the iterator's pending next()
+
+    this.done = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+    this.done.catch(() => {}); // Callers that only iterate should not see an unhandled rejection
+  }
+
+  /**
+   * Take an event of this turn
+   */
+  push(event) {
+    if (this.finished) return;
+    if (event.type === 'message' && event.message.role !== 'user') {
+      this.messages.push(event.message);
+    }
+    this.events.push(event);
+    this.wake();
+
+    // The closing status comes after everything else the turn produced; the
+    // agent's own 'ready' arrives before its reply is recorded
+    if (event.type === 'status' && event.turnComplete) {
+      if (event.error) {
+        this.fail(new BobClientError(event.error, { command: 'send_message', turnId: this.turnId }));
+      } else {
+        this.finish();
+      }
+    }
+  }
+
+  finish() {
+    const replies = this.messages.filter(message => message.role === 'agent');
+    this.finished = true;
+    this.resolve({
+      roomId: this.roomId,
+      turnId: this.turnId,
+      response: replies.at(-1)?.content ?? null,
+      messages: this.messages,
+      changes: this.messages.findLast(message => message.changes)?.changes || null,
+      usage: this.messages.findLast(message => message.usage)?.usage || null
+    });
+    this.wake();
+  }
+
+  fail(error) {
+    if (this.finished) return;
+    this.finished = true;
+    this.error = error;
+    this.reject(error);
+    this.wake();
+  }
+
+  wake() {
+    if (this.waiting) {
+      const waiting = this.waiting;
+      this.waiting = null;
+      waiting();
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    let index = 0;
+    while (true) {
+      if (index < this.events.length) {
+        yield this.events[index++];
+      } else if (this.finished) {
+        if (this.error) throw this.error;
+        return;
+      } else {
+        await new Promise(resolve => { this.waiting = resolve; });
+      }
+    }
+  }
+}
+
+export class BobClient extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.address - host:port, ws(s):// URL or unix:/path (see parseServerAddress)
+   * @param {string} options.token - Sent as a Bearer token
+   * @param {string} options.name - Display name to ask for (servers with named users decide from the token)
+   * @param {object} options.client - { name, version } reported in the hello handshake
+   * @param {boolean} options.reconnect - Retry dropped connections and resume joined rooms (default true)
+   * @param {number} options.requestTimeout - Milliseconds to wait for a reply (default 60000, 0 for none)
+   */
+  constructor(options = {}) {
+    super();
+    this.address = options.address || 'localhost:8420';
+    this.token = options.token || null;
+    this.name = options.name || null;
+    this.clientInfo = options.client || { name: 'bob-client' };
+    this.reconnect = options.reconnect !== false;
+    this.requestTimeout = options.requestTimeout ?? 60000;
+
+    this.ws = null;
+    this.connected = false;
+    this.clientId = null; // Server-assigned ID, reused when resuming
+    this.resumeToken = null; // Secret that goes with clientId when resuming
+    this.user = null; // { name, role }
+    this.protocolVersion = null;
+    this.serverVersion = null;
+    this.capabilities = new Set();
+    this.rooms = new Map(); // Rooms we know of, by ID
+    this.joinedRooms = new Set();
+    this.roomSeqs = new Map(); // Last event sequence number seen per room
+    this.turns = new Map(); // Turns in progress, by turnId
+    this.pending = new Map(); // requestId -> { resolve, reject, timer }
+    this.nextRequestId = 1;
+
+    this.closing = false; // Set by close(), stops reconnecting
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Connect, agree on a protocol version and set our name
+   * @returns {Promise<void>} - Resolves once the client is ready to use
+   */
+  async connect() {
+    this.closing = false;
+    const { url } = parseServerAddress(this.address);
+
+    await new Promise((resolve, reject) => {
+      // The token goes in a header, so it stays out of URLs and proxy logs
+      const ws = new WebSocket(url, {
+        headers: this.token ? { Authorization: `Bearer ${this.token}` } : {}
+      });
+      this.ws = ws;
+      let opened = false;
+
+      ws.on('open', () => {
+        opened = true;
+        this.connected = true;
+        resolve();
+      });
+      ws.on('message', (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch {
+          return;
+        }
+        this.handleMessage(message);
+      });
+      ws.on('close', () => this.onClose(ws, opened));
+      ws.on('error', (error) => {
+        if (!opened) {
+          reject(error);
+        } else if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+      });
+    });
+
+    try {
+      const hello = await this.request({ type: 'hello', protocolVersions: SUPPORTED_VERSIONS, client: this.clientInfo });
+      this.protocolVersion = hello.protocolVersion;
+      this.serverVersion = hello.serverVersion;
+      this.capabilities = new Set(hello.capabilities);
+      if (this.name) {
+        await this.setName(this.name);
+      }
+    } catch (error) {
+      if (this.connected) {
+        this.close(); // E.g. no common protocol version - retrying will not help
+      }
+      throw error;
+    }
+    this.reconnectAttempts = 0;
+    this.emit('connected');
+  }
+
+  /**
+   * Disconnect for good
+   */
+  close() {
+    this.closing = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+
+  onClose(ws, opened) {
+    if (this.ws !== ws) return;
+    this.ws = null;
+    this.connected = false;
+
+    for (const [, request] of this.pending) {
+      clearTimeout(request.timer);
+      request.reject(new BobClientError('Connection closed', { command: request.command }));
+    }
+    this.pending.clear();
+
+    if (!opened) return; // connect() reports the failure
+    this.emit('disconnected');
+    if (this.closing || !this.reconnect) {
+      for (const [, turn] of this.turns) {
+        turn.fail(new BobClientError('Connection closed', { command: 'send_message', turnId: turn.turnId }));
+      }
+      this.turns.clear();
+      return;
+    }
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Retry the connection with exponential backoff (1s doubling up to 30s)
+   * Turns in progress carry on once their rooms are resumed.
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, 30000);
+    this.reconnectAttempts++;
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      const previous = { clientId: this.clientId, resumeToken: this.resumeToken };
+      try {
+        await this.connect();
+      } catch {
+        if (!this.closing) this.scheduleReconnect();
+        return;
+      }
+      await this.resumeRooms(previous);
+      this.emit('reconnected');
+    }, delay);
+  }
+
+  /**
+   * Ask the server to replay what we missed in each joined room
+   * @param {object} previous - { clientId, resumeToken } of the dropped connection
+   */
+  async resumeRooms(previous) {
+    for (const roomId of [...this.joinedRooms]) {
+      if (!this.rooms.has(roomId)) {
+        // Room was closed while we were away
+        this.forgetRoom(roomId);
+        continue;
+      }
+      try {
+        await this.request({
+          type: 'resume',
+          clientId: previous.clientId,
+          ...(previous.resumeToken && { resumeToken: previous.resumeToken }),
+          roomId,
+          lastSeq: this.roomSeqs.get(roomId) ?? 0
+        });
+      } catch (error) {
+        this.forgetRoom(roomId);
+        this.emit('server_error', { type: 'error', error: error.message, roomId });
+      }
+    }
+  }
+
+  forgetRoom(roomId) {
+    this.joinedRooms.delete(roomId);
+    this.roomSeqs.delete(roomId);
+    for (const [turnId, turn] of this.turns) {
+      if (turn.roomId === roomId) {
+        turn.fail(new BobClientError('Left the room before the turn ended', { command: 'send_message', turnId }));
+        this.turns.delete(turnId);
+      }
+    }
+  }
+
+  /**
+   * Send a message and wait for its reply
+   * @param {Function} accept - Turns the reply into the result, as soon as it arrives
+   * @returns {Promise<object>} - The ack or result message
+   */
+  request(message, accept = reply => reply) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new BobClientError('Not connected', { command: message.type }));
+    }
+
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const timer = this.requestTimeout > 0
+        ? setTimeout(() => {
+          this.pending.delete(requestId);
+          reject(new BobClientError(`No reply to ${message.type} after ${this.requestTimeout / 1000}s`, { command: message.type }));
+        }, this.requestTimeout)
+        : null;
+      this.pending.set(requestId, { resolve, reject, timer, accept, command: message.type });
+      this.ws.send(JSON.stringify({ ...message, requestId }));
+    });
+  }
+
+  /**
+   * Route a message from the server
+   */
+  handleMessage(message) {
+    // Track the resume point for each room
+    if (message.roomId && Number.isInteger(message.seq)) {
+      this.roomSeqs.set(message.roomId, message.seq);
+    }
+
+    this.updateState(message);
+
+    if (message.turnId && TURN_EVENTS.has(message.type)) {
+      const turn = this.turns.get(message.turnId);
+      if (turn) {
+        turn.push(message);
+        if (turn.finished) this.turns.delete(message.turnId);
+      }
+    }
+
+    const request = message.requestId !== undefined ? this.pending.get(message.requestId) : null;
+    if (request) {
+      this.pending.delete(message.requestId);
+      clearTimeout(request.timer);
+      if (message.type === 'error') {
+        request.reject(new BobClientError(message.error, message));
+      } else {
+        request.resolve(request.accept(message));
+      }
+    }
+
+    if (message.type === 'error') {
+      if (message.turnId) {
+        this.turns.get(message.turnId)?.fail(new BobClientError(message.error, message));
+        this.turns.delete(message.turnId);
+      }
+      if (!request) {
+        this.emit('event', message);
+        this.emit('server_error', message);
+      }
+      return;
+    }
+
+    this.emit('event', message);
+    this.emit(message.type, message);
+
+    if (message.type === 'room_resumed') {
+      // Replay missed events as if they had arrived live
+      for (const event of message.events) {
+        this.handleMessage(event);
+      }
+    }
+  }
+
+  /**
+   * Keep track of rooms and identity from what the server tells us
+   */
+  updateState(message) {
+    switch (message.type) {
+      case 'welcome':
+        this.clientId = message.clientId;
+        this.resumeToken = message.resumeToken || null;
+        this.user = message.user || null;
+        this.serverVersion = message.serverVersion;
+        this.rooms = new Map(message.rooms.map(room => [room.id, room]));
+        break;
+
+      case 'resumed':
+        this.clientId = message.clientId;
+        break;
+
+      case 'room_list':
+        this.rooms = new Map(message.rooms.map(room => [room.id, room]));
+        break;
+
+      case 'room_joined':
+        this.joinedRooms.add(message.roomId);
+        this.rooms.set(message.roomId, { ...this.rooms.get(message.roomId), ...message, id: message.roomId, name: message.roomName });
+        break;
+
+      case 'room_left':
+        this.forgetRoom(message.roomId);
+        break;
+
+      case 'room_closed':
+        this.forgetRoom(message.roomId);
+        this.rooms.delete(message.roomId);
+        break;
+
+      case 'room_renamed':
+        const renamed = this.rooms.get(message.roomId);
+        if (renamed) renamed.name = message.newName;
+        break;
+
+      case 'status':
+        const statusRoom = this.rooms.get(message.roomId);
+        if (statusRoom) statusRoom.status = message.status;
+        break;
+    }
+  }
+
+  /**
+   * Change our display name, keeping it across reconnects
+   * @returns {Promise<string>} - The name we got (servers with named users keep the token's name)
+   */
+  async setName(name) {
+    const named = await this.request({ type: 'set_name', name });
+    this.name = named.name;
+    return named.name;
+  }
+
+  /**
+   * @returns {Promise<object[]>} - Rooms we can see
+   */
+  async listRooms() {
+    return (await this.request({ type: 'list_rooms' })).rooms;
+  }
+
+  /**
+   * Create a room and join it
+   * @param {object} options - { agentType, directory, branch, name, agentOptions, visibility }
+   * @returns {Promise<object>} - The room_joined message
+   */
+  async createRoom(options = {}) {
+    const { roomId } = await this.request({ type: 'create_room', ...options });
+    return this.rooms.get(roomId);
+  }
+
+  /**
+   * Join a room by ID or name
+   * @returns {Promise<object>} - The room_joined message
+   */
+  async joinRoom(room) {
+    const known = this.rooms.has(room);
+    const { roomId } = await this.request({ type: 'join_room', ...(known ? { roomId: room } : { roomName: room }) });
+    return this.rooms.get(roomId);
+  }
+
+  async leaveRoom(roomId) {
+    await this.request({ type: 'leave_room', roomId });
+  }
+
+  async closeRoom(roomId, { keepWorktree = false } = {}) {
+    await this.request({ type: 'close_room', roomId, keepWorktree });
+  }
+
+  async roomInfo(roomId) {
+    return (await this.request({ type: 'room_info', roomId })).room;
+  }
+
+  /**
+   * Send a prompt
+   * @returns {Promise<Turn>} - Resolves once the server accepts it
+   */
+  send(roomId, content) {
+    // Track the turn before handling anything after its ack
+    return this.request({ type: 'send_message', roomId, content }, (ack) => {
+      const turn = new Turn(ack);
+      this.turns.set(ack.turnId, turn);
+      return turn;
+    });
+  }
+
+  /**
+   * Send a prompt and wait for the agent to finish
+   * @returns {Promise<{response: string|null, messages: object[], changes: object|null, usage: object|null}>}
+   */
+  async prompt(roomId, content) {
+    const turn = await this.send(roomId, content);
+    return turn.done;
+  }
+
+  /**
+   * Send one prompt to several agents, each in a new room on its own worktree
+   * @param {string[]} agents - Agent types, e.g. ['claude', 'codex']
+   * @param {object} options - { directory, visibility }
+   * @returns {Promise<object>} - The fanout_started message, with `done` resolving to the fanout_complete one
+   */
+  fanout(agents, prompt, options = {}) {
+    // Listen before handling anything after the reply
+    return this.request({ type: 'fanout', agents, prompt, ...options }, (started) => ({
+      ...started,
+      done: this.nextEvent('fanout_complete', comparison => comparison.fanoutId === started.fanoutId)
+    }));
+  }
+
+  /**
+   * Pipelines defined in a repository on the server (in .bob/pipelines)
+   * @returns {Promise<object[]>} - { name, description, stages } (or { name, error } for invalid ones)
+   */
+  async listPipelines(directory) {
+    return (await this.request({ type: 'list_pipelines', ...(directory && { directory }) })).pipelines;
+  }
+
+  /**
+   * Run a pipeline; each stage's room is joined as it starts
+   * Progress is emitted as 'pipeline_stage' events.
+   * @param {object} options - { directory, input }
+   * @returns {Promise<object>} - The pipeline_started message, with `done` resolving to the pipeline_complete one
+   */
+  runPipeline(name, options = {}) {
+    return this.request({ type: 'run_pipeline', name, ...options }, (started) => ({
+      ...started,
+      done: this.nextEvent('pipeline_complete', result => result.pipelineId === started.pipelineId)
+    }));
+  }
+
+  /**
+   * Resolve with the next event of a type that matches
+   */
+  nextEvent(type, matches) {
+    return new Promise((resolve) => {
+      const listener = (event) => {
+        if (!matches(event)) return;
+        this.off(type, listener);
+        resolve(event);
+      };
+      this.on(type, listener);
+    });
+  }
+
+  /**
+   * @returns {Promise<boolean>} - Whether a request was running
+   */
+  async cancel(roomId) {
+    return (await this.request({ type: 'cancel', roomId })).cancelled;
+  }
+
+  async reset(roomId) {
+    await this.request({ type: 'reset', roomId });
+  }
+
+  /**
+   * @param {object} options - { limit } keeps the last N messages
+   * @returns {Promise<object[]>} - The room's messages, oldest first
+   */
+  async history(roomId, { limit } = {}) {
+    return (await this.request({ type: 'get_history', roomId, ...(limit && { limit }) })).messages;
+  }
+
+  async queue(roomId) {
+    return (await this.request({ type: 'list_queue', roomId })).queue;
+  }
+
+  /**
+   * Send a prompt to a room on a schedule
+   * @param {object} options - { prompt, cron } or { prompt, every }, plus whenBusy ('skip' or 'queue')
+   * @returns {Promise<object>} - The schedule, with its nextRunAt
+   */
+  async addSchedule(roomId, options) {
+    return (await this.request({ type: 'schedule_add', roomId, ...options })).schedule;
+  }
+
+  async listSchedules(roomId) {
+    return (await this.request({ type: 'schedule_list', roomId })).schedules;
+  }
+
+  async removeSchedule(roomId, scheduleId) {
+    await this.request({ type: 'schedule_remove', roomId, scheduleId });
+  }
+
+  /**
+   * Tokens and cost reported by the agents
+   * @param {string} roomId - One room's totals per user; all rooms' per user, agent type and room when omitted
+   * @returns {Promise<object>} - { total, byUser, ... }
+   */
+  async usage(roomId) {
+    return (await this.request({ type: 'get_usage', ...(roomId && { roomId }) })).usage;
+  }
+
+  async approve(roomId, permissionId, { always = false } = {}) {
+    await this.request({ type: 'approve', roomId, permissionId, always });
+  }
+
+  async deny(roomId, permissionId, { always = false } = {}) {
+    await this.request({ type: 'deny', roomId, permissionId, always });
+  }
+
+  /**
+   * @returns {Promise<object>} - { turn, changes, diff }
+   */
+  async diff(roomId, turn) {
+    return this.request({ type: 'get_diff', roomId, ...(turn && { turn }) });
+  }
+
+  /**
+   * Commit everything the agent changed in a room
+   * @returns {Promise<object>} - { commit, branch, summary }; commit is null when there was nothing to commit
+   */
+  async commit(roomId, message) {
+    return this.request({ type: 'commit_room', roomId, message });
+  }
+
+  /**
+   * Merge a worktree room's branch
+   * @param {object} options - { strategy, targetBranch, message }
+   * @returns {Promise<object>} - { success, strategy, source, target, conflicts }
+   */
+  async merge(roomId, options = {}) {
+    return this.request({ type: 'merge_room', roomId, ...options });
+  }
+
+  async ping() {
+    await this.request({ type: 'ping' });
+  }
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { EventEmitter } from 'events';
+import { BobServer } from '../server/index.js';
+import { hashToken } from '../server/auth.js';
+import { BobClient, BobClientError } from './index.js';
+
+describe('BobClient', () => {
+  let directory;
+  let server;
+  let client;
+  let agent;
+
+  // Replies after streaming two chunks, or fails for prompts saying "fail"
+  // Like the real adapters, it reports 'ready' before its reply
+  function attachAgent(roomId) {
+    agent = new EventEmitter();
+    agent.stop = vi.fn(async () => {});
+    agent.send = vi.fn(async (content) => {
+      agent.emit('status', 'busy');
+      if (content === 'fail') {
+        agent.emit('status', 'ready');
+        throw new Error('Agent crashed');
+      }
+      agent.emit('stream', 'Hel');
+      agent.emit('stream', 'lo');
+      agent.emit('status', 'ready');
+      agent.emit('message', `You said: ${content}`);
+      return `You said: ${content}`;
+    });
+    server.roomManager.getRoom(roomId).setAgent(agent);
+  }
+
+  beforeEach(async () => {
+    directory = mkdtempSync(join(tmpdir(), 'bob-client-test-'));
+    server = new BobServer({
+      port: 0,
+      storage: { type: 'memory' },
+      auth: { users: { alice: { tokenHash: hashToken('alice-token'), role: 'operator' } } }
+    });
+    await server.start();
+    client = new BobClient({ address: `127.0.0.1:${server.port}`, token: 'alice-token', client: { name: 'test' } });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    client.close();
+    await server.stop();
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should authenticate and agree on a protocol version', () => {
+    expect(client.user).toEqual({ name: 'alice', role: 'operator' });
+    expect(client.protocolVersion).toBe(1);
+    expect(client.capabilities.has('acks')).toBe(true);
+  });
+
+  it('should create rooms and stream a turn', async () => {
+    const room = await client.createRoom({ agentType: 'nope', directory });
+    attachAgent(room.roomId);
+
+    const turn = await client.send(room.roomId, 'hi');
+    const events = [];
+    for await (const event of turn) {
+      events.push(event.type === 'stream' ? event.chunk : event.type);
+    }
+
+    expect(events).toEqual(['status', 'message', 'status', 'Hel', 'lo', 'status', 'message', 'status']);
+    expect(await turn.done).toMatchObject({
+      roomId: room.roomId,
+      turnId: turn.turnId,
+      response: 'You said: hi',
+      messages: [expect.objectContaining({ role: 'agent', content: 'You said: hi' })]
+    });
+    expect((await client.history(room.roomId, { limit: 2 })).map(message => message.content)).toEqual(['hi', 'You said: hi']);
+  });
+
+  it('should reject failed turns and requests', async () => {
+    const room = await client.createRoom({ agentType: 'nope', directory });
+    attachAgent(room.roomId);
+
+    await expect(client.prompt(room.roomId, 'fail')).rejects.toThrow('Agent crashed');
+    const error = await client.joinRoom('missing').catch(error => error);
+
+    expect(error).toBeInstanceOf(BobClientError);
+    expect(error).toMatchObject({ message: 'Room not found', command: 'join_room' });
+  });
+
+  it('should emit server messages as events', async () => {
+    const onStatus = vi.fn();
+    client.on('status', onStatus);
+    const room = await client.createRoom({ agentType: 'nope', directory });
+    attachAgent(room.roomId);
+
+    await client.prompt(room.roomId, 'hi');
+
+    expect(onStatus).toHaveBeenCalledWith(expect.objectContaining({ roomId: room.roomId, status: 'ready' }));
+  });
+
+  it('should reconnect and resume its rooms after the connection drops', async () => {
+    const room = await client.createRoom({ agentType: 'nope', directory });
+    attachAgent(room.roomId);
+    const clientId = client.clientId;
+    const reconnected = new Promise(resolve => client.once('reconnected', resolve));
+
+    for (const { ws } of server.clients.values()) {
+      ws.terminate();
+    }
+    await reconnected;
+
+    expect(client.clientId).toBe(clientId);
+    expect(client.joinedRooms.has(room.roomId)).toBe(true);
+    expect((await client.prompt(room.roomId, 'again')).response).toBe('You said: again');
+  });
+});
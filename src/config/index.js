@@ -0,0 +1,394 @@
+import { existsSync, readFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { homedir } from 'os';
+import { listAgentTypes } from '../agents/index.js';
+import { renderBranchName } from '../git/index.js';
+import { ROLES } from '../server/auth.js';
+import { validate, typeOf } from './schema.js';
+
+/**
+ * Configuration loading and validation
+ *
+ * Lookup order (the first file found is used):
+ *   1. --config <path>
+ *   2. ./config.json
+ *   3. ~/.config/bob/config.json ($XDG_CONFIG_HOME/bob/config.json)
+ *
+ * Environment variables are applied on top of the file (see ENV_VARS).
+ */
+
+/**
+ * Thrown when a config file cannot be read or does not match the schema
+ */
+export class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}\n${errors.map(error => `  - ${error}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const agentSchema = {
+  type: 'object',
+  properties: {
+    model: { type: 'string' },
+    command: { type: 'string' },
+    autoAccept: { type: 'boolean' },
+    interactive: { type: 'boolean' },
+    sandbox: { type: 'boolean' },
+    checkpointing: { type: 'boolean' },
+    allowedTools: stringList
+  },
+  additionalProperties: true // Passed through to custom agent adapters
+};
+
+const branchTemplate = {
+  type: 'string',
+  validate: (value) => {
+    try {
+      renderBranchName(value, {});
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+};
+
+const gitDirectorySchema = {
+  type: 'object',
+  properties: {
+    worktreeRoot: { type: 'string' },
+    branchTemplate,
+    baseRef: { type: 'string' },
+    autoStash: { type: 'boolean' }
+  }
+};
+
+/**
+ * Schema for config.json (see schema.js for the supported keywords)
+ */
+export const schema = {
+  type: 'object',
+  properties: {
+    server: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        host: { type: 'string' },
+        authToken: { type: ['string', 'null'] },
+        requireAuth: { type: 'boolean' },
+        requestTimeout: { type: 'integer', minimum: 1000 },
+        tls: {
+          type: ['object', 'null'],
+          properties: {
+            cert: { type: 'string' },
+            key: { type: 'string' },
+            ca: { type: 'string' }
+          },
+          required: ['cert', 'key']
+        },
+        socket: {
+          type: ['object', 'null'],
+          properties: {
+            path: { type: 'string' },
+            mode: {
+              type: 'string',
+              validate: (value) => /^0?[0-7]{3}$/.test(value) ? null : 'must be an octal file mode such as "0600"'
+            },
+            role: { enum: ROLES }
+          },
+          required: ['path']
+        }
+      }
+    },
+    auth: {
+      type: 'object',
+      properties: {
+        users: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['tokenHash'],
+            properties: {
+              tokenHash: {
+                type: 'string',
+                validate: (value) => (/^sha256:[0-9a-f]{64}$/.test(value)
+                  ? null
+                  : 'must be "sha256:" followed by 64 hex digits (generate one with `bob token <name>`)')
+              },
+              role: { enum: ROLES }
+            }
+          }
+        },
+        anonymousRole: { enum: ROLES }
+      }
+    },
+    logging: {
+      type: 'object',
+      properties: {
+        level: { enum: ['debug', 'info', 'warn', 'error'] }
+      }
+    },
+    agents: {
+      type: 'object',
+      additionalProperties: agentSchema,
+      validate: (value) => {
+        const unknown = Object.keys(value).filter(type => !listAgentTypes().includes(type.toLowerCase()));
+        return unknown.length
+          ? { warning: `unknown agent type(s): ${unknown.join(', ')}. Available: ${listAgentTypes().join(', ')}` }
+          : null;
+      }
+    },
+    ui: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        theme: { type: 'string' },
+        historySize: { type: 'integer', minimum: 1 }
+      }
+    },
+    permissions: {
+      type: 'object',
+      properties: {
+        mode: { enum: ['auto', 'approve'] },
+        allow: stringList,
+        deny: stringList,
+        directories: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              mode: { enum: ['auto', 'approve'] },
+              allow: stringList,
+              deny: stringList
+            }
+          }
+        }
+      }
+    },
+    git: {
+      type: 'object',
+      properties: {
+        autoStash: { type: 'boolean' },
+        defaultBranch: { type: 'string' },
+        worktreeRoot: { type: 'string' },
+        branchTemplate,
+        baseRef: { type: 'string' },
+        directories: { type: 'object', additionalProperties: gitDirectorySchema }
+      }
+    },
+    storage: {
+      type: 'object',
+      properties: {
+        type: { enum: ['file', 'memory'] },
+        directory: { type: 'string' },
+        maxMessages: { type: 'integer', minimum: 1 }
+      }
+    }
+  }
+};
+
+/**
+ * Defaults applied under whatever the config file sets
+ */
+export const DEFAULTS = {
+  server: {
+    port: 8420,
+    host: '127.0.0.1',
+    authToken: null,
+    requireAuth: false,
+    requestTimeout: 600000, // 10 min per agent request
+    tls: null,
+    socket: null
+  },
+  logging: {
+    level: 'info'
+  },
+  agents: {},
+  ui: {
+    historySize: 100
+  },
+  permissions: {},
+  git: {
+    autoStash: false
+  },
+  storage: {
+    type: 'file'
+  }
+};
+
+/**
+ * Environment variables and the config keys they set
+ */
+export const ENV_VARS = {
+  BOB_PORT: ['server', 'port'],
+  BOB_HOST: ['server', 'host'],
+  BOB_AUTH_TOKEN: ['server', 'authToken'],
+  BOB_REQUIRE_AUTH: ['server', 'requireAuth'],
+  BOB_TLS_CERT: ['server', 'tls', 'cert'],
+  BOB_TLS_KEY: ['server', 'tls', 'key'],
+  BOB_SOCKET: ['server', 'socket', 'path'],
+  BOB_NAME: ['ui', 'name'],
+  BOB_LOG_LEVEL: ['logging', 'level'],
+  BOB_PERMISSION_MODE: ['permissions', 'mode'],
+  BOB_WORKTREE_ROOT: ['git', 'worktreeRoot'],
+  BOB_STORAGE: ['storage', 'type'],
+  BOB_STATE_DIR: ['storage', 'directory']
+};
+
+/**
+ * Check a config object against the schema
+ * @param {object} config - The parsed config
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+export function validateConfig(config) {
+  return validate(config, schema);
+}
+
+/**
+ * Find the config file to use
+ * @param {object} options - { configPath, cwd, env }
+ * @returns {string|null} - The path, or null when there is no config file
+ */
+export function findConfigFile(options = {}) {
+  const { configPath = null, cwd = process.cwd(), env = process.env } = options;
+
+  if (configPath) {
+    const path = resolve(cwd, configPath);
+    if (!existsSync(path)) {
+      throw new ConfigError(`Config file not found: ${path}`);
+    }
+    return path;
+  }
+
+  const configHome = env.XDG_CONFIG_HOME || join(env.HOME || homedir(), '.config');
+  const candidates = [join(cwd, 'config.json'), join(configHome, 'bob', 'config.json')];
+  return candidates.find(path => existsSync(path)) || null;
+}
+
+/**
+ * Apply environment variables on top of a config object
+ * Values are converted to the type the schema expects
+ */
+export function applyEnv(config, env = process.env) {
+  const result = structuredClone(config);
+
+  for (const [name, path] of Object.entries(ENV_VARS)) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') continue;
+
+    const rule = path.reduce((parent, key) => parent.properties[key], schema);
+    const types = [].concat(rule.type || []);
+    let value = raw;
+    if (types.includes('integer') && /^-?\d+$/.test(raw)) {
+      value = parseInt(raw, 10);
+    } else if (types.includes('boolean') && ['true', 'false', '1', '0'].includes(raw.toLowerCase())) {
+      value = ['true', '1'].includes(raw.toLowerCase());
+    }
+
+    let target = result;
+    for (const key of path.slice(0, -1)) {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      target = target[key];
+    }
+    target[path.at(-1)] = value;
+  }
+
+  return result;
+}
+
+function isPlainObject(value) {
+  return typeOf(value) === 'object';
+}
+
+/**
+ * Deep merge config objects (arrays and scalars are replaced)
+ */
+export function mergeConfig(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(base?.[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Load, validate and complete the configuration
+ * @param {object} options - { configPath, cwd, env }
+ * @returns {{config: object, path: string|null, warnings: string[]}}
+ * @throws {ConfigError} If the file is unreadable or invalid
+ */
+export function loadConfig(options = {}) {
+  const { env = process.env } = options;
+  const path = findConfigFile({ ...options, configPath: options.configPath || env.BOB_CONFIG || null });
+
+  let fileConfig = {};
+  if (path) {
+    try {
+      fileConfig = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`Could not read ${path}: ${error.message}`);
+    }
+    if (!isPlainObject(fileConfig)) {
+      throw new ConfigError(`${path} must contain a JSON object`);
+    }
+  }
+
+  const config = applyEnv(fileConfig, env);
+  const { errors, warnings } = validateConfig(config);
+  if (errors.length) {
+    throw new ConfigError(`Invalid configuration${path ? ` in ${path}` : ''}:`, errors);
+  }
+
+  return { config: mergeConfig(DEFAULTS, config), path, warnings };
+}
+
+/**
+ * Settings a running server can pick up on reload; anything else needs a restart
+ * "section.*" covers a whole section
+ */
+export const LIVE_SETTINGS = [
+  'server.authToken',
+  'server.requireAuth',
+  'server.requestTimeout',
+  'auth.*',
+  'logging.*',
+  'agents.*',
+  'permissions.*',
+  'git.*'
+];
+
+export function isLiveSetting(path) {
+  const [section] = path.split('.');
+  return LIVE_SETTINGS.includes(path) || LIVE_SETTINGS.includes(`${section}.*`);
+}
+
+/**
+ * List the settings ("section.key") that differ between two configs
+ */
+export function diffConfig(previous = {}, next = {}) {
+  const changed = [];
+  const sections = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  for (const section of sections) {
+    const before = previous[section];
+    const after = next[section];
+    if (!isPlainObject(before) || !isPlainObject(after)) {
+      if (JSON.stringify(before) !== JSON.stringify(after)) changed.push(section);
+      continue;
+    }
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changed.push(`${section}.${key}`);
+      }
+    }
+  }
+
+  return changed;
+}
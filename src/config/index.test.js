@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { loadConfig, validateConfig, findConfigFile, applyEnv, diffConfig, isLiveSetting, ConfigError } from './index.js';
+
+describe('validateConfig', () => {
+  it('should accept the example config', async () => {
+    const { default: example } = await import('../../config.example.json', { with: { type: 'json' } });
+
+    expect(validateConfig(example)).toEqual({ errors: [], warnings: [] });
+  });
+
+  it('should report each invalid setting with its path', () => {
+    const { errors } = validateConfig({
+      server: { port: 70000, requireAuth: 'yes' },
+      permissions: { mode: 'ask', allow: ['Read', 3] },
+      ui: { historySize: 'lots' }
+    });
+
+    expect(errors).toEqual([
+      'server.port must be at most 65535 (got 70000)',
+      'server.requireAuth must be true or false (got "yes")',
+      'permissions.mode must be one of "auto", "approve" (got "ask")',
+      'permissions.allow[1] must be a string (got 3)',
+      'ui.historySize must be an integer (got "lots")'
+    ]);
+  });
+
+  it('should check user entries', () => {
+    const { errors } = validateConfig({ auth: { users: { alice: { role: 'root' }, bob: { tokenHash: 'plain-token' } } } });
+
+    expect(errors).toEqual([
+      'auth.users.alice.tokenHash is required',
+      'auth.users.alice.role must be one of "viewer", "operator", "admin" (got "root")',
+      'auth.users.bob.tokenHash: must be "sha256:" followed by 64 hex digits (generate one with `bob token <name>`)'
+    ]);
+  });
+
+  it('should warn about unknown settings and agent types', () => {
+    const { errors, warnings } = validateConfig({ agents: { claud: { model: 'opus' } }, colour: 'blue' });
+
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      'agents: unknown agent type(s): claud. Available: claude, codex, openai, gpt, gemini, google',
+      'colour is not a known setting and will be ignored'
+    ]);
+  });
+});
+
+describe('loadConfig', () => {
+  let base;
+  let cwd;
+  let env;
+
+  beforeEach(() => {
+    base = mkdtempSync(join(tmpdir(), 'bob-config-test-'));
+    cwd = join(base, 'project');
+    mkdirSync(cwd);
+    mkdirSync(join(base, 'home', '.config', 'bob'), { recursive: true });
+    env = { HOME: join(base, 'home') };
+  });
+
+  afterEach(() => {
+    rmSync(base, { recursive: true, force: true });
+  });
+
+  it('should fall back to defaults without a config file', () => {
+    const { config, path } = loadConfig({ cwd, env });
+
+    expect(path).toBeNull();
+    expect(config.server).toEqual({
+      port: 8420,
+      host: '127.0.0.1',
+      authToken: null,
+      requireAuth: false,
+      requestTimeout: 600000,
+      tls: null,
+      socket: null
+    });
+    expect(config.ui.historySize).toBe(100);
+    expect(config.git.autoStash).toBe(false);
+  });
+
+  it('should prefer ./config.json over the user config', () => {
+    writeFileSync(join(base, 'home', '.config', 'bob', 'config.json'), '{}');
+    expect(findConfigFile({ cwd, env })).toBe(join(base, 'home', '.config', 'bob', 'config.json'));
+
+    writeFileSync(join(cwd, 'config.json'), '{}');
+    expect(findConfigFile({ cwd, env })).toBe(join(cwd, 'config.json'));
+  });
+
+  it('should use --config over both, and fail if it is missing', () => {
+    writeFileSync(join(cwd, 'config.json'), '{}');
+    writeFileSync(join(base, 'custom.json'), JSON.stringify({ server: { port: 9000 } }));
+
+    expect(loadConfig({ cwd, env, configPath: '../custom.json' }).config.server.port).toBe(9000);
+    expect(() => loadConfig({ cwd, env, configPath: 'nope.json' })).toThrow('Config file not found');
+  });
+
+  it('should merge the file over the defaults and env vars over the file', () => {
+    writeFileSync(join(cwd, 'config.json'), JSON.stringify({
+      server: { port: 9000 },
+      agents: { gemini: { sandbox: true } }
+    }));
+
+    const { config } = loadConfig({ cwd, env: { ...env, BOB_PORT: '9100', BOB_REQUIRE_AUTH: 'true' } });
+
+    expect(config.server).toMatchObject({ port: 9100, host: '127.0.0.1', requireAuth: true });
+    expect(config.agents.gemini).toEqual({ sandbox: true });
+  });
+
+  it('should throw a ConfigError listing every problem', () => {
+    writeFileSync(join(cwd, 'config.json'), JSON.stringify({ server: { port: 'abc' }, storage: { type: 'sql' } }));
+
+    let error;
+    try {
+      loadConfig({ cwd, env });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.errors).toHaveLength(2);
+    expect(error.message).toContain(`Invalid configuration in ${join(cwd, 'config.json')}:`);
+    expect(error.message).toContain('  - storage.type must be one of "file", "memory" (got "sql")');
+  });
+
+  it('should report unparseable JSON', () => {
+    writeFileSync(join(cwd, 'config.json'), '{ "server": ');
+
+    expect(() => loadConfig({ cwd, env })).toThrow(`Could not read ${join(cwd, 'config.json')}`);
+  });
+});
+
+describe('applyEnv', () => {
+  it('should leave values it cannot convert for validation to reject', () => {
+    const config = applyEnv({}, { BOB_PORT: 'eighty' });
+
+    expect(config.server.port).toBe('eighty');
+    expect(validateConfig(config).errors).toEqual(['server.port must be an integer (got "eighty")']);
+  });
+
+  it('should set nested settings', () => {
+    const config = applyEnv({ server: { tls: { cert: 'old.pem', key: 'key.pem' } } }, { BOB_TLS_CERT: 'new.pem', BOB_SOCKET: '/run/bob.sock' });
+
+    expect(config.server).toEqual({ tls: { cert: 'new.pem', key: 'key.pem' }, socket: { path: '/run/bob.sock' } });
+  });
+});
+
+describe('diffConfig', () => {
+  it('should list changed settings by section and key', () => {
+    const previous = { server: { port: 8420, authToken: 'a' }, agents: { claude: { model: 'sonnet' } } };
+    const next = { server: { port: 9000, authToken: 'a' }, agents: { claude: { model: 'opus' }, gemini: {} }, ui: { name: 'x' } };
+
+    expect(diffConfig(previous, next)).toEqual(['server.port', 'agents.claude', 'agents.gemini', 'ui']);
+  });
+
+  it('should tell live settings from ones that need a restart', () => {
+    expect(isLiveSetting('server.authToken')).toBe(true);
+    expect(isLiveSetting('agents.claude')).toBe(true);
+    expect(isLiveSetting('server.port')).toBe(false);
+    expect(isLiveSetting('storage.directory')).toBe(false);
+  });
+});
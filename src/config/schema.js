@@ -0,0 +1,96 @@
+/**
+ * A small JSON-schema-like validator, used for config.json and protocol messages
+ *
+ * Supports: type (or a list of types), enum, minimum, maximum, minLength,
+ * properties, required, additionalProperties, items and a custom
+ * validate(value) returning an error message or { warning }
+ */
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object',
+  null: 'null'
+};
+
+export function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validateValue(value, rule, path, result) {
+  const types = rule.type ? [].concat(rule.type) : null;
+  if (types && !types.some(type => matchesType(value, type))) {
+    result.errors.push(`${path} must be ${types.map(type => TYPE_NAMES[type]).join(' or ')} (got ${JSON.stringify(value)})`);
+    return;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    result.errors.push(`${path} must be one of ${rule.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+    return;
+  }
+  if (rule.minimum !== undefined && value < rule.minimum) {
+    result.errors.push(`${path} must be at least ${rule.minimum} (got ${value})`);
+  }
+  if (rule.maximum !== undefined && value > rule.maximum) {
+    result.errors.push(`${path} must be at most ${rule.maximum} (got ${value})`);
+  }
+  if (rule.minLength !== undefined && typeof value === 'string' && value.length < rule.minLength) {
+    result.errors.push(rule.minLength === 1
+      ? `${path} must not be empty`
+      : `${path} must be at least ${rule.minLength} characters (got ${value.length})`);
+  }
+
+  if (rule.required && typeOf(value) === 'object') {
+    for (const key of rule.required.filter(key => value[key] === undefined)) {
+      result.errors.push(`${path ? `${path}.` : ''}${key} is required`);
+    }
+  }
+
+  if (rule.items && Array.isArray(value)) {
+    value.forEach((item, index) => validateValue(item, rule.items, `${path}[${index}]`, result));
+  }
+
+  if (typeOf(value) === 'object' && (rule.properties || rule.additionalProperties)) {
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = path ? `${path}.${key}` : key;
+      const itemRule = rule.properties?.[key] ?? rule.additionalProperties;
+      if (itemRule && itemRule !== true) {
+        validateValue(item, itemRule, itemPath, result);
+      } else if (!itemRule) {
+        result.warnings.push(`${itemPath} is not a known setting and will be ignored`);
+      }
+    }
+  }
+
+  if (rule.validate) {
+    const message = rule.validate(value);
+    if (typeof message === 'string') {
+      result.errors.push(path ? `${path}: ${message}` : message);
+    } else if (message?.warning) {
+      result.warnings.push(path ? `${path}: ${message.warning}` : message.warning);
+    }
+  }
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - The value to check
+ * @param {object} schema - The schema
+ * @param {string} path - Name of the value in messages ('' for the top level)
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+export function validate(value, schema, path = '') {
+  const result = { errors: [], warnings: [] };
+  validateValue(value, schema, path, result);
+  return result;
+}
@@ -1,15 +1,73 @@
 import simpleGit from 'simple-git';
-import { existsSync, mkdirSync, rmSync, statSync } from 'fs';
-import { join, basename } from 'path';
-import { tmpdir } from 'os';
+import {
+  existsSync,
+  mkdirSync,
+  rmSync,
+  statSync,
+  copyFileSync,
+  writeFileSync,
+  readdirSync,
+  realpathSync
+} from 'fs';
+import { join, basename, resolve, dirname, sep } from 'path';
+import { tmpdir, homedir } from 'os';
 
 /**
  * Git operations manager
  */
 export class GitManager {
-  constructor() {
+  constructor(options = {}) {
     this.gitInstances = new Map();
     this.worktrees = new Map(); // Track created worktrees for cleanup
+    this.worktreeBase = resolve(expandHome(options.worktreeBase || join(tmpdir(), 'bob-control-worktrees')));
+    this.worktreeRoots = new Set([this.worktreeBase]); // Every directory worktrees may be created in
+    this.autoStash = options.autoStash || false; // Stash uncommitted changes before checkouts
+  }
+
+  /**
+   * Stash uncommitted changes to tracked files before a checkout
+   * Callers put them back with restoreStash once they are done.
+   * @returns {Promise<string|null>} - The stash message, or null if nothing was stashed
+   */
+  async stashForCheckout(directory, reason) {
+    const status = await this.getGit(directory).status();
+    if (!status.files.some(file => file.index !== '?')) {
+      return null;
+    }
+
+    const message = `bob-control auto-stash before ${reason}`;
+    await this.stash(directory, message);
+    return message;
+  }
+
+  /**
+   * Pop a stash made by stashForCheckout
+   * If it does not apply cleanly the stash is kept, so nothing is lost.
+   * @param {string} message - The stash message
+   * @returns {Promise<{restored: boolean, conflicts: string[]}>}
+   */
+  async restoreStash(directory, message) {
+    const git = this.getGit(directory);
+    const stashes = await git.stashList();
+    const index = stashes.all.findIndex(entry => entry.message.endsWith(message));
+    if (index === -1) {
+      return { restored: false, conflicts: [] };
+    }
+
+    // simple-git only throws when git also wrote to stderr, so always check for conflicts
+    const error = await git.stash(['pop', `stash@{${index}}`]).then(() => null, err => err);
+    const conflicts = await this.getConflicts(directory);
+    return { restored: !error && conflicts.length === 0, conflicts };
+  }
+
+  /**
+   * Allow worktrees to be created (and safely deleted) under another directory
+   * @returns {string} - The resolved root
+   */
+  addWorktreeRoot(root) {
+    const resolved = resolve(expandHome(root));
+    this.worktreeRoots.add(resolved);
+    return resolved;
   }
 
   /**
@@ -42,26 +100,55 @@ export class GitManager {
 
   /**
    * Create and checkout a new branch
+   * With autoStash, uncommitted changes are stashed for the checkout and then popped
+   * onto the branch; `stash` reports whether they applied (null if nothing was stashed).
+   * @param {object} options - { startPoint: ref to branch from (defaults to HEAD), autoStash }
+   * @returns {Promise<{created: boolean, branch: string, stash: {message, restored, conflicts}|null}>}
    */
-  async createBranch(directory, branchName) {
+  async createBranch(directory, branchName, options = {}) {
+    const { startPoint = null, autoStash = this.autoStash } = options;
     if (!await this.isGitRepo(directory)) {
       throw new Error(`${directory} is not a git repository`);
     }
 
     const git = this.getGit(directory);
+    const stashed = autoStash ? await this.stashForCheckout(directory, `checking out ${branchName}`) : null;
+    const result = { created: false, branch: branchName, stash: null };
 
-    // Check if branch already exists
-    const branches = await git.branch();
-
-    if (branches.all.includes(branchName)) {
-      // Branch exists, just checkout
-      await git.checkout(branchName);
-      return { created: false, branch: branchName };
+    try {
+      const branches = await git.branch();
+      if (branches.all.includes(branchName)) {
+        await git.checkout(branchName);
+      } else if (startPoint) {
+        await git.checkoutBranch(branchName, startPoint);
+        result.created = true;
+      } else {
+        await git.checkoutLocalBranch(branchName);
+        result.created = true;
+      }
+    } finally {
+      if (stashed) {
+        result.stash = { message: stashed, ...await this.restoreStash(directory, stashed) };
+      }
     }
+    return result;
+  }
 
-    // Create and checkout new branch
-    await git.checkoutLocalBranch(branchName);
-    return { created: true, branch: branchName };
+  /**
+   * Check whether a local branch exists
+   */
+  async branchExists(directory, branchName) {
+    const git = this.getGit(directory);
+    const branches = await git.branchLocal();
+    return branches.all.includes(branchName);
+  }
+
+  /**
+   * Rename a branch (also updates worktrees that have it checked out)
+   */
+  async renameBranch(directory, oldName, newName) {
+    const git = this.getGit(directory);
+    await git.raw(['branch', '-m', oldName, newName]);
   }
 
   /**
@@ -77,6 +164,23 @@ export class GitManager {
     return branch.current;
   }
 
+  /**
+   * Resolve a ref to its commit hash
+   * @returns {Promise<string|null>} - null outside a repository
+   */
+  async resolveCommit(directory, ref = 'HEAD') {
+    if (!await this.isGitRepo(directory)) {
+      return null;
+    }
+
+    const git = this.getGit(directory);
+    try {
+      return (await git.revparse(['--verify', `${ref}^{commit}`])).trim();
+    } catch {
+      throw new Error(`Base ref not found in ${directory}: ${ref}`);
+    }
+  }
+
   /**
    * Get repository status
    */
@@ -135,6 +239,11 @@ export class GitManager {
 
     const git = this.getGit(directory);
 
+    if (options.from) {
+      // Between two commits or snapshots (see snapshot())
+      return await git.diff([options.from, options.to || 'HEAD']);
+    }
+
     if (options.staged) {
       return await git.diff(['--staged']);
     }
@@ -142,6 +251,74 @@ export class GitManager {
     return await git.diff();
   }
 
+  /**
+   * Record the working tree (tracked and untracked, minus ignored files)
+   * as a git tree object without touching the real index
+   * @returns {Promise<string|null>} - The tree hash, or null outside a repository
+   */
+  async snapshot(directory) {
+    if (!await this.isGitRepo(directory)) {
+      return null;
+    }
+
+    const git = this.getGit(directory);
+    const indexPath = resolve(directory, (await git.revparse(['--git-path', 'index'])).trim());
+    const tmpIndex = join(tmpdir(), `bob-control-index-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+
+    try {
+      // Start from the real index so unchanged files are not re-hashed
+      if (existsSync(indexPath)) {
+        copyFileSync(indexPath, tmpIndex);
+      }
+      const snapshotGit = simpleGit(directory).env({ ...process.env, GIT_INDEX_FILE: tmpIndex });
+      await snapshotGit.raw(['add', '-A']);
+      return (await snapshotGit.raw(['write-tree'])).trim();
+    } finally {
+      rmSync(tmpIndex, { force: true });
+    }
+  }
+
+  /**
+   * Summarize the file changes between two snapshots
+   * @returns {Promise<{files: Array<{path: string, status: string, additions: number, deletions: number, binary: boolean}>, additions: number, deletions: number}>}
+   */
+  async diffSnapshots(directory, from, to) {
+    const git = this.getGit(directory);
+    const [nameStatus, numstat] = await Promise.all([
+      git.raw(['diff', '--no-renames', '--name-status', from, to]),
+      git.raw(['diff', '--no-renames', '--numstat', from, to])
+    ]);
+
+    const statuses = { A: 'added', M: 'modified', D: 'deleted', T: 'modified' };
+    const files = new Map();
+    for (const line of nameStatus.split('\n').filter(Boolean)) {
+      const [code, path] = line.split('\t');
+      files.set(path, {
+        path,
+        status: statuses[code[0]] || 'modified',
+        additions: 0,
+        deletions: 0,
+        binary: false
+      });
+    }
+    for (const line of numstat.split('\n').filter(Boolean)) {
+      const [additions, deletions, path] = line.split('\t');
+      const file = files.get(path);
+      if (!file) continue;
+      // Binary files are reported as "-\t-"
+      file.binary = additions === '-';
+      file.additions = parseInt(additions, 10) || 0;
+      file.deletions = parseInt(deletions, 10) || 0;
+    }
+
+    const list = Array.from(files.values());
+    return {
+      files: list,
+      additions: list.reduce((sum, file) => sum + file.additions, 0),
+      deletions: list.reduce((sum, file) => sum + file.deletions, 0)
+    };
+  }
+
   /**
    * Commit changes
    */
@@ -159,6 +336,185 @@ export class GitManager {
     return await git.commit(message);
   }
 
+  /**
+   * List files with unresolved merge conflicts
+   */
+  async getConflicts(directory) {
+    const git = this.getGit(directory);
+    const output = await git.raw(['diff', '--name-only', '--diff-filter=U']);
+    return output.split('\n').filter(Boolean);
+  }
+
+  /**
+   * Bring a branch's work into another branch of the same repository
+   *
+   * Strategies:
+   *   merge  - merge commit on the target branch (the default)
+   *   squash - one new commit on the target branch
+   *   rebase - rebase the branch onto the target (in the branch's worktree),
+   *            then fast-forward the target
+   *
+   * The target branch is checked out in repoDirectory, which must be clean,
+   * and whatever was checked out before is checked out again afterwards.
+   * With autoStash, uncommitted changes are stashed first and popped again
+   * afterwards; `stash` reports whether they applied (null if nothing was stashed).
+   * On conflicts the operation is aborted so both branches are left as they were.
+   *
+   * @param {string} repoDirectory - The repository holding the target branch
+   * @param {string} sourceBranch - The branch to bring in
+   * @param {object} options - { strategy, targetBranch, message, sourceDirectory, autoStash }
+   * @returns {Promise<{success: boolean, strategy: string, source: string, target: string, conflicts: string[], commit: string|null, stash: object|null}>}
+   */
+  async mergeBranch(repoDirectory, sourceBranch, options = {}) {
+    const { strategy = 'merge', message = null, autoStash = this.autoStash } = options;
+    if (!['merge', 'squash', 'rebase'].includes(strategy)) {
+      throw new Error(`Unknown merge strategy: ${strategy}. Available: merge, squash, rebase`);
+    }
+    if (!await this.isGitRepo(repoDirectory)) {
+      throw new Error(`${repoDirectory} is not a git repository`);
+    }
+
+    const git = this.getGit(repoDirectory);
+    const status = await git.status();
+    const targetBranch = options.targetBranch || status.current;
+    if (targetBranch === sourceBranch) {
+      throw new Error(`Cannot merge ${sourceBranch} into itself`);
+    }
+
+    // Untracked files do not get in the way of a merge
+    let stashed = null;
+    if (status.files.some(file => file.index !== '?')) {
+      if (!autoStash) {
+        throw new Error(`${repoDirectory} has uncommitted changes - commit or stash them first`);
+      }
+      stashed = await this.stashForCheckout(repoDirectory, `merging ${sourceBranch}`);
+    }
+
+    const result = {
+      success: false,
+      strategy,
+      source: sourceBranch,
+      target: targetBranch,
+      conflicts: [],
+      commit: null,
+      stash: null
+    };
+
+    // Switch back afterwards (to the commit itself if HEAD was detached)
+    const previous = status.current === targetBranch ? null
+      : status.detached ? (await git.revparse(['HEAD'])).trim() : status.current;
+
+    try {
+      if (previous) {
+        await git.checkout(targetBranch);
+      }
+
+      if (strategy === 'rebase') {
+        const sourceDirectory = options.sourceDirectory || repoDirectory;
+        const sourceGit = this.getGit(sourceDirectory);
+        // simple-git only throws when git also wrote to stderr, so always check for conflicts
+        const error = await sourceGit.raw(['rebase', targetBranch, sourceBranch]).then(() => null, err => err);
+        result.conflicts = await this.getConflicts(sourceDirectory);
+        if (error || result.conflicts.length > 0) {
+          await sourceGit.raw(['rebase', '--abort']).catch(() => {});
+          if (result.conflicts.length === 0) throw error;
+          return result;
+        }
+        await git.raw(['merge', '--ff-only', sourceBranch]);
+      } else {
+        const args = strategy === 'squash'
+          ? ['merge', '--squash', sourceBranch]
+          : ['merge', '--no-ff', '-m', message || `Merge branch '${sourceBranch}'`, sourceBranch];
+        const error = await git.raw(args).then(() => null, err => err);
+        result.conflicts = await this.getConflicts(repoDirectory);
+        if (error || result.conflicts.length > 0) {
+          // `merge --squash` leaves no MERGE_HEAD, so reset instead of aborting
+          await git.raw(strategy === 'squash' ? ['reset', '--merge'] : ['merge', '--abort']).catch(() => {});
+          if (result.conflicts.length === 0) throw error;
+          return result;
+        }
+
+        if (strategy === 'squash') {
+          const staged = await git.raw(['diff', '--cached', '--name-only']);
+          if (staged.trim()) {
+            await git.commit(message || `Squashed changes from ${sourceBranch}`);
+          }
+        }
+      }
+
+      result.success = true;
+      result.commit = (await git.revparse(['HEAD'])).trim();
+    } finally {
+      if (previous) {
+        await git.checkout(previous);
+      }
+      if (stashed) {
+        result.stash = { message: stashed, ...await this.restoreStash(repoDirectory, stashed) };
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Find the best common ancestor of two refs
+   */
+  async getMergeBase(directory, refA, refB) {
+    const git = this.getGit(directory);
+    return (await git.raw(['merge-base', refA, refB])).trim();
+  }
+
+  /**
+   * Export the commits on a branch since its base commit without pushing
+   *
+   * Formats:
+   *   series - `git format-patch` files, one per commit, in the output directory
+   *   patch  - a single squashed patch file (apply with `git apply`)
+   *   bundle - a `git bundle` file (fetch or clone from it)
+   *
+   * @param {string} directory - A checkout of the repository (e.g. the worktree)
+   * @param {object} options - { format, branch, base, output }
+   * @returns {Promise<{format: string, paths: string[], commits: number}>}
+   */
+  async exportChanges(directory, options = {}) {
+    const { format = 'patch', branch, base, output } = options;
+    if (!['series', 'patch', 'bundle'].includes(format)) {
+      throw new Error(`Unknown export format: ${format}. Available: series, patch, bundle`);
+    }
+    if (!output) {
+      throw new Error('An output path is required');
+    }
+    if (!await this.isGitRepo(directory)) {
+      throw new Error(`${directory} is not a git repository`);
+    }
+
+    const git = this.getGit(directory);
+    const range = `${base}..${branch}`;
+    const commits = parseInt((await git.raw(['rev-list', '--count', range])).trim(), 10) || 0;
+    if (commits === 0) {
+      throw new Error(`No commits on ${branch} since ${base.slice(0, 8)} - commit the changes first`);
+    }
+
+    let paths;
+    switch (format) {
+      case 'series': {
+        mkdirSync(output, { recursive: true });
+        const files = await git.raw(['format-patch', '-o', output, range]);
+        paths = files.split('\n').filter(Boolean).map(file => resolve(directory, file));
+        break;
+      }
+      case 'patch':
+        writeFileSync(output, await git.raw(['diff', '--binary', base, branch]));
+        paths = [output];
+        break;
+      case 'bundle':
+        await git.raw(['bundle', 'create', output, branch, `^${base}`]);
+        paths = [output];
+        break;
+    }
+
+    return { format, paths, commits };
+  }
+
   /**
    * Get repository info
    */
@@ -200,9 +556,10 @@ export class GitManager {
    * @param {string} repoDirectory - The main repository directory
    * @param {string} branchName - Branch name for the worktree
    * @param {string} workspaceId - Unique ID for the workspace (e.g., room ID)
+   * @param {object} options - { worktreeRoot: directory to create it in, baseRef: start point for a new branch }
    * @returns {Promise<{worktreePath: string, branch: string, isNew: boolean}>}
    */
-  async createWorktree(repoDirectory, branchName, workspaceId) {
+  async createWorktree(repoDirectory, branchName, workspaceId, options = {}) {
     if (!existsSync(repoDirectory)) {
       throw new Error(`Repository directory does not exist: ${repoDirectory}`);
     }
@@ -218,25 +575,36 @@ export class GitManager {
     const repoName = basename(repoDirectory);
 
     // Create worktree in a dedicated directory
-    const worktreeBase = join(tmpdir(), 'bob-control-worktrees');
-    if (!existsSync(worktreeBase)) {
-      mkdirSync(worktreeBase, { recursive: true });
+    const worktreeRoot = options.worktreeRoot ? this.addWorktreeRoot(options.worktreeRoot) : this.worktreeBase;
+    if (!existsSync(worktreeRoot)) {
+      mkdirSync(worktreeRoot, { recursive: true });
     }
 
-    const worktreePath = join(worktreeBase, `${repoName}-${workspaceId}`);
+    const worktreePath = join(worktreeRoot, `${repoName}-${workspaceId}`);
 
     // Check if branch exists
     const branches = await git.branch();
     const branchExists = branches.all.includes(branchName) ||
                          branches.all.includes(`remotes/origin/${branchName}`);
 
+    // The commit a new branch starts from, so its work can be exported later
+    const baseRef = options.baseRef || 'HEAD';
+    let baseCommit = null;
+    if (!branchExists) {
+      try {
+        baseCommit = (await git.revparse(['--verify', `${baseRef}^{commit}`])).trim();
+      } catch {
+        throw new Error(`Base ref not found in ${repoDirectory}: ${baseRef}`);
+      }
+    }
+
     try {
       if (branchExists) {
         // Create worktree with existing branch
         await git.raw(['worktree', 'add', worktreePath, branchName]);
       } else {
-        // Create worktree with new branch based on current HEAD
-        await git.raw(['worktree', 'add', '-b', branchName, worktreePath]);
+        // Create worktree with a new branch based on the base ref
+        await git.raw(['worktree', 'add', '-b', branchName, worktreePath, baseCommit]);
       }
 
       // Track this worktree for cleanup
@@ -251,6 +619,7 @@ export class GitManager {
         worktreePath,
         branch: branchName,
         isNew: !branchExists,
+        baseCommit,
         repoDirectory
       };
     } catch (error) {
@@ -293,18 +662,7 @@ export class GitManager {
       if (force && existsSync(worktreePath)) {
         // Safety checks before force deletion:
         // 1. Path must be under the designated worktree base directory
-        const worktreeBase = join(tmpdir(), 'bob-control-worktrees');
-        // Canonicalize paths to handle symlinks and resolve traversal
-        const resolvedPath = require('fs').realpathSync(worktreePath);
-        const resolvedBase = require('fs').realpathSync(worktreeBase);
-
-        // Ensure the worktree path is strictly within the base directory
-        if (!resolvedPath.startsWith(resolvedBase + sep)) {
-          throw new Error(
-            `Safety check failed: Refusing to delete path outside worktree directory. ` +
-            `Path: ${worktreePath}, Expected base: ${worktreeBase}`
-          );
-        }
+        const resolvedPath = this.assertInWorktreeBase(worktreePath);
 
         // Comprehensive list of dangerous system directories (cross-platform)
         const dangerousPaths = [
@@ -312,11 +670,14 @@ export class GitManager {
           'C:\\', 'C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)', 'C:\\Users', 'C:\\Documents and Settings'
         ];
         // Check if resolvedPath matches or is within any dangerous system directory
+        // (the worktree root itself may live under one, e.g. /tmp)
+        const resolvedBase = this.findWorktreeRoot(resolvedPath);
         for (const sysPath of dangerousPaths) {
-          const sysResolved = require('fs').realpathSync(sysPath, { throwIfNoEntry: false }) || sysPath;
+          const sysResolved = existsSync(sysPath) ? realpathSync(sysPath) : sysPath;
+          const baseInside = resolvedBase.startsWith(sysResolved + sep);
           if (
             resolvedPath === sysResolved ||
-            resolvedPath.startsWith(sysResolved + sep)
+            (!baseInside && resolvedPath.startsWith(sysResolved + sep))
           ) {
             throw new Error(
               `Safety check failed: Refusing to delete potentially dangerous system path: ${worktreePath}`
@@ -345,6 +706,171 @@ export class GitManager {
     return true;
   }
 
+  /**
+   * Stop tracking a worktree without removing it, so cleanupAllWorktrees leaves it alone
+   */
+  releaseWorktree(workspaceId) {
+    return this.worktrees.delete(workspaceId);
+  }
+
+  /**
+   * Find the worktree root a canonical path is strictly inside
+   * @returns {string|null} - The canonical root
+   */
+  findWorktreeRoot(resolvedPath) {
+    for (const root of this.worktreeRoots) {
+      if (!existsSync(root)) continue;
+      const resolvedRoot = realpathSync(root);
+      if (resolvedPath.startsWith(resolvedRoot + sep)) {
+        return resolvedRoot;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Make sure a path is strictly inside one of the worktree roots
+   * @returns {string} - The canonical path
+   */
+  assertInWorktreeBase(path) {
+    // Canonicalize paths to handle symlinks and resolve traversal
+    const resolvedPath = realpathSync(path);
+
+    if (!this.findWorktreeRoot(resolvedPath)) {
+      throw new Error(
+        `Safety check failed: Refusing to delete path outside worktree directory. ` +
+        `Path: ${path}, Expected base: ${Array.from(this.worktreeRoots).join(', ')}`
+      );
+    }
+    return resolvedPath;
+  }
+
+  /**
+   * Find worktrees under the worktree roots that no room is using,
+   * e.g. ones left behind after a crash
+   * @param {string[]} repoDirectories - Known repositories to check for stale entries
+   * @returns {Promise<Array<{path: string, repoDirectory: string, branch: string|null, exists: boolean, dirty: boolean, changes: number, lastCommit: object|null}>>}
+   */
+  async findOrphanedWorktrees(repoDirectories = []) {
+    const tracked = new Set(Array.from(this.worktrees.values(), info => resolve(info.path)));
+    const candidates = new Map(); // path -> repoDirectory (null if unknown yet)
+
+    // Directories on disk
+    const bases = []; // [alias, root] - git reports canonical paths, so match those too
+    for (const root of this.worktreeRoots) {
+      if (!existsSync(root)) continue;
+      bases.push([root, root], [realpathSync(root), root]);
+      for (const entry of readdirSync(root, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+          candidates.set(join(root, entry.name), null);
+        }
+      }
+    }
+
+    // Worktrees git still knows about (their directory may be gone)
+    for (const repoDirectory of new Set(repoDirectories)) {
+      if (!repoDirectory || !existsSync(repoDirectory)) continue;
+      for (const worktree of await this.listWorktrees(repoDirectory)) {
+        const base = bases.find(([alias]) => worktree.path.startsWith(alias + sep));
+        if (base) {
+          // Key by the path under our root so on-disk entries are not listed twice
+          candidates.set(join(base[1], worktree.path.slice(base[0].length + 1)), repoDirectory);
+        }
+      }
+    }
+
+    const orphans = [];
+    for (const [path, knownRepo] of candidates) {
+      if (tracked.has(resolve(path))) continue;
+      orphans.push(await this.describeWorktree(path, knownRepo));
+    }
+    return orphans.filter(orphan => orphan.repoDirectory);
+  }
+
+  /**
+   * Describe a worktree: its repository, branch, last commit and dirty state
+   */
+  async describeWorktree(path, repoDirectory = null) {
+    const info = {
+      path,
+      repoDirectory,
+      branch: null,
+      exists: existsSync(join(path, '.git')),
+      dirty: false,
+      changes: 0,
+      lastCommit: null
+    };
+    if (!info.exists) return info;
+
+    try {
+      const git = this.getGit(path);
+      // The common dir is the main repository's .git directory
+      const commonDir = resolve(path, (await git.revparse(['--git-common-dir'])).trim());
+      info.repoDirectory = repoDirectory || dirname(commonDir);
+
+      const [branch, status, log] = await Promise.all([
+        git.revparse(['--abbrev-ref', 'HEAD']),
+        git.status(),
+        git.log({ maxCount: 1 })
+      ]);
+      info.branch = branch.trim();
+      info.changes = status.files.length;
+      info.dirty = info.changes > 0;
+      if (log.latest) {
+        info.lastCommit = {
+          hash: log.latest.hash,
+          message: log.latest.message,
+          date: log.latest.date
+        };
+      }
+    } catch {
+      // Not a usable worktree (e.g. a half-deleted directory)
+    }
+    return info;
+  }
+
+  /**
+   * Remove an orphaned worktree
+   * Dirty worktrees are kept unless force is set. The worktree's branch is
+   * deleted only when it is fully merged, so no commits are lost.
+   * @returns {Promise<{path: string, removed: boolean, branchDeleted: boolean, reason: string|null}>}
+   */
+  async pruneWorktree(path, options = {}) {
+    const { force = false } = options;
+    const info = await this.describeWorktree(path, options.repoDirectory);
+    const result = { path, removed: false, branchDeleted: false, reason: null };
+
+    if (Array.from(this.worktrees.values()).some(tracked => resolve(tracked.path) === resolve(path))) {
+      result.reason = 'in use by a room';
+      return result;
+    }
+    if (info.dirty && !force) {
+      result.reason = `${info.changes} uncommitted change(s) - use --force to discard`;
+      return result;
+    }
+
+    if (info.exists) {
+      this.assertInWorktreeBase(path);
+    }
+    if (info.repoDirectory && existsSync(info.repoDirectory)) {
+      const git = this.getGit(info.repoDirectory);
+      if (info.exists) {
+        await git.raw(['worktree', 'remove', '--force', path]);
+      }
+      await git.raw(['worktree', 'prune']);
+
+      if (info.branch && info.branch !== 'HEAD') {
+        // -d refuses to delete unmerged branches
+        result.branchDeleted = await git.raw(['branch', '-d', info.branch]).then(() => true, () => false);
+      }
+    } else if (info.exists) {
+      rmSync(path, { recursive: true, force: true });
+    }
+
+    result.removed = true;
+    return result;
+  }
+
   /**
    * List all worktrees for a repository
    */
@@ -378,6 +904,18 @@ export class GitManager {
     return worktrees;
   }
 
+  /**
+   * Prune stale worktree references (worktrees whose directory is gone)
+   */
+  async pruneWorktrees(repoDirectory) {
+    if (!await this.isGitRepo(repoDirectory)) {
+      return;
+    }
+
+    const git = this.getGit(repoDirectory);
+    await git.raw(['worktree', 'prune']);
+  }
+
   /**
    * Get worktree info for a workspace
    */
@@ -385,6 +923,19 @@ export class GitManager {
     return this.worktrees.get(workspaceId);
   }
 
+  /**
+   * Track an existing worktree (e.g. one restored after a restart)
+   * so it is cleaned up like one this manager created
+   */
+  registerWorktree(workspaceId, { path, repoDirectory, branch, createdAt = new Date() }) {
+    this.worktrees.set(workspaceId, {
+      path,
+      repoDirectory,
+      branch,
+      createdAt: new Date(createdAt)
+    });
+  }
+
   /**
    * Clean up all worktrees created by this manager
    */
@@ -400,3 +951,100 @@ export class GitManager {
     return errors;
   }
 }
+
+/**
+ * Expand a leading ~ to the user's home directory
+ */
+export function expandHome(path) {
+  if (path === '~') return homedir();
+  if (path.startsWith('~/')) return join(homedir(), path.slice(2));
+  return path;
+}
+
+/**
+ * Explain an auto-stash that could not be popped again
+ * @param {string} directory - Where the changes were stashed
+ * @param {object|null} stash - The `stash` of a createBranch or mergeBranch result
+ * @returns {string|null} - null when there was no stash or it applied cleanly
+ */
+export function describeStash(directory, stash) {
+  if (!stash || stash.restored) return null;
+  return `Uncommitted changes in ${directory} did not re-apply cleanly` +
+    (stash.conflicts.length ? ` (conflicts in ${stash.conflicts.join(', ')})` : '') +
+    ` - they are kept in the stash as "${stash.message}"`;
+}
+
+/**
+ * Turn free text (e.g. a prompt) into a branch-safe slug
+ */
+export function slugify(text, maxLength = 40) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+/, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Render a branch name template
+ *
+ * Placeholders: {agent}, {user}, {date} (YYYYMMDD), {slug} (from the first prompt)
+ * and {id} (first 8 characters of the room ID). Values are slugified, and
+ * separators left dangling by empty values are dropped.
+ *
+ * @param {string} template - e.g. "bob/{user}/{slug}"
+ * @param {object} values - Placeholder values
+ * @returns {string}
+ */
+export function renderBranchName(template, values = {}) {
+  const name = template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (!BRANCH_PLACEHOLDERS.includes(key)) {
+      throw new Error(`Unknown branch template placeholder: ${match}. Available: ${BRANCH_PLACEHOLDERS.map(p => `{${p}}`).join(', ')}`);
+    }
+    return slugify(values[key]);
+  });
+
+  return name
+    .replace(/([-_./])[-_./]+/g, '$1')
+    .replace(/^[-_./]+|[-_./]+$/g, '');
+}
+
+export const BRANCH_PLACEHOLDERS = ['agent', 'user', 'date', 'slug', 'id'];
+
+/**
+ * Find a repository's entry in a per-directory config section
+ * Both sides are compared as absolute paths, so "/work/app/" or a relative
+ * path still finds the "/work/app" entry.
+ */
+function findDirectoryEntry(directories, directory = null) {
+  if (!directory || !directories) return {};
+  const target = resolve(directory);
+  const key = Object.keys(directories).find(candidate => resolve(candidate) === target);
+  return key ? directories[key] : {};
+}
+
+/**
+ * Build the worktree options for a repository from the `git` config section
+ * Per-directory entries override the global values:
+ *
+ *   "git": {
+ *     "worktreeRoot": "~/.bob-control/worktrees",
+ *     "branchTemplate": "bob/{agent}/{slug}",
+ *     "baseRef": "origin/main",
+ *     "directories": { "/work/payments": { "baseRef": "develop" } }
+ *   }
+ *
+ * @param {object} config - The git config section
+ * @param {string} directory - The repository the room works on
+ * @returns {{worktreeRoot: string|null, branchTemplate: string, baseRef: string|null, autoStash: boolean}}
+ */
+export function resolveGitOptions(config = {}, directory = null) {
+  const override = findDirectoryEntry(config.directories, directory);
+  return {
+    worktreeRoot: override.worktreeRoot || config.worktreeRoot || null,
+    branchTemplate: override.branchTemplate || config.branchTemplate || 'bob-agent-{id}',
+    baseRef: override.baseRef || config.baseRef || null,
+    autoStash: override.autoStash ?? config.autoStash ?? false
+  };
+}
@@ -0,0 +1,404 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import simpleGit from 'simple-git';
+import { GitManager, renderBranchName, resolveGitOptions } from './index.js';
+
+describe('GitManager.mergeBranch', () => {
+  let base;
+  let repo;
+  let worktree;
+  let gitManager;
+
+  async function commitFile(directory, file, content, message) {
+    writeFileSync(join(directory, file), content);
+    const git = simpleGit(directory);
+    await git.add(file);
+    await git.commit(message);
+  }
+
+  beforeEach(async () => {
+    base = mkdtempSync(join(tmpdir(), 'bob-git-test-'));
+    repo = join(base, 'repo');
+    worktree = join(base, 'worktree');
+
+    const git = simpleGit(base);
+    await git.raw(['init', '-q', '-b', 'main', repo]);
+    const repoGit = simpleGit(repo);
+    await repoGit.addConfig('user.email', 'test@example.com');
+    await repoGit.addConfig('user.name', 'Test');
+    await commitFile(repo, 'a.txt', 'one\n', 'initial');
+    await repoGit.raw(['worktree', 'add', '-b', 'agent', worktree]);
+
+    gitManager = new GitManager();
+  });
+
+  afterEach(() => {
+    rmSync(base, { recursive: true, force: true });
+  });
+
+  it('should merge the branch into the current branch', async () => {
+    await commitFile(worktree, 'b.txt', 'agent work\n', 'agent change');
+
+    const result = await gitManager.mergeBranch(repo, 'agent');
+
+    expect(result).toMatchObject({ success: true, strategy: 'merge', source: 'agent', target: 'main', conflicts: [] });
+    expect(readFileSync(join(repo, 'b.txt'), 'utf8')).toBe('agent work\n');
+  });
+
+  it('should switch back to the branch that was checked out', async () => {
+    await commitFile(worktree, 'b.txt', 'agent work\n', 'agent change');
+    await simpleGit(repo).checkoutLocalBranch('feature');
+
+    const result = await gitManager.mergeBranch(repo, 'agent', { targetBranch: 'main' });
+    const git = simpleGit(repo);
+
+    expect(result).toMatchObject({ success: true, target: 'main' });
+    expect((await git.status()).current).toBe('feature');
+    expect((await git.raw(['log', '-1', '--format=%s', 'main'])).trim()).toBe("Merge branch 'agent'");
+  });
+
+  it('should switch back after a conflict too', async () => {
+    await commitFile(repo, 'a.txt', 'main\n', 'main change');
+    await commitFile(worktree, 'a.txt', 'agent\n', 'agent change');
+    await simpleGit(repo).checkoutBranch('feature', 'main~1');
+
+    const result = await gitManager.mergeBranch(repo, 'agent', { targetBranch: 'main' });
+
+    expect(result.success).toBe(false);
+    expect((await simpleGit(repo).status()).current).toBe('feature');
+  });
+
+  it('should squash the branch into a single commit', async () => {
+    await commitFile(worktree, 'b.txt', 'first\n', 'agent change 1');
+    await commitFile(worktree, 'b.txt', 'second\n', 'agent change 2');
+
+    const result = await gitManager.mergeBranch(repo, 'agent', { strategy: 'squash', message: 'Agent work' });
+    const log = await simpleGit(repo).log();
+
+    expect(result.success).toBe(true);
+    expect(log.latest.message).toBe('Agent work');
+    expect(log.total).toBe(2);
+  });
+
+  it('should rebase the branch and fast-forward the target', async () => {
+    await commitFile(repo, 'c.txt', 'main work\n', 'main change');
+    await commitFile(worktree, 'b.txt', 'agent work\n', 'agent change');
+
+    const result = await gitManager.mergeBranch(repo, 'agent', { strategy: 'rebase', sourceDirectory: worktree });
+    const log = await simpleGit(repo).log();
+
+    expect(result.success).toBe(true);
+    expect(log.all.map(c => c.message)).toEqual(['agent change', 'main change', 'initial']);
+  });
+
+  it('should report conflicts and leave the target untouched', async () => {
+    await commitFile(repo, 'a.txt', 'main\n', 'main change');
+    await commitFile(worktree, 'a.txt', 'agent\n', 'agent change');
+
+    const result = await gitManager.mergeBranch(repo, 'agent');
+    const status = await simpleGit(repo).status();
+
+    expect(result.success).toBe(false);
+    expect(result.conflicts).toEqual(['a.txt']);
+    expect(status.isClean()).toBe(true);
+    expect(readFileSync(join(repo, 'a.txt'), 'utf8')).toBe('main\n');
+  });
+
+  it.each(['squash', 'rebase'])('should abort a conflicting %s', async (strategy) => {
+    await commitFile(repo, 'a.txt', 'main\n', 'main change');
+    await commitFile(worktree, 'a.txt', 'agent\n', 'agent change');
+
+    const result = await gitManager.mergeBranch(repo, 'agent', { strategy, sourceDirectory: worktree });
+
+    expect(result.success).toBe(false);
+    expect(result.conflicts).toEqual(['a.txt']);
+    expect((await simpleGit(repo).status()).isClean()).toBe(true);
+    expect((await simpleGit(worktree).status()).isClean()).toBe(true);
+  });
+
+  it('should refuse to merge into a dirty repository', async () => {
+    writeFileSync(join(repo, 'a.txt'), 'uncommitted\n');
+
+    await expect(gitManager.mergeBranch(repo, 'agent')).rejects.toThrow('uncommitted changes');
+  });
+
+  it('should stash uncommitted changes around the merge with autoStash', async () => {
+    await commitFile(worktree, 'b.txt', 'agent work\n', 'agent change');
+    writeFileSync(join(repo, 'a.txt'), 'uncommitted\n');
+
+    const result = await gitManager.mergeBranch(repo, 'agent', { autoStash: true });
+    const stashes = await simpleGit(repo).stashList();
+
+    expect(result.success).toBe(true);
+    expect(result.stash).toEqual({ message: expect.stringContaining('auto-stash'), restored: true, conflicts: [] });
+    expect(stashes.total).toBe(0);
+    expect(readFileSync(join(repo, 'a.txt'), 'utf8')).toBe('uncommitted\n');
+    expect(readFileSync(join(repo, 'b.txt'), 'utf8')).toBe('agent work\n');
+  });
+
+  it('should keep the stash and report conflicts when it no longer applies', async () => {
+    await commitFile(worktree, 'a.txt', 'agent\n', 'agent change');
+    writeFileSync(join(repo, 'a.txt'), 'uncommitted\n');
+
+    const result = await gitManager.mergeBranch(repo, 'agent', { autoStash: true });
+    const stashes = await simpleGit(repo).stashList();
+
+    expect(result.success).toBe(true);
+    expect(result.stash).toMatchObject({ restored: false, conflicts: ['a.txt'] });
+    expect(stashes.latest.message).toContain(result.stash.message);
+  });
+
+  it('should carry uncommitted changes over when checking out a branch in place', async () => {
+    writeFileSync(join(repo, 'a.txt'), 'uncommitted\n');
+
+    const result = await new GitManager({ autoStash: true }).createBranch(repo, 'feature');
+
+    expect(result).toMatchObject({ created: true, branch: 'feature', stash: { message: expect.stringContaining('feature'), restored: true } });
+    expect(readFileSync(join(repo, 'a.txt'), 'utf8')).toBe('uncommitted\n');
+    expect((await simpleGit(repo).stashList()).total).toBe(0);
+  });
+});
+
+describe('GitManager.exportChanges', () => {
+  let base;
+  let repo;
+  let baseCommit;
+  const gitManager = new GitManager();
+
+  beforeEach(async () => {
+    base = mkdtempSync(join(tmpdir(), 'bob-git-test-'));
+    repo = join(base, 'repo');
+
+    await simpleGit(base).raw(['init', '-q', '-b', 'main', repo]);
+    const git = simpleGit(repo);
+    await git.addConfig('user.email', 'test@example.com');
+    await git.addConfig('user.name', 'Test');
+    writeFileSync(join(repo, 'a.txt'), 'one\n');
+    await git.add('a.txt');
+    await git.commit('initial');
+    baseCommit = (await git.revparse(['HEAD'])).trim();
+
+    await git.checkoutLocalBranch('agent');
+    for (const content of ['two\n', 'three\n']) {
+      writeFileSync(join(repo, 'a.txt'), content);
+      await git.commit(`write ${content.trim()}`, ['a.txt']);
+    }
+  });
+
+  afterEach(() => {
+    rmSync(base, { recursive: true, force: true });
+  });
+
+  it('should write one patch per commit for a series', async () => {
+    const result = await gitManager.exportChanges(repo, {
+      format: 'series', branch: 'agent', base: baseCommit, output: join(base, 'patches')
+    });
+
+    expect(result.commits).toBe(2);
+    expect(result.paths).toHaveLength(2);
+    expect(readFileSync(result.paths[0], 'utf8')).toContain('Subject: [PATCH 1/2] write two');
+  });
+
+  it('should squash the branch into a single patch', async () => {
+    const output = join(base, 'agent.patch');
+    await gitManager.exportChanges(repo, { format: 'patch', branch: 'agent', base: baseCommit, output });
+
+    const patch = readFileSync(output, 'utf8');
+    expect(patch).toContain('-one');
+    expect(patch).toContain('+three');
+    expect(patch).not.toContain('+two');
+  });
+
+  it('should create a bundle of the branch', async () => {
+    const output = join(base, 'agent.bundle');
+    await gitManager.exportChanges(repo, { format: 'bundle', branch: 'agent', base: baseCommit, output });
+
+    await expect(simpleGit(repo).raw(['bundle', 'list-heads', output])).resolves.toContain('refs/heads/agent');
+  });
+
+  it('should refuse to export a branch without commits', async () => {
+    await expect(gitManager.exportChanges(repo, {
+      format: 'patch', branch: 'main', base: baseCommit, output: join(base, 'x.patch')
+    })).rejects.toThrow('No commits');
+  });
+});
+
+describe('GitManager orphaned worktrees', () => {
+  let base;
+  let repo;
+  let gitManager;
+
+  beforeEach(async () => {
+    base = mkdtempSync(join(tmpdir(), 'bob-git-test-'));
+    repo = join(base, 'repo');
+
+    await simpleGit(base).raw(['init', '-q', '-b', 'main', repo]);
+    const git = simpleGit(repo);
+    await git.addConfig('user.email', 'test@example.com');
+    await git.addConfig('user.name', 'Test');
+    writeFileSync(join(repo, 'a.txt'), 'one\n');
+    await git.add('a.txt');
+    await git.commit('initial');
+
+    gitManager = new GitManager({ worktreeBase: join(base, 'worktrees') });
+  });
+
+  afterEach(() => {
+    rmSync(base, { recursive: true, force: true });
+  });
+
+  it('should list worktrees no room is tracking', async () => {
+    const tracked = await gitManager.createWorktree(repo, 'bob-agent-tracked', 'tracked');
+    const orphan = await gitManager.createWorktree(repo, 'bob-agent-orphan', 'orphan');
+    gitManager.worktrees.delete('orphan'); // as if the process had crashed
+    writeFileSync(join(orphan.worktreePath, 'wip.txt'), 'work in progress\n');
+
+    const orphans = await gitManager.findOrphanedWorktrees();
+
+    expect(orphans).toHaveLength(1);
+    expect(orphans[0]).toMatchObject({
+      path: orphan.worktreePath,
+      repoDirectory: repo,
+      branch: 'bob-agent-orphan',
+      exists: true,
+      dirty: true,
+      lastCommit: expect.objectContaining({ message: 'initial' })
+    });
+    expect(orphans[0].path).not.toBe(tracked.worktreePath);
+  });
+
+  it('should keep dirty worktrees unless forced', async () => {
+    const orphan = await gitManager.createWorktree(repo, 'bob-agent-orphan', 'orphan');
+    gitManager.worktrees.delete('orphan');
+    writeFileSync(join(orphan.worktreePath, 'wip.txt'), 'work in progress\n');
+
+    const kept = await gitManager.pruneWorktree(orphan.worktreePath);
+    expect(kept.removed).toBe(false);
+
+    const removed = await gitManager.pruneWorktree(orphan.worktreePath, { force: true });
+    expect(removed).toMatchObject({ removed: true, branchDeleted: true });
+    expect(await gitManager.findOrphanedWorktrees([repo])).toEqual([]);
+  });
+
+  it('should keep branches with unmerged commits', async () => {
+    const orphan = await gitManager.createWorktree(repo, 'bob-agent-orphan', 'orphan');
+    gitManager.worktrees.delete('orphan');
+    writeFileSync(join(orphan.worktreePath, 'b.txt'), 'agent work\n');
+    await simpleGit(orphan.worktreePath).add('b.txt');
+    await simpleGit(orphan.worktreePath).commit('agent change');
+
+    const result = await gitManager.pruneWorktree(orphan.worktreePath);
+    const branches = await simpleGit(repo).branchLocal();
+
+    expect(result).toMatchObject({ removed: true, branchDeleted: false });
+    expect(branches.all).toContain('bob-agent-orphan');
+  });
+});
+
+describe('renderBranchName', () => {
+  it('should fill in and slugify placeholders', () => {
+    const name = renderBranchName('bob/{agent}/{user}/{date}-{slug}', {
+      agent: 'claude',
+      user: 'Jo Smith',
+      date: '20260101',
+      slug: 'Fix the login bug!'
+    });
+
+    expect(name).toBe('bob/claude/jo-smith/20260101-fix-the-login-bug');
+  });
+
+  it('should drop separators left by empty values', () => {
+    expect(renderBranchName('{user}/{slug}-{id}', { slug: 'tests', id: 'abcd1234' })).toBe('tests-abcd1234');
+  });
+
+  it('should reject unknown placeholders', () => {
+    expect(() => renderBranchName('bob/{ticket}', {})).toThrow('Unknown branch template placeholder: {ticket}');
+  });
+});
+
+describe('resolveGitOptions', () => {
+  it('should let per-directory settings override global ones', () => {
+    const config = {
+      worktreeRoot: '/srv/worktrees',
+      baseRef: 'main',
+      directories: { '/work/app': { baseRef: 'develop' } }
+    };
+
+    expect(resolveGitOptions(config, '/work/app')).toEqual({
+      worktreeRoot: '/srv/worktrees',
+      branchTemplate: 'bob-agent-{id}',
+      baseRef: 'develop',
+      autoStash: false
+    });
+    expect(resolveGitOptions(config, '/work/other').baseRef).toBe('main');
+  });
+
+  it('should match directories however the path is written', () => {
+    const config = { directories: { '/work/app/': { baseRef: 'develop' }, 'relative/repo': { baseRef: 'trunk' } } };
+
+    expect(resolveGitOptions(config, '/work/app').baseRef).toBe('develop');
+    expect(resolveGitOptions(config, '/work/./app//').baseRef).toBe('develop');
+    expect(resolveGitOptions(config, join(process.cwd(), 'relative', 'repo')).baseRef).toBe('trunk');
+  });
+});
+
+describe('GitManager worktree roots', () => {
+  let base;
+  let repo;
+  let gitManager;
+
+  beforeEach(async () => {
+    base = mkdtempSync(join(tmpdir(), 'bob-git-test-'));
+    repo = join(base, 'repo');
+
+    await simpleGit(base).raw(['init', '-q', '-b', 'main', repo]);
+    const git = simpleGit(repo);
+    await git.addConfig('user.email', 'test@example.com');
+    await git.addConfig('user.name', 'Test');
+    writeFileSync(join(repo, 'a.txt'), 'one\n');
+    await git.add('a.txt');
+    await git.commit('initial');
+    await git.branch(['release']);
+    writeFileSync(join(repo, 'a.txt'), 'two\n');
+    await git.add('a.txt');
+    await git.commit('second');
+
+    gitManager = new GitManager({ worktreeBase: join(base, 'worktrees') });
+  });
+
+  afterEach(() => {
+    rmSync(base, { recursive: true, force: true });
+  });
+
+  it('should create worktrees under a custom root from a base ref', async () => {
+    const result = await gitManager.createWorktree(repo, 'bob/feature', 'room', {
+      worktreeRoot: join(base, 'custom'),
+      baseRef: 'release'
+    });
+    const release = (await simpleGit(repo).revparse(['release'])).trim();
+
+    expect(result.worktreePath).toBe(join(base, 'custom', 'repo-room'));
+    expect(result.baseCommit).toBe(release);
+    expect(readFileSync(join(result.worktreePath, 'a.txt'), 'utf8')).toBe('one\n');
+
+    await gitManager.removeWorktree('room');
+    expect(await gitManager.findOrphanedWorktrees([repo])).toEqual([]);
+  });
+
+  it('should find orphans under every root', async () => {
+    const orphan = await gitManager.createWorktree(repo, 'bob/orphan', 'orphan', { worktreeRoot: join(base, 'custom') });
+    gitManager.worktrees.delete('orphan');
+
+    const fresh = new GitManager({ worktreeBase: join(base, 'worktrees') });
+    fresh.addWorktreeRoot(join(base, 'custom'));
+
+    expect((await fresh.findOrphanedWorktrees([repo])).map(o => o.path)).toEqual([orphan.worktreePath]);
+  });
+
+  it('should reject a base ref that does not exist', async () => {
+    await expect(gitManager.createWorktree(repo, 'bob/feature', 'room', { baseRef: 'nope' }))
+      .rejects.toThrow('Base ref not found');
+  });
+});
@@ -3,43 +3,90 @@
 import { program } from 'commander';
 import { UIController } from './ui/index.js';
 import { BobServer } from './server/index.js';
-import { readFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { loadConfig } from './config/index.js';
+import { generateToken, hashToken, ROLES } from './server/auth.js';
+import { readPrompt, runPrompt, EXIT_CODES } from './run/index.js';
+import { readTasks, runBatch, DEFAULT_CONCURRENCY } from './run/batch.js';
 
-// Load configuration from config.json
+// Loaded before any command runs (see the preAction hook below)
 let config = {};
-const configPath = join(process.cwd(), 'config.json');
-if (existsSync(configPath)) {
-  try {
-    const configFileContent = readFileSync(configPath, 'utf8');
-    config = JSON.parse(configFileContent);
-    console.log('Loaded config.json');
-  } catch (error) {
-    console.error(`Error loading config.json: ${error.message}`);
+let configPath = null;
+
+// Commands whose stdout belongs to the agent's output or a JSON result
+const HEADLESS_COMMANDS = ['run', 'batch'];
+
+/**
+ * Build room storage options from config and CLI flags
+ * Rooms persist to disk unless --no-persist is given
+ */
+function storageOptions(options) {
+  if (options.persist === false) {
+    return { type: 'memory' };
   }
+  return { ...config.storage };
+}
+
+/**
+ * Build BobServer options from config and CLI flags
+ */
+function serverOptions(options) {
+  return {
+    port: options.port ? parseInt(options.port, 10) : config.server.port,
+    host: options.host || config.server.host,
+    tls: config.server.tls,
+    socket: options.socket ? { ...config.server.socket, path: options.socket } : config.server.socket,
+    storage: storageOptions(options),
+    permissions: config.permissions,
+    git: config.git,
+    agents: config.agents,
+    authToken: config.server.authToken,
+    requireAuth: config.server.requireAuth,
+    auth: config.auth,
+    requestTimeout: config.server.requestTimeout,
+    logLevel: config.logging.level,
+    config,
+    configPath // Watched for changes, and re-read on SIGHUP
+  };
 }
 
 program
   .name('bob')
   .description('Multi-agent control system with irssi-style terminal UI')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--config <path>', 'Config file (default: ./config.json, then ~/.config/bob/config.json)')
+  .hook('preAction', (thisCommand, actionCommand) => {
+    try {
+      const loaded = loadConfig({ configPath: program.opts().config });
+      config = loaded.config;
+      configPath = loaded.path;
+      if (loaded.path && !HEADLESS_COMMANDS.includes(actionCommand.name())) {
+        console.log(`Loaded ${loaded.path}`);
+      }
+      for (const warning of loaded.warnings) {
+        console.warn(`Config warning: ${warning}`);
+      }
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  });
 
 program
   .option('-p, --port <port>', 'WebSocket server port')
   .option('-H, --host <host>', 'WebSocket server host')
-  .option('-c, --connect <address>', 'Connect to remote server (host:port)')
+  .option('-c, --connect <address>', 'Connect to remote server (host:port, wss://host:port or unix:/path)')
+  .option('--socket <path>', 'Also listen on a Unix domain socket')
   .option('-n, --name <name>', 'Set your display name')
+  .option('-t, --token <token>', 'Your token for a remote server (or set BOB_TOKEN)')
   .option('-s, --server-only', 'Run server only (no UI)')
   .option('--no-worktree', 'Disable git worktree isolation (work directly in repo)')
+  .option('--no-persist', 'Do not persist rooms and history across restarts')
   .action(async (options) => {
     if (options.serverOnly) {
       // Server-only mode
       const server = new BobServer({
-        port: options.port ? parseInt(options.port, 10) : (config.server?.port || 8420),
-        host: options.host || config.server?.host || '127.0.0.1',
-        useWorktrees: options.worktree !== false,
-        authToken: config.server?.authToken || null,
-        requireAuth: config.server?.requireAuth || false
+        ...serverOptions(options),
+        useWorktrees: options.worktree !== false
       });
 
       server.on('log', (msg) => console.log(`[BOB] ${msg}`));
@@ -53,7 +100,9 @@ program
 
       await server.start();
       console.log(`Bob Control Server v1.0.0`);
-      console.log(`WebSocket: ws://${server.host}:${server.port}`);
+      for (const address of server.addresses()) {
+        console.log(`WebSocket: ${address}`);
+      }
       console.log(`Press Ctrl+C to stop`);
 
       process.on('SIGINT', async () => {
@@ -64,14 +113,13 @@ program
     } else {
       // UI mode
       const ui = new UIController({
-        port: options.port ? parseInt(options.port, 10) : (config.server?.port || 8420),
-        host: options.host || config.server?.host || '127.0.0.1',
+        ...serverOptions(options),
         connect: options.connect,
-        name: options.name || config.ui?.name,
+        name: options.name || config.ui.name,
+        token: options.token || process.env.BOB_TOKEN,
+        historySize: config.ui.historySize,
         serverMode: !options.connect,
-        useWorktrees: options.noWorktree === undefined,
-        authToken: config.server?.authToken || null,
-        requireAuth: config.server?.requireAuth || false
+        useWorktrees: options.noWorktree === undefined
       });
 
       try {
@@ -90,13 +138,13 @@ program
   .option('-d, --directory <path>', 'Working directory', process.cwd())
   .option('-b, --branch <name>', 'Create/checkout git branch')
   .option('-p, --port <port>', 'WebSocket server port')
+  .option('--no-persist', 'Do not persist rooms and history across restarts')
   .action(async (agent, options) => {
     const ui = new UIController({
-      port: options.port ? parseInt(options.port, 10) : (config.server?.port || 8420),
-      host: config.server?.host || '127.0.0.1',
-      serverMode: true,
-      authToken: config.server?.authToken || null,
-      requireAuth: config.server?.requireAuth || false
+      ...serverOptions(options),
+      name: config.ui.name,
+      historySize: config.ui.historySize,
+      serverMode: true
     });
 
     await ui.start();
@@ -114,20 +162,19 @@ program
   .description('Run server only (no UI)')
   .option('-p, --port <port>', 'WebSocket server port')
   .option('-H, --host <host>', 'WebSocket server host')
+  .option('--socket <path>', 'Also listen on a Unix domain socket')
+  .option('--no-persist', 'Do not persist rooms and history across restarts')
   .action(async (options) => {
-    const server = new BobServer({
-      port: options.port ? parseInt(options.port, 10) : (config.server?.port || 8420),
-      host: options.host || config.server?.host || '127.0.0.1',
-      authToken: config.server?.authToken || null,
-      requireAuth: config.server?.requireAuth || false
-    });
+    const server = new BobServer(serverOptions(options));
 
     server.on('log', (msg) => console.log(`[BOB] ${msg}`));
     server.on('error', (err) => console.error(`[ERROR] ${err.message}`));
 
     await server.start();
     console.log(`Bob Control Server v1.0.0`);
-    console.log(`WebSocket: ws://${server.host}:${server.port}`);
+    for (const address of server.addresses()) {
+      console.log(`WebSocket: ${address}`);
+    }
 
     process.on('SIGINT', async () => {
       await server.stop();
@@ -138,16 +185,123 @@ program
 // Connect command
 program
   .command('connect <address>')
-  .description('Connect to a remote bob-control server')
+  .description('Connect to a remote bob-control server (host:port, ws://, wss:// or unix:/path)')
   .option('-n, --name <name>', 'Set your display name')
+  .option('-t, --token <token>', 'Your token (or set BOB_TOKEN)')
   .action(async (address, options) => {
     const ui = new UIController({
       connect: address,
-      name: options.name,
+      name: options.name || config.ui.name,
+      token: options.token || process.env.BOB_TOKEN,
+      historySize: config.ui.historySize,
       serverMode: false
     });
 
     await ui.start();
   });
 
+// Run command - one prompt, no UI
+program
+  .command('run [prompt]')
+  .description('Run one prompt headlessly and print the agent\'s output (prompt from an argument, a file or stdin)')
+  .option('-a, --agent <type>', 'Agent type', 'claude')
+  .option('-d, --dir <path>', 'Working directory', process.cwd())
+  .option('-b, --branch <name>', 'Branch for the worktree')
+  .option('-f, --prompt-file <path>', 'Read the prompt from a file')
+  .option('-c, --connect <address>', 'Run on a remote server instead of an embedded one')
+  .option('-t, --token <token>', 'Your token for the remote server (or set BOB_TOKEN)')
+  .option('--json', 'Print a JSON result on stdout (the agent\'s output goes to stderr)')
+  .option('--timeout <seconds>', 'Cancel the prompt and exit with 124 if it takes longer')
+  .option('--keep', 'Keep the worktree and branch afterwards')
+  .option('--merge [strategy]', 'Commit and merge the branch afterwards (merge, squash or rebase)')
+  .option('--into <branch>', 'Branch to merge into (default: the repository\'s current branch)')
+  .option('-m, --message <message>', 'Commit message for --merge')
+  .option('--no-worktree', 'Work directly in the directory instead of a worktree')
+  .action(async (prompt, options) => {
+    if (options.merge && options.merge !== true && !['merge', 'squash', 'rebase'].includes(options.merge)) {
+      console.error(`Unknown merge strategy: ${options.merge}. Available: merge, squash, rebase`);
+      process.exit(EXIT_CODES.usage);
+    }
+
+    let text;
+    try {
+      text = await readPrompt({ prompt, promptFile: options.promptFile });
+    } catch (error) {
+      console.error(error.message);
+      process.exit(error.exitCode);
+    }
+
+    const result = await runPrompt({
+      prompt: text,
+      agentType: options.agent,
+      directory: options.dir,
+      branch: options.branch,
+      connect: options.connect,
+      token: options.token || process.env.BOB_TOKEN,
+      name: config.ui.name,
+      server: { ...serverOptions({}), useWorktrees: options.worktree !== false },
+      json: options.json,
+      timeout: options.timeout ? parseInt(options.timeout, 10) : null,
+      keep: options.keep,
+      merge: options.merge,
+      into: options.into,
+      message: options.message
+    });
+    process.exit(result.exitCode);
+  });
+
+// Batch command - many prompts from a task file, no UI
+program
+  .command('batch <tasks>')
+  .description('Run the prompts in a JSONL task file, each in its own room, and record the outcomes')
+  .option('-o, --output <path>', 'JSONL file for the outcomes and transcripts (default: <tasks>.results.jsonl)')
+  .option('-j, --concurrency <n>', 'Tasks to run at once', String(DEFAULT_CONCURRENCY))
+  .option('-a, --agent <type>', 'Agent for tasks that do not name one', 'claude')
+  .option('--timeout <seconds>', 'Time limit for tasks that do not set one')
+  .option('--keep', 'Keep the worktrees and branches afterwards')
+  .option('--no-worktree', 'Work directly in the directories instead of worktrees')
+  .action(async (file, options) => {
+    let tasks;
+    try {
+      tasks = readTasks(file);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(error.exitCode);
+    }
+
+    const { exitCode } = await runBatch(tasks, {
+      output: options.output || file.replace(/(\.jsonl)?$/, '.results.jsonl'),
+      concurrency: parseInt(options.concurrency, 10),
+      agentType: options.agent,
+      timeout: options.timeout ? parseInt(options.timeout, 10) : null,
+      keep: options.keep,
+      user: config.ui.name,
+      server: {
+        useWorktrees: options.worktree !== false,
+        git: config.git,
+        agents: config.agents,
+        permissions: config.permissions,
+        timeout: config.server.requestTimeout
+      }
+    });
+    process.exit(exitCode);
+  });
+
+// Token command - create a token for a named user
+program
+  .command('token <user>')
+  .description('Generate a token for a user and print the config entry for it')
+  .option('-r, --role <role>', `Role: ${ROLES.join(', ')}`, 'operator')
+  .action((user, options) => {
+    if (!ROLES.includes(options.role)) {
+      console.error(`Unknown role: ${options.role}. Available: ${ROLES.join(', ')}`);
+      process.exit(1);
+    }
+
+    const token = generateToken();
+    console.log(`Token for ${user} (give this to them, it is not stored anywhere):\n\n  ${token}\n`);
+    console.log('Add this to the "auth.users" section of your config:\n');
+    console.log(JSON.stringify({ [user]: { tokenHash: hashToken(token), role: options.role } }, null, 2));
+  });
+
 program.parse();
@@ -0,0 +1,228 @@
+import { readFileSync, writeFileSync, appendFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { RoomManager } from '../server/roomManager.js';
+import { RunError, EXIT_CODES } from './index.js';
+
+/**
+ * Batch runs (`bob batch tasks.jsonl`)
+ *
+ * Each line of the task file is one prompt for a new room:
+ *
+ *   {"agent": "claude", "directory": "../api", "branch": "fix/lint", "prompt": "Fix the lint errors", "timeout": 900}
+ *
+ * Only `prompt` is required. Tasks run in their own rooms, at most
+ * `concurrency` at a time; each outcome is appended to the output JSONL
+ * as soon as it is known, so an interrupted batch keeps what it finished.
+ */
+
+export const DEFAULT_CONCURRENCY = 2;
+
+/**
+ * Parse a JSONL task file
+ * Blank lines and lines starting with # are skipped.
+ * @returns {object[]} - { id, line, agentType, directory, branch, prompt, timeout }
+ */
+export function readTasks(path) {
+  let text;
+  try {
+    text = readFileSync(resolve(path), 'utf8');
+  } catch (error) {
+    throw new RunError(`Could not read ${path}: ${error.message}`, EXIT_CODES.usage);
+  }
+
+  const base = dirname(resolve(path));
+  const tasks = [];
+  const errors = [];
+  text.split('\n').forEach((raw, index) => {
+    const line = index + 1;
+    if (!raw.trim() || raw.trimStart().startsWith('#')) return;
+
+    let task;
+    try {
+      task = JSON.parse(raw);
+    } catch (error) {
+      errors.push(`line ${line}: ${error.message}`);
+      return;
+    }
+    if (!task || typeof task !== 'object' || Array.isArray(task)) {
+      errors.push(`line ${line}: expected an object`);
+    } else if (typeof task.prompt !== 'string' || !task.prompt.trim()) {
+      errors.push(`line ${line}: "prompt" is required`);
+    } else if (task.timeout !== undefined && !(Number.isInteger(task.timeout) && task.timeout > 0)) {
+      errors.push(`line ${line}: "timeout" must be a positive integer (seconds)`);
+    } else {
+      tasks.push({
+        id: task.id !== undefined ? String(task.id) : String(tasks.length + 1),
+        line,
+        agentType: task.agent || task.agentType || null,
+        // Relative to the task file, so a batch can be run from anywhere
+        directory: resolve(base, task.directory || task.dir || '.'),
+        branch: task.branch || null,
+        prompt: task.prompt,
+        timeout: task.timeout || null
+      });
+    }
+  });
+
+  if (errors.length) {
+    throw new RunError(`Invalid task file ${path}:\n${errors.map(error => `  - ${error}`).join('\n')}`, EXIT_CODES.usage);
+  }
+  if (!tasks.length) {
+    throw new RunError(`No tasks in ${path}`, EXIT_CODES.usage);
+  }
+  return tasks;
+}
+
+/**
+ * Run one task in a new room
+ * @returns {Promise<object>} - The task's outcome (one line of the output file)
+ */
+async function runTask(roomManager, task, options) {
+  const startedAt = Date.now();
+  const outcome = {
+    id: task.id,
+    agentType: task.agentType || options.agentType || 'claude',
+    directory: task.directory,
+    branch: null,
+    prompt: task.prompt,
+    status: 'failed', // 'ok', 'failed' or 'timeout'
+    response: null,
+    error: null,
+    changes: null,
+    kept: false,
+    transcript: [],
+    durationMs: 0
+  };
+
+  const timeout = task.timeout || options.timeout;
+  let room = null;
+  try {
+    room = await roomManager.createRoom({
+      agentType: outcome.agentType,
+      directory: task.directory,
+      branch: task.branch,
+      prompt: task.prompt,
+      user: options.user,
+      timeout: timeout ? timeout * 1000 : undefined
+    });
+    outcome.branch = room.branch;
+    outcome.directory = room.directory;
+    if (room.status === 'error') {
+      throw new Error(`Could not start the ${outcome.agentType} agent`);
+    }
+
+    // Nobody is around to answer tool permission prompts
+    room.on('permissionRequest', (request) => {
+      room.resolvePermission(request.id, false, { clientName: 'bob batch' });
+    });
+
+    outcome.response = await room.sendToAgent(task.prompt, null, uuidv4());
+    outcome.status = 'ok';
+  } catch (error) {
+    outcome.error = error.message;
+    outcome.status = /timed out/i.test(error.message) ? 'timeout' : 'failed';
+  } finally {
+    if (room) {
+      outcome.changes = room.messages.findLast(message => message.changes)?.changes || null;
+      outcome.transcript = room.messages.map(({ role, content, timestamp }) => ({ role, content, timestamp }));
+      outcome.kept = !!options.keep && !!room.metadata.worktree;
+      await roomManager.destroyRoom(room.id, { cleanupWorktree: !options.keep }).catch(() => {});
+    }
+  }
+
+  outcome.durationMs = Date.now() - startedAt;
+  return outcome;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Summary table of a batch's outcomes
+ * @returns {string}
+ */
+export function formatSummary(outcomes) {
+  const rows = outcomes.map(outcome => [
+    outcome.id,
+    outcome.agentType,
+    outcome.status,
+    formatDuration(outcome.durationMs),
+    outcome.changes ? `${outcome.changes.files.length} file(s)` : '-',
+    outcome.status === 'ok' ? (outcome.branch || outcome.directory) : outcome.error
+  ]);
+  const header = ['TASK', 'AGENT', 'STATUS', 'TIME', 'CHANGES', 'RESULT'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => String(row[column]).length)));
+  const format = row => row
+    .map((cell, column) => (column === row.length - 1 ? String(cell) : String(cell).padEnd(widths[column])))
+    .join('  ');
+
+  const count = status => outcomes.filter(outcome => outcome.status === status).length;
+  return [
+    format(header),
+    ...rows.map(format),
+    '',
+    `${count('ok')} succeeded, ${count('failed')} failed, ${count('timeout')} timed out`
+  ].join('\n') + '\n';
+}
+
+/**
+ * Run a batch of tasks and record their outcomes
+ * @param {object[]} tasks - See readTasks
+ * @param {object} options
+ * @param {string} options.output - JSONL file for the outcomes (truncated first)
+ * @param {number} options.concurrency - Tasks running at once
+ * @param {string} options.agentType - Agent for tasks that do not name one
+ * @param {number} options.timeout - Seconds per task, for tasks that do not set one
+ * @param {boolean} options.keep - Keep the tasks' worktrees and branches afterwards
+ * @param {string} options.user - Owner of the batch's rooms
+ * @param {object} options.server - RoomManager options (useWorktrees, git, agents, permissions)
+ * @param {RoomManager} options.roomManager - Use this room manager instead of a new one
+ * @param {object} io - { stdout, stderr }
+ * @returns {Promise<{outcomes: object[], exitCode: number}>}
+ */
+export async function runBatch(tasks, options = {}, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const roomManager = options.roomManager || new RoomManager(options.server || {});
+  const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+  const outcomes = new Array(tasks.length);
+  let next = 0;
+  let finished = 0;
+
+  if (options.output) {
+    writeFileSync(options.output, '');
+  }
+
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      const task = tasks[index];
+      io.stderr.write(`[${task.id}] Started in ${task.directory}\n`);
+
+      const outcome = await runTask(roomManager, task, options);
+      outcomes[index] = outcome;
+      finished++;
+      if (options.output) {
+        appendFileSync(options.output, JSON.stringify(outcome) + '\n');
+      }
+      const detail = outcome.status === 'ok' ? formatDuration(outcome.durationMs) : outcome.error;
+      io.stderr.write(`[${task.id}] ${outcome.status} (${detail}) - ${finished}/${tasks.length} done\n`);
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+  } finally {
+    if (!options.roomManager) {
+      await roomManager.destroyAll({ cleanupWorktrees: !options.keep });
+    }
+  }
+
+  io.stdout.write(formatSummary(outcomes));
+  if (options.output) {
+    io.stdout.write(`Results written to ${options.output}\n`);
+  }
+  const exitCode = outcomes.every(outcome => outcome.status === 'ok') ? EXIT_CODES.ok : EXIT_CODES.failed;
+  return { outcomes, exitCode };
+}
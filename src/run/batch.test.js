@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { EventEmitter } from 'events';
+import { RoomManager } from '../server/roomManager.js';
+import { readTasks, runBatch, formatSummary } from './batch.js';
+import { EXIT_CODES } from './index.js';
+
+describe('readTasks', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'bob-batch-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  function write(lines) {
+    const path = join(directory, 'tasks.jsonl');
+    writeFileSync(path, lines.join('\n'));
+    return path;
+  }
+
+  it('should parse tasks and resolve directories against the task file', () => {
+    const tasks = readTasks(write([
+      '# Overnight cleanup',
+      '{"agent": "codex", "directory": "api", "branch": "fix/lint", "prompt": "Fix lint", "timeout": 60}',
+      '',
+      '{"id": "docs", "prompt": "Update the README"}'
+    ]));
+
+    expect(tasks).toEqual([
+      { id: '1', line: 2, agentType: 'codex', directory: join(directory, 'api'), branch: 'fix/lint', prompt: 'Fix lint', timeout: 60 },
+      { id: 'docs', line: 4, agentType: null, directory, branch: null, prompt: 'Update the README', timeout: null }
+    ]);
+  });
+
+  it('should report every invalid line', () => {
+    const path = write(['{"prompt": "ok"}', '{"agent": "claude"}', 'not json', '{"prompt": "x", "timeout": "soon"}']);
+
+    expect(() => readTasks(path)).toThrow(/line 2: "prompt" is required\n.*line 3: .*\n.*line 4: "timeout" must be a positive integer/);
+    expect(() => readTasks(write(['# nothing']))).toThrow(expect.objectContaining({ exitCode: EXIT_CODES.usage }));
+  });
+});
+
+describe('runBatch', () => {
+  let directory;
+  let roomManager;
+  let running;
+  let io;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'bob-batch-test-'));
+    roomManager = new RoomManager({ useWorktrees: false });
+    running = { now: 0, max: 0 };
+
+    // Replies to prompts after a moment, fails on "fail" and never answers "hang"
+    roomManager.on('roomCreated', (room) => {
+      const agent = new EventEmitter();
+      agent.stop = vi.fn(async () => {});
+      agent.send = vi.fn(async (content) => {
+        running.max = Math.max(running.max, ++running.now);
+        try {
+          if (content === 'hang') return await new Promise(() => {});
+          await new Promise(resolve => setTimeout(resolve, 20));
+          if (content === 'fail') throw new Error('Agent crashed');
+          agent.emit('message', `Done: ${content}`);
+          return `Done: ${content}`;
+        } finally {
+          running.now--;
+        }
+      });
+      room.setAgent(agent);
+    });
+
+    const stream = () => ({ written: [], write(chunk) { this.written.push(chunk); } });
+    io = { stdout: stream(), stderr: stream() };
+  });
+
+  afterEach(async () => {
+    await roomManager.destroyAll();
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  function task(id, prompt, extra = {}) {
+    return { id, line: 1, agentType: null, directory, branch: null, prompt, timeout: null, ...extra };
+  }
+
+  it('should run tasks within the concurrency limit and record their outcomes', async () => {
+    const output = join(directory, 'results.jsonl');
+    const tasks = ['a', 'b', 'c', 'd'].map(id => task(id, `task ${id}`));
+
+    const { outcomes, exitCode } = await runBatch(tasks, { roomManager, output, concurrency: 2, agentType: 'nope' }, io);
+
+    expect(exitCode).toBe(EXIT_CODES.ok);
+    expect(running.max).toBe(2);
+    expect(outcomes.map(outcome => outcome.response)).toEqual(['Done: task a', 'Done: task b', 'Done: task c', 'Done: task d']);
+    expect(roomManager.listRooms()).toEqual([]);
+
+    const lines = readFileSync(output, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toMatchObject({ agentType: 'nope', status: 'ok' });
+    expect(lines[0].transcript.map(message => [message.role, message.content]))
+      .toContainEqual(['agent', `Done: ${lines[0].prompt}`]);
+  });
+
+  it('should report failures and timeouts in the summary', async () => {
+    const tasks = [task('good', 'hi'), task('bad', 'fail'), task('slow', 'hang', { timeout: 1 })];
+
+    const { outcomes, exitCode } = await runBatch(tasks, { roomManager, concurrency: 3, agentType: 'nope' }, io);
+
+    expect(exitCode).toBe(EXIT_CODES.failed);
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['ok', 'failed', 'timeout']);
+    expect(outcomes[1].error).toBe('Agent crashed');
+
+    const summary = io.stdout.written.join('');
+    expect(summary).toMatch(/^TASK\s+AGENT\s+STATUS/);
+    expect(summary).toContain('1 succeeded, 1 failed, 1 timed out');
+  });
+
+  it('should format a summary row per task', () => {
+    const summary = formatSummary([
+      { id: '1', agentType: 'claude', status: 'ok', durationMs: 83000, changes: { files: ['a.js', 'b.js'] }, branch: 'fix/lint' }
+    ]);
+
+    expect(summary.split('\n')[1]).toBe('1     claude  ok      1m23s  2 file(s)  fix/lint');
+  });
+});
@@ -0,0 +1,260 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { BobServer } from '../server/index.js';
+import { BobClient } from '../client/index.js';
+import { generateToken } from '../server/auth.js';
+
+/**
+ * Headless one-shot prompts (`bob run`)
+ *
+ * Creates a room, sends one prompt, streams the agent's output and closes
+ * the room again - on a private embedded server, or on a remote one with
+ * --connect. Meant for shell scripts and CI, so the outcome is in the exit
+ * code (see EXIT_CODES) and, with --json, a JSON result on stdout.
+ */
+
+export const EXIT_CODES = {
+  ok: 0,
+  failed: 1,   // The agent failed, or the merge hit conflicts
+  usage: 2,    // No prompt, unreadable prompt file
+  timeout: 124 // Same as timeout(1)
+};
+
+/**
+ * A failed run, with the code to exit with
+ */
+export class RunError extends Error {
+  constructor(message, exitCode = EXIT_CODES.failed) {
+    super(message);
+    this.name = 'RunError';
+    this.exitCode = exitCode;
+  }
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Get the prompt from the argument, --prompt-file, or stdin ("-" or piped input)
+ * @returns {Promise<string>}
+ */
+export async function readPrompt({ prompt, promptFile, stdin = process.stdin }) {
+  let text;
+  if (promptFile) {
+    try {
+      text = readFileSync(resolve(promptFile), 'utf8');
+    } catch (error) {
+      throw new RunError(`Could not read ${promptFile}: ${error.message}`, EXIT_CODES.usage);
+    }
+  } else if (prompt && prompt !== '-') {
+    text = prompt;
+  } else if (prompt === '-' || !stdin.isTTY) {
+    text = await readStream(stdin);
+  }
+
+  if (!text || !text.trim()) {
+    throw new RunError('No prompt given - pass it as an argument, with --prompt-file, or on stdin', EXIT_CODES.usage);
+  }
+  return text.trimEnd();
+}
+
+/**
+ * Start a private server for one run
+ * It listens on a random loopback port and only accepts a one-time token.
+ */
+async function startEmbeddedServer(options) {
+  const token = generateToken();
+  const server = new BobServer({
+    ...options,
+    port: 0,
+    host: '127.0.0.1',
+    tls: null,
+    socket: null,
+    storage: { type: 'memory' },
+    authToken: token,
+    requireAuth: true,
+    configPath: null // Nothing to reload during a run
+  });
+  await server.start();
+  return { server, address: `127.0.0.1:${server.port}`, token };
+}
+
+/**
+ * Print a turn's output as it arrives
+ * @param {object} out - Stream for the agent's text
+ * @param {object} log - Stream for progress (tool use)
+ */
+async function followTurn(turn, out, log) {
+  let streamed = false;
+  let endsWithNewline = true;
+  for await (const event of turn) {
+    if (event.type === 'stream') {
+      out.write(event.chunk);
+      streamed = true;
+      endsWithNewline = event.chunk.endsWith('\n');
+    } else if (event.type === 'activity' && event.activity) {
+      log.write(`${event.activity.description || `Using ${event.activity.tool}`}...\n`);
+    }
+  }
+
+  const outcome = await turn.done;
+  // Agents that do not stream only deliver their reply at the end
+  if (!streamed && outcome.response) {
+    out.write(outcome.response);
+    endsWithNewline = outcome.response.endsWith('\n');
+  }
+  if (!endsWithNewline) {
+    out.write('\n');
+  }
+  return outcome;
+}
+
+/**
+ * Reject if a promise takes longer than `seconds`, after calling onTimeout
+ */
+function withTimeout(promise, seconds, onTimeout) {
+  if (!seconds) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(async () => {
+      await onTimeout();
+      reject(new RunError(`Timed out after ${seconds}s`, EXIT_CODES.timeout));
+    }, seconds * 1000);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Commit the room's changes and merge its branch
+ */
+async function mergeRoom(client, room, options) {
+  await client.commit(room.roomId, options.message || `bob run: ${options.prompt.split('\n')[0].slice(0, 60)}`);
+  return client.merge(room.roomId, {
+    strategy: options.merge === true ? 'merge' : options.merge,
+    targetBranch: options.into
+  });
+}
+
+/**
+ * Run one prompt in a new room and report the outcome
+ * @param {object} options
+ * @param {string} options.prompt - The prompt (see readPrompt)
+ * @param {string} options.agentType - Agent for the room
+ * @param {string} options.directory - Repository or directory to work in
+ * @param {string} options.branch - Branch for the room's worktree
+ * @param {string} options.connect - Remote server address; an embedded server is started without one
+ * @param {string} options.token - Token for the remote server
+ * @param {object} options.server - BobServer options for the embedded server
+ * @param {boolean} options.json - Print a JSON result on stdout (the agent's output goes to stderr)
+ * @param {number} options.timeout - Seconds to wait for the agent before cancelling
+ * @param {boolean} options.keep - Keep the worktree afterwards
+ * @param {boolean|string} options.merge - Commit and merge the branch afterwards (true or a strategy)
+ * @param {string} options.into - Branch to merge into (default: the repository's current branch)
+ * @param {string} options.message - Commit message for --merge
+ * @param {object} io - { stdout, stderr }
+ * @returns {Promise<object>} - The result, including the exitCode to exit with
+ */
+export async function runPrompt(options, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const startedAt = Date.now();
+  const out = options.json ? io.stderr : io.stdout;
+  const result = {
+    ok: false,
+    exitCode: EXIT_CODES.failed,
+    agentType: options.agentType,
+    roomId: null,
+    turnId: null,
+    directory: null,
+    branch: null,
+    response: null,
+    changes: null,
+    merge: null,
+    kept: false,
+    error: null,
+    durationMs: 0
+  };
+
+  let embedded = null;
+  let client = null;
+  let room = null;
+  try {
+    let address = options.connect;
+    let token = options.token;
+    if (!address) {
+      embedded = await startEmbeddedServer(options.server || {});
+      ({ address, token } = embedded);
+    }
+
+    client = new BobClient({
+      address,
+      token,
+      name: options.name || 'bob-run',
+      client: { name: 'bob-run' },
+      reconnect: !embedded
+    });
+    await client.connect();
+
+    room = await client.createRoom({
+      agentType: options.agentType,
+      directory: resolve(options.directory || '.'),
+      ...(options.branch && { branch: options.branch })
+    });
+    Object.assign(result, { roomId: room.roomId, directory: room.directory, branch: room.branch });
+    if (room.status === 'error') {
+      throw new RunError(`Could not start the ${options.agentType} agent`);
+    }
+
+    // Nobody is around to answer tool permission prompts
+    client.on('permission_request', ({ roomId, request }) => {
+      if (roomId !== room.roomId) return;
+      io.stderr.write(`Denied ${request.tool}: nobody can approve it in a headless run\n`);
+      client.deny(roomId, request.id).catch(() => {});
+    });
+
+    const turn = await client.send(room.roomId, options.prompt);
+    result.turnId = turn.turnId;
+    const outcome = await withTimeout(followTurn(turn, out, io.stderr), options.timeout, async () => {
+      await client.cancel(room.roomId).catch(() => {});
+    });
+    result.response = outcome.response;
+    result.changes = outcome.changes;
+
+    if (options.merge) {
+      result.merge = await mergeRoom(client, room, options);
+      if (!result.merge.success) {
+        throw new RunError(`Merge into ${result.merge.target} aborted: conflicts in ${result.merge.conflicts.join(', ')}`);
+      }
+    }
+
+    result.ok = true;
+    result.exitCode = EXIT_CODES.ok;
+  } catch (error) {
+    result.error = error.message;
+    result.exitCode = error.exitCode ?? (/timed out/i.test(error.message) ? EXIT_CODES.timeout : EXIT_CODES.failed);
+  } finally {
+    if (room && client?.connected) {
+      // A failed merge leaves the worktree for resolving by hand
+      result.kept = !!options.keep || (!!result.merge && !result.merge.success);
+      await client.closeRoom(room.roomId, { keepWorktree: result.kept }).catch(() => {});
+    }
+    client?.close();
+    if (embedded) {
+      await embedded.server.stop();
+    }
+  }
+
+  result.durationMs = Date.now() - startedAt;
+  if (options.json) {
+    io.stdout.write(JSON.stringify(result, null, 2) + '\n');
+  } else if (result.error) {
+    io.stderr.write(`Error: ${result.error}\n`);
+  }
+  if (result.kept && result.branch) {
+    io.stderr.write(`Worktree kept at ${result.directory} (branch ${result.branch})\n`);
+  }
+  return result;
+}
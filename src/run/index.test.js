@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Readable } from 'stream';
+import { EventEmitter } from 'events';
+import { BobServer } from '../server/index.js';
+import { readPrompt, runPrompt, EXIT_CODES } from './index.js';
+
+describe('readPrompt', () => {
+  it('should take the prompt from an argument, a file or stdin', async () => {
+    const directory = mkdtempSync(join(tmpdir(), 'bob-run-test-'));
+    writeFileSync(join(directory, 'prompt.md'), 'From a file\n');
+
+    expect(await readPrompt({ prompt: 'From an argument' })).toBe('From an argument');
+    expect(await readPrompt({ promptFile: join(directory, 'prompt.md') })).toBe('From a file');
+    expect(await readPrompt({ prompt: '-', stdin: Readable.from(['From ', 'stdin\n']) })).toBe('From stdin');
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should refuse to run without a prompt', async () => {
+    const stdin = Object.assign(Readable.from([]), { isTTY: true });
+
+    await expect(readPrompt({ stdin })).rejects.toMatchObject({ exitCode: EXIT_CODES.usage });
+    await expect(readPrompt({ promptFile: '/nonexistent/prompt.md' })).rejects.toThrow('Could not read /nonexistent/prompt.md');
+  });
+});
+
+describe('runPrompt', () => {
+  let directory;
+  let server;
+  let reply;
+  let io;
+
+  function output(stream) {
+    return io[stream].written.join('');
+  }
+
+  beforeEach(async () => {
+    directory = mkdtempSync(join(tmpdir(), 'bob-run-test-'));
+    server = new BobServer({ port: 0, storage: { type: 'memory' } });
+    reply = async (content) => {
+      agent.emit('stream', `Done: ${content}`);
+      return `Done: ${content}`;
+    };
+    const agent = new EventEmitter();
+    agent.stop = vi.fn(async () => {});
+    // Like the real adapters: busy while the CLI runs, ready as soon as it exits,
+    // and only then the reply (or the error)
+    agent.send = vi.fn(async (content) => {
+      agent.emit('status', 'busy');
+      try {
+        const response = await reply(content);
+        agent.emit('status', 'ready');
+        agent.emit('message', response);
+        return response;
+      } catch (error) {
+        agent.emit('status', 'ready');
+        throw error;
+      }
+    });
+    server.on('roomCreated', (room) => room.setAgent(agent));
+    await server.start();
+
+    const stream = () => ({ written: [], write(chunk) { this.written.push(chunk); } });
+    io = { stdout: stream(), stderr: stream() };
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  function run(options = {}) {
+    return runPrompt({ prompt: 'fix it', agentType: 'nope', directory, connect: `127.0.0.1:${server.port}`, ...options }, io);
+  }
+
+  it('should stream the reply and close the room', async () => {
+    const result = await run();
+
+    expect(result).toMatchObject({ ok: true, exitCode: 0, response: 'Done: fix it', error: null });
+    expect(output('stdout')).toBe('Done: fix it\n');
+    expect(server.roomManager.listRooms()).toEqual([]);
+  });
+
+  it('should print the reply of an agent that does not stream', async () => {
+    reply = async (content) => `Done: ${content}`;
+
+    const result = await run();
+
+    expect(result).toMatchObject({ ok: true, exitCode: 0, response: 'Done: fix it' });
+    expect(output('stdout')).toBe('Done: fix it\n');
+  });
+
+  it('should print a JSON result with --json', async () => {
+    await run({ json: true });
+
+    expect(JSON.parse(output('stdout'))).toMatchObject({ ok: true, agentType: 'nope', response: 'Done: fix it', turnId: expect.any(String) });
+    expect(output('stderr')).toContain('Done: fix it');
+  });
+
+  it('should exit non-zero when the agent fails', async () => {
+    reply = async () => {
+      throw new Error('Agent crashed');
+    };
+
+    const result = await run();
+
+    expect(result).toMatchObject({ ok: false, exitCode: EXIT_CODES.failed, error: 'Agent crashed' });
+    expect(output('stderr')).toBe('Error: Agent crashed\n');
+  });
+
+  it('should cancel the prompt and exit with 124 on timeout', async () => {
+    reply = () => new Promise(() => {});
+
+    const result = await run({ timeout: 1 });
+
+    expect(result).toMatchObject({ ok: false, exitCode: EXIT_CODES.timeout, error: 'Timed out after 1s' });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Who may see and drive a room
+ *
+ * Visibility:
+ *   "public"      - listed, and anyone can join (the default)
+ *   "invite-only" - listed, but only members can join
+ *   "private"     - only members can see or join it
+ *
+ * Member permissions:
+ *   send   - send messages, manage the queue and schedules and answer tool prompts
+ *   cancel - cancel or reset the agent
+ *   close  - close the room
+ *   manage - invite, kick, change the ACL, commit, merge and export
+ *
+ * The owner (the room's creator) and server admins hold every permission.
+ * Anyone else in a public room gets PUBLIC_PERMISSIONS.
+ */
+export const VISIBILITIES = ['public', 'invite-only', 'private'];
+export const ROOM_PERMISSIONS = ['send', 'cancel', 'close', 'manage'];
+export const PUBLIC_PERMISSIONS = ['send', 'cancel'];
+export const DEFAULT_MEMBER_PERMISSIONS = ['send', 'cancel'];
+
+/**
+ * The room permission each message type needs
+ * 'view' means being allowed into the room at all
+ */
+export const MESSAGE_PERMISSIONS = {
+  join_room: 'view',
+  room_info: 'view',
+  list_queue: 'view',
+  get_diff: 'view',
+  resume: 'view',
+  get_history: 'view',
+  schedule_list: 'view',
+  get_usage: 'view',
+  send_message: 'send',
+  remove_queued: 'send',
+  reorder_queue: 'send',
+  schedule_add: 'send',
+  schedule_remove: 'send',
+  approve: 'send',
+  deny: 'send',
+  cancel: 'cancel',
+  reset: 'cancel',
+  close_room: 'close',
+  commit_room: 'manage',
+  merge_room: 'manage',
+  export_room_changes: 'manage',
+  invite: 'manage',
+  kick: 'manage',
+  set_room_acl: 'manage'
+};
+
+export class RoomAccess {
+  constructor(options = {}) {
+    this.owner = options.owner || null;
+    this.visibility = RoomAccess.checkVisibility(options.visibility || 'public');
+    this.members = new Map(); // Name -> permissions
+    for (const [name, permissions] of Object.entries(options.members || {})) {
+      this.members.set(name, RoomAccess.checkPermissions(permissions));
+    }
+  }
+
+  static checkVisibility(visibility) {
+    if (!VISIBILITIES.includes(visibility)) {
+      throw new Error(`Unknown room visibility: ${visibility}. Available: ${VISIBILITIES.join(', ')}`);
+    }
+    return visibility;
+  }
+
+  static checkPermissions(permissions) {
+    const unknown = permissions.filter(permission => !ROOM_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown room permission: ${unknown.join(', ')}. Available: ${ROOM_PERMISSIONS.join(', ')}`);
+    }
+    return [...new Set(permissions)];
+  }
+
+  isOwner(name) {
+    return !!name && name === this.owner;
+  }
+
+  isMember(name) {
+    return this.isOwner(name) || (!!name && this.members.has(name));
+  }
+
+  /**
+   * The permissions a client has in the room
+   * @param {{name: string|null, role: string}} identity - The client's name and server role
+   * @returns {string[]}
+   */
+  permissionsFor(identity = {}) {
+    if (identity.role === 'admin' || this.isOwner(identity.name)) {
+      return [...ROOM_PERMISSIONS];
+    }
+    if (identity.name && this.members.has(identity.name)) {
+      return [...this.members.get(identity.name)];
+    }
+    return this.visibility === 'public' ? [...PUBLIC_PERMISSIONS] : [];
+  }
+
+  /**
+   * Check a single permission ('view' checks whether the client may join)
+   */
+  can(identity, permission) {
+    if (permission === 'view') {
+      return this.canJoin(identity);
+    }
+    return this.permissionsFor(identity).includes(permission);
+  }
+
+  canJoin(identity = {}) {
+    return this.visibility === 'public' || identity.role === 'admin' || this.isMember(identity.name);
+  }
+
+  canSee(identity = {}) {
+    return this.visibility !== 'private' || this.canJoin(identity);
+  }
+
+  /**
+   * Add a member, or change an existing member's permissions
+   */
+  invite(name, permissions = DEFAULT_MEMBER_PERMISSIONS) {
+    if (!name) {
+      throw new Error('A user name is required');
+    }
+    if (this.isOwner(name)) {
+      throw new Error(`${name} owns the room`);
+    }
+    this.members.set(name, RoomAccess.checkPermissions(permissions));
+  }
+
+  /**
+   * Remove a member
+   * @returns {boolean} - True if they were a member
+   */
+  kick(name) {
+    if (this.isOwner(name)) {
+      throw new Error('The owner cannot be kicked - transfer ownership first');
+    }
+    return this.members.delete(name);
+  }
+
+  /**
+   * Change visibility, owner and/or the whole member list
+   * Only the owner or an admin may hand the room to someone else.
+   * @param {object} changes - { visibility, owner, members: { name: permissions } }
+   * @param {{name: string|null, role: string}} identity - Who asks; null for the server itself
+   */
+  update(changes = {}, identity = null) {
+    const changesOwner = changes.owner !== undefined && (changes.owner || null) !== this.owner;
+    if (changesOwner && identity && identity.role !== 'admin' && !this.isOwner(identity.name)) {
+      throw new Error('Only the owner or an admin can change the owner');
+    }
+
+    const next = new RoomAccess({
+      owner: changes.owner !== undefined ? changes.owner : this.owner,
+      visibility: changes.visibility || this.visibility,
+      members: changes.members || Object.fromEntries(this.members)
+    });
+    // A new owner no longer needs a member entry
+    next.members.delete(next.owner);
+
+    this.owner = next.owner;
+    this.visibility = next.visibility;
+    this.members = next.members;
+  }
+
+  toJSON() {
+    return {
+      owner: this.owner,
+      visibility: this.visibility,
+      members: Object.fromEntries(this.members)
+    };
+  }
+}
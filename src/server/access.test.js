@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { RoomAccess } from './access.js';
+
+describe('RoomAccess', () => {
+  const owner = { name: 'alice', role: 'operator' };
+  const member = { name: 'bob', role: 'operator' };
+  const stranger = { name: 'carol', role: 'operator' };
+  const admin = { name: 'root', role: 'admin' };
+
+  it('should let anyone join a public room with send and cancel', () => {
+    const access = new RoomAccess({ owner: 'alice' });
+
+    expect(access.canJoin(stranger)).toBe(true);
+    expect(access.permissionsFor(stranger)).toEqual(['send', 'cancel']);
+    expect(access.can(stranger, 'close')).toBe(false);
+    expect(access.permissionsFor(owner)).toEqual(['send', 'cancel', 'close', 'manage']);
+  });
+
+  it('should list invite-only rooms but only admit members', () => {
+    const access = new RoomAccess({ owner: 'alice', visibility: 'invite-only', members: { bob: ['send'] } });
+
+    expect(access.canSee(stranger)).toBe(true);
+    expect(access.canJoin(stranger)).toBe(false);
+    expect(access.permissionsFor(stranger)).toEqual([]);
+    expect(access.can(member, 'view')).toBe(true);
+    expect(access.permissionsFor(member)).toEqual(['send']);
+  });
+
+  it('should hide private rooms from everyone but members and admins', () => {
+    const access = new RoomAccess({ owner: 'alice', visibility: 'private' });
+
+    expect(access.canSee(stranger)).toBe(false);
+    expect(access.canSee({ name: null, role: 'operator' })).toBe(false);
+    expect(access.canSee(owner)).toBe(true);
+    expect(access.can(admin, 'manage')).toBe(true);
+  });
+
+  it('should reject unknown visibilities and permissions', () => {
+    expect(() => new RoomAccess({ visibility: 'secret' })).toThrow('Unknown room visibility: secret');
+    expect(() => new RoomAccess().invite('bob', ['send', 'merge'])).toThrow('Unknown room permission: merge');
+  });
+
+  it('should not let the owner be invited or kicked', () => {
+    const access = new RoomAccess({ owner: 'alice', members: { bob: ['send'] } });
+
+    expect(() => access.invite('alice', ['send'])).toThrow('alice owns the room');
+    expect(() => access.kick('alice')).toThrow('The owner cannot be kicked');
+    expect(access.kick('bob')).toBe(true);
+    expect(access.kick('bob')).toBe(false);
+  });
+
+  it('should drop the member entry of a new owner', () => {
+    const access = new RoomAccess({ owner: 'alice', members: { bob: ['send'] } });
+
+    access.update({ owner: 'bob', visibility: 'private' });
+
+    expect(access.toJSON()).toEqual({ owner: 'bob', visibility: 'private', members: {} });
+  });
+
+  it('should only let the owner or an admin change the owner', () => {
+    const access = new RoomAccess({ owner: 'alice', members: { bob: ['manage'] } });
+
+    expect(() => access.update({ owner: 'bob' }, { name: 'bob', role: 'operator' }))
+      .toThrow('Only the owner or an admin can change the owner');
+    expect(() => access.update({ owner: null }, { name: 'bob', role: 'operator' })).toThrow();
+    access.update({ owner: 'alice', visibility: 'private' }, { name: 'bob', role: 'operator' });
+    expect(access.toJSON()).toEqual({ owner: 'alice', visibility: 'private', members: { bob: ['manage'] } });
+
+    access.update({ owner: 'carol' }, { name: 'root', role: 'admin' });
+    expect(access.owner).toBe('carol');
+  });
+
+  it('should leave the ACL unchanged when an update is invalid', () => {
+    const access = new RoomAccess({ owner: 'alice', members: { bob: ['send'] } });
+
+    expect(() => access.update({ visibility: 'hidden' })).toThrow();
+    expect(access.toJSON()).toEqual({ owner: 'alice', visibility: 'public', members: { bob: ['send'] } });
+  });
+});
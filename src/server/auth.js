@@ -0,0 +1,129 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+/**
+ * Users, tokens and roles
+ *
+ * Users are configured with a hash of their token, never the token itself:
+ *
+ *   "auth": {
+ *     "users": {
+ *       "alice": { "tokenHash": "sha256:...", "role": "admin" },
+ *       "bob":   { "tokenHash": "sha256:...", "role": "viewer" }
+ *     },
+ *     "anonymousRole": "viewer"
+ *   }
+ *
+ * Roles, from least to most access:
+ *   viewer   - list, join and watch rooms
+ *   operator - also create rooms, send messages, cancel, approve, commit, ...
+ *   admin    - also manage worktrees outside of rooms
+ */
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * The least role each message type needs
+ * Types not listed here need 'operator', so new actions are never open to viewers by accident
+ */
+export const MESSAGE_ROLES = {
+  hello: 'viewer',
+  set_name: 'viewer',
+  list_rooms: 'viewer',
+  room_info: 'viewer',
+  join_room: 'viewer',
+  leave_room: 'viewer',
+  list_queue: 'viewer',
+  get_diff: 'viewer',
+  resume: 'viewer',
+  ping: 'viewer',
+  get_history: 'viewer',
+  get_stats: 'viewer',
+  schedule_list: 'viewer',
+  get_usage: 'viewer',
+  list_worktrees: 'admin',
+  adopt_worktree: 'admin',
+  prune_worktrees: 'admin'
+};
+
+/**
+ * Check whether a role grants at least the access of another
+ */
+export function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * The least role needed to send a message type
+ */
+export function requiredRole(type) {
+  return MESSAGE_ROLES[type] || 'operator';
+}
+
+/**
+ * Hash a token for the `tokenHash` field of a user
+ */
+export function hashToken(token) {
+  return `sha256:${createHash('sha256').update(String(token)).digest('hex')}`;
+}
+
+/**
+ * Generate a new random token
+ */
+export function generateToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+/**
+ * Compare two secrets in constant time
+ */
+export function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Resolves connection tokens to identities
+ */
+export class Authenticator {
+  /**
+   * @param {object} options - { users, anonymousRole, authToken, requireAuth }
+   *   authToken is the older shared token; it grants admin without a fixed name
+   */
+  constructor(options = {}) {
+    this.users = options.users || {};
+    this.authToken = options.authToken || null;
+    this.requireAuth = options.requireAuth || false;
+    // Without named users everyone keeps full access, as before roles existed
+    this.anonymousRole = options.anonymousRole || (this.hasUsers() ? 'viewer' : 'admin');
+  }
+
+  hasUsers() {
+    return Object.keys(this.users).length > 0;
+  }
+
+  /**
+   * Find the identity for a token
+   * @param {string|null} token - The token the client presented
+   * @returns {{name: string|null, role: string}|null} - null if the connection must be refused
+   */
+  authenticate(token) {
+    if (token) {
+      const hash = hashToken(token);
+      for (const [name, user] of Object.entries(this.users)) {
+        if (user.tokenHash && safeEqual(hash, user.tokenHash)) {
+          return { name, role: user.role || 'operator' };
+        }
+      }
+      if (this.authToken && safeEqual(token, this.authToken)) {
+        return { name: null, role: 'admin' };
+      }
+      // A token that matches nobody is a mistake worth reporting, not an anonymous login
+      return null;
+    }
+
+    if (this.requireAuth) {
+      return null;
+    }
+    return { name: null, role: this.anonymousRole };
+  }
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { Authenticator, hashToken, generateToken, hasRole, requiredRole } from './auth.js';
+
+describe('Authenticator', () => {
+  const users = {
+    alice: { tokenHash: hashToken('alice-token'), role: 'admin' },
+    bob: { tokenHash: hashToken('bob-token'), role: 'viewer' }
+  };
+
+  it('should identify users by their token', () => {
+    const auth = new Authenticator({ users });
+
+    expect(auth.authenticate('alice-token')).toEqual({ name: 'alice', role: 'admin' });
+    expect(auth.authenticate('bob-token')).toEqual({ name: 'bob', role: 'viewer' });
+  });
+
+  it('should refuse unknown tokens', () => {
+    expect(new Authenticator({ users }).authenticate('guess')).toBeNull();
+    expect(new Authenticator().authenticate('guess')).toBeNull();
+  });
+
+  it('should let anonymous clients in as viewers once users exist', () => {
+    expect(new Authenticator({ users }).authenticate(null)).toEqual({ name: null, role: 'viewer' });
+    expect(new Authenticator({ users, anonymousRole: 'operator' }).authenticate(null).role).toBe('operator');
+    expect(new Authenticator({ users, requireAuth: true }).authenticate(null)).toBeNull();
+  });
+
+  it('should keep full access without users, and for the shared token', () => {
+    expect(new Authenticator().authenticate(null)).toEqual({ name: null, role: 'admin' });
+    expect(new Authenticator({ users, authToken: 'shared' }).authenticate('shared')).toEqual({ name: null, role: 'admin' });
+  });
+
+  it('should generate distinct tokens', () => {
+    expect(generateToken()).not.toBe(generateToken());
+    expect(hashToken('x')).toMatch(/^sha256:[0-9a-f]{64}$/);
+  });
+});
+
+describe('roles', () => {
+  it('should rank roles', () => {
+    expect(hasRole('admin', 'operator')).toBe(true);
+    expect(hasRole('operator', 'operator')).toBe(true);
+    expect(hasRole('viewer', 'operator')).toBe(false);
+    expect(hasRole(undefined, 'viewer')).toBe(false);
+  });
+
+  it('should only open listed messages to viewers', () => {
+    expect(requiredRole('join_room')).toBe('viewer');
+    expect(requiredRole('send_message')).toBe('operator');
+    expect(requiredRole('close_room')).toBe('operator');
+    expect(requiredRole('prune_worktrees')).toBe('admin');
+    expect(requiredRole('something_new')).toBe('operator');
+  });
+});
@@ -0,0 +1,99 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * One prompt sent to several agents at once, to compare their answers
+ *
+ * The rooms are siblings: each has its own worktree, branched from the same
+ * base commit, so every agent starts from the same code and the change
+ * stats can be put side by side.
+ */
+export class Fanout extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.prompt - The prompt every agent gets
+   * @param {Room[]} options.rooms - One room per agent
+   * @param {string|null} options.baseCommit - Commit the worktrees were branched from
+   */
+  constructor(options = {}) {
+    super();
+    this.id = options.id || uuidv4();
+    this.prompt = options.prompt;
+    this.baseCommit = options.baseCommit || null;
+    this.rooms = options.rooms || [];
+    this.createdAt = Date.now();
+    this.completedAt = null;
+
+    this.results = new Map(); // Room ID -> result, in room order
+    for (const room of this.rooms) {
+      this.results.set(room.id, {
+        roomId: room.id,
+        roomName: room.name,
+        agentType: room.agentType,
+        branch: room.branch,
+        status: 'pending', // 'running', then 'done' or 'failed'
+        response: null,
+        error: null,
+        elapsedMs: null,
+        changes: null // { files, additions, deletions }
+      });
+    }
+  }
+
+  /**
+   * Send the prompt to every room and wait for all of them
+   * Emits 'result' as each agent finishes and 'complete' at the end.
+   * @param {string} clientId - Client the prompt is sent as
+   * @returns {Promise<object>} - The comparison (see toJSON)
+   */
+  async run(clientId = null) {
+    await Promise.all(this.rooms.map(room => this.runRoom(room, clientId)));
+    this.completedAt = Date.now();
+    const comparison = this.toJSON();
+    this.emit('complete', comparison);
+    return comparison;
+  }
+
+  async runRoom(room, clientId) {
+    const result = this.results.get(room.id);
+    const startedAt = Date.now();
+    result.status = 'running';
+
+    try {
+      if (!room.agent || room.status === 'error') {
+        throw new Error(`Could not start the ${room.agentType} agent`);
+      }
+      const response = await room.sendToAgent(this.prompt, clientId, uuidv4());
+      const reply = room.messages.findLast(message => message.role === 'agent' && message.timestamp >= startedAt);
+      result.response = reply?.content ?? (typeof response === 'string' ? response : null);
+      result.status = 'done';
+    } catch (error) {
+      result.error = error.message;
+      result.status = 'failed';
+    }
+
+    result.elapsedMs = Date.now() - startedAt;
+    const changes = room.messages.findLast(message => message.changes && message.timestamp >= startedAt)?.changes;
+    if (changes) {
+      result.changes = { files: changes.files.length, additions: changes.additions, deletions: changes.deletions };
+    }
+    result.branch = room.branch; // May have been renamed after the prompt
+    result.roomName = room.name;
+    this.emit('result', { ...result });
+  }
+
+  isComplete() {
+    return this.completedAt !== null;
+  }
+
+  toJSON() {
+    return {
+      fanoutId: this.id,
+      prompt: this.prompt,
+      baseCommit: this.baseCommit,
+      createdAt: this.createdAt,
+      completedAt: this.completedAt,
+      results: Array.from(this.results.values(), result => ({ ...result }))
+    };
+  }
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { EventEmitter } from 'events';
+import simpleGit from 'simple-git';
+import { RoomManager } from './roomManager.js';
+
+describe('Fanout', () => {
+  let base;
+  let repo;
+  let roomManager;
+
+  beforeEach(async () => {
+    base = mkdtempSync(join(tmpdir(), 'bob-fanout-test-'));
+    repo = join(base, 'repo');
+    await simpleGit(base).raw(['init', '-q', '-b', 'main', repo]);
+    const git = simpleGit(repo);
+    await git.addConfig('user.email', 'test@example.com');
+    await git.addConfig('user.name', 'Test');
+    writeFileSync(join(repo, 'a.txt'), 'one\n');
+    await git.add('a.txt');
+    await git.commit('initial');
+
+    roomManager = new RoomManager({ git: { worktreeRoot: join(base, 'worktrees') } });
+
+    // Each agent writes a file named after itself; "broken" fails
+    roomManager.on('roomCreated', (room) => {
+      const agent = new EventEmitter();
+      agent.stop = vi.fn(async () => {});
+      agent.send = vi.fn(async (content) => {
+        if (room.agentType === 'broken') throw new Error('Agent crashed');
+        writeFileSync(join(room.directory, `${room.agentType}.txt`), `${content}\n`);
+        agent.emit('message', `${room.agentType} did it`);
+        return `${room.agentType} did it`;
+      });
+      room.setAgent(agent);
+    });
+  });
+
+  afterEach(async () => {
+    await roomManager.destroyAll();
+    rmSync(base, { recursive: true, force: true });
+  });
+
+  it('should close the rooms it made when a later worktree cannot be created', async () => {
+    const createWorktree = roomManager.gitManager.createWorktree.bind(roomManager.gitManager);
+    vi.spyOn(roomManager.gitManager, 'createWorktree')
+      .mockImplementationOnce(createWorktree)
+      .mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(roomManager.createFanout({ agents: ['alpha', 'beta'], prompt: 'add a file', directory: repo }))
+      .rejects.toThrow('Worktree creation failed: disk full');
+
+    expect(roomManager.listRooms()).toEqual([]);
+    expect(roomManager.fanouts.size).toBe(0);
+    const worktrees = await simpleGit(repo).raw(['worktree', 'list', '--porcelain']);
+    expect(worktrees.match(/^worktree /gm)).toHaveLength(1);
+  });
+
+  it('should create sibling worktrees from the same base commit', async () => {
+    const head = (await simpleGit(repo).revparse(['HEAD'])).trim();
+
+    const fanout = await roomManager.createFanout({ agents: ['alpha', 'beta'], prompt: 'add a file', directory: repo });
+
+    expect(fanout.baseCommit).toBe(head);
+    expect(fanout.rooms.map(room => room.agentType)).toEqual(['alpha', 'beta']);
+    expect(new Set(fanout.rooms.map(room => room.directory)).size).toBe(2);
+    expect(new Set(fanout.rooms.map(room => room.branch)).size).toBe(2);
+    for (const room of fanout.rooms) {
+      expect(room.metadata.baseCommit).toBe(head);
+    }
+    expect(roomManager.getFanout(fanout.id)).toBe(fanout);
+  });
+
+  it('should compare each agent\'s answer, time and changes', async () => {
+    const fanout = await roomManager.createFanout({ agents: ['alpha', 'beta', 'broken'], prompt: 'add a file', directory: repo });
+    const onResult = vi.fn();
+    fanout.on('result', onResult);
+
+    const comparison = await fanout.run();
+
+    expect(onResult).toHaveBeenCalledTimes(3);
+    expect(comparison).toMatchObject({ fanoutId: fanout.id, prompt: 'add a file', completedAt: expect.any(Number) });
+    expect(comparison.results).toEqual([
+      expect.objectContaining({ agentType: 'alpha', status: 'done', response: 'alpha did it', changes: { files: 1, additions: 1, deletions: 0 } }),
+      expect.objectContaining({ agentType: 'beta', status: 'done', response: 'beta did it', changes: { files: 1, additions: 1, deletions: 0 } }),
+      expect.objectContaining({ agentType: 'broken', status: 'failed', error: 'Agent crashed', response: null })
+    ]);
+    expect(comparison.results.every(result => Number.isInteger(result.elapsedMs))).toBe(true);
+  });
+
+  it('should forget the fan-out once its rooms are closed', async () => {
+    const fanout = await roomManager.createFanout({ agents: ['alpha', 'beta'], prompt: 'hi', directory: repo });
+
+    for (const room of fanout.rooms) {
+      await roomManager.destroyRoom(room.id);
+    }
+
+    expect(roomManager.getFanout(fanout.id)).toBeNull();
+  });
+
+  it('should need two agents and a git repository', async () => {
+    await expect(roomManager.createFanout({ agents: ['alpha'], prompt: 'hi', directory: repo }))
+      .rejects.toThrow('A fan-out needs at least two agents');
+    await expect(roomManager.createFanout({ agents: ['alpha', 'beta'], prompt: 'hi', directory: base }))
+      .rejects.toThrow('is not a git repository');
+    expect(roomManager.listRooms()).toEqual([]);
+  });
+});
@@ -0,0 +1,314 @@
+import { v4 as uuidv4 } from 'uuid';
+import { validateClientMessage } from './protocol.js';
+
+/**
+ * HTTP API, served on the same port (and socket) as the WebSocket protocol
+ *
+ *   GET    /api/rooms                    List rooms
+ *   POST   /api/rooms                    Create a room { agentType, directory, branch, name, agentOptions, visibility }
+ *   GET    /api/rooms/:roomId            Room details
+ *   DELETE /api/rooms/:roomId            Close a room (?keepWorktree=true keeps the worktree)
+ *   GET    /api/rooms/:roomId/messages   Message history (?limit=N)
+ *   POST   /api/rooms/:roomId/messages   Send a prompt { content, wait } and wait for the reply,
+ *                                        or stream it as Server-Sent Events (?stream=true)
+ *   POST   /api/rooms/:roomId/cancel     Cancel the running request
+ *   POST   /api/rooms/:roomId/reset      Force the room back to ready
+ *   GET    /api/stats                    Server statistics
+ *
+ * Requests authenticate like WebSocket clients (Authorization: Bearer <token>)
+ * and are checked against the same roles and room permissions.
+ */
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * An error with the HTTP status to answer it with
+ */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Turn '/api/rooms/:roomId' into a regular expression with named groups
+ */
+function compilePath(path) {
+  const pattern = path.replace(/:(\w+)/g, '(?<$1>[^/]+)');
+  return new RegExp(`^${pattern}/?$`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch {
+        reject(new HttpError(400, 'Request body must be JSON'));
+        return;
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new HttpError(400, 'Request body must be a JSON object'));
+        return;
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+export class HttpApi {
+  /**
+   * @param {BobServer} server - Provides rooms, authentication and error sanitizing
+   */
+  constructor(server) {
+    this.server = server;
+    // type is the WebSocket message type whose role and room permission the route needs
+    this.routes = [
+      { method: 'GET', path: '/api/rooms', type: 'list_rooms', handler: (ctx) => this.listRooms(ctx) },
+      { method: 'POST', path: '/api/rooms', type: 'create_room', handler: (ctx) => this.createRoom(ctx) },
+      { method: 'GET', path: '/api/rooms/:roomId', type: 'room_info', handler: (ctx) => this.getRoom(ctx) },
+      { method: 'DELETE', path: '/api/rooms/:roomId', type: 'close_room', handler: (ctx) => this.closeRoom(ctx) },
+      { method: 'GET', path: '/api/rooms/:roomId/messages', type: 'get_history', handler: (ctx) => this.getHistory(ctx) },
+      { method: 'POST', path: '/api/rooms/:roomId/messages', type: 'send_message', handler: (ctx) => this.sendMessage(ctx) },
+      { method: 'POST', path: '/api/rooms/:roomId/cancel', type: 'cancel', handler: (ctx) => this.cancel(ctx) },
+      { method: 'POST', path: '/api/rooms/:roomId/reset', type: 'reset', handler: (ctx) => this.reset(ctx) },
+      { method: 'GET', path: '/api/stats', type: 'get_stats', handler: (ctx) => this.getStats(ctx) }
+    ].map(route => ({ ...route, pattern: compilePath(route.path) }));
+  }
+
+  /**
+   * Find the route for a request
+   * @returns {{route: object, params: object}|null}
+   */
+  match(method, pathname) {
+    for (const route of this.routes) {
+      const match = pathname.match(route.pattern);
+      if (match && route.method === method) {
+        return { route, params: { ...match.groups } };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Answer an HTTP request
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (!url.pathname.startsWith('/api/')) {
+      res.writeHead(426, { 'Content-Type': 'text/plain' });
+      res.end('Upgrade Required');
+      return;
+    }
+
+    const identity = this.server.authenticateRequest(req);
+    if (!identity) {
+      this.server.log(`HTTP auth failure from ${req.socket.remoteAddress || req.listener}`, 'warn');
+      this.sendJson(res, 401, { error: 'Authentication failed' });
+      return;
+    }
+
+    const matched = this.match(req.method, url.pathname);
+    if (!matched) {
+      this.sendJson(res, 404, { error: `No such endpoint: ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    const { route, params } = matched;
+    const denied = this.server.authorize(identity, { type: route.type, roomId: params.roomId });
+    if (denied) {
+      this.sendJson(res, denied.notFound ? 404 : 403, { error: denied.error });
+      return;
+    }
+
+    try {
+      const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : {};
+      const room = params.roomId ? this.server.roomManager.getRoom(params.roomId) : null;
+      if (params.roomId && !room) {
+        throw new HttpError(404, 'Room not found');
+      }
+      await route.handler({ req, res, url, params, body, identity, room });
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      const status = error instanceof HttpError ? error.status : 500;
+      this.sendJson(res, status, { error: this.server.sanitizeError(error) });
+    }
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  listRooms({ res, identity }) {
+    this.sendJson(res, 200, { rooms: this.server.roomManager.listRooms(identity) });
+  }
+
+  async createRoom({ res, body, identity }) {
+    // Same checks as the WebSocket create_room message
+    const problems = validateClientMessage({ ...body, type: 'create_room' });
+    if (problems.length > 0) {
+      throw new HttpError(400, `Invalid create_room request: ${problems.join('; ')}`);
+    }
+
+    const room = await this.server.roomManager.createRoom({
+      name: body.name,
+      agentType: body.agentType || 'claude',
+      directory: body.directory || process.cwd(),
+      branch: body.branch,
+      agentOptions: body.agentOptions || {},
+      user: identity.name,
+      visibility: body.visibility
+    });
+    this.server.log(`Room ${room.name} created over HTTP by ${identity.name || 'anonymous'}`);
+    this.sendJson(res, 201, { room: room.toJSON() });
+  }
+
+  getRoom({ res, room, identity }) {
+    this.sendJson(res, 200, {
+      room: {
+        ...room.toJSON(),
+        access: room.access.toJSON(),
+        permissions: room.access.permissionsFor(identity),
+        queue: room.getQueue()
+      }
+    });
+  }
+
+  async closeRoom({ res, url, room }) {
+    const keepWorktree = url.searchParams.get('keepWorktree') === 'true';
+    await this.server.roomManager.destroyRoom(room.id, { cleanupWorktree: !keepWorktree });
+    this.server.log(`Room ${room.name} closed over HTTP`);
+    this.sendJson(res, 200, { roomId: room.id, closed: true });
+  }
+
+  getHistory({ res, url, room }) {
+    const limit = parseInt(url.searchParams.get('limit'), 10);
+    const messages = limit > 0 ? room.messages.slice(-limit) : room.messages;
+    this.sendJson(res, 200, { roomId: room.id, messages });
+  }
+
+  /**
+   * Send a prompt
+   * Waits for the reply by default; { wait: false } returns as soon as it is accepted
+   */
+  async sendMessage({ req, res, url, body, room, identity }) {
+    if (typeof body.content !== 'string' || !body.content.trim()) {
+      throw new HttpError(400, 'content is required');
+    }
+
+    const clientId = `http-${uuidv4()}`;
+    const turnId = uuidv4();
+    if (url.searchParams.get('stream') === 'true' || (req.headers.accept || '').includes('text/event-stream')) {
+      return this.streamPrompt(res, room, body.content, clientId, turnId, identity.name);
+    }
+
+    const turn = this.followTurn(room, turnId);
+    const prompt = room.sendToAgent(body.content, clientId, turnId, {}, identity.name);
+
+    if (body.wait === false) {
+      turn.stop();
+      prompt.catch(() => {}); // The outcome shows up in the room's history
+      this.sendJson(res, 202, { roomId: room.id, turnId, accepted: true });
+      return;
+    }
+
+    try {
+      const response = await prompt;
+      this.sendJson(res, 200, { roomId: room.id, turnId, ...turn.result(response) });
+    } finally {
+      turn.stop();
+    }
+  }
+
+  /**
+   * Stream a prompt's events as Server-Sent Events, ending with a 'done' or 'error' event
+   * The prompt keeps running if the client goes away.
+   */
+  async streamPrompt(res, room, content, clientId, turnId, clientName = null) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    const write = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const turn = this.followTurn(room, turnId, (event) => write(event.type, event));
+    res.on('close', () => turn.stop());
+
+    try {
+      const response = await room.sendToAgent(content, clientId, turnId, {}, clientName);
+      write('done', { roomId: room.id, turnId, ...turn.result(response) });
+    } catch (error) {
+      write('error', { roomId: room.id, turnId, error: this.server.sanitizeError(error) });
+    } finally {
+      turn.stop();
+      res.end();
+    }
+  }
+
+  /**
+   * Follow the room's events for one prompt
+   * @param {string} turnId - The turn ID the prompt was sent with
+   * @param {Function} onEvent - Called with each room event of the turn
+   */
+  followTurn(room, turnId, onEvent = null) {
+    const turn = {
+      messages: [],
+      stop: () => room.off('broadcast', listener),
+      result: (response) => ({
+        response,
+        messages: turn.messages,
+        changes: turn.messages.findLast(message => message.changes)?.changes || null,
+        usage: turn.messages.findLast(message => message.usage)?.usage || null
+      })
+    };
+
+    const listener = (event) => {
+      if (event.turnId !== turnId) return;
+      if (event.type === 'message' && event.message.role !== 'user') {
+        turn.messages.push(event.message);
+      }
+      onEvent?.(event);
+    };
+    room.on('broadcast', listener);
+
+    return turn;
+  }
+
+  cancel({ res, room }) {
+    this.sendJson(res, 200, { roomId: room.id, cancelled: room.cancel() });
+  }
+
+  reset({ res, room }) {
+    this.sendJson(res, 200, { roomId: room.id, reset: room.resetStatus() });
+  }
+
+  getStats({ res, identity }) {
+    this.sendJson(res, 200, this.server.getStats(identity));
+  }
+}
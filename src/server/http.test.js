@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import { tmpdir } from 'os';
+import { BobServer } from './index.js';
+import { hashToken } from './auth.js';
+
+describe('HttpApi', () => {
+  let server;
+  let room;
+  let agent;
+
+  function request(method, path, { token = 'alice-token', body, headers = {} } = {}) {
+    return fetch(`http://127.0.0.1:${server.port}${path}`, {
+      method,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  }
+
+  beforeEach(async () => {
+    server = new BobServer({
+      port: 0,
+      storage: { type: 'memory' },
+      auth: {
+        users: {
+          alice: { tokenHash: hashToken('alice-token'), role: 'operator' },
+          bob: { tokenHash: hashToken('bob-token'), role: 'viewer' }
+        }
+      }
+    });
+    await server.start();
+
+    room = await server.roomManager.createRoom({ agentType: 'nope', directory: tmpdir(), useWorktree: false, user: 'alice' });
+    agent = new EventEmitter();
+    agent.stop = vi.fn(async () => {});
+    agent.send = vi.fn(async (content) => {
+      agent.emit('stream', 'Hel');
+      agent.emit('stream', 'lo');
+      agent.emit('message', `You said: ${content}`);
+      return `You said: ${content}`;
+    });
+    room.setAgent(agent);
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it('should list rooms and report stats', async () => {
+    const rooms = await (await request('GET', '/api/rooms')).json();
+    const stats = await (await request('GET', '/api/stats', { token: 'bob-token' })).json();
+
+    expect(rooms.rooms.map(listed => listed.id)).toEqual([room.id]);
+    expect(stats).toMatchObject({ clientCount: 0, roomCount: 1 });
+  });
+
+  it('should leave rooms the caller cannot see out of the stats', async () => {
+    const hidden = await server.roomManager.createRoom({ agentType: 'nope', directory: tmpdir(), useWorktree: false, user: 'alice', visibility: 'private' });
+
+    const viewer = await (await request('GET', '/api/stats', { token: 'bob-token' })).json();
+    const owner = await (await request('GET', '/api/stats')).json();
+
+    expect(Object.keys(viewer.usage.byRoom)).toEqual([room.id]);
+    expect(Object.keys(owner.usage.byRoom)).toEqual(expect.arrayContaining([room.id, hidden.id]));
+  });
+
+  it('should refuse unknown tokens and roles without access', async () => {
+    const unknown = await request('GET', '/api/rooms', { token: 'nope' });
+    const viewer = await request('POST', `/api/rooms/${room.id}/messages`, { token: 'bob-token', body: { content: 'hi' } });
+
+    expect(unknown.status).toBe(401);
+    expect(viewer.status).toBe(403);
+    expect((await viewer.json()).error).toBe('Permission denied: send_message needs the operator role (you are viewer)');
+  });
+
+  it('should wait for the reply to a prompt', async () => {
+    const response = await request('POST', `/api/rooms/${room.id}/messages`, { body: { content: 'hi' } });
+    const result = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(result).toMatchObject({ roomId: room.id, turnId: expect.any(String), response: 'You said: hi' });
+    expect(result.messages).toEqual([expect.objectContaining({ role: 'agent', content: 'You said: hi' })]);
+
+    const history = await (await request('GET', `/api/rooms/${room.id}/messages?limit=2`)).json();
+    expect(history.messages.map(message => message.role)).toEqual(['user', 'agent']);
+  });
+
+  it('should credit the authenticated user with the prompt\'s usage', async () => {
+    const send = agent.send;
+    agent.send = vi.fn(async (content) => {
+      agent.emit('usage', { inputTokens: 10, outputTokens: 5 });
+      return send(content);
+    });
+
+    await request('POST', `/api/rooms/${room.id}/messages`, { body: { content: 'hi' } });
+
+    expect(Object.keys(room.usage.byUser)).toEqual(['alice']);
+    expect(server.getStats().usage.byUser.alice).toMatchObject({ turns: 1, inputTokens: 10, outputTokens: 5 });
+  });
+
+  it('should stream a prompt as Server-Sent Events', async () => {
+    const response = await request('POST', `/api/rooms/${room.id}/messages?stream=true`, { body: { content: 'hi' } });
+    const text = await response.text();
+
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    const events = text.trim().split('\n\n').map(block => block.split('\n')[0].replace('event: ', ''));
+    expect(events).toEqual(['status', 'message', 'stream', 'stream', 'message', 'status', 'done']);
+    expect(text).toContain('"response":"You said: hi"');
+  });
+
+  it('should create and close rooms', async () => {
+    const created = await request('POST', '/api/rooms', { body: { agentType: 'nope', directory: tmpdir(), name: 'scratch' } });
+    const { room: newRoom } = await created.json();
+
+    expect(created.status).toBe(201);
+    expect(newRoom).toMatchObject({ name: 'scratch', owner: 'alice' });
+
+    const closed = await request('DELETE', `/api/rooms/${newRoom.id}`);
+    expect(await closed.json()).toEqual({ roomId: newRoom.id, closed: true });
+    expect(server.roomManager.getRoom(newRoom.id)).toBeUndefined();
+  });
+
+  it('should check new rooms against the create_room schema', async () => {
+    const visibility = await request('POST', '/api/rooms', { body: { directory: tmpdir(), visibility: 'secret' } });
+    const agentType = await request('POST', '/api/rooms', { body: { agentType: 42, directory: tmpdir() } });
+    const notObject = await request('POST', '/api/rooms', { body: ['claude'] });
+
+    expect([visibility.status, agentType.status, notObject.status]).toEqual([400, 400, 400]);
+    expect(await visibility.json()).toEqual({
+      error: 'Invalid create_room request: visibility must be one of "public", "invite-only", "private" (got "secret")'
+    });
+    expect(await agentType.json()).toEqual({ error: 'Invalid create_room request: agentType must be a string (got 42)' });
+    expect(await notObject.json()).toEqual({ error: 'Request body must be a JSON object' });
+    expect(server.roomManager.listRooms()).toHaveLength(1);
+  });
+
+  it('should answer bad requests with an error body', async () => {
+    const missing = await request('GET', '/api/rooms/nope/messages');
+    const empty = await request('POST', `/api/rooms/${room.id}/messages`, { body: { content: '' } });
+    const unknown = await request('GET', '/api/nothing');
+
+    expect([missing.status, empty.status, unknown.status]).toEqual([404, 400, 404]);
+    expect(await missing.json()).toEqual({ error: 'Room not found' });
+    expect(await empty.json()).toEqual({ error: 'content is required' });
+  });
+});
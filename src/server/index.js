@@ -1,27 +1,199 @@
 import { WebSocketServer } from 'ws';
 import { EventEmitter } from 'events';
+import { watch } from 'fs';
+import { basename, dirname, resolve } from 'path';
+import { createServer as createHttpServer } from 'http';
+import { createServer as createHttpsServer } from 'https';
 import { RoomManager } from './roomManager.js';
+import { createStore } from './store.js';
+import { Authenticator, generateToken, hasRole, requiredRole, safeEqual } from './auth.js';
+import { MESSAGE_PERMISSIONS, DEFAULT_MEMBER_PERMISSIONS } from './access.js';
+import { loadConfig, diffConfig, isLiveSetting } from '../config/index.js';
+import { loadTlsOptions, prepareSocketPath, restrictSocket, tokenFromRequest } from './transport.js';
+import { HttpApi } from './http.js';
+import { PipelineRunner, loadPipeline, listPipelines } from './pipeline.js';
+import { Scheduler } from './scheduler.js';
+import {
+  CLIENT_MESSAGES,
+  CAPABILITIES,
+  PROTOCOL_VERSION,
+  SERVER_VERSION,
+  SUPPORTED_VERSIONS,
+  negotiateVersion,
+  validateClientMessage
+} from './protocol.js';
 import { v4 as uuidv4 } from 'uuid';
 
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
 export class BobServer extends EventEmitter {
   constructor(options = {}) {
     super();
-    this.port = options.port || 8420;
+    this.port = options.port ?? 8420; // 0 picks a free port
     this.host = options.host || '127.0.0.1';
+    this.tls = options.tls || null; // { cert, key, ca } file paths for wss://
+    this.socket = options.socket ? { ...options.socket, path: resolve(options.socket.path) } : null; // { path, mode, role }
     this.wss = null;
+    this.httpServer = null;
+    this.socketServer = null;
+    this.httpApi = new HttpApi(this); // REST endpoints on the same listeners
     this.roomManager = new RoomManager({
-      useWorktrees: options.useWorktrees !== false  // Default to true
+      useWorktrees: options.useWorktrees !== false,  // Default to true
+      permissions: options.permissions,
+      git: options.git,
+      agents: options.agents,
+      timeout: options.requestTimeout,
+      store: options.store || createStore(options.storage?.type, options.storage)
     });
+    this.scheduler = new Scheduler({ roomManager: this.roomManager }); // Scheduled prompts (see /schedule)
     this.clients = new Map(); // All connected clients
+    this.disconnectedClients = new Map(); // Recently dropped clients, by id, for resume
+    this.resumeWindow = options.resumeWindow || 10 * 60 * 1000; // How long a dropped client can resume
 
     // Authentication configuration
     this.authToken = options.authToken || null; // Optional token-based auth
     this.requireAuth = options.requireAuth || false;
+    this.authConfig = options.auth || {}; // Named users and their roles
+    this.auth = this.createAuthenticator();
+    this.logLevel = options.logLevel || 'info';
+
+    // Config reloading: the file is re-read when it changes or on SIGHUP
+    this.config = options.config || null; // The loaded config the server runs with
+    this.configPath = options.configPath || null;
+    this.watchConfig = options.watchConfig ?? !!this.configPath;
+    this.configWatcher = null;
+    this.configReloadTimer = null;
+    this.onSighup = () => this.reloadConfig();
 
     // Forward room manager events
     this.roomManager.on('roomCreated', (room) => this.emit('roomCreated', room));
     this.roomManager.on('roomDestroyed', (roomId) => this.emit('roomDestroyed', roomId));
-    this.roomManager.on('log', (msg) => this.emit('log', msg));
+    this.roomManager.on('roomRestored', (room) => this.emit('roomRestored', room));
+    this.roomManager.on('log', (msg) => this.log(msg));
+
+    // Scheduled runs are announced in their room
+    this.scheduler.on('log', (msg) => this.log(msg));
+    this.scheduler.on('run', (run) => {
+      const room = this.roomManager.getRoom(run.roomId);
+      room?.broadcast({ type: 'schedule_run', ...run, timestamp: Date.now() });
+      this.log(`Scheduled run ${run.status} in ${room?.name || run.roomId}${run.error ? `: ${run.error}` : ''}`,
+        run.status === 'failed' ? 'warn' : 'debug');
+      this.emit('scheduleRun', run);
+    });
+  }
+
+  createAuthenticator() {
+    return new Authenticator({
+      ...this.authConfig,
+      authToken: this.authToken,
+      requireAuth: this.requireAuth
+    });
+  }
+
+  /**
+   * Emit a 'log' event if the level is at or above the configured logging level
+   */
+  log(message, level = 'info') {
+    if ((LOG_LEVELS[level] ?? LOG_LEVELS.info) >= (LOG_LEVELS[this.logLevel] ?? LOG_LEVELS.info)) {
+      this.emit('log', message);
+    }
+  }
+
+  /**
+   * Re-read the config file and apply the settings that can change while
+   * running (see LIVE_SETTINGS). Settings that need a restart are reported
+   * and keep their current value. An invalid file is ignored.
+   * @returns {{changed: string[], applied: string[], restartRequired: string[], warnings: string[]}|null}
+   */
+  reloadConfig() {
+    let loaded;
+    try {
+      loaded = loadConfig({ configPath: this.configPath });
+    } catch (error) {
+      this.log(`Config reload failed, keeping the current config: ${error.message}`, 'error');
+      this.emit('configError', error);
+      return null;
+    }
+
+    const previous = this.config || {};
+    const next = loaded.config;
+    const changed = diffConfig(previous, next);
+    const applied = changed.filter(isLiveSetting);
+    const restartRequired = changed.filter(path => !isLiveSetting(path));
+
+    this.applyConfig(next);
+
+    // Remember the values actually in effect, so pending restarts are reported again
+    this.config = structuredClone(next);
+    for (const path of restartRequired) {
+      const [section, key] = path.split('.');
+      if (key === undefined) {
+        this.config[section] = previous[section];
+      } else {
+        this.config[section] = { ...this.config[section], [key]: previous[section]?.[key] };
+      }
+    }
+
+    for (const warning of loaded.warnings) {
+      this.log(`Config warning: ${warning}`, 'warn');
+    }
+    this.log(changed.length
+      ? `Config reloaded: applied ${applied.join(', ') || 'nothing'}` +
+        (restartRequired.length ? `; restart needed for ${restartRequired.join(', ')}` : '')
+      : 'Config reloaded: no changes');
+
+    const result = { changed, applied, restartRequired, warnings: loaded.warnings };
+    this.broadcast({ type: 'config_reloaded', ...result, timestamp: Date.now() });
+    this.emit('configReloaded', result);
+    return result;
+  }
+
+  /**
+   * Apply the live settings of a loaded config
+   */
+  applyConfig(config) {
+    this.authToken = config.server.authToken || null;
+    this.requireAuth = config.server.requireAuth || false;
+    this.authConfig = config.auth || {};
+    this.auth = this.createAuthenticator(); // Connected clients keep the role they signed in with
+    this.logLevel = config.logging.level;
+    this.roomManager.updateConfig({
+      agents: config.agents,
+      permissions: config.permissions,
+      git: config.git,
+      timeout: config.server.requestTimeout
+    });
+  }
+
+  /**
+   * Reload the config on SIGHUP and whenever the config file changes
+   * The directory is watched, as editors often replace the file on save
+   */
+  startConfigWatcher() {
+    if (!this.watchConfig) return;
+    process.on('SIGHUP', this.onSighup);
+    if (!this.configPath) return;
+
+    try {
+      this.configWatcher = watch(dirname(this.configPath), (event, filename) => {
+        if (filename !== basename(this.configPath)) return;
+        // Saves often arrive as several events
+        clearTimeout(this.configReloadTimer);
+        this.configReloadTimer = setTimeout(() => this.reloadConfig(), 200);
+      });
+      this.configWatcher.on('error', (error) => this.log(`Config watcher error: ${error.message}`, 'warn'));
+    } catch (error) {
+      this.log(`Could not watch ${this.configPath}: ${error.message}`, 'warn');
+    }
+  }
+
+  stopConfigWatcher() {
+    process.off('SIGHUP', this.onSighup);
+    clearTimeout(this.configReloadTimer);
+    if (this.configWatcher) {
+      this.configWatcher.close();
+      this.configWatcher = null;
+    }
   }
 
   /**
@@ -58,55 +230,124 @@ export class BobServer extends EventEmitter {
     return sanitized;
   }
 
-  start() {
-    return new Promise((resolve, reject) => {
-      try {
-        this.wss = new WebSocketServer({
-          port: this.port,
-          host: this.host
-        });
+  async start() {
+    // Bring back rooms from the previous run before accepting clients
+    const restored = await this.roomManager.restoreRooms();
+    if (restored.length > 0) {
+      this.log(`Restored ${restored.length} room(s) from storage`);
+    }
+    this.scheduler.start();
 
-        this.wss.on('listening', () => {
-          this.emit('log', `WebSocket server listening on ws://${this.host}:${this.port}`);
-          resolve();
-        });
+    // Worktrees no room claims were left behind (e.g. by a crash)
+    try {
+      const orphans = await this.roomManager.findOrphanedWorktrees();
+      if (orphans.length > 0) {
+        this.log(`Found ${orphans.length} orphaned worktree(s) - use /worktrees to review them`);
+        this.emit('orphanedWorktrees', orphans);
+      }
+    } catch (error) {
+      this.log(`Orphaned worktree scan failed: ${error.message}`, 'warn');
+    }
 
-        this.wss.on('connection', (ws, req) => {
-          this.handleConnection(ws, req);
-        });
+    this.startConfigWatcher();
 
-        this.wss.on('error', (error) => {
-          this.emit('error', error);
-          reject(error);
-        });
-      } catch (error) {
+    // Both listeners hand their upgrades to one WebSocket server
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on('connection', (ws, req) => {
+      this.handleConnection(ws, req);
+    });
+
+    this.httpServer = this.tls ? createHttpsServer(loadTlsOptions(this.tls)) : createHttpServer();
+    await this.listen(this.httpServer, 'tcp', this.port, this.host);
+    this.port = this.httpServer.address().port;
+    this.log(`WebSocket server listening on ${this.tls ? 'wss' : 'ws'}://${this.host}:${this.port}`);
+
+    if (this.socket) {
+      prepareSocketPath(this.socket.path);
+      this.socketServer = createHttpServer();
+      await this.listen(this.socketServer, 'unix', this.socket.path);
+      restrictSocket(this.socket.path, this.socket.mode);
+      this.log(`WebSocket server listening on unix:${this.socket.path}`);
+    }
+  }
+
+  /**
+   * Start an HTTP(S) server for WebSocket upgrades and the HTTP API
+   * @param {http.Server} server - The server to start
+   * @param {string} listener - 'tcp' or 'unix', recorded on each request
+   * @param {...any} address - Arguments for server.listen()
+   */
+  listen(server, listener, ...address) {
+    server.on('upgrade', (req, socket, head) => {
+      req.listener = listener;
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        this.wss.emit('connection', ws, req);
+      });
+    });
+
+    server.on('request', (req, res) => {
+      req.listener = listener;
+      this.httpApi.handle(req, res);
+    });
+
+    return new Promise((resolve, reject) => {
+      server.once('error', (error) => {
+        this.emit('error', error);
         reject(error);
-      }
+      });
+      server.listen(...address, () => resolve());
     });
   }
 
-  handleConnection(ws, req) {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const token = url.searchParams.get('token');
+  /**
+   * Addresses clients can connect to, as accepted by `bob connect`
+   */
+  addresses() {
+    const addresses = [`${this.tls ? 'wss' : 'ws'}://${this.host}:${this.port}`];
+    if (this.socket) {
+      addresses.push(`unix:${this.socket.path}`);
+    }
+    return addresses;
+  }
 
-    if (this.requireAuth && token !== this.authToken) {
+  /**
+   * Find out who a connection belongs to
+   * Anyone who can open the Unix socket already passed its file permissions,
+   * so tokenless socket connections get the socket's role (admin by default).
+   * @returns {{name: string|null, role: string}|null} - null if the connection must be refused
+   */
+  authenticateRequest(req) {
+    const token = tokenFromRequest(req);
+    if (!token && req.listener === 'unix') {
+      return { name: null, role: this.socket?.role || 'admin' };
+    }
+    return this.auth.authenticate(token);
+  }
+
+  handleConnection(ws, req) {
+    const identity = this.authenticateRequest(req);
+    if (!identity) {
       ws.send(JSON.stringify({
         type: 'error',
         error: 'Authentication failed',
         timestamp: Date.now()
       }));
       ws.close(1008, 'Authentication Failed');
-      this.emit('log', `Auth failure from ${req.socket.remoteAddress}`);
+      this.log(`Auth failure from ${req.socket.remoteAddress || req.listener}`, 'warn');
       return;
     }
 
     const clientId = uuidv4();
     const clientInfo = {
       id: clientId,
-      name: null,
+      name: identity.name,
+      user: identity.name, // Authenticated user, or null for anonymous and shared-token clients
+      role: identity.role,
+      resumeToken: generateToken(), // Proves a later resume is ours: client IDs are shown to other clients
       rooms: new Set(),
       connectedAt: new Date(),
-      ip: req.socket.remoteAddress
+      ip: req.socket.remoteAddress || req.listener, // Unix socket clients have no address
+      protocolVersion: PROTOCOL_VERSION // Until a hello says otherwise
     };
 
     this.clients.set(clientId, { ws, info: clientInfo });
@@ -116,47 +357,174 @@ export class BobServer extends EventEmitter {
     ws.send(JSON.stringify({
       type: 'welcome',
       clientId,
-      serverVersion: '1.0.0',
-      rooms: this.roomManager.listRooms(),
+      resumeToken: clientInfo.resumeToken,
+      serverVersion: SERVER_VERSION,
+      protocolVersion: PROTOCOL_VERSION,
+      supportedVersions: SUPPORTED_VERSIONS,
+      capabilities: CAPABILITIES,
+      user: { name: identity.name, role: identity.role },
+      rooms: this.roomManager.listRooms(identity),
       timestamp: Date.now()
     }));
 
+    // Use clientInfo.id rather than clientId below: a resume can re-key the connection
     ws.on('message', async (data) => {
+      let message;
       try {
-        const message = JSON.parse(data.toString());
-        await this.handleMessage(clientId, message);
-      } catch (error) {
+        message = JSON.parse(data.toString());
+      } catch {
         ws.send(JSON.stringify({
           type: 'error',
-          error: error.message,
+          error: 'Message is not valid JSON',
           timestamp: Date.now()
         }));
+        return;
+      }
+      try {
+        await this.handleMessage(clientInfo.id, message);
+      } catch (error) {
+        this.replyTo(ws, message, {
+          type: 'error',
+          error: this.sanitizeError(error)
+        });
       }
     });
 
     ws.on('close', () => {
-      this.handleDisconnect(clientId);
+      this.handleDisconnect(clientInfo.id);
     });
 
     ws.on('error', (error) => {
-      this.emit('log', `Client ${clientId} error: ${error.message}`);
+      this.log(`Client ${clientInfo.id} error: ${error.message}`, 'warn');
     });
   }
 
+  /**
+   * The identity room access is checked against
+   * Only the authenticated user counts: a name chosen with set_name is for display
+   * and grants nothing, so anonymous and shared-token clients are never members.
+   */
+  identityOf(info) {
+    return { name: info.user || null, role: info.role };
+  }
+
+  /**
+   * Check a client's role and room permissions for a message
+   * Shared by the WebSocket and HTTP APIs.
+   * @param {{name: string|null, role: string}} identity - The client
+   * @param {object} message - At least { type }, plus roomId or roomName for room messages
+   * @returns {{error: string, notFound: boolean}|null} - null if the message is allowed
+   */
+  authorize(identity, message) {
+    const required = requiredRole(message.type);
+    if (!hasRole(identity.role, required)) {
+      return {
+        error: `Permission denied: ${message.type} needs the ${required} role (you are ${identity.role})`,
+        notFound: false
+      };
+    }
+
+    // Room-level access (see access.js)
+    const roomPermission = MESSAGE_PERMISSIONS[message.type];
+    if (roomPermission) {
+      const room = message.roomId
+        ? this.roomManager.getRoom(message.roomId)
+        : this.roomManager.getRoomByName(message.roomName);
+      if (room && !room.access.can(identity, roomPermission)) {
+        if (roomPermission !== 'view') {
+          return { error: `Permission denied: you need the ${roomPermission} permission in ${room.name}`, notFound: false };
+        }
+        // Private rooms do not admit to existing
+        return room.access.canSee(identity)
+          ? { error: `${room.name} is invite-only`, notFound: false }
+          : { error: 'Room not found', notFound: true };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Answer a client message, echoing its requestId so the client can match them up
+   * Acks and errors also name the command they answer.
+   */
+  replyTo(ws, message, data) {
+    if (ws.readyState !== 1) return;
+    const correlation = {};
+    if (message?.requestId !== undefined) {
+      correlation.requestId = message.requestId;
+    }
+    if ((data.type === 'ack' || data.type === 'error') && typeof message?.type === 'string') {
+      correlation.command = message.type;
+    }
+    ws.send(JSON.stringify({ ...data, ...correlation, timestamp: Date.now() }));
+  }
+
   async handleMessage(clientId, message) {
     const client = this.clients.get(clientId);
     if (!client) return;
 
     const { ws, info } = client;
+    let replied = false;
+    const reply = (data) => {
+      replied = true;
+      this.replyTo(ws, message, data);
+    };
+    // Commands without a result message of their own are answered with an ack
+    const ack = (data = {}) => reply({ type: 'ack', ...data });
+
+    const problems = validateClientMessage(message);
+    if (problems.length > 0) {
+      reply({
+        type: 'error',
+        error: CLIENT_MESSAGES[message?.type]
+          ? `Invalid ${message.type} message: ${problems.join('; ')}`
+          : problems[0],
+        errors: problems
+      });
+      return;
+    }
+
+    const denied = this.authorize(this.identityOf(info), message);
+    if (denied) {
+      reply({
+        type: 'error',
+        error: denied.error
+      });
+      return;
+    }
 
     switch (message.type) {
+      case 'hello':
+        const offered = message.protocolVersions || [message.protocolVersion ?? PROTOCOL_VERSION];
+        const protocolVersion = negotiateVersion(offered);
+        if (!protocolVersion) {
+          reply({
+            type: 'error',
+            error: `Unsupported protocol version ${offered.join(', ')} - this server speaks ${SUPPORTED_VERSIONS.join(', ')}`
+          });
+          ws.close(1002, 'Unsupported protocol version');
+          break;
+        }
+        info.protocolVersion = protocolVersion;
+        info.client = message.client || null;
+        reply({
+          type: 'hello',
+          protocolVersion,
+          serverVersion: SERVER_VERSION,
+          capabilities: CAPABILITIES
+        });
+        break;
+
       case 'set_name':
-        info.name = message.name;
-        ws.send(JSON.stringify({
+        // Authenticated users are always shown under their own name
+        if (!info.user) {
+          info.name = message.name;
+        }
+        reply({
           type: 'name_set',
-          name: message.name,
-          timestamp: Date.now()
-        }));
+          name: info.name,
+          bound: !!info.user
+        });
         break;
 
       case 'create_room':
@@ -165,11 +533,92 @@ export class BobServer extends EventEmitter {
           agentType: message.agentType || 'claude',
           directory: message.directory || process.cwd(),
           branch: message.branch,
-          agentOptions: message.agentOptions || {}
+          agentOptions: message.agentOptions || {},
+          user: info.user,
+          visibility: message.visibility
         });
-        const roomClientId = room.addClient(ws, info);
+        room.addClient(ws, info);
         info.rooms.add(room.id);
-        this.emit('log', `Room ${room.name} created by ${info.name || clientId.slice(0, 8)}`);
+        this.log(`Room ${room.name} created by ${info.name || clientId.slice(0, 8)}`);
+        ack({ roomId: room.id });
+        break;
+
+      case 'fanout':
+        let fanout;
+        try {
+          fanout = await this.roomManager.createFanout({
+            agents: message.agents,
+            prompt: message.prompt,
+            directory: message.directory || process.cwd(),
+            user: info.user,
+            visibility: message.visibility
+          });
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
+          break;
+        }
+        for (const fanoutRoom of fanout.rooms) {
+          fanoutRoom.addClient(ws, info);
+          info.rooms.add(fanoutRoom.id);
+        }
+        this.log(`Fan-out to ${message.agents.join(', ')} started by ${info.name || clientId.slice(0, 8)}`);
+        reply({ type: 'fanout_started', ...fanout.toJSON() });
+
+        // Results go to everyone watching one of the rooms
+        fanout.on('result', (result) => {
+          this.sendToRoomClients(fanout.rooms, { type: 'fanout_result', fanoutId: fanout.id, result });
+        });
+        fanout.on('complete', (comparison) => {
+          this.sendToRoomClients(fanout.rooms, { type: 'fanout_complete', ...comparison });
+        });
+        fanout.run(clientId);
+        break;
+
+      case 'list_pipelines':
+        const pipelineDirectory = message.directory || process.cwd();
+        reply({
+          type: 'pipelines',
+          directory: pipelineDirectory,
+          pipelines: listPipelines(pipelineDirectory)
+        });
+        break;
+
+      case 'run_pipeline':
+        let runner;
+        try {
+          runner = new PipelineRunner({
+            roomManager: this.roomManager,
+            pipeline: loadPipeline(message.directory || process.cwd(), message.name),
+            directory: message.directory || process.cwd(),
+            input: message.input,
+            user: info.user
+          });
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
+          break;
+        }
+        this.log(`Pipeline ${message.name} started by ${info.name || clientId.slice(0, 8)}`);
+        reply({ type: 'pipeline_started', ...runner.toJSON() });
+
+        // The requesting client joins each stage's room as it starts
+        runner.on('stage', (progress) => {
+          const stageRoom = this.roomManager.getRoom(progress.stage.roomId);
+          if (stageRoom && progress.stage.status === 'running' && !stageRoom.clients.has(info.id) && ws.readyState === 1) {
+            stageRoom.addClient(ws, info);
+            info.rooms.add(stageRoom.id);
+          }
+          this.sendToRoomClients(runner.rooms, { type: 'pipeline_stage', ...progress }, [ws]);
+        });
+        runner.on('complete', (result) => {
+          this.sendToRoomClients(runner.rooms, { type: 'pipeline_complete', ...result }, [ws]);
+        });
+        runner.run(clientId);
         break;
 
       case 'join_room':
@@ -180,12 +629,12 @@ export class BobServer extends EventEmitter {
         if (targetRoom) {
           targetRoom.addClient(ws, info);
           info.rooms.add(targetRoom.id);
+          ack({ roomId: targetRoom.id });
         } else {
-          ws.send(JSON.stringify({
+          reply({
             type: 'error',
-            error: 'Room not found',
-            timestamp: Date.now()
-          }));
+            error: 'Room not found'
+          });
         }
         break;
 
@@ -194,51 +643,131 @@ export class BobServer extends EventEmitter {
         if (leaveRoom) {
           leaveRoom.removeClient(clientId);
           info.rooms.delete(message.roomId);
-          ws.send(JSON.stringify({
+          reply({
             type: 'room_left',
-            roomId: message.roomId,
-            timestamp: Date.now()
-          }));
+            roomId: message.roomId
+          });
+        } else {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
         }
         break;
 
       case 'send_message':
         const msgRoom = this.roomManager.getRoom(message.roomId);
         if (msgRoom) {
-          await msgRoom.sendToAgent(message.content, clientId);
+          // The ack goes out before any of the turn's events, which carry its turnId
+          const turnId = uuidv4();
+          ack({ roomId: msgRoom.id, turnId, queued: msgRoom.isBusy() || msgRoom.queue.length > 0 });
+          msgRoom.sendToAgent(message.content, clientId, turnId).catch((error) => {
+            reply({
+              type: 'error',
+              error: this.sanitizeError(error),
+              turnId
+            });
+          });
         } else {
-          ws.send(JSON.stringify({
+          reply({
             type: 'error',
-            error: 'Room not found',
-            timestamp: Date.now()
-          }));
+            error: 'Room not found'
+          });
+        }
+        break;
+
+      case 'get_history':
+        const historyRoom = this.roomManager.getRoom(message.roomId);
+        if (historyRoom) {
+          reply({
+            type: 'history',
+            roomId: historyRoom.id,
+            messages: message.limit ? historyRoom.messages.slice(-message.limit) : historyRoom.messages
+          });
+        } else {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
         }
         break;
 
       case 'list_rooms':
-        ws.send(JSON.stringify({
+        reply({
           type: 'room_list',
-          rooms: this.roomManager.listRooms(),
-          timestamp: Date.now()
-        }));
+          rooms: this.roomManager.listRooms(this.identityOf(info))
+        });
         break;
 
       case 'room_info':
         const infoRoom = this.roomManager.getRoom(message.roomId);
         if (infoRoom) {
-          ws.send(JSON.stringify({
+          reply({
             type: 'room_info',
-            room: infoRoom.toJSON(),
-            timestamp: Date.now()
-          }));
+            room: {
+              ...infoRoom.toJSON(),
+              access: infoRoom.access.toJSON(),
+              permissions: infoRoom.access.permissionsFor(this.identityOf(info))
+            }
+          });
+        } else {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
         }
         break;
 
       case 'close_room':
         const closeRoom = this.roomManager.getRoom(message.roomId);
         if (closeRoom) {
-          await this.roomManager.destroyRoom(message.roomId);
-          this.emit('log', `Room ${closeRoom.name} closed`);
+          // keepWorktree leaves the agent's worktree and branch on disk
+          await this.roomManager.destroyRoom(message.roomId, { cleanupWorktree: !message.keepWorktree });
+          this.log(`Room ${closeRoom.name} closed`);
+          ack({ roomId: message.roomId });
+        } else {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+        }
+        break;
+
+      case 'commit_room':
+        try {
+          const commitResult = await this.roomManager.commitRoom(message.roomId, message.message);
+          reply({
+            type: 'commit_result',
+            roomId: message.roomId,
+            commit: commitResult.commit || null,
+            branch: commitResult.branch,
+            summary: commitResult.summary
+          });
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
+        }
+        break;
+
+      case 'merge_room':
+        try {
+          const mergeResult = await this.roomManager.mergeRoom(message.roomId, {
+            strategy: message.strategy,
+            targetBranch: message.targetBranch,
+            message: message.message
+          });
+          reply({
+            type: 'merge_result',
+            roomId: message.roomId,
+            ...mergeResult
+          });
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
         }
         break;
 
@@ -246,12 +775,16 @@ export class BobServer extends EventEmitter {
         const cancelRoom = this.roomManager.getRoom(message.roomId);
         if (cancelRoom) {
           const cancelled = cancelRoom.cancel();
-          ws.send(JSON.stringify({
+          reply({
             type: 'cancel_result',
             roomId: message.roomId,
-            cancelled,
-            timestamp: Date.now()
-          }));
+            cancelled
+          });
+        } else {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
         }
         break;
 
@@ -259,28 +792,393 @@ export class BobServer extends EventEmitter {
         const resetRoom = this.roomManager.getRoom(message.roomId);
         if (resetRoom) {
           resetRoom.resetStatus();
-          ws.send(JSON.stringify({
+          reply({
             type: 'reset_result',
             roomId: message.roomId,
-            status: 'ready',
-            timestamp: Date.now()
-          }));
+            status: 'ready'
+          });
+        } else {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+        }
+        break;
+
+      case 'list_queue':
+        const queueRoom = this.roomManager.getRoom(message.roomId);
+        if (queueRoom) {
+          reply({
+            type: 'queue',
+            roomId: queueRoom.id,
+            queue: queueRoom.getQueue()
+          });
+        } else {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+        }
+        break;
+
+      case 'list_worktrees':
+        try {
+          reply({
+            type: 'worktrees',
+            orphans: await this.roomManager.findOrphanedWorktrees()
+          });
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
+        }
+        break;
+
+      case 'adopt_worktree':
+        try {
+          const adopted = await this.roomManager.adoptWorktree(message.path, {
+            agentType: message.agentType || 'claude',
+            name: message.name,
+            agentOptions: message.agentOptions || {},
+            user: info.user
+          });
+          adopted.addClient(ws, info);
+          info.rooms.add(adopted.id);
+          this.log(`Room ${adopted.name} adopted by ${info.name || clientId.slice(0, 8)}`);
+          ack({ roomId: adopted.id });
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
+        }
+        break;
+
+      case 'prune_worktrees':
+        try {
+          reply({
+            type: 'worktrees_pruned',
+            results: await this.roomManager.pruneOrphanedWorktrees({
+              paths: message.paths,
+              force: !!message.force
+            })
+          });
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
+        }
+        break;
+
+      case 'export_room_changes':
+        try {
+          // Always sent back: the server never writes where a client tells it to
+          const exported = await this.roomManager.exportRoom(message.roomId, { format: message.format });
+          reply({
+            type: 'export_result',
+            roomId: message.roomId,
+            ...exported
+          });
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
+        }
+        break;
+
+      case 'get_diff':
+        const diffRoom = this.roomManager.getRoom(message.roomId);
+        if (!diffRoom) {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+          break;
+        }
+        try {
+          const turnDiff = await diffRoom.getTurnDiff(message.turn);
+          if (!turnDiff) {
+            reply({
+              type: 'error',
+              error: message.turn ? `No changes recorded for turn ${message.turn}` : 'No changes recorded yet'
+            });
+            break;
+          }
+          reply({
+            type: 'diff',
+            roomId: diffRoom.id,
+            ...turnDiff
+          });
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
+        }
+        break;
+
+      case 'remove_queued':
+        const removeRoom = this.roomManager.getRoom(message.roomId);
+        if (!removeRoom) {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+        } else if (message.all) {
+          removeRoom.clearQueue();
+        } else if (!removeRoom.removeQueued(message.itemId)) {
+          reply({
+            type: 'error',
+            error: 'Queued message not found'
+          });
+        }
+        break;
+
+      case 'reorder_queue':
+        const reorderRoom = this.roomManager.getRoom(message.roomId);
+        if (!reorderRoom) {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+        } else if (!reorderRoom.reorderQueue(message.itemId, message.position)) {
+          reply({
+            type: 'error',
+            error: 'Queued message not found'
+          });
+        }
+        break;
+
+      case 'schedule_add':
+        try {
+          const schedule = this.scheduler.add(message.roomId, {
+            prompt: message.prompt,
+            cron: message.cron,
+            every: message.every,
+            whenBusy: message.whenBusy
+          }, info.user || info.name);
+          reply({
+            type: 'schedule_added',
+            roomId: message.roomId,
+            schedule
+          });
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
+        }
+        break;
+
+      case 'schedule_list':
+        if (!this.roomManager.getRoom(message.roomId)) {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+          break;
+        }
+        reply({
+          type: 'schedules',
+          roomId: message.roomId,
+          schedules: this.scheduler.list(message.roomId)
+        });
+        break;
+
+      case 'schedule_remove':
+        if (!this.roomManager.getRoom(message.roomId)) {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+        } else if (!this.scheduler.remove(message.roomId, message.scheduleId)) {
+          reply({
+            type: 'error',
+            error: 'Schedule not found'
+          });
+        } else {
+          reply({
+            type: 'schedule_removed',
+            roomId: message.roomId,
+            scheduleId: message.scheduleId
+          });
+        }
+        break;
+
+      case 'get_usage':
+        if (!message.roomId) {
+          reply({
+            type: 'usage_summary',
+            usage: this.roomManager.getUsage(this.identityOf(info))
+          });
+          break;
+        }
+        const usageRoom = this.roomManager.getRoom(message.roomId);
+        if (usageRoom) {
+          reply({
+            type: 'usage_summary',
+            roomId: usageRoom.id,
+            usage: usageRoom.usage
+          });
+        } else {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+        }
+        break;
+
+      case 'approve':
+      case 'deny':
+        // Older clients name the permission request in requestId
+        const permissionRoom = this.roomManager.getRoom(message.roomId);
+        if (!permissionRoom) {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+        } else if (!permissionRoom.clients.has(info.id)) {
+          reply({
+            type: 'error',
+            error: 'Join the room to answer permission requests'
+          });
+        } else if (!permissionRoom.resolvePermission(message.permissionId ?? message.requestId, message.type === 'approve', {
+          always: !!message.always,
+          clientId: info.id
+        })) {
+          reply({
+            type: 'error',
+            error: 'Permission request not found'
+          });
+        }
+        break;
+
+      case 'invite':
+        const inviteRoom = this.roomManager.getRoom(message.roomId);
+        if (!inviteRoom) {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+          break;
+        }
+        try {
+          const permissions = message.permissions || DEFAULT_MEMBER_PERMISSIONS;
+          inviteRoom.invite(message.user, permissions, info.name);
+          // Let the invited user know, wherever they are connected
+          for (const [, other] of this.clients) {
+            if (other.info.user === message.user) {
+              other.ws.send(JSON.stringify({
+                type: 'invited',
+                roomId: inviteRoom.id,
+                roomName: inviteRoom.name,
+                by: info.name,
+                permissions: inviteRoom.access.members.get(message.user),
+                timestamp: Date.now()
+              }));
+            }
+          }
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
+        }
+        break;
+
+      case 'kick':
+        const kickRoom = this.roomManager.getRoom(message.roomId);
+        if (!kickRoom) {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+          break;
+        }
+        try {
+          if (!kickRoom.kick(message.user, info.name)) {
+            reply({
+              type: 'error',
+              error: `${message.user} is not in ${kickRoom.name}`
+            });
+          }
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
         }
         break;
 
+      case 'set_room_acl':
+        const aclTarget = this.roomManager.getRoom(message.roomId);
+        if (!aclTarget) {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+          break;
+        }
+        try {
+          aclTarget.updateAccess({
+            visibility: message.visibility,
+            owner: message.owner,
+            members: message.members
+          }, info.name, this.identityOf(info));
+          // The sender may have just removed themselves from the room
+          if (!aclTarget.clients.has(info.id)) {
+            reply({
+              type: 'room_acl',
+              roomId: aclTarget.id,
+              access: aclTarget.access.toJSON()
+            });
+          }
+        } catch (error) {
+          reply({
+            type: 'error',
+            error: this.sanitizeError(error)
+          });
+        }
+        break;
+
+      case 'resume':
+        const resumeRoom = this.roomManager.getRoom(message.roomId);
+        if (!resumeRoom) {
+          reply({
+            type: 'error',
+            error: 'Room not found'
+          });
+          break;
+        }
+
+        // Take back the previous identity if it dropped recently
+        if (message.clientId && message.clientId !== info.id) {
+          this.adoptClientId(info.id, message.clientId, message.resumeToken);
+        }
+
+        resumeRoom.resumeClient(ws, info, Number(message.lastSeq));
+        info.rooms.add(resumeRoom.id);
+        ack({ roomId: resumeRoom.id });
+        break;
+
       case 'ping':
-        ws.send(JSON.stringify({
-          type: 'pong',
-          timestamp: Date.now()
-        }));
+        reply({
+          type: 'pong'
+        });
         break;
 
       default:
-        ws.send(JSON.stringify({
+        reply({
           type: 'error',
-          error: `Unknown message type: ${message.type}`,
-          timestamp: Date.now()
-        }));
+          error: `Unknown message type: ${message.type}`
+        });
+    }
+
+    if (!replied) {
+      ack();
     }
   }
 
@@ -299,8 +1197,83 @@ export class BobServer extends EventEmitter {
     }
 
     this.clients.delete(clientId);
+
+    // Remember the client for a while so it can resume after a reconnect
+    const now = Date.now();
+    this.disconnectedClients.set(clientId, { name: info.name, user: info.user, resumeToken: info.resumeToken, disconnectedAt: now });
+    for (const [id, dropped] of this.disconnectedClients) {
+      if (now - dropped.disconnectedAt > this.resumeWindow) {
+        this.disconnectedClients.delete(id);
+      }
+    }
+
     this.emit('clientDisconnected', clientId);
-    this.emit('log', `Client ${info.name || clientId.slice(0, 8)} disconnected`);
+    this.log(`Client ${info.name || clientId.slice(0, 8)} disconnected`);
+  }
+
+  /**
+   * Move a connection over to the ID of a recently disconnected client
+   * Only IDs of dropped clients within the resume window can be adopted, and
+   * only with the resume token that client was welcomed with. The connection
+   * keeps its own token for the next resume.
+   * @returns {boolean} - True if the connection now uses previousId
+   */
+  adoptClientId(currentId, previousId, resumeToken) {
+    const dropped = this.disconnectedClients.get(previousId);
+    const client = this.clients.get(currentId);
+    if (!client || !dropped || this.clients.has(previousId) ||
+        Date.now() - dropped.disconnectedAt > this.resumeWindow) {
+      return false;
+    }
+    if (typeof resumeToken !== 'string' || !safeEqual(resumeToken, dropped.resumeToken)) {
+      return false;
+    }
+    // Only the same user can pick up an authenticated session
+    if ((dropped.user || null) !== (client.info.user || null)) {
+      return false;
+    }
+
+    const { ws, info } = client;
+
+    // Re-key any rooms this connection already joined
+    for (const roomId of info.rooms) {
+      const room = this.roomManager.getRoom(roomId);
+      const member = room?.clients.get(currentId);
+      if (member) {
+        room.clients.delete(currentId);
+        room.clients.set(previousId, member);
+      }
+    }
+
+    this.clients.delete(currentId);
+    info.id = previousId;
+    info.name = info.name || dropped.name;
+    this.clients.set(previousId, client);
+    this.disconnectedClients.delete(previousId);
+
+    ws.send(JSON.stringify({
+      type: 'resumed',
+      clientId: previousId,
+      name: info.name,
+      timestamp: Date.now()
+    }));
+
+    this.log(`Client ${info.name || previousId.slice(0, 8)} resumed`);
+    return true;
+  }
+
+  /**
+   * Send a message once to each client in any of the given rooms
+   * @param {WebSocket[]} others - Sockets to include even if they are in none of the rooms
+   */
+  sendToRoomClients(rooms, data, others = []) {
+    const payload = JSON.stringify({ ...data, timestamp: Date.now() });
+    const sockets = new Set([...others, ...rooms.flatMap(room => Array.from(room.clients.values(), client => client.ws))]);
+    for (const ws of sockets) {
+      if (ws.readyState === 1) {
+        ws.send(payload);
+      }
+    }
   }
 
   broadcast(data) {
@@ -312,23 +1285,34 @@ export class BobServer extends EventEmitter {
     }
   }
 
-  getStats() {
+  getStats(identity = null) {
     return {
       clientCount: this.clients.size,
-      ...this.roomManager.getStats()
+      ...this.roomManager.getStats(identity)
     };
   }
 
   async stop() {
-    await this.roomManager.destroyAll();
+    this.stopConfigWatcher();
+    this.scheduler.stop();
+
+    // Persisted rooms (and their worktrees) are kept so the next start can restore them
+    const persistent = this.roomManager.store.persistent;
+    await this.roomManager.destroyAll({
+      cleanupWorktrees: !persistent,
+      forget: !persistent
+    });
 
     if (this.wss) {
-      return new Promise((resolve) => {
-        this.wss.close(() => {
-          this.emit('log', 'WebSocket server stopped');
-          resolve();
-        });
-      });
+      for (const ws of this.wss.clients) {
+        ws.terminate();
+      }
+      // Closing the socket listener also removes the socket file
+      await Promise.all([this.httpServer, this.socketServer]
+        .filter(Boolean)
+        .map(server => new Promise(resolve => server.close(() => resolve()))));
+      await new Promise(resolve => this.wss.close(() => resolve()));
+      this.log('WebSocket server stopped');
     }
   }
 }
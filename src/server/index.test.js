@@ -0,0 +1,606 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, statSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import simpleGit from 'simple-git';
+import { BobServer } from './index.js';
+import { hashToken } from './auth.js';
+import { loadConfig } from '../config/index.js';
+import { validateServerMessage, CAPABILITIES } from './protocol.js';
+
+describe('BobServer.reloadConfig', () => {
+  let directory;
+  let configPath;
+  let server;
+  let sent;
+
+  function writeConfig(config) {
+    writeFileSync(configPath, JSON.stringify(config));
+  }
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'bob-server-test-'));
+    configPath = join(directory, 'config.json');
+    writeConfig({ server: { port: 8420, authToken: 'old-token', requireAuth: true }, agents: { claude: { model: 'sonnet' } } });
+
+    const { config } = loadConfig({ configPath });
+    server = new BobServer({
+      port: config.server.port,
+      authToken: config.server.authToken,
+      requireAuth: config.server.requireAuth,
+      agents: config.agents,
+      config,
+      configPath
+    });
+
+    sent = [];
+    server.clients.set('client', { ws: { readyState: 1, send: (data) => sent.push(JSON.parse(data)) }, info: {} });
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should apply live settings and broadcast config_reloaded', () => {
+    writeConfig({ server: { port: 8420, authToken: 'new-token', requireAuth: true }, agents: { claude: { model: 'opus' } } });
+
+    const result = server.reloadConfig();
+
+    expect(result).toMatchObject({ changed: ['server.authToken', 'agents.claude'], restartRequired: [] });
+    expect(server.authToken).toBe('new-token');
+    expect(server.roomManager.getAgentOptions('claude')).toEqual({ model: 'opus' });
+    expect(sent).toEqual([expect.objectContaining({
+      type: 'config_reloaded',
+      applied: ['server.authToken', 'agents.claude'],
+      restartRequired: []
+    })]);
+  });
+
+  it('should report settings that need a restart until the server restarts', () => {
+    writeConfig({ server: { port: 9000, authToken: 'old-token', requireAuth: true }, agents: { claude: { model: 'sonnet' } } });
+
+    expect(server.reloadConfig().restartRequired).toEqual(['server.port']);
+    expect(server.port).toBe(8420);
+    expect(server.reloadConfig().restartRequired).toEqual(['server.port']);
+  });
+
+  it('should keep the current config when the file is invalid', () => {
+    const onError = vi.fn();
+    server.on('configError', onError);
+    writeConfig({ server: { port: 'abc', authToken: 'new-token' } });
+
+    expect(server.reloadConfig()).toBeNull();
+    expect(server.authToken).toBe('old-token');
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ name: 'ConfigError' }));
+    expect(sent).toEqual([]);
+  });
+
+  it('should move rooms on the old default timeout to the new one', async () => {
+    const room = await server.roomManager.createRoom({ agentType: 'nope', directory, useWorktree: false });
+    const custom = await server.roomManager.createRoom({ agentType: 'nope', directory, useWorktree: false, timeout: 5000 });
+    writeConfig({
+      server: { port: 8420, authToken: 'old-token', requireAuth: true, requestTimeout: 60000 },
+      agents: { claude: { model: 'sonnet' } }
+    });
+
+    server.reloadConfig();
+
+    expect(room.requestTimeout).toBe(60000);
+    expect(custom.requestTimeout).toBe(5000);
+  });
+});
+
+describe('BobServer access control', () => {
+  let server;
+
+  function connect(token) {
+    const ws = new EventEmitter();
+    ws.readyState = 1;
+    ws.sent = [];
+    ws.send = (data) => ws.sent.push(JSON.parse(data));
+    ws.close = vi.fn();
+    server.handleConnection(ws, {
+      url: token ? `/?token=${token}` : '/',
+      headers: { host: 'localhost' },
+      socket: { remoteAddress: '127.0.0.1' }
+    });
+    return ws;
+  }
+
+  function clientFor(ws) {
+    return Array.from(server.clients.values()).find(client => client.ws === ws).info;
+  }
+
+  beforeEach(() => {
+    server = new BobServer({
+      auth: {
+        users: {
+          alice: { tokenHash: hashToken('alice-token'), role: 'operator' },
+          bob: { tokenHash: hashToken('bob-token'), role: 'viewer' }
+        }
+      }
+    });
+  });
+
+  it('should refuse connections with an unknown token', () => {
+    const ws = connect('nope');
+
+    expect(ws.sent).toEqual([expect.objectContaining({ type: 'error', error: 'Authentication failed' })]);
+    expect(ws.close).toHaveBeenCalledWith(1008, 'Authentication Failed');
+    expect(server.clients.size).toBe(0);
+  });
+
+  it('should welcome users with their name and role', () => {
+    const ws = connect('alice-token');
+
+    expect(ws.sent[0]).toMatchObject({ type: 'welcome', user: { name: 'alice', role: 'operator' } });
+  });
+
+  it('should keep viewers from acting on rooms', async () => {
+    const ws = connect('bob-token');
+    const info = clientFor(ws);
+
+    for (const type of ['send_message', 'cancel', 'reset', 'close_room']) {
+      await server.handleMessage(info.id, { type, roomId: 'room', content: 'hi' });
+    }
+    await server.handleMessage(info.id, { type: 'list_rooms' });
+
+    const replies = ws.sent.slice(1);
+    expect(replies.slice(0, 4).map(reply => reply.error)).toEqual([
+      'Permission denied: send_message needs the operator role (you are viewer)',
+      'Permission denied: cancel needs the operator role (you are viewer)',
+      'Permission denied: reset needs the operator role (you are viewer)',
+      'Permission denied: close_room needs the operator role (you are viewer)'
+    ]);
+    expect(replies[4].type).toBe('room_list');
+  });
+
+  it('should bind names to the authenticated user', async () => {
+    const ws = connect('alice-token');
+    const anonymous = connect(null);
+
+    await server.handleMessage(clientFor(ws).id, { type: 'set_name', name: 'mallory' });
+    await server.handleMessage(clientFor(anonymous).id, { type: 'set_name', name: 'guest' });
+
+    expect(ws.sent.at(-1)).toMatchObject({ type: 'name_set', name: 'alice', bound: true });
+    expect(clientFor(ws).name).toBe('alice');
+    expect(anonymous.sent.at(-1)).toMatchObject({ type: 'name_set', name: 'guest', bound: false });
+  });
+
+  it('should record the authenticated user as a schedule\'s creator', async () => {
+    const room = await server.roomManager.createRoom({ agentType: 'nope', directory: tmpdir(), useWorktree: false });
+    const ws = connect('alice-token');
+    clientFor(ws).name = 'mallory';
+
+    await server.handleMessage(clientFor(ws).id, { type: 'schedule_add', roomId: room.id, prompt: 'triage', every: '1h' });
+
+    expect(server.scheduler.list(room.id).map(schedule => schedule.createdBy)).toEqual(['alice']);
+  });
+
+  it('should only let a client resume a dropped connection with its resume token', async () => {
+    const room = await server.roomManager.createRoom({ agentType: 'nope', directory: tmpdir(), useWorktree: false });
+    const victim = connect(null);
+    const { clientId, resumeToken } = victim.sent[0];
+    server.handleDisconnect(clientId);
+
+    const attacker = connect(null);
+    const attackerId = clientFor(attacker).id;
+    await server.handleMessage(attackerId, { type: 'resume', clientId, roomId: room.id, lastSeq: 0 });
+    await server.handleMessage(attackerId, { type: 'resume', clientId, resumeToken: 'guessed', roomId: room.id, lastSeq: 0 });
+
+    expect(clientFor(attacker).id).toBe(attackerId);
+    expect(attacker.sent.some(sent => sent.type === 'resumed')).toBe(false);
+
+    const owner = connect(null);
+    await server.handleMessage(clientFor(owner).id, { type: 'resume', clientId, resumeToken, roomId: room.id, lastSeq: 0 });
+
+    expect(clientFor(owner).id).toBe(clientId);
+    expect(owner.sent).toContainEqual(expect.objectContaining({ type: 'resumed', clientId }));
+    expect(owner.sent[0].resumeToken).not.toBe(resumeToken);
+  });
+
+  describe('room access', () => {
+    let room;
+    let owner;
+    let guest;
+
+    beforeEach(async () => {
+      server = new BobServer({
+        storage: { type: 'memory' },
+        auth: {
+          users: {
+            alice: { tokenHash: hashToken('alice-token'), role: 'operator' },
+            carol: { tokenHash: hashToken('carol-token'), role: 'operator' }
+          },
+          anonymousRole: 'operator'
+        }
+      });
+      room = await server.roomManager.createRoom({
+        agentType: 'nope',
+        directory: tmpdir(),
+        useWorktree: false,
+        user: 'alice',
+        visibility: 'private'
+      });
+      owner = connect('alice-token');
+      guest = connect('carol-token');
+    });
+
+    it('should hide private rooms from non-members', async () => {
+      await server.handleMessage(clientFor(guest).id, { type: 'list_rooms' });
+      await server.handleMessage(clientFor(guest).id, { type: 'join_room', roomId: room.id });
+
+      expect(guest.sent[0].rooms).toEqual([]);
+      expect(guest.sent.at(-2)).toMatchObject({ type: 'room_list', rooms: [] });
+      expect(guest.sent.at(-1)).toMatchObject({ type: 'error', error: 'Room not found' });
+      expect(owner.sent[0].rooms.map(listed => listed.id)).toEqual([room.id]);
+    });
+
+    it('should admit invited users with the permissions they were given', async () => {
+      await server.handleMessage(clientFor(owner).id, { type: 'invite', roomId: room.id, user: 'carol', permissions: ['send'] });
+      expect(guest.sent.at(-1)).toMatchObject({ type: 'invited', roomId: room.id, by: 'alice', permissions: ['send'] });
+
+      await server.handleMessage(clientFor(guest).id, { type: 'join_room', roomId: room.id });
+      await server.handleMessage(clientFor(guest).id, { type: 'close_room', roomId: room.id });
+
+      expect(guest.sent.find(sent => sent.type === 'room_joined'))
+        .toMatchObject({ access: { owner: 'alice', members: { carol: ['send'] } } });
+      expect(guest.sent.at(-1).error).toBe(`Permission denied: you need the close permission in ${room.name}`);
+      expect(server.roomManager.getRoom(room.id)).toBe(room);
+    });
+
+    it('should only let members with manage change the ACL', async () => {
+      await server.handleMessage(clientFor(owner).id, { type: 'invite', roomId: room.id, user: 'carol' });
+      await server.handleMessage(clientFor(guest).id, { type: 'set_room_acl', roomId: room.id, visibility: 'public' });
+
+      expect(guest.sent.at(-1).error).toBe(`Permission denied: you need the manage permission in ${room.name}`);
+      expect(room.access.visibility).toBe('private');
+    });
+
+    it('should only let the owner hand the room to someone else', async () => {
+      await server.handleMessage(clientFor(owner).id, { type: 'invite', roomId: room.id, user: 'carol', permissions: ['manage'] });
+      await server.handleMessage(clientFor(guest).id, { type: 'set_room_acl', roomId: room.id, owner: 'carol' });
+
+      expect(guest.sent.at(-1).error).toBe('Only the owner or an admin can change the owner');
+      expect(room.access.owner).toBe('alice');
+
+      await server.handleMessage(clientFor(owner).id, { type: 'set_room_acl', roomId: room.id, owner: 'carol' });
+
+      expect(room.access.owner).toBe('carol');
+    });
+
+    it('should only let members with manage export the room\'s changes', async () => {
+      await server.handleMessage(clientFor(owner).id, { type: 'invite', roomId: room.id, user: 'carol' });
+      await server.handleMessage(clientFor(guest).id, { type: 'export_room_changes', roomId: room.id });
+
+      expect(guest.sent.at(-1).error).toBe(`Permission denied: you need the manage permission in ${room.name}`);
+    });
+
+    it('should remove kicked users from the room', async () => {
+      await server.handleMessage(clientFor(owner).id, { type: 'invite', roomId: room.id, user: 'carol' });
+      await server.handleMessage(clientFor(guest).id, { type: 'join_room', roomId: room.id });
+      await server.handleMessage(clientFor(owner).id, { type: 'kick', roomId: room.id, user: 'carol' });
+
+      expect(guest.sent.at(-1)).toMatchObject({ type: 'room_left', roomId: room.id, kicked: true, by: 'alice' });
+      expect(clientFor(guest).rooms.has(room.id)).toBe(false);
+      expect(room.access.isMember('carol')).toBe(false);
+    });
+
+    it('should not grant room access by a name chosen with set_name', async () => {
+      const impostor = connect(null);
+      const id = clientFor(impostor).id;
+      await server.handleMessage(id, { type: 'set_name', name: 'alice' });
+
+      await server.handleMessage(id, { type: 'list_rooms' });
+      await server.handleMessage(id, { type: 'join_room', roomId: room.id });
+      await server.handleMessage(id, { type: 'set_room_acl', roomId: room.id, visibility: 'public' });
+      await server.handleMessage(id, { type: 'close_room', roomId: room.id });
+
+      expect(impostor.sent[0].rooms).toEqual([]);
+      expect(impostor.sent.slice(-4)).toEqual([
+        expect.objectContaining({ type: 'room_list', rooms: [] }),
+        expect.objectContaining({ type: 'error', command: 'join_room', error: 'Room not found' }),
+        expect.objectContaining({ type: 'error', command: 'set_room_acl', error: `Permission denied: you need the manage permission in ${room.name}` }),
+        expect.objectContaining({ type: 'error', command: 'close_room', error: `Permission denied: you need the close permission in ${room.name}` })
+      ]);
+      expect(room.access.visibility).toBe('private');
+      expect(server.roomManager.getRoom(room.id)).toBe(room);
+    });
+
+    it('should report invalid ACL changes', async () => {
+      await server.handleMessage(clientFor(owner).id, { type: 'set_room_acl', roomId: room.id, visibility: 'secret' });
+
+      expect(owner.sent.at(-1)).toMatchObject({
+        type: 'error',
+        error: 'Invalid set_room_acl message: visibility must be one of "public", "invite-only", "private" (got "secret")'
+      });
+      expect(room.access.visibility).toBe('private');
+    });
+  });
+
+  describe('export_room_changes', () => {
+    let base;
+
+    beforeEach(async () => {
+      base = mkdtempSync(join(tmpdir(), 'bob-export-test-'));
+      const repo = join(base, 'repo');
+      await simpleGit(base).raw(['init', '-q', '-b', 'main', repo]);
+      const git = simpleGit(repo);
+      await git.addConfig('user.email', 'test@example.com');
+      await git.addConfig('user.name', 'Test');
+      writeFileSync(join(repo, 'a.txt'), 'one\n');
+      await git.add('a.txt');
+      await git.commit('initial');
+
+      server = new BobServer({ storage: { type: 'memory' }, git: { worktreeRoot: join(base, 'worktrees') } });
+    });
+
+    afterEach(async () => {
+      await server.roomManager.destroyAll();
+      rmSync(base, { recursive: true, force: true });
+    });
+
+    it('should send the contents back instead of writing where the client says', async () => {
+      const room = await server.roomManager.createRoom({ agentType: 'nope', directory: join(base, 'repo') });
+      writeFileSync(join(room.directory, 'b.txt'), 'two\n');
+      await server.roomManager.commitRoom(room.id, 'Add b');
+      const ws = connect(null);
+
+      const target = join(base, 'written-by-the-server.patch');
+      await server.handleMessage(clientFor(ws).id, { type: 'export_room_changes', roomId: room.id, format: 'patch', path: target });
+
+      expect(ws.sent.at(-1)).toMatchObject({
+        type: 'export_result',
+        format: 'patch',
+        commits: 1,
+        encoding: 'utf8',
+        files: [{ content: expect.stringContaining('+two') }]
+      });
+      expect(existsSync(target)).toBe(false);
+    });
+  });
+});
+
+describe('BobServer listeners', () => {
+  let directory;
+  let server;
+
+  function welcome(url, options = {}) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(url, options);
+      ws.once('message', (data) => {
+        ws.close();
+        resolve(JSON.parse(data.toString()));
+      });
+      ws.once('error', reject);
+    });
+  }
+
+  beforeEach(async () => {
+    directory = mkdtempSync(join(tmpdir(), 'bob-listener-test-'));
+    server = new BobServer({
+      port: 0,
+      storage: { type: 'memory' },
+      socket: { path: join(directory, 'bob.sock'), role: 'operator' },
+      auth: { users: { alice: { tokenHash: hashToken('alice-token'), role: 'viewer' } } }
+    });
+    await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should accept tokens in the Authorization header', async () => {
+    const message = await welcome(`ws://127.0.0.1:${server.port}`, { headers: { Authorization: 'Bearer alice-token' } });
+
+    expect(message).toMatchObject({ type: 'welcome', user: { name: 'alice', role: 'viewer' } });
+  });
+
+  it('should give tokenless socket clients the socket role', async () => {
+    const path = join(directory, 'bob.sock');
+
+    expect(statSync(path).mode & 0o777).toBe(0o600);
+    expect(await welcome(`ws+unix:${path}:/`)).toMatchObject({ type: 'welcome', user: { name: null, role: 'operator' } });
+    expect(await welcome(`ws://127.0.0.1:${server.port}`)).toMatchObject({ user: { role: 'viewer' } });
+  });
+
+  it('should list its addresses and remove the socket on stop', async () => {
+    expect(server.addresses()).toEqual([`ws://127.0.0.1:${server.port}`, `unix:${join(directory, 'bob.sock')}`]);
+
+    await server.stop();
+
+    expect(existsSync(join(directory, 'bob.sock'))).toBe(false);
+  });
+});
+
+describe('BobServer protocol', () => {
+  let server;
+  let ws;
+  let info;
+
+  beforeEach(() => {
+    server = new BobServer({ storage: { type: 'memory' } });
+    ws = new EventEmitter();
+    ws.readyState = 1;
+    ws.sent = [];
+    ws.send = (data) => ws.sent.push(JSON.parse(data));
+    ws.close = vi.fn();
+    server.handleConnection(ws, { url: '/', headers: {}, socket: { remoteAddress: '127.0.0.1' } });
+    info = Array.from(server.clients.values())[0].info;
+  });
+
+  it('should negotiate a protocol version in the hello handshake', async () => {
+    await server.handleMessage(info.id, { type: 'hello', protocolVersions: [1, 2], client: { name: 'test', version: '0.0.1' } });
+
+    expect(ws.sent[0]).toMatchObject({ type: 'welcome', protocolVersion: 1, capabilities: CAPABILITIES });
+    expect(ws.sent[1]).toMatchObject({ type: 'hello', protocolVersion: 1, capabilities: CAPABILITIES });
+    expect(info.client).toEqual({ name: 'test', version: '0.0.1' });
+  });
+
+  it('should refuse clients with no common protocol version', async () => {
+    await server.handleMessage(info.id, { type: 'hello', protocolVersions: [2] });
+
+    expect(ws.sent.at(-1).error).toBe('Unsupported protocol version 2 - this server speaks 1');
+    expect(ws.close).toHaveBeenCalledWith(1002, 'Unsupported protocol version');
+  });
+
+  it('should reply to invalid messages with every problem', async () => {
+    await server.handleMessage(info.id, { type: 'create_room', directory: ['/tmp'], agentOptions: 'fast' });
+
+    expect(ws.sent.at(-1)).toMatchObject({
+      type: 'error',
+      error: 'Invalid create_room message: directory must be a string (got ["/tmp"]); agentOptions must be an object (got "fast")',
+      errors: ['directory must be a string (got ["/tmp"])', 'agentOptions must be an object (got "fast")']
+    });
+    expect(server.roomManager.listRooms()).toEqual([]);
+  });
+
+  it('should refuse Codex rooms in approve mode', async () => {
+    server = new BobServer({ storage: { type: 'memory' }, permissions: { mode: 'approve' } });
+    server.handleConnection(ws, { url: '/', headers: {}, socket: { remoteAddress: '127.0.0.1' } });
+    info = Array.from(server.clients.values())[0].info;
+
+    await expect(server.handleMessage(info.id, { type: 'create_room', agentType: 'openai', directory: tmpdir() }))
+      .rejects.toThrow('Codex cannot relay permission prompts, so it cannot run with permissions.mode "approve"');
+    expect(server.roomManager.listRooms()).toEqual([]);
+  });
+
+  it('should only send messages that match the server schemas', async () => {
+    await server.handleMessage(info.id, { type: 'hello', protocolVersion: 1 });
+    await server.handleMessage(info.id, { type: 'set_name', name: 'tester' });
+    await server.handleMessage(info.id, { type: 'create_room', agentType: 'nope', directory: tmpdir() });
+    const roomId = ws.sent.find(sent => sent.type === 'room_joined').roomId;
+    await server.handleMessage(info.id, { type: 'list_rooms' });
+    await server.handleMessage(info.id, { type: 'room_info', roomId });
+    await server.handleMessage(info.id, { type: 'list_queue', roomId });
+    await server.handleMessage(info.id, { type: 'invite', roomId, user: 'bob' });
+    await server.handleMessage(info.id, { type: 'cancel', roomId });
+    await server.handleMessage(info.id, { type: 'reset', roomId });
+    await server.handleMessage(info.id, { type: 'ping' });
+    await server.handleMessage(info.id, { type: 'nope' });
+
+    for (const sent of ws.sent) {
+      expect(validateServerMessage(sent), sent.type).toEqual([]);
+    }
+    expect(new Set(ws.sent.map(sent => sent.type))).toEqual(new Set([
+      'welcome', 'hello', 'name_set', 'room_joined', 'message', 'status', 'room_list', 'room_info', 'queue',
+      'room_acl', 'cancel_result', 'reset_result', 'pong', 'ack', 'error'
+    ]));
+  });
+
+  it('should refuse fan-outs to fewer than two agents', async () => {
+    await server.handleMessage(info.id, { type: 'fanout', agents: ['claude'], prompt: 'hi', requestId: 1 });
+
+    expect(ws.sent.at(-1)).toMatchObject({
+      type: 'error',
+      command: 'fanout',
+      requestId: 1,
+      error: 'Invalid fanout message: agents must name at least two agents'
+    });
+  });
+
+  it('should list pipelines and report unknown ones', async () => {
+    await server.handleMessage(info.id, { type: 'list_pipelines', directory: tmpdir(), requestId: 1 });
+    await server.handleMessage(info.id, { type: 'run_pipeline', name: 'missing', directory: tmpdir(), requestId: 2 });
+
+    expect(ws.sent.at(-2)).toMatchObject({ type: 'pipelines', requestId: 1, directory: tmpdir(), pipelines: [] });
+    expect(ws.sent.at(-1)).toMatchObject({ type: 'error', command: 'run_pipeline', requestId: 2, error: expect.stringContaining('No pipeline named missing') });
+  });
+
+  it('should add, list and remove a room\'s schedules', async () => {
+    await server.handleMessage(info.id, { type: 'create_room', agentType: 'nope', directory: tmpdir() });
+    const roomId = ws.sent.find(sent => sent.type === 'room_joined').roomId;
+    await server.handleMessage(info.id, { type: 'schedule_add', roomId, prompt: 'triage', every: '1m' });
+    await server.handleMessage(info.id, { type: 'schedule_add', roomId, prompt: 'triage', cron: '0 25 * * *' });
+    const { schedule } = ws.sent.find(sent => sent.type === 'schedule_added');
+    await server.handleMessage(info.id, { type: 'schedule_list', roomId });
+    await server.handleMessage(info.id, { type: 'schedule_remove', roomId, scheduleId: schedule.id });
+    await server.handleMessage(info.id, { type: 'schedule_remove', roomId, scheduleId: schedule.id });
+
+    expect(schedule).toMatchObject({ prompt: 'triage', every: '1m', whenBusy: 'skip', nextRunAt: expect.any(Number) });
+    expect(ws.sent.filter(sent => sent.type.startsWith('schedule') || sent.type === 'error').slice(-5)).toEqual([
+      expect.objectContaining({ type: 'schedule_added' }),
+      expect.objectContaining({ type: 'error', command: 'schedule_add', error: expect.stringContaining('Invalid hour') }),
+      expect.objectContaining({ type: 'schedules', roomId, schedules: [schedule] }),
+      expect.objectContaining({ type: 'schedule_removed', roomId, scheduleId: schedule.id }),
+      expect.objectContaining({ type: 'error', command: 'schedule_remove', error: 'Schedule not found' })
+    ]);
+    for (const sent of ws.sent) {
+      expect(validateServerMessage(sent), sent.type).toEqual([]);
+    }
+  });
+
+  it('should report usage for a room and for the server', async () => {
+    await server.handleMessage(info.id, { type: 'set_name', name: 'alice' });
+    await server.handleMessage(info.id, { type: 'create_room', agentType: 'nope', directory: tmpdir() });
+    const roomId = ws.sent.find(sent => sent.type === 'room_joined').roomId;
+    const room = server.roomManager.getRoom(roomId);
+    const agent = new EventEmitter();
+    agent.stop = vi.fn(async () => {});
+    agent.send = vi.fn(async () => {
+      agent.emit('usage', { inputTokens: 40, outputTokens: 2, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: 0.01 });
+      agent.emit('message', 'hi');
+      return 'hi';
+    });
+    room.setAgent(agent);
+
+    await room.sendToAgent('hello', info.id);
+    await server.handleMessage(info.id, { type: 'get_usage', roomId });
+    await server.handleMessage(info.id, { type: 'get_usage' });
+
+    const [forRoom, forServer] = ws.sent.filter(sent => sent.type === 'usage_summary');
+    expect(ws.sent.find(sent => sent.type === 'usage')).toMatchObject({ roomId, user: 'alice', turnId: expect.any(String) });
+    expect(forRoom.usage.byUser.alice).toMatchObject({ turns: 1, inputTokens: 40, costUsd: 0.01 });
+    expect(forServer.usage).toMatchObject({ total: { turns: 1 }, byAgent: { nope: { turns: 1 } }, byRoom: { [roomId]: { turns: 1 } } });
+    expect(server.getStats().usage.byUser.alice.turns).toBe(1);
+    for (const sent of ws.sent) {
+      expect(validateServerMessage(sent), sent.type).toEqual([]);
+    }
+  });
+
+  it('should echo requestIds and acknowledge commands without a result', async () => {
+    await server.handleMessage(info.id, { type: 'ping', requestId: 1 });
+    await server.handleMessage(info.id, { type: 'create_room', agentType: 'nope', directory: tmpdir(), requestId: 'create' });
+    const roomId = ws.sent.at(-1).roomId;
+    await server.handleMessage(info.id, { type: 'close_room', roomId: 'missing', requestId: 3 });
+    await server.handleMessage(info.id, { type: 'join_room', requestId: 4 });
+
+    expect(ws.sent.find(sent => sent.type === 'pong')).toMatchObject({ requestId: 1 });
+    expect(ws.sent.find(sent => sent.type === 'ack')).toEqual({
+      type: 'ack', command: 'create_room', requestId: 'create', roomId, timestamp: expect.any(Number)
+    });
+    expect(ws.sent.at(-2)).toMatchObject({ type: 'error', command: 'close_room', requestId: 3, error: 'Room not found' });
+    expect(ws.sent.at(-1)).toMatchObject({ type: 'error', command: 'join_room', requestId: 4, error: 'Invalid join_room message: roomId or roomName is required' });
+  });
+
+  it('should return a turnId for prompts and stamp it on their events', async () => {
+    await server.handleMessage(info.id, { type: 'create_room', agentType: 'nope', directory: tmpdir() });
+    const roomId = ws.sent.at(-1).roomId;
+    const room = server.roomManager.getRoom(roomId);
+    let finish;
+    const agent = new EventEmitter();
+    agent.stop = vi.fn(async () => {});
+    agent.send = vi.fn(() => new Promise(resolve => { finish = resolve; }));
+    room.setAgent(agent);
+
+    await server.handleMessage(info.id, { type: 'send_message', roomId, content: 'first', requestId: 1 });
+    await server.handleMessage(info.id, { type: 'send_message', roomId, content: 'second', requestId: 2 });
+    const [first, second] = ws.sent.filter(sent => sent.type === 'ack' && sent.command === 'send_message');
+
+    expect(first).toMatchObject({ requestId: 1, roomId, turnId: expect.any(String), queued: false });
+    expect(second).toMatchObject({ requestId: 2, queued: true });
+    expect(room.getQueue()[0].turnId).toBe(second.turnId);
+
+    const userMessage = ws.sent.find(sent => sent.type === 'message' && sent.message.content === 'first');
+    expect(userMessage.turnId).toBe(first.turnId);
+    await vi.waitFor(() => expect(agent.send).toHaveBeenCalledTimes(1));
+    finish('done');
+    await vi.waitFor(() => expect(agent.send).toHaveBeenCalledTimes(2));
+    expect(ws.sent.find(sent => sent.type === 'message' && sent.message.content === 'second').turnId).toBe(second.turnId);
+    finish('done');
+  });
+});
@@ -0,0 +1,149 @@
+import { resolve } from 'path';
+
+/**
+ * Tool permission policy for a room
+ *
+ * Rules use the same shape as Claude Code permission rules:
+ *   "Read"               - any use of the Read tool
+ *   "Bash(git status)"   - Bash with exactly this command
+ *   "Bash(npm test*)"    - Bash with a command starting with "npm test"
+ *   "*"                  - any tool
+ *
+ * Deny rules win over allow rules. Anything not matched is asked
+ * of the room's clients. Chained shell commands ("npm test && curl ... | sh")
+ * are split first: they are denied if any part matches a deny rule and
+ * only allowed if every part matches an allow rule.
+ *
+ * Modes:
+ *   "auto"    - agents skip permission prompts entirely (the default)
+ *   "approve" - prompts are relayed to clients unless a rule decides them
+ */
+// &&, ||, ;, &, |, newlines, backticks, $( and subshell parentheses
+const COMMAND_SEPARATORS = /\$\(|&&|\|\||[;&|\r\n`()]/;
+
+export class PermissionPolicy {
+  constructor(options = {}) {
+    this.mode = options.mode || 'auto';
+    this.allow = [...(options.allow || [])];
+    this.deny = [...(options.deny || [])];
+  }
+
+  /**
+   * Split a rule into its tool name and optional argument pattern
+   */
+  static parseRule(rule) {
+    const match = String(rule).trim().match(/^([^()]+?)(?:\((.*)\))?$/);
+    if (!match) return null;
+    return { tool: match[1].trim(), pattern: match[2] ?? null };
+  }
+
+  /**
+   * Get the argument a rule pattern is matched against
+   * (the command for shell tools, the path for file tools, ...)
+   */
+  static getSubject(input = {}) {
+    return input.command ?? input.file_path ?? input.path ?? input.url ?? input.pattern ?? null;
+  }
+
+  /**
+   * Split a shell command into the commands it chains
+   * @returns {object[]} - One input per command; other inputs are returned as is
+   */
+  static splitInput(input = {}) {
+    if (typeof input?.command !== 'string') return [input];
+
+    const commands = input.command.split(COMMAND_SEPARATORS).map(part => part.trim()).filter(Boolean);
+    return commands.length > 0 ? commands.map(command => ({ ...input, command })) : [input];
+  }
+
+  /**
+   * Check whether a single rule matches a tool call
+   */
+  static matches(rule, tool, input) {
+    const parsed = PermissionPolicy.parseRule(rule);
+    if (!parsed) return false;
+
+    if (parsed.tool !== '*' && parsed.tool.toLowerCase() !== String(tool).toLowerCase()) {
+      return false;
+    }
+    if (parsed.pattern === null) {
+      return true;
+    }
+
+    const subject = PermissionPolicy.getSubject(input);
+    if (typeof subject !== 'string') return false;
+
+    if (parsed.pattern.endsWith('*')) {
+      return subject.startsWith(parsed.pattern.slice(0, -1));
+    }
+    return subject === parsed.pattern;
+  }
+
+  /**
+   * Decide what to do with a tool call
+   * @returns {'allow'|'deny'|'ask'}
+   */
+  evaluate(tool, input) {
+    const parts = PermissionPolicy.splitInput(input);
+
+    if (parts.some(part => this.deny.some(rule => PermissionPolicy.matches(rule, tool, part)))) {
+      return 'deny';
+    }
+    if (parts.every(part => this.allow.some(rule => PermissionPolicy.matches(rule, tool, part)))) {
+      return 'allow';
+    }
+    return 'ask';
+  }
+
+  /**
+   * Always allow a tool from now on
+   */
+  allowTool(tool) {
+    if (!this.allow.includes(tool)) {
+      this.allow.push(tool);
+    }
+  }
+
+  /**
+   * Always deny a tool from now on
+   */
+  denyTool(tool) {
+    if (!this.deny.includes(tool)) {
+      this.deny.push(tool);
+    }
+  }
+
+  toJSON() {
+    return {
+      mode: this.mode,
+      allow: this.allow,
+      deny: this.deny
+    };
+  }
+}
+
+/**
+ * Build the policy for a room from the `permissions` config section
+ * Per-directory entries extend the global allow/deny lists:
+ *
+ *   "permissions": {
+ *     "mode": "approve",
+ *     "allow": ["Read", "Grep", "Glob"],
+ *     "directories": { "/work/payments": { "deny": ["Bash(git push*)"] } }
+ *   }
+ *
+ * @param {object} config - The permissions config section
+ * @param {string} directory - The repository the room works on
+ * @returns {PermissionPolicy}
+ */
+export function resolvePolicy(config = {}, directory = null) {
+  // Compare absolute paths, so "/work/payments/" or a relative path still match
+  const target = directory ? resolve(directory) : null;
+  const key = target && Object.keys(config.directories || {}).find(candidate => resolve(candidate) === target);
+  const override = (key && config.directories[key]) || {};
+  return new PermissionPolicy({
+    mode: override.mode || config.mode,
+    allow: [...(config.allow || []), ...(override.allow || [])],
+    deny: [...(config.deny || []), ...(override.deny || [])]
+  });
+}
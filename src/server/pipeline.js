@@ -0,0 +1,325 @@
+import { EventEmitter } from 'events';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join, extname, basename } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import YAML from 'yaml';
+import { validate } from '../config/schema.js';
+
+/**
+ * Agent-to-agent pipelines
+ *
+ * A pipeline chains rooms: each stage runs one agent in the worktree of the
+ * first stage, with a prompt built from what came before. Pipelines live in
+ * the repository as .bob/pipelines/<name>.yaml (or .yml / .json):
+ *
+ *   description: Plan, implement and review
+ *   stages:
+ *     - name: plan
+ *       agent: claude
+ *       prompt: "Write a step-by-step plan for: {input}. Do not change any files."
+ *     - name: implement
+ *       agent: codex
+ *       prompt: "Implement this plan:\n\n{previous}"
+ *     - name: review
+ *       agent: gemini
+ *       prompt: "Review this diff against the plan:\n\n{stages.plan}\n\n{diff}"
+ *
+ * Prompt placeholders (see PROMPT_PLACEHOLDERS) are filled in when the stage
+ * starts; anything else in braces is left alone.
+ */
+
+export const PIPELINE_DIRECTORY = join('.bob', 'pipelines');
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+export const PROMPT_PLACEHOLDERS = {
+  input: 'Text given when the pipeline was started',
+  previous: 'Final message of the previous stage',
+  'stages.<name>': 'Final message of an earlier stage',
+  diff: 'Diff of everything changed in the worktree since the pipeline started'
+};
+
+/**
+ * A pipeline that cannot be found or does not match the schema
+ */
+export class PipelineError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}\n${errors.map(error => `  - ${error}`).join('\n')}` : message);
+    this.name = 'PipelineError';
+    this.errors = errors;
+  }
+}
+
+const stageName = {
+  type: 'string',
+  validate: (value) => (/^[\w-]+$/.test(value) ? null : 'must only contain letters, digits, "-" and "_"')
+};
+
+export const pipelineSchema = {
+  type: 'object',
+  properties: {
+    description: { type: 'string' },
+    stages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: stageName,
+          agent: { type: 'string', minLength: 1 },
+          prompt: { type: 'string', minLength: 1 },
+          agentOptions: { type: 'object', additionalProperties: true }
+        },
+        required: ['name', 'agent', 'prompt']
+      },
+      validate: (stages) => {
+        if (stages.length === 0) return 'must have at least one stage';
+        const names = stages.map(stage => stage.name);
+        const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+        return duplicate ? `has more than one stage named "${duplicate}"` : null;
+      }
+    }
+  },
+  required: ['stages']
+};
+
+function findPipelineFile(directory, name) {
+  for (const extension of EXTENSIONS) {
+    const path = join(directory, PIPELINE_DIRECTORY, `${name}${extension}`);
+    if (existsSync(path)) return path;
+  }
+  return null;
+}
+
+/**
+ * Read and check a pipeline definition from a repository
+ * @returns {{name: string, path: string, description: string|null, stages: object[]}}
+ */
+export function loadPipeline(directory, name) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new PipelineError(`Invalid pipeline name: ${name}`);
+  }
+  const path = findPipelineFile(directory, name);
+  if (!path) {
+    throw new PipelineError(`No pipeline named ${name} in ${join(directory, PIPELINE_DIRECTORY)}`);
+  }
+
+  let definition;
+  try {
+    const text = readFileSync(path, 'utf8');
+    definition = extname(path) === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new PipelineError(`Could not read ${path}: ${error.message}`);
+  }
+
+  const { errors } = validate(definition, pipelineSchema);
+  if (errors.length) {
+    throw new PipelineError(`Invalid pipeline ${path}`, errors);
+  }
+  return { name, path, description: definition.description || null, stages: definition.stages };
+}
+
+/**
+ * Pipelines defined in a repository
+ * @returns {Array<{name: string, description: string|null, stages: string[]}|{name: string, error: string}>}
+ */
+export function listPipelines(directory) {
+  const root = join(directory, PIPELINE_DIRECTORY);
+  if (!existsSync(root)) return [];
+
+  const names = new Set(readdirSync(root)
+    .filter(file => EXTENSIONS.includes(extname(file)))
+    .map(file => basename(file, extname(file))));
+  return Array.from(names).sort().map((name) => {
+    try {
+      const pipeline = loadPipeline(directory, name);
+      return { name, description: pipeline.description, stages: pipeline.stages.map(stage => stage.name) };
+    } catch (error) {
+      return { name, error: error.message };
+    }
+  });
+}
+
+/**
+ * Fill in a stage's prompt template
+ * @param {object} values - { input, previous, diff, stages: { name: message } }
+ */
+export function renderPrompt(template, values) {
+  return template.replace(/\{(input|previous|diff|stages\.([\w-]+))\}/g, (match, key, stage) => {
+    const value = stage !== undefined ? values.stages?.[stage] : values[key];
+    return value ?? match;
+  });
+}
+
+/**
+ * Runs a pipeline's stages one after another, each in its own room
+ *
+ * Emits 'stage' with a stage's progress when it starts and when it ends,
+ * and 'complete' with the whole result. A failed stage stops the pipeline.
+ */
+export class PipelineRunner extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {RoomManager} options.roomManager - Creates the stage rooms
+   * @param {object} options.pipeline - From loadPipeline
+   * @param {string} options.directory - Repository the first stage's worktree is made from
+   * @param {string} options.input - Text for the {input} placeholder
+   * @param {string} options.user - Owner of the stage rooms
+   */
+  constructor(options = {}) {
+    super();
+    this.id = options.id || uuidv4();
+    this.roomManager = options.roomManager;
+    this.pipeline = options.pipeline;
+    this.directory = options.directory;
+    this.input = options.input || '';
+    this.user = options.user || null;
+    this.rooms = []; // Stage rooms, in order
+    this.status = 'pending'; // 'running', then 'done' or 'failed'
+    this.startedAt = null;
+    this.completedAt = null;
+
+    this.stages = this.pipeline.stages.map(stage => ({
+      name: stage.name,
+      agentType: stage.agent,
+      status: 'pending', // 'running', then 'done', 'failed' or 'skipped'
+      roomId: null,
+      response: null,
+      error: null,
+      elapsedMs: null,
+      changes: null // { files, additions, deletions } made by this stage
+    }));
+  }
+
+  /**
+   * Run every stage
+   * @param {string} clientId - Client the prompts are sent as
+   * @returns {Promise<object>} - The result (see toJSON)
+   */
+  async run(clientId = null) {
+    this.status = 'running';
+    this.startedAt = Date.now();
+    let baseline = null;
+
+    for (const [index, definition] of this.pipeline.stages.entries()) {
+      const stage = this.stages[index];
+      const startedAt = Date.now();
+      try {
+        const room = await this.createStageRoom(definition, index);
+        stage.roomId = room.id;
+        stage.status = 'running';
+        this.progress(stage);
+
+        if (!room.agent || room.status === 'error') {
+          throw new Error(`Could not start the ${definition.agent} agent`);
+        }
+        if (index === 0 && room.git) {
+          baseline = await room.takeSnapshot();
+        }
+
+        const prompt = renderPrompt(definition.prompt, await this.promptValues(room, baseline));
+        await room.sendToAgent(prompt, clientId, uuidv4());
+
+        stage.response = room.messages.findLast(message => message.role === 'agent' && message.timestamp >= startedAt)?.content ?? null;
+        const changes = room.messages.findLast(message => message.changes && message.timestamp >= startedAt)?.changes;
+        if (changes) {
+          stage.changes = { files: changes.files.length, additions: changes.additions, deletions: changes.deletions };
+        }
+        stage.status = 'done';
+      } catch (error) {
+        stage.status = 'failed';
+        stage.error = error.message;
+      }
+      stage.elapsedMs = Date.now() - startedAt;
+      this.progress(stage);
+
+      if (stage.status === 'failed') {
+        for (const skipped of this.stages.slice(index + 1)) {
+          skipped.status = 'skipped';
+        }
+        break;
+      }
+    }
+
+    this.status = this.stages.every(stage => stage.status === 'done') ? 'done' : 'failed';
+    this.completedAt = Date.now();
+    const result = this.toJSON();
+    this.emit('complete', result);
+    return result;
+  }
+
+  /**
+   * The first stage gets a worktree; later stages work in the same one
+   * Without a worktree the pipeline fails rather than work in the user's checkout.
+   * The stage rooms stay open afterwards, until the first one (which owns the
+   * worktree) is closed - the others are then closed with it.
+   */
+  async createStageRoom(definition, index) {
+    const first = this.rooms[0];
+    if (first && !this.roomManager.getRoom(first.id)) {
+      throw new Error(`The ${this.stages[0].name} stage's room was closed, and its worktree with it`);
+    }
+
+    const room = await this.roomManager.createRoom({
+      name: `${this.pipeline.name}-${definition.name}-${this.id.slice(0, 4)}`,
+      agentType: definition.agent,
+      agentOptions: definition.agentOptions,
+      directory: first ? first.directory : this.directory,
+      useWorktree: !first,
+      requireWorktree: !first,
+      user: this.user,
+      prompt: index === 0 ? this.input || this.pipeline.name : null
+    });
+    this.rooms.push(room);
+    if (!first) {
+      room.once('destroyed', () => this.closeLaterStages().catch(() => {}));
+    }
+    return room;
+  }
+
+  /**
+   * Close the rooms of the stages after the first
+   */
+  async closeLaterStages() {
+    for (const room of this.rooms.slice(1)) {
+      await this.roomManager.destroyRoom(room.id);
+    }
+  }
+
+  async promptValues(room, baseline) {
+    const done = this.stages.filter(stage => stage.status === 'done');
+    let diff = '';
+    if (baseline) {
+      const current = await room.takeSnapshot();
+      diff = current ? await room.git.getDiff(room.directory, { from: baseline, to: current }) || '' : '';
+    }
+    return {
+      input: this.input,
+      previous: done.at(-1)?.response ?? '',
+      diff,
+      stages: Object.fromEntries(done.map(stage => [stage.name, stage.response ?? '']))
+    };
+  }
+
+  progress(stage) {
+    this.emit('stage', {
+      pipelineId: this.id,
+      name: this.pipeline.name,
+      index: this.stages.indexOf(stage),
+      total: this.stages.length,
+      stage: { ...stage }
+    });
+  }
+
+  toJSON() {
+    return {
+      pipelineId: this.id,
+      name: this.pipeline.name,
+      input: this.input,
+      status: this.status,
+      directory: this.rooms[0]?.directory || this.directory,
+      branch: this.rooms[0]?.branch || null,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      stages: this.stages.map(stage => ({ ...stage }))
+    };
+  }
+}
@@ -0,0 +1,216 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { EventEmitter } from 'events';
+import simpleGit from 'simple-git';
+import { RoomManager } from './roomManager.js';
+import { PipelineRunner, PipelineError, loadPipeline, listPipelines, renderPrompt } from './pipeline.js';
+
+function writePipeline(repo, file, text) {
+  mkdirSync(join(repo, '.bob', 'pipelines'), { recursive: true });
+  writeFileSync(join(repo, '.bob', 'pipelines', file), text);
+}
+
+describe('loadPipeline', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), 'bob-pipeline-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('should read YAML and JSON definitions', () => {
+    writePipeline(repo, 'review.yaml', [
+      'description: Plan then review',
+      'stages:',
+      '  - name: plan',
+      '    agent: claude',
+      '    prompt: "Plan: {input}"',
+      '  - name: review',
+      '    agent: codex',
+      '    prompt: "Review {diff}"'
+    ].join('\n'));
+    writePipeline(repo, 'single.json', JSON.stringify({ stages: [{ name: 'only', agent: 'gemini', prompt: '{input}' }] }));
+
+    expect(loadPipeline(repo, 'review')).toMatchObject({
+      name: 'review',
+      description: 'Plan then review',
+      stages: [
+        { name: 'plan', agent: 'claude', prompt: 'Plan: {input}' },
+        { name: 'review', agent: 'codex', prompt: 'Review {diff}' }
+      ]
+    });
+    expect(listPipelines(repo)).toEqual([
+      { name: 'review', description: 'Plan then review', stages: ['plan', 'review'] },
+      { name: 'single', description: null, stages: ['only'] }
+    ]);
+  });
+
+  it('should reject missing and invalid definitions', () => {
+    writePipeline(repo, 'bad.yaml', [
+      'stages:',
+      '  - name: one',
+      '    agent: claude',
+      '  - name: one',
+      '    agent: codex',
+      '    prompt: again'
+    ].join('\n'));
+
+    expect(() => loadPipeline(repo, 'missing')).toThrow(PipelineError);
+    expect(() => loadPipeline(repo, '../escape')).toThrow('Invalid pipeline name');
+    expect(() => loadPipeline(repo, 'bad')).toThrow(/stages\[0\]\.prompt is required\n.*more than one stage named "one"/);
+    expect(listPipelines(repo)).toEqual([{ name: 'bad', error: expect.stringContaining('Invalid pipeline') }]);
+  });
+});
+
+describe('renderPrompt', () => {
+  it('should fill in known placeholders and leave others alone', () => {
+    const prompt = renderPrompt('{input} / {previous} / {stages.plan} / {stages.other} / {json}', {
+      input: 'add tests',
+      previous: 'done',
+      stages: { plan: '1. write tests' }
+    });
+
+    expect(prompt).toBe('add tests / done / 1. write tests / {stages.other} / {json}');
+  });
+});
+
+describe('PipelineRunner', () => {
+  let base;
+  let repo;
+  let roomManager;
+  let prompts;
+
+  beforeEach(async () => {
+    base = mkdtempSync(join(tmpdir(), 'bob-pipeline-test-'));
+    repo = join(base, 'repo');
+    await simpleGit(base).raw(['init', '-q', '-b', 'main', repo]);
+    const git = simpleGit(repo);
+    await git.addConfig('user.email', 'test@example.com');
+    await git.addConfig('user.name', 'Test');
+    writeFileSync(join(repo, 'a.txt'), 'one\n');
+    await git.add('a.txt');
+    await git.commit('initial');
+
+    roomManager = new RoomManager({ git: { worktreeRoot: join(base, 'worktrees') } });
+    prompts = [];
+
+    // "writer" adds a file, "broken" fails and every agent answers with its type
+    roomManager.on('roomCreated', (room) => {
+      const agent = new EventEmitter();
+      agent.stop = vi.fn(async () => {});
+      agent.send = vi.fn(async (content) => {
+        prompts.push(content);
+        if (room.agentType === 'broken') throw new Error('Agent crashed');
+        if (room.agentType === 'writer') writeFileSync(join(room.directory, 'b.txt'), 'two\n');
+        agent.emit('message', `${room.agentType} answer`);
+        return `${room.agentType} answer`;
+      });
+      room.setAgent(agent);
+    });
+  });
+
+  afterEach(async () => {
+    await roomManager.destroyAll();
+    rmSync(base, { recursive: true, force: true });
+  });
+
+  function pipeline(stages) {
+    return { name: 'test', description: null, stages };
+  }
+
+  it('should run stages in one worktree, passing on answers and the diff', async () => {
+    const runner = new PipelineRunner({
+      roomManager,
+      directory: repo,
+      input: 'add b',
+      pipeline: pipeline([
+        { name: 'plan', agent: 'planner', prompt: 'Plan {input}' },
+        { name: 'build', agent: 'writer', prompt: 'Do {previous}' },
+        { name: 'review', agent: 'reviewer', prompt: 'Check {stages.plan} against:\n{diff}' }
+      ])
+    });
+    const onStage = vi.fn();
+    runner.on('stage', onStage);
+
+    const result = await runner.run();
+
+    expect(result.status).toBe('done');
+    expect(result.stages.map(stage => [stage.name, stage.status, stage.response]))
+      .toEqual([['plan', 'done', 'planner answer'], ['build', 'done', 'writer answer'], ['review', 'done', 'reviewer answer']]);
+    expect(prompts[0]).toBe('Plan add b');
+    expect(prompts[1]).toBe('Do planner answer');
+    expect(prompts[2]).toMatch(/^Check planner answer against:\n[\s\S]*\+two/);
+
+    const [first, ...rest] = runner.rooms;
+    expect(result.directory).toBe(first.directory);
+    expect(first.directory).not.toBe(repo);
+    expect(rest.every(room => room.directory === first.directory)).toBe(true);
+    expect(existsSync(join(repo, 'b.txt'))).toBe(false);
+    expect(onStage.mock.calls.map(([progress]) => `${progress.index}:${progress.stage.status}`))
+      .toEqual(['0:running', '0:done', '1:running', '1:done', '2:running', '2:done']);
+  });
+
+  it('should skip the remaining stages after a failure', async () => {
+    const runner = new PipelineRunner({
+      roomManager,
+      directory: repo,
+      pipeline: pipeline([
+        { name: 'one', agent: 'broken', prompt: 'go' },
+        { name: 'two', agent: 'reviewer', prompt: '{previous}' }
+      ])
+    });
+
+    const result = await runner.run();
+
+    expect(result.status).toBe('failed');
+    expect(result.stages).toEqual([
+      expect.objectContaining({ name: 'one', status: 'failed', error: 'Agent crashed' }),
+      expect.objectContaining({ name: 'two', status: 'skipped', roomId: null })
+    ]);
+    expect(prompts).toEqual(['go']);
+  });
+
+  it('should fail rather than run in a directory without a worktree', async () => {
+    const runner = new PipelineRunner({
+      roomManager,
+      directory: base,
+      pipeline: pipeline([
+        { name: 'one', agent: 'writer', prompt: 'go' },
+        { name: 'two', agent: 'reviewer', prompt: '{previous}' }
+      ])
+    });
+
+    const result = await runner.run();
+
+    expect(result.status).toBe('failed');
+    expect(result.stages[0]).toMatchObject({ status: 'failed', error: expect.stringContaining('a worktree is required') });
+    expect(prompts).toEqual([]);
+    expect(roomManager.listRooms()).toEqual([]);
+    expect(existsSync(join(base, 'b.txt'))).toBe(false);
+  });
+
+  it('should keep the stage rooms open until the first one is closed', async () => {
+    const runner = new PipelineRunner({
+      roomManager,
+      directory: repo,
+      pipeline: pipeline([
+        { name: 'plan', agent: 'planner', prompt: 'go' },
+        { name: 'build', agent: 'writer', prompt: '{previous}' }
+      ])
+    });
+    await runner.run();
+    const [first, second] = runner.rooms;
+
+    expect(roomManager.listRooms().map(room => room.id).sort()).toEqual([first.id, second.id].sort());
+
+    await roomManager.destroyRoom(first.id);
+
+    await vi.waitFor(() => expect(roomManager.listRooms()).toEqual([]));
+    expect(existsSync(first.directory)).toBe(false);
+  });
+});
@@ -0,0 +1,397 @@
+import { validate, typeOf } from '../config/schema.js';
+import { VISIBILITIES, ROOM_PERMISSIONS } from './access.js';
+import { WHEN_BUSY } from './scheduler.js';
+import { createRequire } from 'module';
+
+/**
+ * The WebSocket protocol: message schemas, versions and capabilities
+ *
+ * Clients may open with a hello to agree on a protocol version:
+ *
+ *   → { type: 'hello', protocolVersions: [1], client: { name: 'my-tool', version: '0.1.0' } }
+ *   ← { type: 'hello', protocolVersion: 1, serverVersion: '1.0.0', capabilities: [...] }
+ *
+ * Without a hello the server assumes PROTOCOL_VERSION. The welcome message
+ * carries the same information for clients that do not send one.
+ *
+ * Any client message may carry a requestId, which is echoed on its reply.
+ * Commands without a result message of their own are answered with an ack,
+ * and failures with an error naming the command:
+ *
+ *   → { type: 'send_message', roomId: 'r1', content: 'hi', requestId: 7 }
+ *   ← { type: 'ack', command: 'send_message', requestId: 7, roomId: 'r1', turnId: '...', queued: false }
+ *
+ * The stream, activity, status, message, tool_call and usage events of that
+ * prompt then carry its turnId.
+ */
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_VERSIONS = [1];
+// createRequire rather than a JSON import, which needs Node 18.20 / 20.10
+export const SERVER_VERSION = createRequire(import.meta.url)('../../package.json').version;
+
+/**
+ * Features a client can check for before relying on them
+ */
+export const CAPABILITIES = [
+  'rooms',
+  'queue',           // list_queue, remove_queued, reorder_queue
+  'permissions',     // permission_request, approve, deny
+  'tool_calls',      // tool_call events
+  'diffs',           // per-turn changes and get_diff
+  'git',             // commit_room, merge_room, export_room_changes
+  'worktrees',       // list/adopt/prune orphaned worktrees
+  'resume',          // seq numbers and resume after reconnecting
+  'roles',           // per-user tokens and roles
+  'room_acl',        // room ownership, invite, kick, set_room_acl
+  'config_reload',   // config_reloaded events
+  'http_api',        // REST endpoints under /api on the same port
+  'acks',            // requestId echoes, ack replies and turn IDs
+  'history',         // get_history
+  'fanout',          // fanout, fanout_result, fanout_complete
+  'pipelines',       // list_pipelines, run_pipeline and their progress events
+  'schedules',       // schedule_add, schedule_list, schedule_remove and schedule_run events
+  'usage'            // usage events, get_usage and per-turn usage on agent messages
+];
+
+const roomId = { type: 'string', minLength: 1 };
+const text = { type: 'string', minLength: 1 };
+const agentOptions = { type: 'object', additionalProperties: true };
+const permissionList = { type: 'array', items: { enum: ROOM_PERMISSIONS } };
+const requestId = { type: ['string', 'integer'] };
+
+// permissionId names the permission request; older clients sent it as requestId
+const permissionAnswer = {
+  properties: { roomId, permissionId: text, always: { type: 'boolean' } },
+  required: ['roomId'],
+  validate: (message) => message.permissionId || typeof message.requestId === 'string' ? null : 'permissionId is required'
+};
+
+/**
+ * Fields of each client → server message, besides `type` and the optional `requestId`
+ */
+export const CLIENT_MESSAGES = {
+  hello: {
+    properties: {
+      protocolVersions: { type: 'array', items: { type: 'integer', minimum: 1 } },
+      protocolVersion: { type: 'integer', minimum: 1 },
+      client: { type: 'object', properties: { name: { type: 'string' }, version: { type: 'string' } } }
+    }
+  },
+  set_name: { properties: { name: text }, required: ['name'] },
+  list_rooms: {},
+  create_room: {
+    properties: {
+      agentType: text,
+      directory: text,
+      branch: { type: ['string', 'null'] },
+      name: text,
+      agentOptions,
+      visibility: { enum: VISIBILITIES }
+    }
+  },
+  fanout: {
+    properties: {
+      agents: { type: 'array', items: text },
+      prompt: text,
+      directory: text,
+      visibility: { enum: VISIBILITIES }
+    },
+    required: ['agents', 'prompt'],
+    validate: (message) => Array.isArray(message.agents) && message.agents.length < 2 ? 'agents must name at least two agents' : null
+  },
+  list_pipelines: { properties: { directory: text } },
+  run_pipeline: { properties: { name: text, directory: text, input: { type: 'string' } }, required: ['name'] },
+  join_room: {
+    properties: { roomId, roomName: text },
+    validate: (message) => message.roomId || message.roomName ? null : 'roomId or roomName is required'
+  },
+  leave_room: { properties: { roomId }, required: ['roomId'] },
+  room_info: { properties: { roomId }, required: ['roomId'] },
+  close_room: { properties: { roomId, keepWorktree: { type: 'boolean' } }, required: ['roomId'] },
+  send_message: { properties: { roomId, content: text }, required: ['roomId', 'content'] },
+  cancel: { properties: { roomId }, required: ['roomId'] },
+  reset: { properties: { roomId }, required: ['roomId'] },
+  list_queue: { properties: { roomId }, required: ['roomId'] },
+  get_history: { properties: { roomId, limit: { type: 'integer', minimum: 1 } }, required: ['roomId'] },
+  schedule_add: {
+    properties: { roomId, prompt: text, cron: text, every: text, whenBusy: { enum: WHEN_BUSY } },
+    required: ['roomId', 'prompt'],
+    validate: (message) => !message.cron === !message.every ? 'either cron or every is required' : null
+  },
+  schedule_list: { properties: { roomId }, required: ['roomId'] },
+  schedule_remove: { properties: { roomId, scheduleId: text }, required: ['roomId', 'scheduleId'] },
+  get_usage: { properties: { roomId } },
+  remove_queued: {
+    properties: { roomId, itemId: text, all: { type: 'boolean' } },
+    required: ['roomId'],
+    validate: (message) => message.itemId || message.all ? null : 'itemId or all: true is required'
+  },
+  reorder_queue: {
+    properties: { roomId, itemId: text, position: { type: 'integer', minimum: 1 } },
+    required: ['roomId', 'itemId', 'position']
+  },
+  approve: permissionAnswer,
+  deny: permissionAnswer,
+  commit_room: { properties: { roomId, message: text }, required: ['roomId', 'message'] },
+  merge_room: {
+    properties: {
+      roomId,
+      strategy: { enum: ['merge', 'squash', 'rebase'] },
+      targetBranch: text,
+      message: text
+    },
+    required: ['roomId']
+  },
+  export_room_changes: {
+    properties: { roomId, format: { enum: ['series', 'patch', 'bundle'] } },
+    required: ['roomId']
+  },
+  get_diff: { properties: { roomId, turn: { type: 'integer', minimum: 1 } }, required: ['roomId'] },
+  list_worktrees: {},
+  adopt_worktree: { properties: { path: text, agentType: text, name: text, agentOptions }, required: ['path'] },
+  prune_worktrees: { properties: { paths: { type: 'array', items: text }, force: { type: 'boolean' } } },
+  invite: { properties: { roomId, user: text, permissions: permissionList }, required: ['roomId', 'user'] },
+  kick: { properties: { roomId, user: text }, required: ['roomId', 'user'] },
+  set_room_acl: {
+    properties: {
+      roomId,
+      visibility: { enum: VISIBILITIES },
+      owner: { type: ['string', 'null'] },
+      members: { type: 'object', additionalProperties: permissionList }
+    },
+    required: ['roomId']
+  },
+  resume: {
+    properties: { roomId, clientId: text, resumeToken: text, lastSeq: { type: 'integer', minimum: 0 } },
+    required: ['roomId', 'lastSeq']
+  },
+  ping: {}
+};
+
+const status = { enum: ['initializing', 'idle', 'ready', 'busy', 'error', 'stopped'] };
+const room = { type: 'object', required: ['id', 'name', 'agentType', 'status'] };
+const message = { type: 'object', properties: { role: { type: 'string' }, content: { type: 'string' } }, required: ['id', 'role', 'timestamp'] };
+const access = { type: 'object', required: ['owner', 'visibility', 'members'] };
+const pipelineStage = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    agentType: { type: 'string' },
+    status: { enum: ['pending', 'running', 'done', 'failed', 'skipped'] },
+    roomId: { type: ['string', 'null'] },
+    response: { type: ['string', 'null'] },
+    error: { type: ['string', 'null'] },
+    elapsedMs: { type: ['integer', 'null'] },
+    changes: { type: ['object', 'null'], required: ['files', 'additions', 'deletions'] }
+  },
+  required: ['name', 'agentType', 'status']
+};
+const schedule = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    prompt: { type: 'string' },
+    cron: { type: ['string', 'null'] },
+    every: { type: ['string', 'null'] },
+    whenBusy: { enum: WHEN_BUSY },
+    nextRunAt: { type: ['integer', 'null'] },
+    lastRunAt: { type: ['integer', 'null'] },
+    lastStatus: { enum: ['done', 'failed', 'skipped', null] },
+    runCount: { type: 'integer' }
+  },
+  required: ['id', 'prompt', 'whenBusy', 'nextRunAt']
+};
+const usage = {
+  type: 'object',
+  properties: {
+    inputTokens: { type: 'integer' },
+    outputTokens: { type: 'integer' },
+    cacheReadTokens: { type: 'integer' },
+    cacheWriteTokens: { type: 'integer' },
+    costUsd: { type: ['number', 'null'] }
+  },
+  required: ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens', 'costUsd']
+};
+const usageTotals = { type: 'object', required: ['turns', 'inputTokens', 'outputTokens', 'costUsd', 'unpricedTurns'] };
+const fanoutResult = {
+  type: 'object',
+  properties: {
+    roomId,
+    agentType: { type: 'string' },
+    status: { enum: ['pending', 'running', 'done', 'failed'] },
+    response: { type: ['string', 'null'] },
+    elapsedMs: { type: ['integer', 'null'] },
+    changes: { type: ['object', 'null'], required: ['files', 'additions', 'deletions'] }
+  },
+  required: ['roomId', 'agentType', 'status']
+};
+
+/**
+ * Fields of each server → client message, besides `type` and `timestamp`
+ * Room events also carry `seq` (see Room.broadcast)
+ */
+export const SERVER_MESSAGES = {
+  hello: {
+    properties: { protocolVersion: { type: 'integer' }, serverVersion: { type: 'string' }, capabilities: { type: 'array', items: { type: 'string' } } },
+    required: ['protocolVersion', 'serverVersion', 'capabilities']
+  },
+  welcome: {
+    properties: {
+      clientId: { type: 'string' },
+      resumeToken: { type: 'string' },
+      serverVersion: { type: 'string' },
+      protocolVersion: { type: 'integer' },
+      supportedVersions: { type: 'array', items: { type: 'integer' } },
+      capabilities: { type: 'array', items: { type: 'string' } },
+      user: { type: 'object', properties: { name: { type: ['string', 'null'] }, role: { type: 'string' } } },
+      rooms: { type: 'array', items: room }
+    },
+    required: ['clientId', 'serverVersion', 'protocolVersion', 'capabilities', 'user', 'rooms']
+  },
+  resumed: { properties: { clientId: { type: 'string' } }, required: ['clientId'] },
+  name_set: { properties: { name: { type: 'string' }, bound: { type: 'boolean' } }, required: ['name', 'bound'] },
+  room_list: { properties: { rooms: { type: 'array', items: room } }, required: ['rooms'] },
+  room_info: { properties: { room }, required: ['room'] },
+  history: { properties: { roomId, messages: { type: 'array', items: message } }, required: ['roomId', 'messages'] },
+  fanout_started: {
+    properties: { fanoutId: { type: 'string' }, baseCommit: { type: ['string', 'null'] }, results: { type: 'array', items: fanoutResult } },
+    required: ['fanoutId', 'prompt', 'results']
+  },
+  fanout_result: { properties: { fanoutId: { type: 'string' }, result: fanoutResult }, required: ['fanoutId', 'result'] },
+  fanout_complete: {
+    properties: { fanoutId: { type: 'string' }, baseCommit: { type: ['string', 'null'] }, results: { type: 'array', items: fanoutResult } },
+    required: ['fanoutId', 'prompt', 'results', 'completedAt']
+  },
+  pipelines: {
+    properties: { directory: { type: 'string' }, pipelines: { type: 'array', items: { type: 'object', required: ['name'] } } },
+    required: ['directory', 'pipelines']
+  },
+  pipeline_started: { properties: { pipelineId: { type: 'string' }, stages: { type: 'array', items: pipelineStage } }, required: ['pipelineId', 'name', 'status', 'stages'] },
+  pipeline_stage: {
+    properties: { pipelineId: { type: 'string' }, index: { type: 'integer' }, total: { type: 'integer' }, stage: pipelineStage },
+    required: ['pipelineId', 'name', 'index', 'total', 'stage']
+  },
+  pipeline_complete: {
+    properties: { pipelineId: { type: 'string' }, status: { enum: ['done', 'failed'] }, stages: { type: 'array', items: pipelineStage } },
+    required: ['pipelineId', 'name', 'status', 'stages', 'completedAt']
+  },
+  room_joined: {
+    properties: { roomId, roomName: { type: 'string' }, status, history: { type: 'array', items: message }, access },
+    required: ['roomId', 'roomName', 'agentType', 'history', 'seq']
+  },
+  room_resumed: { properties: { roomId, events: { type: 'array', items: { type: 'object' } } }, required: ['roomId', 'fromSeq', 'seq', 'events'] },
+  room_left: { properties: { roomId, kicked: { type: 'boolean' } }, required: ['roomId'] },
+  room_closed: { properties: { roomId }, required: ['roomId'] },
+  room_renamed: { properties: { roomId, oldName: { type: 'string' }, newName: { type: 'string' } }, required: ['roomId', 'newName'] },
+  room_acl: { properties: { roomId, access }, required: ['roomId', 'access'] },
+  invited: { properties: { roomId, roomName: { type: 'string' }, permissions: permissionList }, required: ['roomId', 'roomName', 'permissions'] },
+  message: { properties: { roomId, message }, required: ['roomId', 'message'] },
+  stream: { properties: { roomId, chunk: { type: 'string' } }, required: ['roomId', 'chunk'] },
+  status: { properties: { roomId, status, turnComplete: { type: 'boolean' }, error: { type: 'string' } }, required: ['roomId', 'status'] },
+  activity: { properties: { roomId }, required: ['roomId', 'activity'] },
+  tool_call: { properties: { roomId, toolCall: { type: 'object', required: ['id', 'tool', 'status'] } }, required: ['roomId', 'toolCall'] },
+  queue: { properties: { roomId, queue: { type: 'array' } }, required: ['roomId', 'queue'] },
+  queue_updated: { properties: { roomId, queue: { type: 'array' } }, required: ['roomId', 'queue'] },
+  schedules: { properties: { roomId, schedules: { type: 'array', items: schedule } }, required: ['roomId', 'schedules'] },
+  schedule_added: { properties: { roomId, schedule }, required: ['roomId', 'schedule'] },
+  schedule_removed: { properties: { roomId, scheduleId: { type: 'string' } }, required: ['roomId', 'scheduleId'] },
+  schedule_run: {
+    properties: {
+      roomId,
+      scheduleId: { type: 'string' },
+      prompt: { type: 'string' },
+      status: { enum: ['started', 'queued', 'done', 'failed', 'skipped'] },
+      turnId: { type: 'string' },
+      error: { type: ['string', 'null'] }
+    },
+    required: ['roomId', 'scheduleId', 'status']
+  },
+  usage: { properties: { roomId, user: { type: 'string' }, usage, total: usageTotals }, required: ['roomId', 'user', 'usage', 'total'] },
+  usage_summary: {
+    properties: {
+      roomId,
+      usage: {
+        type: 'object',
+        properties: { total: usageTotals, byUser: { type: 'object', additionalProperties: usageTotals } },
+        required: ['total', 'byUser']
+      }
+    },
+    required: ['usage']
+  },
+  permission_request: { properties: { roomId, request: { type: 'object', required: ['id', 'tool'] } }, required: ['roomId', 'request'] },
+  permission_resolved: { properties: { roomId, permissionId: { type: 'string' }, decision: { type: 'string' } }, required: ['roomId', 'permissionId', 'decision'] },
+  cancel_result: { properties: { roomId, cancelled: { type: 'boolean' } }, required: ['roomId', 'cancelled'] },
+  reset_result: { properties: { roomId, status }, required: ['roomId', 'status'] },
+  commit_result: { properties: { roomId, commit: { type: ['string', 'null'] } }, required: ['roomId', 'branch'] },
+  merge_result: { properties: { roomId, success: { type: 'boolean' }, conflicts: { type: 'array' } }, required: ['roomId', 'success'] },
+  export_result: { properties: { roomId, format: { type: 'string' } }, required: ['roomId', 'format'] },
+  diff: { properties: { roomId, turn: { type: 'integer' }, diff: { type: 'string' } }, required: ['roomId', 'turn', 'changes', 'diff'] },
+  worktrees: { properties: { orphans: { type: 'array' } }, required: ['orphans'] },
+  worktrees_pruned: { properties: { results: { type: 'array' } }, required: ['results'] },
+  config_reloaded: { properties: { applied: { type: 'array' }, restartRequired: { type: 'array' } }, required: ['changed', 'applied', 'restartRequired'] },
+  pong: {},
+  ack: { properties: { command: { type: 'string' }, requestId, roomId, turnId: { type: 'string' }, queued: { type: 'boolean' } }, required: ['command'] },
+  error: {
+    properties: {
+      error: { type: 'string' },
+      errors: { type: 'array', items: { type: 'string' } },
+      command: { type: 'string' },
+      requestId,
+      turnId: { type: 'string' }
+    },
+    required: ['error']
+  }
+};
+
+/**
+ * Check a message against a set of schemas
+ * @returns {string[]} - Problems found, empty if the message is valid
+ */
+function checkMessage(message, schemas) {
+  if (typeOf(message) !== 'object') {
+    return ['a message must be a JSON object'];
+  }
+  if (typeof message.type !== 'string') {
+    return ['type is required'];
+  }
+  const messageSchema = schemas[message.type];
+  if (!messageSchema) {
+    return [`Unknown message type: ${message.type}`];
+  }
+  // Unknown fields are ignored, so newer clients can talk to older servers
+  return validate(message, {
+    type: 'object',
+    ...messageSchema,
+    properties: { requestId, ...messageSchema.properties }
+  }).errors;
+}
+
+/**
+ * Check a message from a client
+ * @returns {string[]} - Problems found, empty if the message is valid
+ */
+export function validateClientMessage(message) {
+  return checkMessage(message, CLIENT_MESSAGES);
+}
+
+/**
+ * Check a message from the server (for tests and client libraries)
+ * @returns {string[]} - Problems found, empty if the message is valid
+ */
+export function validateServerMessage(message) {
+  const errors = checkMessage(message, SERVER_MESSAGES);
+  if (errors.length === 0 && !Number.isInteger(message.timestamp)) {
+    errors.push('timestamp is required');
+  }
+  return errors;
+}
+
+/**
+ * Pick the protocol version to speak with a client
+ * @param {number[]} offered - Versions the client supports
+ * @returns {number|null} - The newest version both sides support, or null if there is none
+ */
+export function negotiateVersion(offered) {
+  const common = offered.filter(version => SUPPORTED_VERSIONS.includes(version));
+  return common.length ? Math.max(...common) : null;
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { validateClientMessage, validateServerMessage, negotiateVersion, CLIENT_MESSAGES } from './protocol.js';
+import { MESSAGE_PERMISSIONS } from './access.js';
+
+describe('validateClientMessage', () => {
+  it('should accept well-formed messages and ignore unknown fields', () => {
+    expect(validateClientMessage({ type: 'create_room', agentType: 'claude', directory: '/tmp', branch: null })).toEqual([]);
+    expect(validateClientMessage({ type: 'send_message', roomId: 'r1', content: 'hi', requestId: 'x' })).toEqual([]);
+    expect(validateClientMessage({ type: 'ping' })).toEqual([]);
+  });
+
+  it('should name each field that is wrong', () => {
+    expect(validateClientMessage({ type: 'create_room', directory: 42, visibility: 'secret' })).toEqual([
+      'directory must be a string (got 42)',
+      'visibility must be one of "public", "invite-only", "private" (got "secret")'
+    ]);
+    expect(validateClientMessage({ type: 'send_message', roomId: 'r1', content: '' })).toEqual(['content must not be empty']);
+    expect(validateClientMessage({ type: 'invite', roomId: 'r1', user: 'bob', permissions: ['send', 'own'] }))
+      .toEqual(['permissions[1] must be one of "send", "cancel", "close", "manage" (got "own")']);
+  });
+
+  it('should check fields that depend on each other', () => {
+    expect(validateClientMessage({ type: 'join_room' })).toEqual(['roomId or roomName is required']);
+    expect(validateClientMessage({ type: 'remove_queued', roomId: 'r1' })).toEqual(['itemId or all: true is required']);
+  });
+
+  it('should accept a requestId on any message', () => {
+    expect(validateClientMessage({ type: 'list_rooms', requestId: 12 })).toEqual([]);
+    expect(validateClientMessage({ type: 'ping', requestId: { id: 1 } })).toEqual(['requestId must be a string or an integer (got {"id":1})']);
+  });
+
+  it('should take the permission request from permissionId, or requestId from older clients', () => {
+    expect(validateClientMessage({ type: 'approve', roomId: 'r1', permissionId: 'p1', requestId: 3 })).toEqual([]);
+    expect(validateClientMessage({ type: 'deny', roomId: 'r1', requestId: 'p1' })).toEqual([]);
+    expect(validateClientMessage({ type: 'approve', roomId: 'r1', requestId: 3 })).toEqual(['permissionId is required']);
+  });
+
+  it('should reject anything that is not a known message', () => {
+    expect(validateClientMessage([1, 2])).toEqual(['a message must be a JSON object']);
+    expect(validateClientMessage({ roomId: 'r1' })).toEqual(['type is required']);
+    expect(validateClientMessage({ type: 'launch_missiles' })).toEqual(['Unknown message type: launch_missiles']);
+  });
+
+  it('should have a schema for every message with a room permission', () => {
+    for (const type of Object.keys(MESSAGE_PERMISSIONS)) {
+      expect(CLIENT_MESSAGES, type).toHaveProperty(type);
+    }
+  });
+});
+
+describe('validateServerMessage', () => {
+  it('should require a timestamp', () => {
+    expect(validateServerMessage({ type: 'pong', timestamp: Date.now() })).toEqual([]);
+    expect(validateServerMessage({ type: 'pong' })).toEqual(['timestamp is required']);
+  });
+});
+
+describe('negotiateVersion', () => {
+  it('should pick the newest version both sides support', () => {
+    expect(negotiateVersion([1])).toBe(1);
+    expect(negotiateVersion([1, 7])).toBe(1);
+    expect(negotiateVersion([2, 3])).toBeNull();
+  });
+});
@@ -1,7 +1,13 @@
 import { v4 as uuidv4 } from 'uuid';
 import { EventEmitter } from 'events';
+import { PermissionPolicy } from './permissions.js';
+import { RoomAccess } from './access.js';
+import { emptyUsage, normalizeUsage, addTurn } from './usage.js';
 
 export class Room extends EventEmitter {
+  static DEFAULT_TIMEOUT = 600000; // 10 min per agent request
+  static TURN_EVENTS = ['stream', 'activity', 'status', 'message', 'tool_call', 'usage']; // Stamped with the running turn's ID
+
   constructor(options = {}) {
     super();
     this.id = options.id || uuidv4();
@@ -13,14 +19,45 @@ export class Room extends EventEmitter {
     this.clients = new Map(); // WebSocket clients
     this.messages = []; // Message history
     this.status = 'initializing';
-    this.createdAt = new Date();
+    this.createdAt = options.createdAt ? new Date(options.createdAt) : new Date();
     this.metadata = options.metadata || {};
+    this.agentOptions = options.agentOptions || {}; // Options the agent was created with (for restore)
+    this.git = options.git || null; // GitManager used to track file changes per turn
 
     // Request tracking for cancellation
     this.currentRequest = null;
-    this.requestTimeout = options.timeout || 600000; // 10 min default
+    this.activeTurnId = null; // The prompt whose events are being broadcast
+    this.requestTimeout = options.timeout || Room.DEFAULT_TIMEOUT;
     this.maxMessages = options.maxMessages || 1000; // Limit message history to prevent unbounded growth
-    this.customName = !!options.name; // Track if room has a user-assigned custom name
+    this.customName = options.customName ?? !!options.name; // Track if room has a user-assigned custom name
+
+    // Event sequencing for resumable client streams
+    this.seq = options.seq || 0; // Sequence number of the last broadcast event
+    this.eventLog = []; // Recent broadcast events, replayed to resuming clients
+    this.maxEventLog = options.maxEventLog || 2000;
+
+    // Prompts waiting for the agent to finish its current request
+    this.queue = [];
+
+    // Recurring prompts, run by the server's Scheduler
+    this.schedules = options.schedules || [];
+
+    // Tokens and cost reported by the agent, in total and per user (see usage.js)
+    this.usage = {
+      total: { ...emptyUsage(), ...options.usage?.total },
+      byUser: { ...options.usage?.byUser }
+    };
+
+    // Tool permission handling (only used when the agent relays prompts)
+    this.permissionPolicy = options.permissionPolicy instanceof PermissionPolicy
+      ? options.permissionPolicy
+      : new PermissionPolicy(options.permissionPolicy);
+    this.pendingPermissions = new Map(); // Request ID -> request awaiting a client decision
+
+    // Owner, visibility and members
+    this.access = options.access instanceof RoomAccess
+      ? options.access
+      : new RoomAccess(options.access);
   }
 
   setAgent(agent) {
@@ -29,7 +66,12 @@ export class Room extends EventEmitter {
 
     // Forward agent events
     agent.on('message', (msg) => {
-      this.addMessage('agent', msg);
+      // Hold replies until the turn's file changes are known (see completeTurn)
+      if (this.currentRequest) {
+        this.currentRequest.replies.push(msg);
+      } else {
+        this.addMessage('agent', msg);
+      }
     });
 
     agent.on('stream', (chunk) => {
@@ -63,13 +105,90 @@ export class Room extends EventEmitter {
         timestamp: Date.now()
       });
     });
+
+    agent.on('permission_request', (request) => {
+      this.handlePermissionRequest(request);
+    });
+
+    agent.on('tool_call', (toolCall) => {
+      this.handleToolCall(toolCall);
+    });
+
+    agent.on('usage', (usage) => {
+      this.recordUsage(usage);
+    });
+
+    // Kept so the session can be resumed after a restart
+    agent.on('session', (sessionId) => {
+      this.metadata.sessionId = sessionId;
+      this.emit('sessionChanged', sessionId);
+    });
+  }
+
+  /**
+   * Count a turn's tokens and cost, crediting whoever sent the prompt
+   */
+  recordUsage(reported) {
+    const usage = normalizeUsage(reported);
+    if (!usage) return;
+
+    const user = this.currentRequest?.user || 'server';
+    addTurn(this.usage.total, usage);
+    addTurn(this.usage.byUser[user] ??= emptyUsage(), usage);
+    if (this.currentRequest) {
+      this.currentRequest.usage = usage; // Kept with the turn's last reply (see completeTurn)
+    }
+
+    this.broadcast({
+      type: 'usage',
+      roomId: this.id,
+      user,
+      usage,
+      total: { ...this.usage.total },
+      timestamp: Date.now()
+    });
+    this.emit('usage', { user, usage });
+  }
+
+  /**
+   * Broadcast a tool call update; finished calls are kept in history
+   */
+  handleToolCall(toolCall) {
+    this.broadcast({
+      type: 'tool_call',
+      roomId: this.id,
+      toolCall,
+      timestamp: Date.now()
+    });
+    this.emit('toolCall', toolCall);
+
+    if (toolCall.status !== 'running') {
+      this.addMessage('tool', Room.describeToolCall(toolCall), { toolCall });
+    }
+  }
+
+  /**
+   * One-line summary of a tool call (e.g. "Bash npm test")
+   */
+  static describeToolCall(toolCall) {
+    const subject = PermissionPolicy.getSubject(toolCall.input);
+    return subject ? `${toolCall.tool} ${subject}` : toolCall.tool;
   }
 
   addClient(ws, clientInfo = {}) {
     const clientId = clientInfo.id || uuidv4();
     this.clients.set(clientId, { ws, info: clientInfo, joinedAt: new Date() });
 
-    // Send room history to new client
+    this.sendJoined(ws);
+    this.addMessage('system', `Client ${clientInfo.name || clientId.slice(0, 8)} joined`);
+
+    return clientId;
+  }
+
+  /**
+   * Send the room snapshot and recent history to a client
+   */
+  sendJoined(ws) {
     ws.send(JSON.stringify({
       type: 'room_joined',
       roomId: this.id,
@@ -79,12 +198,136 @@ export class Room extends EventEmitter {
       branch: this.branch,
       status: this.status,
       history: this.messages.slice(-100), // Last 100 messages
+      pendingPermissions: Array.from(this.pendingPermissions.values()),
+      access: this.access.toJSON(),
+      seq: this.seq, // Resume point for this snapshot
       timestamp: Date.now()
     }));
+  }
 
-    this.addMessage('system', `Client ${clientInfo.name || clientId.slice(0, 8)} joined`);
+  /**
+   * Re-attach a reconnecting client and replay the events it missed
+   * Falls back to a full room_joined snapshot if the missed events
+   * are no longer in the event log
+   * @param {WebSocket} ws - The client's new socket
+   * @param {object} clientInfo - Client info (id, name)
+   * @param {number} lastSeq - Last sequence number the client saw
+   * @returns {boolean} - True if events were replayed, false if a snapshot was sent
+   */
+  resumeClient(ws, clientInfo, lastSeq) {
+    const clientId = clientInfo.id || uuidv4();
+    this.clients.set(clientId, { ws, info: clientInfo, joinedAt: new Date() });
 
-    return clientId;
+    const missed = this.getEventsSince(lastSeq);
+    if (missed) {
+      ws.send(JSON.stringify({
+        type: 'room_resumed',
+        roomId: this.id,
+        roomName: this.name,
+        status: this.status,
+        fromSeq: lastSeq,
+        seq: this.seq,
+        events: missed,
+        timestamp: Date.now()
+      }));
+    } else {
+      this.sendJoined(ws);
+    }
+
+    this.addMessage('system', `Client ${clientInfo.name || clientId.slice(0, 8)} reconnected`);
+    return !!missed;
+  }
+
+  /**
+   * Get broadcast events after a sequence number
+   * @returns {object[]|null} - The events, or null if some have been dropped
+   *   from the log (or the sequence is from a previous server run)
+   */
+  getEventsSince(lastSeq) {
+    if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > this.seq) {
+      return null;
+    }
+
+    const oldest = this.eventLog.length > 0 ? this.eventLog[0].seq : this.seq + 1;
+    if (lastSeq + 1 < oldest) {
+      return null;
+    }
+
+    return this.eventLog.filter(event => event.seq > lastSeq);
+  }
+
+  /**
+   * Add a member, or change a member's permissions
+   * @param {string} name - The user to invite
+   * @param {string[]} permissions - Room permissions (see RoomAccess)
+   * @param {string} by - Who did it, for the room history
+   */
+  invite(name, permissions, by = null) {
+    this.access.invite(name, permissions);
+    this.onAccessChanged(`${by || 'The server'} invited ${name} (${this.access.members.get(name).join(', ') || 'view only'})`);
+  }
+
+  /**
+   * Remove a member and disconnect them from the room
+   * @returns {boolean} - False if they were neither a member nor connected
+   */
+  kick(name, by = null) {
+    const wasMember = this.access.kick(name);
+    const removed = this.removeClientsWhere(info => !!info.user && info.user === name, by);
+    if (!wasMember && removed === 0) {
+      return false;
+    }
+    this.onAccessChanged(`${by || 'The server'} removed ${name} from the room`);
+    return true;
+  }
+
+  /**
+   * Change visibility, owner and/or members
+   * Connected clients who lose access are removed from the room.
+   * @param {object} changes - { visibility, owner, members }
+   * @param {string} by - Name shown in the notice
+   * @param {object} identity - Who asks, checked by RoomAccess.update; null for the server itself
+   */
+  updateAccess(changes, by = null, identity = null) {
+    this.access.update(changes, identity);
+    this.removeClientsWhere(info => !this.access.canJoin({ name: info.user || null, role: info.role }), by);
+    this.onAccessChanged(`${by || 'The server'} changed access: ${this.access.visibility}, owner ${this.access.owner || 'none'}, ` +
+      `${this.access.members.size} member(s)`);
+  }
+
+  /**
+   * Remove connected clients matching a predicate on their info
+   * @returns {number} - How many were removed
+   */
+  removeClientsWhere(predicate, by = null) {
+    let removed = 0;
+    for (const [clientId, client] of Array.from(this.clients)) {
+      if (!predicate(client.info)) continue;
+      if (client.ws.readyState === 1) {
+        client.ws.send(JSON.stringify({
+          type: 'room_left',
+          roomId: this.id,
+          kicked: true,
+          by,
+          timestamp: Date.now()
+        }));
+      }
+      client.info.rooms?.delete(this.id);
+      this.removeClient(clientId);
+      removed++;
+    }
+    return removed;
+  }
+
+  onAccessChanged(description) {
+    this.addMessage('system', description);
+    this.broadcast({
+      type: 'room_acl',
+      roomId: this.id,
+      access: this.access.toJSON(),
+      timestamp: Date.now()
+    });
+    this.emit('accessChanged', this.access);
   }
 
   removeClient(clientId) {
@@ -114,22 +357,62 @@ export class Room extends EventEmitter {
     this.broadcast({
       type: 'message',
       roomId: this.id,
-      message
+      message,
+      timestamp: message.timestamp
     });
 
     this.emit('message', message);
     return message;
   }
 
-  async sendToAgent(content, clientId) {
+  /**
+   * Show a system message to the connected clients without keeping it in the history
+   */
+  notify(content) {
+    const timestamp = Date.now();
+    this.broadcast({
+      type: 'message',
+      roomId: this.id,
+      message: { id: uuidv4(), role: 'system', content, timestamp },
+      timestamp
+    });
+  }
+
+  /**
+   * Send a prompt to the agent
+   * If the agent is busy the prompt is queued and the returned promise
+   * settles once it has run (or rejects if it is removed from the queue)
+   * @param {string} turnId - Stamped on the events of this prompt (see TURN_EVENTS)
+   * @param {object} metadata - Extra fields for the prompt's history entry, e.g. { scheduleId }
+   * @param {string} clientName - Who to credit when the sender is not a joined client
+   */
+  async sendToAgent(content, clientId, turnId = uuidv4(), metadata = {}, clientName = null) {
     if (!this.agent) {
       throw new Error('No agent attached to room');
     }
 
-    if (this.status === 'busy') {
-      throw new Error('Agent is busy processing. Use /cancel to abort.');
+    if (this.isBusy() || this.queue.length > 0) {
+      return this.enqueue(content, clientId, turnId, metadata, clientName);
     }
 
+    return this.executePrompt(content, clientId, turnId, metadata, clientName);
+  }
+
+  /**
+   * Check whether a request is in flight
+   */
+  isBusy() {
+    return this.status === 'busy' || !!this.currentRequest;
+  }
+
+  /**
+   * Run a prompt against the agent now
+   */
+  async executePrompt(content, clientId, turnId = uuidv4(), metadata = {}, clientName = null) {
+    this.activeTurnId = turnId;
+    let status = 'ready';
+    let failure = null;
+
     // Auto-name room based on first user message
     this.autoNameFromMessage(content);
 
@@ -141,16 +424,18 @@ export class Room extends EventEmitter {
       timestamp: Date.now()
     });
 
-    this.addMessage('user', content, { clientId });
+    this.addMessage('user', content, { clientId, ...metadata });
 
     // Create cancellable request
     const requestId = uuidv4();
     let timeoutId = null;
     let cancelled = false;
 
-    this.currentRequest = {
+    const request = {
       id: requestId,
       startedAt: Date.now(),
+      user: clientName || this.clients.get(clientId)?.info.name || clientId?.slice(0, 8) || 'server', // Credited with the turn's usage
+      replies: [], // Agent replies held back by the message handler
       cancel: () => {
         cancelled = true;
         if (timeoutId) clearTimeout(timeoutId);
@@ -159,8 +444,18 @@ export class Room extends EventEmitter {
         }
       }
     };
+    this.currentRequest = request;
+    // A reset hands the room to the next prompt while this one is still
+    // unwinding; from then on it must leave the room's state alone
+    const isCurrent = () => this.currentRequest?.id === requestId;
 
     try {
+      // Snapshot the working tree so the turn's file changes can be reported
+      if (this.git) {
+        request.snapshot = await this.takeSnapshot();
+        if (!isCurrent()) throw new Error('Request cancelled');
+      }
+
       // Race between agent response and timeout
       const response = await Promise.race([
         this.agent.send(content),
@@ -184,10 +479,15 @@ export class Room extends EventEmitter {
       ]);
 
       if (timeoutId) clearTimeout(timeoutId);
-      this.status = 'ready';
+      if (isCurrent()) {
+        await this.completeTurn();
+      }
       return response;
     } catch (error) {
       if (timeoutId) clearTimeout(timeoutId);
+      status = cancelled ? 'ready' : 'error';
+      failure = error.message;
+      if (!isCurrent()) throw error;
 
       // Kill the agent process if it's still running
       if (this.agent && this.agent.process) {
@@ -198,18 +498,374 @@ export class Room extends EventEmitter {
         }
       }
 
-      this.status = cancelled ? 'ready' : 'error';
+      await this.completeTurn();
       this.addMessage('system', `Error: ${error.message}`);
       throw error;
     } finally {
-      this.currentRequest = null;
+      // After a reset, resetStatus has already ended this turn
+      if (isCurrent()) {
+        this.finishRequest(turnId, status, failure);
+      }
+    }
+  }
+
+  /**
+   * Clear the current request, end its turn and start the next queued prompt
+   * @param {string|null} turnId - The turn to end (null if none is running)
+   * @param {string} status - The room's status from now on
+   * @param {string|null} failure - Why it failed, if it did
+   */
+  finishRequest(turnId, status, failure = null) {
+    this.status = status;
+    this.currentRequest = null;
+    this.activeTurnId = null;
+    this.expirePermissions();
+    // The turn's last event; says why it failed, if it did. The agent's own
+    // status events come earlier (before its reply is recorded), so only this one ends the turn.
+    this.broadcast({
+      type: 'status',
+      roomId: this.id,
+      status: this.status,
+      ...(turnId && { turnId, turnComplete: true }),
+      ...(failure && { error: failure }),
+      timestamp: Date.now()
+    });
+    this.processQueue();
+  }
+
+  /**
+   * Snapshot the working tree, or null when changes cannot be tracked
+   */
+  async takeSnapshot() {
+    if (!this.git) return null;
+    try {
+      return await this.git.snapshot(this.directory);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Record the agent's replies for the current turn, attaching a summary
+   * of the files it changed and the turn's usage to the last one
+   */
+  async completeTurn() {
+    const request = this.currentRequest;
+    if (!request) return;
+
+    const replies = request.replies.splice(0);
+    const changes = await this.captureChanges(request.snapshot);
+
+    replies.forEach((reply, i) => {
+      const isLast = i === replies.length - 1;
+      this.addMessage('agent', reply, isLast ? {
+        ...(changes && { changes }),
+        ...(request.usage && { usage: request.usage })
+      } : {});
+    });
+
+    // No reply to attach to (e.g. the turn was cancelled) - keep the changes anyway
+    if (changes && replies.length === 0 && changes.files.length > 0) {
+      this.addMessage('system', `Agent changed ${changes.files.length} file(s)`, { changes });
+    }
+  }
+
+  /**
+   * Compare the working tree against a snapshot taken before the turn
+   * @returns {Promise<object|null>} - { turn, from, to, files, additions, deletions }
+   */
+  async captureChanges(before) {
+    if (!this.git || !before) return null;
+    try {
+      const after = await this.git.snapshot(this.directory);
+      const summary = await this.git.diffSnapshots(this.directory, before, after);
+      return { turn: this.getLastTurn() + 1, from: before, to: after, ...summary };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Number of the most recent turn with tracked changes (0 if none)
+   */
+  getLastTurn() {
+    for (let i = this.messages.length - 1; i >= 0; i--) {
+      if (this.messages[i].changes) return this.messages[i].changes.turn;
+    }
+    return 0;
+  }
+
+  /**
+   * Get the change summary for a turn (the latest when turn is omitted)
+   */
+  getTurnChanges(turn) {
+    const target = turn ?? this.getLastTurn();
+    const message = this.messages.find(m => m.changes?.turn === target);
+    return message ? message.changes : null;
+  }
+
+  /**
+   * Get the full diff for a turn
+   * @returns {Promise<{turn: number, changes: object, diff: string}|null>}
+   */
+  async getTurnDiff(turn) {
+    const changes = this.getTurnChanges(turn);
+    if (!changes || !this.git) return null;
+
+    const diff = await this.git.getDiff(this.directory, { from: changes.from, to: changes.to });
+    return { turn: changes.turn, changes, diff };
+  }
+
+  /**
+   * Add a prompt to the queue
+   * @returns {Promise<string>} - Settles when the prompt has run
+   */
+  enqueue(content, clientId, turnId = uuidv4(), metadata = {}, clientName = null) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: uuidv4(),
+        content,
+        clientId,
+        turnId,
+        metadata,
+        clientName: clientName || this.clients.get(clientId)?.info.name || null,
+        queuedAt: Date.now(),
+        resolve,
+        reject
+      });
+      this.broadcastQueue();
+    });
+  }
+
+  /**
+   * Start the next queued prompt if the agent is free
+   */
+  processQueue() {
+    if (this.isBusy() || this.queue.length === 0 || !this.agent) {
+      return false;
+    }
+
+    const item = this.queue.shift();
+    this.broadcastQueue();
+    this.executePrompt(item.content, item.clientId, item.turnId, item.metadata, item.clientName).then(item.resolve, item.reject);
+    return true;
+  }
+
+  /**
+   * Get the queue in a client-safe form
+   */
+  getQueue() {
+    return this.queue.map((item, index) => ({
+      id: item.id,
+      position: index + 1,
+      content: item.content,
+      clientId: item.clientId,
+      turnId: item.turnId,
+      clientName: item.clientName,
+      queuedAt: item.queuedAt
+    }));
+  }
+
+  /**
+   * Remove a queued prompt
+   * @param {string} itemId - The queued item ID
+   * @returns {boolean} - True if the item was removed
+   */
+  removeQueued(itemId) {
+    const index = this.queue.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [item] = this.queue.splice(index, 1);
+    item.reject(new Error('Removed from queue'));
+    this.broadcastQueue();
+    return true;
+  }
+
+  /**
+   * Remove every queued prompt
+   * @returns {number} - How many prompts were removed
+   */
+  clearQueue() {
+    const removed = this.queue.splice(0);
+    for (const item of removed) {
+      item.reject(new Error('Removed from queue'));
+    }
+    if (removed.length > 0) {
+      this.broadcastQueue();
+    }
+    return removed.length;
+  }
+
+  /**
+   * Move a queued prompt to a new position
+   * @param {string} itemId - The queued item ID
+   * @param {number} position - New 1-based position (clamped to the queue)
+   * @returns {boolean} - True if the item was found
+   */
+  reorderQueue(itemId, position) {
+    const index = this.queue.findIndex(item => item.id === itemId);
+    if (index === -1) {
+      return false;
+    }
+
+    const [item] = this.queue.splice(index, 1);
+    const target = Math.max(0, Math.min(this.queue.length, (parseInt(position, 10) || 1) - 1));
+    this.queue.splice(target, 0, item);
+    this.broadcastQueue();
+    return true;
+  }
+
+  broadcastQueue() {
+    const queue = this.getQueue();
+    this.broadcast({
+      type: 'queue_updated',
+      roomId: this.id,
+      queue,
+      timestamp: Date.now()
+    });
+    this.emit('queueUpdated', queue);
+  }
+
+  /**
+   * Add a recurring prompt (see Scheduler)
+   */
+  addSchedule(schedule) {
+    this.schedules.push(schedule);
+    this.emit('schedulesChanged', this.schedules);
+    return schedule;
+  }
+
+  /**
+   * @returns {object|null} - The updated schedule
+   */
+  updateSchedule(scheduleId, changes) {
+    const schedule = this.schedules.find(item => item.id === scheduleId);
+    if (!schedule) {
+      return null;
+    }
+    Object.assign(schedule, changes);
+    this.emit('schedulesChanged', this.schedules);
+    return schedule;
+  }
+
+  /**
+   * @returns {object|null} - The removed schedule
+   */
+  removeSchedule(scheduleId) {
+    const index = this.schedules.findIndex(item => item.id === scheduleId);
+    if (index === -1) {
+      return null;
+    }
+    const [schedule] = this.schedules.splice(index, 1);
+    this.emit('schedulesChanged', this.schedules);
+    return schedule;
+  }
+
+  /**
+   * Handle a tool permission request from the agent
+   * The room's policy decides it if it can; otherwise it is relayed
+   * to clients as a permission_request event
+   */
+  handlePermissionRequest(request) {
+    const verdict = this.permissionPolicy.evaluate(request.tool, request.input);
+
+    if (verdict !== 'ask') {
+      this.agent.respondToPermission(request.id, {
+        allow: verdict === 'allow',
+        message: 'Denied by room policy'
+      });
+      if (verdict === 'deny') {
+        this.addMessage('system', `Denied ${Room.describePermission(request)} (room policy)`);
+      }
+      return;
+    }
+
+    const pending = { ...request, requestedAt: Date.now() };
+    this.pendingPermissions.set(request.id, pending);
+
+    this.broadcast({
+      type: 'permission_request',
+      roomId: this.id,
+      request: pending,
+      timestamp: Date.now()
+    });
+    this.emit('permissionRequest', pending);
+    this.addMessage('system', `Permission requested: ${Room.describePermission(request)}`);
+  }
+
+  /**
+   * Answer a pending permission request
+   * @param {string} requestId - The request ID
+   * @param {boolean} approve - Approve (true) or deny (false)
+   * @param {object} options
+   * @param {boolean} options.always - Apply the decision to this tool from now on
+   * @param {string} options.clientId - The deciding client
+   * @param {string} options.clientName - Name to record (defaults to the client's name)
+   * @returns {boolean} - True if the request was pending
+   */
+  resolvePermission(requestId, approve, options = {}) {
+    const { always = false, clientId = null, clientName = null } = options;
+    const request = this.pendingPermissions.get(requestId);
+    if (!request) {
+      return false;
+    }
+    this.pendingPermissions.delete(requestId);
+
+    if (always) {
+      if (approve) {
+        this.permissionPolicy.allowTool(request.tool);
+      } else {
+        this.permissionPolicy.denyTool(request.tool);
+      }
+      this.emit('policyChanged', this.permissionPolicy);
+    }
+
+    this.agent?.respondToPermission(requestId, { allow: approve });
+
+    const decision = approve ? 'approved' : 'denied';
+    const by = clientName || this.clients.get(clientId)?.info.name || clientId?.slice(0, 8) || 'unknown';
+
+    this.broadcast({
+      type: 'permission_resolved',
+      roomId: this.id,
+      permissionId: requestId,
+      requestId, // For older clients
+      decision,
+      always,
+      by,
+      timestamp: Date.now()
+    });
+    this.emit('permissionResolved', { requestId, decision });
+    this.addMessage('system', `${by} ${decision} ${Room.describePermission(request)}${always ? ' (always)' : ''}`);
+    return true;
+  }
+
+  /**
+   * Drop pending permission requests once the request that raised them is over
+   */
+  expirePermissions() {
+    for (const requestId of this.pendingPermissions.keys()) {
       this.broadcast({
-        type: 'status',
+        type: 'permission_resolved',
         roomId: this.id,
-        status: this.status,
+        permissionId: requestId,
+        requestId,
+        decision: 'expired',
         timestamp: Date.now()
       });
+      this.emit('permissionResolved', { requestId, decision: 'expired' });
     }
+    this.pendingPermissions.clear();
+  }
+
+  /**
+   * Short human-readable form of a permission request, e.g. "Bash (npm test)"
+   */
+  static describePermission(request) {
+    const subject = PermissionPolicy.getSubject(request.input);
+    return subject ? `${request.tool} (${subject})` : request.tool;
   }
 
   /**
@@ -228,30 +884,38 @@ export class Room extends EventEmitter {
    * Force reset the room status (emergency recovery)
    */
   resetStatus() {
-    if (this.agent && this.agent.process) {
-      try {
+    const request = this.currentRequest;
+    try {
+      // Its prompt rejects as cancelled and then leaves the room alone (see executePrompt)
+      request?.cancel();
+      if (this.agent && this.agent.process) {
         this.agent.process.kill('SIGTERM');
-      } catch (e) {
-        // Ignore
       }
+    } catch (e) {
+      // Ignore
     }
 
-    this.currentRequest = null;
-    this.status = 'ready';
-
-    this.broadcast({
-      type: 'status',
-      roomId: this.id,
-      status: 'ready',
-      timestamp: Date.now()
-    });
-
     this.addMessage('system', 'Room status reset to ready');
+    this.finishRequest(this.activeTurnId, 'ready', request && 'Room was reset');
     return true;
   }
 
   broadcast(data) {
-    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    let payload = data;
+    if (typeof data !== 'string') {
+      // Stamp with a per-room sequence number and keep for resuming clients
+      const event = { ...data, seq: ++this.seq };
+      if (this.activeTurnId && event.turnId === undefined && Room.TURN_EVENTS.includes(event.type)) {
+        event.turnId = this.activeTurnId;
+      }
+      this.eventLog.push(event);
+      while (this.eventLog.length > this.maxEventLog) {
+        this.eventLog.shift();
+      }
+      payload = JSON.stringify(event);
+      this.emit('broadcast', event);
+    }
+
     for (const [, client] of this.clients) {
       if (client.ws.readyState === 1) { // WebSocket.OPEN
         client.ws.send(payload);
@@ -361,14 +1025,45 @@ export class Room extends EventEmitter {
       status: this.status,
       clientCount: this.clients.size,
       messageCount: this.messages.length,
+      queueLength: this.queue.length,
       createdAt: this.createdAt,
       metadata: this.metadata,
       isWorktree: !!this.metadata.worktree,
-      originalDirectory: this.metadata.originalDirectory || null
+      originalDirectory: this.metadata.originalDirectory || null,
+      owner: this.access.owner,
+      visibility: this.access.visibility,
+      usage: { ...this.usage.total }
+    };
+  }
+
+  /**
+   * Serialize the room for persistence
+   * Unlike toJSON(), this captures what is needed to rebuild the room
+   */
+  serialize() {
+    return {
+      id: this.id,
+      name: this.name,
+      customName: this.customName,
+      agentType: this.agentType,
+      directory: this.directory,
+      branch: this.branch,
+      createdAt: this.createdAt,
+      metadata: this.metadata,
+      agentOptions: this.agentOptions,
+      permissionPolicy: this.permissionPolicy.toJSON(),
+      access: this.access.toJSON(),
+      timeout: this.requestTimeout,
+      seq: this.seq,
+      schedules: this.schedules,
+      usage: this.usage
     };
   }
 
   async destroy() {
+    this.clearQueue();
+    this.expirePermissions();
+
     if (this.agent) {
       await this.agent.stop();
     }
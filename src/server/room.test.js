@@ -1,4 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { EventEmitter } from 'events';
 import { Room } from './room.js';
 
 describe('Room', () => {
@@ -179,3 +180,404 @@ describe('Room', () => {
     });
   });
 });
+
+describe('Room event sequencing', () => {
+  let room;
+
+  function mockWs() {
+    return { readyState: 1, send: vi.fn() };
+  }
+
+  function sent(ws) {
+    return ws.send.mock.calls.map(([payload]) => JSON.parse(payload));
+  }
+
+  beforeEach(() => {
+    room = new Room({ id: 'test-123' });
+  });
+
+  it('should stamp broadcasts with increasing sequence numbers', () => {
+    const ws = mockWs();
+    room.clients.set('client-1', { ws, info: {} });
+
+    room.broadcast({ type: 'stream', chunk: 'a' });
+    room.broadcast({ type: 'stream', chunk: 'b' });
+
+    expect(sent(ws).map(e => e.seq)).toEqual([1, 2]);
+    expect(room.seq).toBe(2);
+  });
+
+  it('should include the resume point in room_joined', () => {
+    room.broadcast({ type: 'stream', chunk: 'a' });
+    const ws = mockWs();
+
+    room.addClient(ws, { id: 'client-1' });
+
+    const joined = sent(ws)[0];
+    expect(joined.type).toBe('room_joined');
+    expect(joined.seq).toBe(1);
+  });
+
+  it('should replay missed events including stream chunks on resume', () => {
+    room.broadcast({ type: 'stream', chunk: 'a' });
+    room.broadcast({ type: 'stream', chunk: 'b' });
+    room.broadcast({ type: 'status', status: 'ready' });
+    const ws = mockWs();
+
+    const replayed = room.resumeClient(ws, { id: 'client-1' }, 1);
+
+    expect(replayed).toBe(true);
+    const resumed = sent(ws)[0];
+    expect(resumed.type).toBe('room_resumed');
+    expect(resumed.events.map(e => e.seq)).toEqual([2, 3]);
+    expect(resumed.events[0].chunk).toBe('b');
+    expect(room.clients.has('client-1')).toBe(true);
+  });
+
+  it('should fall back to a snapshot when missed events were dropped', () => {
+    room = new Room({ id: 'test-123', maxEventLog: 2 });
+    for (let i = 0; i < 5; i++) {
+      room.broadcast({ type: 'stream', chunk: String(i) });
+    }
+    const ws = mockWs();
+
+    const replayed = room.resumeClient(ws, { id: 'client-1' }, 1);
+
+    expect(replayed).toBe(false);
+    expect(sent(ws)[0].type).toBe('room_joined');
+  });
+
+  it('should fall back to a snapshot for a sequence from another run', () => {
+    expect(room.getEventsSince(50)).toBe(null);
+    expect(room.getEventsSince(undefined)).toBe(null);
+    expect(room.getEventsSince(0)).toEqual([]);
+  });
+});
+
+describe('Room prompt queue', () => {
+  let room;
+  let agent;
+  let pending;
+
+  // Agent whose responses are resolved manually, one per send()
+  function createAgent() {
+    const mock = new EventEmitter();
+    mock.send = vi.fn(() => new Promise((resolve) => pending.push(resolve)));
+    return mock;
+  }
+
+  beforeEach(() => {
+    pending = [];
+    room = new Room({ id: 'test-123', name: 'queue-room' });
+    agent = createAgent();
+    room.setAgent(agent);
+  });
+
+  it('should queue sends while the agent is busy', async () => {
+    const first = room.sendToAgent('first', 'client-1');
+    const second = room.sendToAgent('second', 'client-2');
+
+    expect(agent.send).toHaveBeenCalledTimes(1);
+    expect(room.getQueue()).toEqual([
+      expect.objectContaining({ position: 1, content: 'second', clientId: 'client-2' })
+    ]);
+
+    pending[0]('one');
+    await expect(first).resolves.toBe('one');
+
+    expect(agent.send).toHaveBeenCalledTimes(2);
+    expect(agent.send).toHaveBeenLastCalledWith('second');
+    expect(room.getQueue()).toEqual([]);
+
+    pending[1]('two');
+    await expect(second).resolves.toBe('two');
+  });
+
+  it('should run queued prompts in FIFO order', async () => {
+    room.sendToAgent('first', 'client-1');
+    room.sendToAgent('second', 'client-1');
+    room.sendToAgent('third', 'client-1');
+
+    pending[0]('one');
+    await vi.waitFor(() => expect(agent.send).toHaveBeenCalledTimes(2));
+    pending[1]('two');
+    await vi.waitFor(() => expect(agent.send).toHaveBeenCalledTimes(3));
+
+    expect(agent.send.mock.calls.map(([content]) => content)).toEqual(['first', 'second', 'third']);
+  });
+
+  it('should broadcast queue_updated events', () => {
+    const ws = { readyState: 1, send: vi.fn() };
+    room.clients.set('client-1', { ws, info: { name: 'alice' } });
+
+    room.sendToAgent('first', 'client-1');
+    room.sendToAgent('second', 'client-1');
+
+    const updates = ws.send.mock.calls
+      .map(([payload]) => JSON.parse(payload))
+      .filter(event => event.type === 'queue_updated');
+    expect(updates).toHaveLength(1);
+    expect(updates[0].queue[0]).toMatchObject({ content: 'second', clientName: 'alice' });
+  });
+
+  it('should reject removed prompts', async () => {
+    room.sendToAgent('first', 'client-1');
+    const second = room.sendToAgent('second', 'client-1');
+    const [item] = room.getQueue();
+
+    expect(room.removeQueued(item.id)).toBe(true);
+    await expect(second).rejects.toThrow('Removed from queue');
+    expect(room.removeQueued(item.id)).toBe(false);
+  });
+
+  it('should reorder queued prompts', () => {
+    room.sendToAgent('first', 'client-1');
+    room.sendToAgent('second', 'client-1');
+    room.sendToAgent('third', 'client-1');
+    const third = room.getQueue()[1];
+
+    expect(room.reorderQueue(third.id, 1)).toBe(true);
+
+    expect(room.getQueue().map(item => item.content)).toEqual(['third', 'second']);
+  });
+
+  it('should clear the queue', async () => {
+    room.sendToAgent('first', 'client-1');
+    const second = room.sendToAgent('second', 'client-1');
+
+    expect(room.clearQueue()).toBe(1);
+    await expect(second).rejects.toThrow('Removed from queue');
+  });
+
+  it('should not let a prompt interrupted by a reset touch the next one', async () => {
+    const ws = { readyState: 1, send: vi.fn() };
+    room.clients.set('client-1', { ws, info: { name: 'alice' } });
+    const first = room.sendToAgent('first', 'client-1', 'turn-1');
+    const second = room.sendToAgent('second', 'client-1', 'turn-2');
+    room.sendToAgent('third', 'client-1', 'turn-3');
+
+    room.resetStatus();
+    expect(agent.send).toHaveBeenLastCalledWith('second');
+
+    // The slow prompt only finishes unwinding now
+    pending[0]('late');
+    await first;
+
+    expect(room.status).toBe('busy');
+    expect(room.activeTurnId).toBe('turn-2');
+    expect(room.currentRequest).not.toBeNull();
+    expect(agent.send).toHaveBeenCalledTimes(2);
+
+    agent.emit('message', 'two');
+    pending[1]('two');
+    await expect(second).resolves.toBe('two');
+
+    const ends = ws.send.mock.calls
+      .map(([payload]) => JSON.parse(payload))
+      .filter(event => event.type === 'status' && event.turnComplete);
+    expect(ends).toEqual([
+      expect.objectContaining({ turnId: 'turn-1', status: 'ready', error: 'Room was reset' }),
+      expect.objectContaining({ turnId: 'turn-2', status: 'ready' })
+    ]);
+    expect(room.messages.filter(message => message.role === 'agent').map(message => message.content)).toEqual(['two']);
+    expect(agent.send).toHaveBeenLastCalledWith('third');
+  });
+});
+
+describe('Room permission requests', () => {
+  let room;
+  let agent;
+  let ws;
+
+  function events(type) {
+    return ws.send.mock.calls
+      .map(([payload]) => JSON.parse(payload))
+      .filter(event => event.type === type);
+  }
+
+  beforeEach(() => {
+    room = new Room({
+      id: 'test-123',
+      permissionPolicy: { mode: 'approve', allow: ['Read'], deny: ['Bash(rm*)'] }
+    });
+    agent = new EventEmitter();
+    agent.respondToPermission = vi.fn(() => true);
+    room.setAgent(agent);
+    ws = { readyState: 1, send: vi.fn() };
+    room.clients.set('client-1', { ws, info: { name: 'alice' } });
+  });
+
+  it('should answer requests covered by the policy without asking', () => {
+    agent.emit('permission_request', { id: 'r1', tool: 'Read', input: { file_path: 'a.js' } });
+    agent.emit('permission_request', { id: 'r2', tool: 'Bash', input: { command: 'rm -rf /' } });
+
+    expect(agent.respondToPermission).toHaveBeenCalledWith('r1', expect.objectContaining({ allow: true }));
+    expect(agent.respondToPermission).toHaveBeenCalledWith('r2', expect.objectContaining({ allow: false }));
+    expect(events('permission_request')).toHaveLength(0);
+  });
+
+  it('should relay other requests to clients', () => {
+    agent.emit('permission_request', { id: 'r1', tool: 'Edit', input: { file_path: 'a.js' } });
+
+    const [event] = events('permission_request');
+    expect(event.request).toMatchObject({ id: 'r1', tool: 'Edit' });
+    expect(room.pendingPermissions.has('r1')).toBe(true);
+    expect(agent.respondToPermission).not.toHaveBeenCalled();
+  });
+
+  it('should deliver a client decision to the agent', () => {
+    agent.emit('permission_request', { id: 'r1', tool: 'Edit', input: {} });
+
+    expect(room.resolvePermission('r1', true, { clientId: 'client-1' })).toBe(true);
+
+    expect(agent.respondToPermission).toHaveBeenCalledWith('r1', { allow: true });
+    expect(events('permission_resolved')[0]).toMatchObject({ decision: 'approved', by: 'alice' });
+    expect(room.resolvePermission('r1', true)).toBe(false);
+  });
+
+  it('should remember "always" decisions for the tool', () => {
+    agent.emit('permission_request', { id: 'r1', tool: 'Edit', input: {} });
+    room.resolvePermission('r1', true, { always: true, clientId: 'client-1' });
+
+    agent.emit('permission_request', { id: 'r2', tool: 'Edit', input: {} });
+
+    expect(agent.respondToPermission).toHaveBeenLastCalledWith('r2', expect.objectContaining({ allow: true }));
+    expect(room.pendingPermissions.size).toBe(0);
+  });
+
+  it('should expire pending requests when the room is reset', () => {
+    agent.emit('permission_request', { id: 'r1', tool: 'Edit', input: {} });
+
+    room.resetStatus();
+
+    expect(room.pendingPermissions.size).toBe(0);
+    expect(events('permission_resolved')[0]).toMatchObject({ requestId: 'r1', decision: 'expired' });
+  });
+});
+
+describe('Room tool calls', () => {
+  let room;
+  let agent;
+  let ws;
+
+  beforeEach(() => {
+    room = new Room({ id: 'test-123' });
+    agent = new EventEmitter();
+    room.setAgent(agent);
+    ws = { readyState: 1, send: vi.fn() };
+    room.clients.set('client-1', { ws, info: {} });
+  });
+
+  it('should broadcast tool calls and keep finished ones in history', () => {
+    const call = { id: 't1', tool: 'Edit', input: { file_path: 'src/a.js' }, status: 'running' };
+    agent.emit('tool_call', call);
+    agent.emit('tool_call', { ...call, status: 'completed', result: 'ok' });
+
+    const sent = ws.send.mock.calls.map(([payload]) => JSON.parse(payload));
+    expect(sent.filter(e => e.type === 'tool_call').map(e => e.toolCall.status)).toEqual(['running', 'completed']);
+
+    const [message] = room.messages.filter(m => m.role === 'tool');
+    expect(message.content).toBe('Edit src/a.js');
+    expect(message.toolCall).toMatchObject({ id: 't1', result: 'ok' });
+  });
+});
+
+describe('Room turn changes', () => {
+  let room;
+  let agent;
+  let git;
+
+  beforeEach(() => {
+    let snapshots = 0;
+    git = {
+      snapshot: vi.fn(async () => `tree-${++snapshots}`),
+      diffSnapshots: vi.fn(async () => ({
+        files: [{ path: 'src/a.js', status: 'modified', additions: 3, deletions: 1, binary: false }],
+        additions: 3,
+        deletions: 1
+      })),
+      getDiff: vi.fn(async () => 'diff --git a/src/a.js b/src/a.js')
+    };
+    room = new Room({ id: 'test-123', directory: '/repo', git });
+    agent = new EventEmitter();
+    agent.send = vi.fn(async () => {
+      agent.emit('message', 'done');
+      return 'done';
+    });
+    room.setAgent(agent);
+  });
+
+  it('should attach the files changed in a turn to the agent reply', async () => {
+    await room.sendToAgent('edit a.js');
+
+    const reply = room.messages.find(m => m.role === 'agent');
+    expect(reply.content).toBe('done');
+    expect(reply.changes).toMatchObject({ turn: 1, from: 'tree-1', to: 'tree-2', additions: 3 });
+    expect(git.diffSnapshots).toHaveBeenCalledWith('/repo', 'tree-1', 'tree-2');
+  });
+
+  it('should number turns and return their diffs', async () => {
+    await room.sendToAgent('first');
+    await room.sendToAgent('second');
+
+    expect(room.getTurnChanges().turn).toBe(2);
+
+    const turnDiff = await room.getTurnDiff(1);
+    expect(turnDiff.turn).toBe(1);
+    expect(turnDiff.diff).toContain('src/a.js');
+    expect(git.getDiff).toHaveBeenCalledWith('/repo', { from: 'tree-1', to: 'tree-2' });
+    expect(await room.getTurnDiff(5)).toBeNull();
+  });
+
+  it('should still deliver the reply when change tracking fails', async () => {
+    git.snapshot.mockRejectedValue(new Error('not a repo'));
+
+    await room.sendToAgent('hello');
+
+    const reply = room.messages.find(m => m.role === 'agent');
+    expect(reply.content).toBe('done');
+    expect(reply.changes).toBeUndefined();
+  });
+});
+
+describe('Room usage', () => {
+  let room;
+  let agent;
+  let ws;
+
+  beforeEach(() => {
+    room = new Room({ id: 'test-123', agentType: 'claude' });
+    agent = new EventEmitter();
+    agent.send = vi.fn(async (content) => {
+      agent.emit('usage', { inputTokens: 100, outputTokens: 20, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: content === 'free' ? null : 0.5 });
+      agent.emit('message', 'done');
+      return 'done';
+    });
+    room.setAgent(agent);
+    ws = { readyState: 1, send: vi.fn() };
+    room.clients.set('client-1', { ws, info: { name: 'alice' } });
+  });
+
+  it('should add up turns per user and keep each with its reply', async () => {
+    await room.sendToAgent('fix it', 'client-1');
+    await room.sendToAgent('free', null);
+
+    expect(room.usage.total).toMatchObject({ turns: 2, inputTokens: 200, outputTokens: 40, costUsd: 0.5, unpricedTurns: 1 });
+    expect(Object.keys(room.usage.byUser)).toEqual(['alice', 'server']);
+    expect(room.usage.byUser.alice).toMatchObject({ turns: 1, costUsd: 0.5, unpricedTurns: 0 });
+    expect(room.messages.find(m => m.role === 'agent').usage).toEqual({
+      inputTokens: 100, outputTokens: 20, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: 0.5
+    });
+
+    const sent = ws.send.mock.calls.map(([payload]) => JSON.parse(payload)).filter(e => e.type === 'usage');
+    expect(sent.map(e => [e.user, e.total.turns])).toEqual([['alice', 1], ['server', 2]]);
+    expect(room.toJSON().usage).toMatchObject({ turns: 2 });
+  });
+
+  it('should ignore empty reports', () => {
+    agent.emit('usage', { inputTokens: 0, outputTokens: 0, costUsd: null });
+
+    expect(room.usage.total.turns).toBe(0);
+    expect(ws.send).not.toHaveBeenCalled();
+  });
+});
@@ -1,32 +1,192 @@
 import { EventEmitter } from 'events';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { join, resolve, basename } from 'path';
+import { tmpdir, userInfo } from 'os';
 import { Room } from './room.js';
-import { createAgent } from '../agents/index.js';
-import { GitManager } from '../git/index.js';
+import { Fanout } from './fanout.js';
+import { RoomStore } from './store.js';
+import { UsageTracker } from './usage.js';
+import { resolvePolicy } from './permissions.js';
+import { createAgent, canonicalAgentType } from '../agents/index.js';
+import { GitManager, describeStash, renderBranchName, resolveGitOptions, slugify } from '../git/index.js';
 
 export class RoomManager extends EventEmitter {
   constructor(options = {}) {
     super();
     this.rooms = new Map();
-    this.gitManager = new GitManager();
+    this.gitConfig = options.git || {}; // The `git` config section
+    this.agentDefaults = options.agents || {}; // The `agents` config section
+    this.gitManager = options.gitManager || new GitManager({ autoStash: this.gitConfig.autoStash });
     this.useWorktrees = options.useWorktrees !== false; // Default to true
+    this.store = options.store || new RoomStore(); // In-memory unless a persistent store is given
+    this.permissions = options.permissions || {}; // The `permissions` config section
+    this.defaultTimeout = options.timeout || null; // Per-request agent timeout for new rooms
+    this.fanouts = new Map(); // Fan-out ID -> Fanout, while any of its rooms is open
+    this.usage = new UsageTracker(); // Tokens and cost of the open rooms and those closed since the server started
+    this.registerWorktreeRoots();
+  }
+
+  /**
+   * Apply reloaded config sections; they affect rooms created from now on
+   * Rooms still on the old default timeout move to the new one.
+   * @param {object} config - { agents, permissions, git, timeout }
+   */
+  updateConfig(config = {}) {
+    if (config.agents) this.agentDefaults = config.agents;
+    if (config.permissions) this.permissions = config.permissions;
+    if (config.git) {
+      this.gitConfig = config.git;
+      this.gitManager.autoStash = config.git.autoStash || false;
+      this.registerWorktreeRoots();
+    }
+    if (config.timeout && config.timeout !== this.defaultTimeout) {
+      for (const room of this.rooms.values()) {
+        if (room.requestTimeout === (this.defaultTimeout || Room.DEFAULT_TIMEOUT)) {
+          room.requestTimeout = config.timeout;
+          this.persist(() => this.store.saveRoom(room.serialize()));
+        }
+      }
+      this.defaultTimeout = config.timeout;
+    }
+  }
+
+  /**
+   * Options for a new agent: the configured defaults for its type,
+   * overridden by the room's own agentOptions
+   */
+  getAgentOptions(agentType, agentOptions = {}) {
+    const type = agentType.toLowerCase();
+    const defaults = this.agentDefaults[type] || this.agentDefaults[canonicalAgentType(type)] || {};
+    return { ...defaults, ...agentOptions };
+  }
+
+  /**
+   * Let the git manager find (and safely clean up) worktrees under
+   * every configured root, not just the one rooms are created in today
+   */
+  registerWorktreeRoots() {
+    const roots = [
+      this.gitConfig.worktreeRoot,
+      ...Object.values(this.gitConfig.directories || {}).map(entry => entry.worktreeRoot)
+    ];
+    for (const root of roots.filter(Boolean)) {
+      this.gitManager.addWorktreeRoot(root);
+    }
+  }
+
+  /**
+   * Work out the branch name for a new worktree room from the branch template
+   * If the template uses {slug} and there is no prompt yet, the room ID stands
+   * in for it and `pending` is set so the branch can be renamed later.
+   * @returns {Promise<{name: string, pending: object|null}>}
+   */
+  async generateBranchName(room, directory, template, options = {}) {
+    const date = new Date(room.createdAt);
+    const values = {
+      agent: room.agentType,
+      user: options.user || RoomManager.getUserName(),
+      date: `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`,
+      id: room.id.slice(0, 8)
+    };
+    const waitingForSlug = template.includes('{slug}') && !options.prompt;
+
+    let name = renderBranchName(template, { ...values, slug: waitingForSlug ? values.id : options.prompt });
+    // Templates without {id} can collide with an earlier room's branch
+    if (await this.gitManager.branchExists(directory, name)) {
+      name = `${name}-${values.id}`;
+    }
+
+    return { name, pending: waitingForSlug ? { template, values } : null };
+  }
+
+  static getUserName() {
+    try {
+      return userInfo().username;
+    } catch {
+      return process.env.USER || 'user';
+    }
+  }
+
+  /**
+   * Rename a room's generated branch once its first prompt gives it a slug
+   */
+  watchForBranchSlug(room) {
+    const onMessage = async (message) => {
+      if (message.role !== 'user') return;
+      room.off('message', onMessage);
+
+      const { template, values } = room.metadata.branchNaming;
+      delete room.metadata.branchNaming;
+      try {
+        let name = renderBranchName(template, { ...values, slug: message.content });
+        const repoDirectory = room.metadata.originalDirectory;
+        if (name !== room.branch && await this.gitManager.branchExists(repoDirectory, name)) {
+          name = `${name}-${values.id}`;
+        }
+        if (name !== room.branch) {
+          await this.gitManager.renameBranch(repoDirectory, room.branch, name);
+          const worktreeInfo = this.gitManager.getWorktreeInfo(room.id);
+          if (worktreeInfo) {
+            worktreeInfo.branch = name;
+          }
+          room.addMessage('system', `Renamed branch ${room.branch} to ${name}`);
+          room.branch = name;
+        }
+      } catch (error) {
+        this.emit('log', `Branch rename failed for ${room.name}: ${error.message}`);
+      }
+      this.persist(() => this.store.saveRoom(room.serialize()));
+    };
+    room.on('message', onMessage);
+  }
+
+  /**
+   * Agent options enforced by a room's permission policy
+   * In approve mode agents must not skip permission prompts,
+   * whatever the client asked for. Codex can neither relay its prompts
+   * nor take an allow-list, so it is refused rather than left to hang.
+   */
+  getApprovalOptions(policy, agentType) {
+    if (policy.mode !== 'approve') {
+      return {};
+    }
+    if (canonicalAgentType(agentType) === 'codex') {
+      throw new Error('Codex cannot relay permission prompts, so it cannot run with permissions.mode "approve"');
+    }
+    return { autoAccept: false, allowedTools: policy.allow };
   }
 
   async createRoom(options = {}) {
     const {
+      id,
       name,
       agentType = 'claude',
       directory = process.cwd(),
       branch = null,
       useWorktree = this.useWorktrees,
-      agentOptions = {}
+      agentOptions = {},
+      user = null, // Creator's name: the room's owner, and the {user} branch placeholder
+      visibility = 'public',
+      prompt = null, // First prompt, if known, for the {slug} branch placeholder
+      baseRef = null, // Where a new worktree branch starts (default: the git config's baseRef)
+      requireWorktree = false // Fail rather than fall back to working in the directory itself
     } = options;
+    const gitOptions = resolveGitOptions(this.gitConfig, directory);
+    const permissionPolicy = resolvePolicy(this.permissions, directory);
+    const approvalOptions = this.getApprovalOptions(permissionPolicy, agentType);
 
     // Pre-create room to get ID for worktree naming
     const room = new Room({
+      id,
       name,
       agentType,
       directory, // Will be updated if worktree is created
-      branch
+      branch,
+      agentOptions,
+      permissionPolicy,
+      timeout: options.timeout || this.defaultTimeout,
+      access: { owner: user, visibility },
+      git: this.gitManager
     });
 
     let workingDirectory = directory;
@@ -34,16 +194,23 @@ export class RoomManager extends EventEmitter {
 
     // Check if directory is a git repo
     const isGitRepo = await this.gitManager.isGitRepo(directory);
+    if (requireWorktree && !isGitRepo) {
+      throw new Error(`${directory} is not a git repository - a worktree is required`);
+    }
 
-    if (isGitRepo && useWorktree) {
+    if (isGitRepo && (useWorktree || requireWorktree)) {
       // Create isolated worktree for this agent
-      const branchName = branch || `bob-agent-${room.id.slice(0, 8)}`;
-
       try {
+        const generated = branch
+          ? { name: branch, pending: null }
+          : await this.generateBranchName(room, directory, gitOptions.branchTemplate, { user, prompt });
+        const branchName = generated.name;
+
         worktreeInfo = await this.gitManager.createWorktree(
           directory,
           branchName,
-          room.id
+          room.id,
+          { worktreeRoot: gitOptions.worktreeRoot, baseRef: baseRef || gitOptions.baseRef }
         );
 
         workingDirectory = worktreeInfo.worktreePath;
@@ -51,9 +218,18 @@ export class RoomManager extends EventEmitter {
         room.branch = branchName;
         room.metadata.worktree = true;
         room.metadata.originalDirectory = directory;
+        if (worktreeInfo.baseCommit) {
+          room.metadata.baseCommit = worktreeInfo.baseCommit;
+        }
+        if (generated.pending) {
+          room.metadata.branchNaming = generated.pending;
+        }
 
         this.emit('log', `Created worktree at ${workingDirectory} (branch: ${branchName})`);
       } catch (error) {
+        if (requireWorktree) {
+          throw new Error(`Worktree creation failed: ${error.message}`);
+        }
         this.emit('log', `Worktree creation failed: ${error.message}. Using original directory.`);
         // Fall back to original directory
         workingDirectory = directory;
@@ -61,7 +237,14 @@ export class RoomManager extends EventEmitter {
     } else if (isGitRepo && branch) {
       // No worktree, but branch specified - create/checkout branch in place
       try {
-        await this.gitManager.createBranch(directory, branch);
+        const result = await this.gitManager.createBranch(directory, branch, {
+          startPoint: gitOptions.baseRef,
+          autoStash: gitOptions.autoStash
+        });
+        const stashProblem = describeStash(directory, result.stash);
+        if (stashProblem) {
+          this.emit('log', stashProblem);
+        }
         this.emit('log', `Created and checked out branch: ${branch}`);
       } catch (error) {
         this.emit('log', `Git branch warning: ${error.message}`);
@@ -72,7 +255,8 @@ export class RoomManager extends EventEmitter {
     try {
       const agent = await createAgent(agentType, {
         directory: workingDirectory,
-        ...agentOptions
+        ...this.getAgentOptions(agentType, agentOptions),
+        ...approvalOptions
       });
       room.setAgent(agent);
     } catch (error) {
@@ -80,14 +264,216 @@ export class RoomManager extends EventEmitter {
       this.emit('log', `Failed to create agent: ${error.message}`);
     }
 
+    this.trackRoom(room);
+    if (room.metadata.branchNaming) {
+      this.watchForBranchSlug(room);
+    }
+
+    this.emit('roomCreated', room);
+    return room;
+  }
+
+  /**
+   * Create sibling rooms for comparing agents on one prompt
+   * Every room gets its own worktree, branched from the same base commit.
+   * The prompt is not sent yet - see Fanout.run.
+   * @param {object} options
+   * @param {string[]} options.agents - Agent types, one room each
+   * @param {string} options.prompt - The prompt every agent gets
+   * @param {string} options.directory - The repository
+   * @returns {Promise<Fanout>}
+   */
+  async createFanout(options = {}) {
+    const { agents = [], prompt, directory = process.cwd(), user = null, visibility } = options;
+    if (agents.length < 2) {
+      throw new Error('A fan-out needs at least two agents');
+    }
+    if (!await this.gitManager.isGitRepo(directory)) {
+      throw new Error(`${directory} is not a git repository - a fan-out needs one so each agent gets its own worktree`);
+    }
+    const baseCommit = await this.gitManager.resolveCommit(directory, resolveGitOptions(this.gitConfig, directory).baseRef || 'HEAD');
+
+    // One at a time, so each room's generated branch name is checked against the others
+    const rooms = [];
+    try {
+      for (const agentType of agents) {
+        rooms.push(await this.createRoom({ agentType, directory, user, visibility, prompt, baseRef: baseCommit, requireWorktree: true }));
+      }
+    } catch (error) {
+      // All or nothing: close the rooms (and worktrees) made so far
+      await Promise.all(rooms.map(room => this.destroyRoom(room.id)));
+      throw error;
+    }
+
+    const fanout = new Fanout({ prompt, baseCommit, rooms });
+    this.fanouts.set(fanout.id, fanout);
+    const open = new Set(rooms.map(room => room.id));
+    for (const room of rooms) {
+      room.once('destroyed', () => {
+        open.delete(room.id);
+        if (open.size === 0) {
+          this.fanouts.delete(fanout.id);
+        }
+      });
+    }
+    this.emit('log', `Fan-out ${fanout.id.slice(0, 8)}: ${agents.join(', ')} from ${baseCommit.slice(0, 8)}`);
+    return fanout;
+  }
+
+  getFanout(fanoutId) {
+    return this.fanouts.get(fanoutId) || null;
+  }
+
+  /**
+   * Register a room and keep the store in sync with it
+   */
+  trackRoom(room) {
     this.rooms.set(room.id, room);
+    this.persist(() => this.store.saveRoom(room.serialize()));
+
+    room.on('message', (message) => {
+      this.persist(() => this.store.appendMessage(room.id, message));
+    });
+
+    room.on('renamed', () => {
+      this.persist(() => this.store.saveRoom(room.serialize()));
+    });
+
+    room.on('policyChanged', () => {
+      this.persist(() => this.store.saveRoom(room.serialize()));
+    });
+
+    room.on('accessChanged', () => {
+      this.persist(() => this.store.saveRoom(room.serialize()));
+    });
+
+    room.on('sessionChanged', () => {
+      this.persist(() => this.store.saveRoom(room.serialize()));
+    });
+
+    room.on('schedulesChanged', () => {
+      this.persist(() => this.store.saveRoom(room.serialize()));
+    });
+
+    room.on('usage', ({ user, usage }) => {
+      this.usage.record(room.agentType, user, usage);
+      this.persist(() => this.store.saveRoom(room.serialize()));
+    });
 
     room.on('destroyed', () => {
       this.rooms.delete(room.id);
       this.emit('roomDestroyed', room.id);
     });
+  }
 
-    this.emit('roomCreated', room);
+  /**
+   * Run a store write, logging instead of throwing so a full disk
+   * never takes down a live room
+   */
+  persist(write) {
+    try {
+      write();
+    } catch (error) {
+      this.emit('log', `Room store warning: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rehydrate all rooms from the store
+   * @returns {Promise<Room[]>} - The restored rooms
+   */
+  async restoreRooms() {
+    const entries = await this.store.load();
+    const restored = [];
+
+    for (const { room: record, messages } of entries) {
+      if (this.rooms.has(record.id)) continue;
+
+      try {
+        restored.push(await this.restoreRoom(record, messages));
+      } catch (error) {
+        this.emit('log', `Failed to restore room ${record.name}: ${error.message}`);
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * Rebuild a single room from its persisted record, re-attaching
+   * the agent to the same directory (and session, where supported)
+   */
+  async restoreRoom(record, messages = []) {
+    const room = new Room({
+      id: record.id,
+      name: record.name,
+      customName: record.customName,
+      agentType: record.agentType,
+      directory: record.directory,
+      branch: record.branch,
+      createdAt: record.createdAt,
+      metadata: record.metadata,
+      agentOptions: record.agentOptions,
+      permissionPolicy: record.permissionPolicy,
+      access: record.access,
+      timeout: record.timeout,
+      seq: record.seq,
+      schedules: record.schedules,
+      usage: record.usage,
+      git: this.gitManager
+    });
+    room.messages = messages.slice(-room.maxMessages);
+
+    if (room.metadata.worktree) {
+      const repoDirectory = room.metadata.originalDirectory;
+
+      if (existsSync(room.directory)) {
+        this.gitManager.registerWorktree(room.id, {
+          path: room.directory,
+          repoDirectory,
+          branch: room.branch,
+          createdAt: room.createdAt
+        });
+      } else {
+        // Worktree directory is gone (e.g. tmp was wiped) but the branch
+        // still lives in the original repo, so check it out again
+        await this.gitManager.pruneWorktrees(repoDirectory);
+        const worktreeInfo = await this.gitManager.createWorktree(
+          repoDirectory,
+          room.branch,
+          room.id,
+          { worktreeRoot: resolveGitOptions(this.gitConfig, repoDirectory).worktreeRoot }
+        );
+        room.directory = worktreeInfo.worktreePath;
+        this.emit('log', `Recreated worktree at ${room.directory} (branch: ${room.branch})`);
+      }
+    }
+
+    try {
+      // Only sessions the agent reported (see BaseAgent.reportSession) are resumed
+      const resumeOptions = room.metadata.sessionId
+        ? { sessionId: room.metadata.sessionId, resume: true }
+        : {};
+      const agent = await createAgent(room.agentType, {
+        directory: room.directory,
+        ...this.getAgentOptions(room.agentType, room.agentOptions),
+        ...this.getApprovalOptions(room.permissionPolicy, room.agentType),
+        ...resumeOptions
+      });
+      room.setAgent(agent);
+    } catch (error) {
+      room.status = 'error';
+      this.emit('log', `Failed to restore agent for ${room.name}: ${error.message}`);
+    }
+
+    this.trackRoom(room);
+    this.usage.addRoom(room);
+    if (room.metadata.branchNaming) {
+      this.watchForBranchSlug(room);
+    }
+    room.notify('Room restored after server restart');
+
+    this.emit('roomRestored', room);
     return room;
   }
 
@@ -104,12 +490,25 @@ export class RoomManager extends EventEmitter {
     return null;
   }
 
-  listRooms() {
-    return Array.from(this.rooms.values()).map(room => room.toJSON());
+  /**
+   * List rooms, optionally only those a client may see
+   * @param {{name: string|null, role: string}} identity - The client (omit for all rooms)
+   */
+  listRooms(identity = null) {
+    return Array.from(this.rooms.values())
+      .filter(room => !identity || room.access.canSee(identity))
+      .map(room => room.toJSON());
   }
 
+  /**
+   * Destroy a room
+   * @param {string} roomId - The room ID
+   * @param {object} options
+   * @param {boolean} options.cleanupWorktree - Remove the room's worktree
+   * @param {boolean} options.forget - Remove the room from the store
+   */
   async destroyRoom(roomId, options = {}) {
-    const { cleanupWorktree = true } = options;
+    const { cleanupWorktree = true, forget = true } = options;
     const room = this.rooms.get(roomId);
 
     if (room) {
@@ -121,21 +520,31 @@ export class RoomManager extends EventEmitter {
         } catch (error) {
           this.emit('log', `Worktree cleanup warning: ${error.message}`);
         }
+      } else if (forget && room.metadata.worktree) {
+        // Kept on purpose - a later cleanup of all worktrees must not take it
+        this.gitManager.releaseWorktree(roomId);
       }
 
       await room.destroy();
       this.rooms.delete(roomId);
+
+      if (forget) {
+        this.persist(() => this.store.removeRoom(roomId));
+      } else {
+        // Save the final state (e.g. event sequence) for the next restore
+        this.persist(() => this.store.saveRoom(room.serialize()));
+      }
       return true;
     }
     return false;
   }
 
   async destroyAll(options = {}) {
-    const { cleanupWorktrees = true } = options;
+    const { cleanupWorktrees = true, forget = true } = options;
     const promises = [];
 
-    for (const [roomId, room] of this.rooms) {
-      promises.push(this.destroyRoom(roomId, { cleanupWorktree: cleanupWorktrees }));
+    for (const [roomId] of this.rooms) {
+      promises.push(this.destroyRoom(roomId, { cleanupWorktree: cleanupWorktrees, forget }));
     }
 
     await Promise.all(promises);
@@ -147,7 +556,12 @@ export class RoomManager extends EventEmitter {
     }
   }
 
-  getStats() {
+  /**
+   * Room, client and usage counts
+   * @param {object} identity - Only list the rooms this client can see in usage.byRoom
+   * @returns {object}
+   */
+  getStats(identity = null) {
     let totalClients = 0;
     let totalMessages = 0;
     let worktreeRooms = 0;
@@ -162,10 +576,222 @@ export class RoomManager extends EventEmitter {
       roomCount: this.rooms.size,
       worktreeRooms,
       totalClients,
-      totalMessages
+      totalMessages,
+      usage: this.getUsage(identity)
     };
   }
 
+  /**
+   * Tokens and cost reported by the agents
+   * @param {object} identity - Only list the rooms this client can see in byRoom
+   * @returns {object} - { total, byUser, byAgent, byRoom }; byRoom only has open rooms
+   */
+  getUsage(identity = null) {
+    const byRoom = {};
+    for (const room of this.rooms.values()) {
+      if (identity && !room.access.canSee(identity)) continue;
+      byRoom[room.id] = { name: room.name, agentType: room.agentType, ...room.usage.total };
+    }
+    return { ...this.usage.summary(), byRoom };
+  }
+
+  /**
+   * Commit everything the agent changed in a room's working directory
+   * @returns {Promise<object>} - The simple-git commit result (commit is '' when there was nothing to commit)
+   */
+  async commitRoom(roomId, message) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+    if (!message) {
+      throw new Error('A commit message is required');
+    }
+
+    const result = await this.gitManager.commit(room.directory, message, { addAll: true });
+    if (result.commit) {
+      room.addMessage('system', `Committed ${result.commit.slice(0, 8)} on ${result.branch || room.branch}: ${message}`);
+    }
+    return result;
+  }
+
+  /**
+   * Merge (or squash/rebase) a worktree room's branch into a branch of the
+   * original repository. Uncommitted changes in the worktree are not included.
+   * @param {string} roomId - The room ID
+   * @param {object} options - { strategy: 'merge'|'squash'|'rebase', targetBranch, message }
+   */
+  async mergeRoom(roomId, options = {}) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+    if (!room.metadata.worktree) {
+      throw new Error('Room has no worktree to merge');
+    }
+    if (room.isBusy()) {
+      throw new Error('Room is busy - wait for the agent to finish first');
+    }
+
+    const status = await this.gitManager.getStatus(room.directory);
+    const uncommitted = status ? status.files.length : 0;
+
+    const result = await this.gitManager.mergeBranch(room.metadata.originalDirectory, room.branch, {
+      autoStash: resolveGitOptions(this.gitConfig, room.metadata.originalDirectory).autoStash,
+      ...options,
+      sourceDirectory: room.directory
+    });
+    result.uncommitted = uncommitted;
+
+    const stashProblem = describeStash(room.metadata.originalDirectory, result.stash);
+    if (stashProblem) {
+      room.addMessage('system', stashProblem);
+    }
+    if (result.success) {
+      room.addMessage('system', `Merged ${result.source} into ${result.target} (${result.strategy})` +
+        (uncommitted ? ` - ${uncommitted} uncommitted file(s) were not included` : ''));
+    } else {
+      room.addMessage('system', `Merge of ${result.source} into ${result.target} aborted: ` +
+        `conflicts in ${result.conflicts.join(', ')}`);
+    }
+    return result;
+  }
+
+  /**
+   * Export the commits on a worktree room's branch
+   * Writes to options.output when given, otherwise returns the artifact
+   * contents (bundles base64-encoded). Only in-process callers pass an output;
+   * remote clients get the contents and write them on their side.
+   * @param {string} roomId - The room ID
+   * @param {object} options - { format: 'series'|'patch'|'bundle', output }
+   */
+  async exportRoom(roomId, options = {}) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+    if (!room.metadata.worktree) {
+      throw new Error('Room has no worktree branch to export');
+    }
+
+    // Rooms on a pre-existing branch have no recorded base - use where it forked
+    const base = room.metadata.baseCommit ||
+      await this.gitManager.getMergeBase(room.metadata.originalDirectory, 'HEAD', room.branch);
+
+    if (options.output) {
+      const output = resolve(options.output);
+      const result = await this.gitManager.exportChanges(room.directory, {
+        format: options.format,
+        branch: room.branch,
+        base,
+        output
+      });
+      room.addMessage('system', `Exported ${result.commits} commit(s) as ${result.format} to ${output}`);
+      return result;
+    }
+
+    const tempDirectory = mkdtempSync(join(tmpdir(), 'bob-export-'));
+    try {
+      const extension = { series: '', patch: '.patch', bundle: '.bundle' }[options.format || 'patch'] ?? '';
+      const result = await this.gitManager.exportChanges(room.directory, {
+        format: options.format,
+        branch: room.branch,
+        base,
+        output: join(tempDirectory, `${room.branch.replace(/[^\w.-]+/g, '-')}${extension}`)
+      });
+      const encoding = result.format === 'bundle' ? 'base64' : 'utf8';
+      return {
+        format: result.format,
+        commits: result.commits,
+        encoding,
+        files: result.paths.map(path => ({
+          name: basename(path),
+          content: readFileSync(path, encoding)
+        }))
+      };
+    } finally {
+      rmSync(tempDirectory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Find worktrees no room is using (e.g. left behind by a crash)
+   */
+  async findOrphanedWorktrees() {
+    const repos = Array.from(this.rooms.values(), room => room.metadata.originalDirectory).filter(Boolean);
+    return this.gitManager.findOrphanedWorktrees(repos);
+  }
+
+  /**
+   * Open a new room on an orphaned worktree
+   * @param {string} path - The worktree directory
+   * @param {object} options - Room options (agentType, name, agentOptions)
+   */
+  async adoptWorktree(path, options = {}) {
+    const worktreePath = resolve(path);
+    const orphans = await this.findOrphanedWorktrees();
+    const orphan = orphans.find(o => resolve(o.path) === worktreePath);
+    if (!orphan) {
+      throw new Error(`Not an orphaned worktree: ${path}`);
+    }
+    if (!orphan.exists) {
+      throw new Error(`Worktree directory is gone: ${path} - use /worktree prune`);
+    }
+
+    // Reuse the room ID from the directory name when possible, so the path
+    // still matches its workspace ID
+    const idMatch = basename(worktreePath).match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    const id = idMatch && !this.rooms.has(idMatch[0]) ? idMatch[0] : undefined;
+
+    const room = await this.createRoom({
+      ...options,
+      id,
+      directory: worktreePath,
+      useWorktree: false
+    });
+
+    room.branch = orphan.branch;
+    room.metadata.worktree = true;
+    room.metadata.originalDirectory = orphan.repoDirectory;
+    room.metadata.adopted = true;
+    this.gitManager.registerWorktree(room.id, {
+      path: worktreePath,
+      repoDirectory: orphan.repoDirectory,
+      branch: orphan.branch
+    });
+    this.persist(() => this.store.saveRoom(room.serialize()));
+
+    room.addMessage('system', `Adopted worktree ${worktreePath} (branch: ${orphan.branch})`);
+    this.emit('log', `Adopted worktree ${worktreePath} as room ${room.name}`);
+    return room;
+  }
+
+  /**
+   * Remove orphaned worktrees
+   * @param {object} options - { paths: only these worktrees, force: discard uncommitted changes }
+   */
+  async pruneOrphanedWorktrees(options = {}) {
+    const { force = false } = options;
+    let orphans = await this.findOrphanedWorktrees();
+    if (options.paths) {
+      const paths = new Set(options.paths.map(p => resolve(p)));
+      orphans = orphans.filter(o => paths.has(resolve(o.path)));
+    }
+
+    const results = [];
+    for (const orphan of orphans) {
+      try {
+        results.push(await this.gitManager.pruneWorktree(orphan.path, {
+          force,
+          repoDirectory: orphan.repoDirectory
+        }));
+      } catch (error) {
+        results.push({ path: orphan.path, removed: false, branchDeleted: false, reason: error.message });
+      }
+    }
+    return results;
+  }
+
   /**
    * Get worktree info for a room
    */
@@ -0,0 +1,333 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Scheduled and recurring prompts
+ *
+ * A schedule belongs to a room and sends it the same prompt either on a cron
+ * expression ("0 9 * * 1-5", "@daily") or every so often ("30m", "2h").
+ * Schedules are kept in the room record, so they survive restarts and go
+ * away with the room. Runs missed while the server was down are skipped.
+ *
+ * When a run is due while the agent is busy, the schedule's whenBusy decides:
+ * "skip" drops the run, "queue" adds the prompt to the room's queue. A run is
+ * never started while the schedule's previous one is still queued or running.
+ *
+ * The prompt of each run is stored with a scheduleId, and skipped runs leave
+ * a system message with one, so the room's history shows what the scheduler did.
+ */
+
+export const WHEN_BUSY = ['skip', 'queue'];
+export const MIN_INTERVAL = 60 * 1000;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are Sunday
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * A schedule that cannot be created
+ */
+export class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+  }
+}
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const match = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+    if (!match) {
+      throw new ScheduleError(`Invalid ${name} in cron expression: ${text}`);
+    }
+    const [, start, end, step] = match;
+    const from = start === undefined ? min : Number(start);
+    const to = end !== undefined ? Number(end) : (start === undefined || step ? max : from);
+    const by = step ? Number(step) : 1;
+    if (from < min || to > max || from > to || by < 1) {
+      throw new ScheduleError(`Invalid ${name} in cron expression: ${text} (allowed: ${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += by) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * or one of the @hourly, @daily, @weekly, @monthly and @yearly shortcuts
+ */
+export function parseCron(expression) {
+  const source = CRON_MACROS[expression.trim()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new ScheduleError(`A cron expression has five fields (minute hour day month weekday): ${expression}`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.add(0);
+  }
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // As in cron: when both day fields are restricted, a day matching either one runs
+    eitherDay: !parts[2].startsWith('*') && !parts[4].startsWith('*')
+  };
+}
+
+function dayMatches(cron, date) {
+  const ofMonth = cron.dayOfMonth.has(date.getDate());
+  const ofWeek = cron.dayOfWeek.has(date.getDay());
+  return cron.eitherDay ? ofMonth || ofWeek : ofMonth && ofWeek;
+}
+
+/**
+ * The first time a cron expression matches after a moment, in local time
+ * @returns {number|null} - Milliseconds since the epoch, or null if it never matches
+ */
+export function nextCronTime(cron, after) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Four years is enough for "29 February" to come round
+  const limit = after + 4 * 366 * INTERVAL_UNITS.d;
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an interval such as "90s", "30m", "2h" or "1d"
+ * @returns {number} - Milliseconds
+ */
+export function parseInterval(text) {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(text).trim());
+  if (!match) {
+    throw new ScheduleError(`Invalid interval: ${text} (use a number followed by s, m, h or d, e.g. 30m)`);
+  }
+  const ms = Number(match[1]) * INTERVAL_UNITS[match[2]];
+  if (ms < MIN_INTERVAL) {
+    throw new ScheduleError(`Interval too short: ${text} (the minimum is 1m)`);
+  }
+  return ms;
+}
+
+/**
+ * When a schedule is next due after a moment
+ * @returns {number|null}
+ */
+export function nextRunTime(schedule, after) {
+  return schedule.cron
+    ? nextCronTime(parseCron(schedule.cron), after)
+    : after + parseInterval(schedule.every);
+}
+
+/**
+ * Check a new schedule's options and fill in the rest
+ * @param {object} options - { prompt, cron, every, whenBusy }
+ * @param {string} user - Who created it
+ */
+export function createSchedule(options, user = null, now = Date.now()) {
+  const { prompt, cron = null, every = null, whenBusy = 'skip' } = options;
+  if (!prompt || !prompt.trim()) {
+    throw new ScheduleError('A schedule needs a prompt');
+  }
+  if (!cron === !every) {
+    throw new ScheduleError('A schedule needs either a cron expression or an interval');
+  }
+  if (!WHEN_BUSY.includes(whenBusy)) {
+    throw new ScheduleError(`whenBusy must be one of: ${WHEN_BUSY.join(', ')}`);
+  }
+
+  const schedule = {
+    id: uuidv4(),
+    prompt,
+    cron,
+    every,
+    whenBusy,
+    createdBy: user,
+    createdAt: now,
+    nextRunAt: null,
+    lastRunAt: null,
+    lastStatus: null, // 'done', 'failed' or 'skipped'
+    lastError: null,
+    runCount: 0
+  };
+  schedule.nextRunAt = nextRunTime(schedule, now);
+  if (schedule.nextRunAt === null) {
+    throw new ScheduleError(`The cron expression never matches: ${cron}`);
+  }
+  return schedule;
+}
+
+/**
+ * Runs rooms' schedules when they are due
+ *
+ * Emits 'run' with { roomId, scheduleId, prompt, status, turnId, error } when a run
+ * starts ('started' or 'queued'), ends ('done' or 'failed') or is 'skipped'.
+ */
+export class Scheduler extends EventEmitter {
+  static TICK_INTERVAL = 15000; // How often due schedules are looked for
+
+  /**
+   * @param {object} options
+   * @param {RoomManager} options.roomManager - Rooms whose schedules are run
+   * @param {number} options.tickInterval - Milliseconds between checks
+   */
+  constructor(options = {}) {
+    super();
+    this.roomManager = options.roomManager;
+    this.tickInterval = options.tickInterval || Scheduler.TICK_INTERVAL;
+    this.timer = null;
+    this.active = new Set(); // IDs of schedules with a run queued or in flight
+  }
+
+  start(now = Date.now()) {
+    // Skip the runs missed while the server was down
+    for (const room of this.roomManager.rooms.values()) {
+      for (const schedule of room.schedules) {
+        if (schedule.nextRunAt !== null && schedule.nextRunAt <= now) {
+          room.updateSchedule(schedule.id, { nextRunAt: nextRunTime(schedule, now) });
+        }
+      }
+    }
+
+    this.stop();
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Add a schedule to a room
+   * @returns {object} - The schedule
+   */
+  add(roomId, options, user = null) {
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) {
+      throw new ScheduleError('Room not found');
+    }
+    const schedule = room.addSchedule(createSchedule(options, user));
+    this.emit('log', `Schedule ${schedule.id.slice(0, 8)} added to ${room.name}: ${schedule.cron || `every ${schedule.every}`}`);
+    return { ...schedule };
+  }
+
+  /**
+   * @returns {object[]} - A room's schedules, soonest first
+   */
+  list(roomId) {
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) return [];
+    return room.schedules
+      .map(schedule => ({ ...schedule }))
+      .sort((a, b) => (a.nextRunAt ?? Infinity) - (b.nextRunAt ?? Infinity));
+  }
+
+  /**
+   * @returns {object|null} - The removed schedule
+   */
+  remove(roomId, scheduleId) {
+    const room = this.roomManager.getRoom(roomId);
+    const removed = room?.removeSchedule(scheduleId) || null;
+    if (removed) {
+      this.emit('log', `Schedule ${removed.id.slice(0, 8)} removed from ${room.name}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Run every schedule that is due
+   * @returns {Promise[]} - One per run started, settling when it ends
+   */
+  tick(now = Date.now()) {
+    const runs = [];
+    for (const room of this.roomManager.rooms.values()) {
+      for (const schedule of room.schedules) {
+        if (schedule.nextRunAt !== null && schedule.nextRunAt <= now) {
+          const run = this.runSchedule(room, schedule, now);
+          if (run) runs.push(run);
+        }
+      }
+    }
+    return runs;
+  }
+
+  runSchedule(room, schedule, now) {
+    const nextRunAt = nextRunTime(schedule, now);
+    const busy = room.isBusy() || room.queue.length > 0;
+
+    let skipped = null;
+    if (!room.agent) {
+      skipped = 'the agent is not running';
+    } else if (this.active.has(schedule.id)) {
+      skipped = 'the previous run has not finished';
+    } else if (busy && schedule.whenBusy === 'skip') {
+      skipped = 'the agent was busy';
+    }
+
+    if (skipped) {
+      room.updateSchedule(schedule.id, { nextRunAt, lastRunAt: now, lastStatus: 'skipped', lastError: skipped });
+      room.addMessage('system', `Scheduled run skipped: ${skipped}`, { scheduleId: schedule.id });
+      this.emit('run', { roomId: room.id, scheduleId: schedule.id, prompt: schedule.prompt, status: 'skipped', error: skipped });
+      return null;
+    }
+
+    const turnId = uuidv4();
+    this.active.add(schedule.id);
+    room.updateSchedule(schedule.id, { nextRunAt, lastRunAt: now, runCount: schedule.runCount + 1 });
+    this.emit('run', { roomId: room.id, scheduleId: schedule.id, prompt: schedule.prompt, status: busy ? 'queued' : 'started', turnId });
+
+    return room.sendToAgent(schedule.prompt, null, turnId, { scheduleId: schedule.id })
+      .then(() => ({ status: 'done', error: null }), error => ({ status: 'failed', error: error.message }))
+      .then(({ status, error }) => {
+        this.active.delete(schedule.id);
+        // The room may have been closed while the prompt ran
+        if (this.roomManager.getRoom(room.id) === room) {
+          room.updateSchedule(schedule.id, { lastStatus: status, lastError: error });
+        }
+        this.emit('run', { roomId: room.id, scheduleId: schedule.id, prompt: schedule.prompt, status, turnId, error });
+      });
+  }
+}
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { EventEmitter } from 'events';
+import { RoomManager } from './roomManager.js';
+import { Scheduler, ScheduleError, parseCron, nextCronTime, parseInterval, createSchedule } from './scheduler.js';
+
+describe('schedule timing', () => {
+  // Monday 5 January 2026, 08:59:30 local time
+  const monday = new Date(2026, 0, 5, 8, 59, 30).getTime();
+
+  it('should find the next time a cron expression matches', () => {
+    const next = (expression, after = monday) => new Date(nextCronTime(parseCron(expression), after));
+
+    expect(next('0 9 * * 1-5')).toEqual(new Date(2026, 0, 5, 9, 0));
+    expect(next('0 9 * * 1-5', new Date(2026, 0, 9, 9, 0).getTime())).toEqual(new Date(2026, 0, 12, 9, 0));
+    expect(next('*/15 * * * *')).toEqual(new Date(2026, 0, 5, 9, 0));
+    expect(next('@monthly')).toEqual(new Date(2026, 1, 1, 0, 0));
+    expect(next('30 6 1 * 0')).toEqual(new Date(2026, 0, 11, 6, 30)); // The 1st or a Sunday
+    expect(nextCronTime(parseCron('0 0 30 2 *'), monday)).toBeNull();
+  });
+
+  it('should reject malformed cron expressions and intervals', () => {
+    expect(() => parseCron('0 9 * *')).toThrow('five fields');
+    expect(() => parseCron('61 * * * *')).toThrow('Invalid minute');
+    expect(() => parseCron('0 9 * * mon')).toThrow('Invalid day of week');
+    expect(parseInterval('30m')).toBe(30 * 60 * 1000);
+    expect(() => parseInterval('soon')).toThrow(ScheduleError);
+    expect(() => parseInterval('10s')).toThrow('too short');
+  });
+
+  it('should need a prompt and exactly one of cron and every', () => {
+    expect(createSchedule({ prompt: 'hi', every: '1h' }, 'alice', monday))
+      .toMatchObject({ prompt: 'hi', every: '1h', cron: null, whenBusy: 'skip', createdBy: 'alice', nextRunAt: monday + 3600000 });
+    expect(() => createSchedule({ prompt: 'hi' })).toThrow('either a cron expression or an interval');
+    expect(() => createSchedule({ prompt: 'hi', cron: '@daily', every: '1h' })).toThrow('either a cron expression or an interval');
+    expect(() => createSchedule({ prompt: ' ', every: '1h' })).toThrow('needs a prompt');
+    expect(() => createSchedule({ prompt: 'hi', every: '1h', whenBusy: 'later' })).toThrow('whenBusy');
+  });
+});
+
+describe('Scheduler', () => {
+  let directory;
+  let roomManager;
+  let scheduler;
+  let room;
+  let release;
+
+  beforeEach(async () => {
+    directory = mkdtempSync(join(tmpdir(), 'bob-scheduler-test-'));
+    roomManager = new RoomManager({ useWorktrees: false });
+    scheduler = new Scheduler({ roomManager });
+    release = null;
+
+    // Answers at once, except "wait" which answers when released
+    roomManager.on('roomCreated', (created) => {
+      const agent = new EventEmitter();
+      agent.stop = vi.fn(async () => {});
+      agent.send = vi.fn(async (content) => {
+        if (content === 'wait') await new Promise(resolve => { release = resolve; });
+        agent.emit('message', `Done: ${content}`);
+        return `Done: ${content}`;
+      });
+      created.setAgent(agent);
+    });
+    room = await roomManager.createRoom({ agentType: 'nope', directory, useWorktree: false });
+  });
+
+  afterEach(async () => {
+    scheduler.stop();
+    await roomManager.destroyAll();
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should run due schedules and tag the prompt in history', async () => {
+    const schedule = scheduler.add(room.id, { prompt: 'triage TODOs', every: '30m' }, 'alice');
+    const onRun = vi.fn();
+    scheduler.on('run', onRun);
+
+    expect(scheduler.tick(schedule.nextRunAt - 1)).toEqual([]);
+    await Promise.all(scheduler.tick(schedule.nextRunAt));
+
+    expect(room.messages.find(message => message.role === 'user'))
+      .toMatchObject({ content: 'triage TODOs', scheduleId: schedule.id, clientId: null });
+    expect(onRun.mock.calls.map(([run]) => run.status)).toEqual(['started', 'done']);
+    expect(scheduler.list(room.id)).toEqual([expect.objectContaining({
+      lastStatus: 'done',
+      lastRunAt: schedule.nextRunAt,
+      nextRunAt: schedule.nextRunAt + 30 * 60 * 1000,
+      runCount: 1
+    })]);
+  });
+
+  it('should skip or queue runs while the agent is busy', async () => {
+    const busy = room.sendToAgent('wait', null);
+    await vi.waitFor(() => expect(release).toBeTypeOf('function'));
+    const skipped = scheduler.add(room.id, { prompt: 'skip me', every: '1h' });
+    const queued = scheduler.add(room.id, { prompt: 'queue me', every: '1h', whenBusy: 'queue' });
+
+    const runs = scheduler.tick(Date.now() + 3600000);
+
+    expect(runs).toHaveLength(1);
+    expect(room.getQueue().map(item => item.content)).toEqual(['queue me']);
+    expect(room.schedules.find(item => item.id === skipped.id)).toMatchObject({ lastStatus: 'skipped', lastError: 'the agent was busy' });
+    expect(room.messages.at(-1)).toMatchObject({ role: 'system', content: 'Scheduled run skipped: the agent was busy', scheduleId: skipped.id });
+
+    // The queued run is still pending, so the next one is skipped too
+    scheduler.tick(Date.now() + 2 * 3600000);
+    expect(room.getQueue()).toHaveLength(1);
+    expect(room.schedules.find(item => item.id === queued.id).lastError).toBe('the previous run has not finished');
+
+    release();
+    await busy;
+    await Promise.all(runs);
+    expect(room.messages.filter(message => message.scheduleId === queued.id && message.role === 'user')).toHaveLength(1);
+  });
+
+  it('should skip runs missed while the server was down', () => {
+    const schedule = scheduler.add(room.id, { prompt: 'report', cron: '0 * * * *' });
+    const later = schedule.nextRunAt + 5 * 3600000;
+
+    scheduler.start(later);
+
+    expect(room.schedules[0].nextRunAt).toBe(later + 3600000);
+    expect(room.schedules[0].runCount).toBe(0);
+  });
+
+  it('should remove schedules', () => {
+    const schedule = scheduler.add(room.id, { prompt: 'report', every: '1d' });
+
+    expect(scheduler.remove(room.id, 'missing')).toBeNull();
+    expect(scheduler.remove(room.id, schedule.id)).toMatchObject({ id: schedule.id });
+    expect(scheduler.list(room.id)).toEqual([]);
+    expect(() => scheduler.add('missing', { prompt: 'x', every: '1h' })).toThrow('Room not found');
+  });
+});
@@ -1,10 +1,39 @@
 #!/usr/bin/env node
 
 import { BobServer } from './index.js';
+import { loadConfig } from '../config/index.js';
+
+// Same lookup as `bob` (BOB_CONFIG, ./config.json, ~/.config/bob/config.json, BOB_* variables)
+let config;
+let configPath;
+try {
+  const loaded = loadConfig();
+  config = loaded.config;
+  configPath = loaded.path;
+  for (const warning of loaded.warnings) {
+    console.warn(`[BOB] Config warning: ${warning}`);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 const server = new BobServer({
-  port: process.env.BOB_PORT || 8420,
-  host: process.env.BOB_HOST || '127.0.0.1'
+  port: config.server.port,
+  host: config.server.host,
+  tls: config.server.tls,
+  socket: config.server.socket,
+  storage: config.storage,
+  permissions: config.permissions,
+  git: config.git,
+  agents: config.agents,
+  authToken: config.server.authToken,
+  requireAuth: config.server.requireAuth,
+  auth: config.auth,
+  requestTimeout: config.server.requestTimeout,
+  logLevel: config.logging.level,
+  config,
+  configPath
 });
 
 server.on('log', (msg) => console.log(`[BOB] ${msg}`));
@@ -16,7 +45,9 @@ async function main() {
   try {
     await server.start();
     console.log(`Bob Control Server v1.0.0`);
-    console.log(`Listening on ws://${server.host}:${server.port}`);
+    for (const address of server.addresses()) {
+      console.log(`Listening on ${address}`);
+    }
     console.log(`Press Ctrl+C to stop`);
   } catch (error) {
     console.error('Failed to start server:', error.message);
@@ -0,0 +1,179 @@
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  writeFileSync,
+  appendFileSync,
+  renameSync,
+  rmSync
+} from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+
+/**
+ * Base room store
+ * Keeps nothing - rooms only live as long as the process.
+ * Persistent stores should extend this class.
+ */
+export class RoomStore {
+  constructor(options = {}) {
+    this.options = options;
+    this.persistent = false;
+  }
+
+  /**
+   * Load all persisted rooms
+   * @returns {Promise<Array<{room: object, messages: object[]}>>}
+   */
+  async load() {
+    return [];
+  }
+
+  /**
+   * Create or update a room record
+   * @param {object} record - Serialized room (see Room.serialize())
+   */
+  saveRoom(record) {}
+
+  /**
+   * Append a message to a room's history
+   * @param {string} roomId - The room ID
+   * @param {object} message - The message as stored in Room.messages
+   */
+  appendMessage(roomId, message) {}
+
+  /**
+   * Forget a room and its history
+   * @param {string} roomId - The room ID
+   */
+  removeRoom(roomId) {}
+}
+
+/**
+ * File-based room store
+ *
+ * Layout (one pair of files per room):
+ *   <directory>/<roomId>.json   - room record, rewritten on change
+ *   <directory>/<roomId>.jsonl  - message history, one JSON message per line
+ *
+ * Writes are synchronous so history survives a crash right after a message.
+ */
+export class FileRoomStore extends RoomStore {
+  constructor(options = {}) {
+    super(options);
+    this.persistent = true;
+    this.directory = options.directory || join(homedir(), '.bob-control', 'rooms');
+    this.maxMessages = options.maxMessages || 1000;
+
+    if (!existsSync(this.directory)) {
+      mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  roomPath(roomId) {
+    return join(this.directory, `${roomId}.json`);
+  }
+
+  historyPath(roomId) {
+    return join(this.directory, `${roomId}.jsonl`);
+  }
+
+  async load() {
+    const entries = [];
+
+    for (const file of readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+
+      let room;
+      try {
+        room = JSON.parse(readFileSync(join(this.directory, file), 'utf8'));
+      } catch {
+        // Corrupt record - skip it rather than refusing to start
+        continue;
+      }
+      if (!room?.id) continue;
+
+      const messages = this.readHistory(room.id);
+      entries.push({ room, messages });
+    }
+
+    // Restore in creation order so room numbering stays stable
+    entries.sort((a, b) => new Date(a.room.createdAt) - new Date(b.room.createdAt));
+    return entries;
+  }
+
+  /**
+   * Read a room's history, dropping unparseable lines (e.g. a torn final write)
+   * and compacting the file down to the last maxMessages entries
+   */
+  readHistory(roomId) {
+    const path = this.historyPath(roomId);
+    if (!existsSync(path)) return [];
+
+    const messages = [];
+    let total = 0;
+    for (const line of readFileSync(path, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      total++;
+      try {
+        messages.push(JSON.parse(line));
+      } catch {
+        // Skip partial line
+      }
+    }
+
+    const trimmed = messages.slice(-this.maxMessages);
+    if (trimmed.length !== total) {
+      this.writeAtomic(path, trimmed.map(m => JSON.stringify(m) + '\n').join(''));
+    }
+    return trimmed;
+  }
+
+  saveRoom(record) {
+    this.writeAtomic(this.roomPath(record.id), JSON.stringify(record, null, 2));
+  }
+
+  appendMessage(roomId, message) {
+    appendFileSync(this.historyPath(roomId), JSON.stringify(message) + '\n');
+  }
+
+  removeRoom(roomId) {
+    rmSync(this.roomPath(roomId), { force: true });
+    rmSync(this.historyPath(roomId), { force: true });
+  }
+
+  /**
+   * Write via a temp file + rename so a crash never leaves a half-written record
+   */
+  writeAtomic(path, content) {
+    const tmpPath = `${path}.tmp`;
+    writeFileSync(tmpPath, content);
+    renameSync(tmpPath, path);
+  }
+}
+
+/**
+ * Registry of available store types
+ */
+export const stores = {
+  memory: RoomStore,
+  file: FileRoomStore
+};
+
+/**
+ * Create a room store
+ * @param {string} type - The store type (memory, file)
+ * @param {object} options - Store options
+ * @returns {RoomStore} - The store instance
+ */
+export function createStore(type = 'memory', options = {}) {
+  const StoreClass = stores[type.toLowerCase()];
+
+  if (!StoreClass) {
+    const available = Object.keys(stores).join(', ');
+    throw new Error(`Unknown store type: ${type}. Available: ${available}`);
+  }
+
+  return new StoreClass(options);
+}
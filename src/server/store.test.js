@@ -0,0 +1,217 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { EventEmitter } from 'events';
+import { FileRoomStore, RoomStore, createStore } from './store.js';
+
+vi.mock('../agents/index.js', () => ({
+  createAgent: vi.fn(async (type, options) => {
+    const agent = new EventEmitter();
+    agent.options = options;
+    agent.sessionId = options.sessionId || 'new-session';
+    agent.stop = vi.fn();
+    return agent;
+  }),
+  canonicalAgentType: (type) => ({ openai: 'codex', gpt: 'codex', google: 'gemini' })[type] || type
+}));
+
+const { RoomManager } = await import('./roomManager.js');
+const { createAgent } = await import('../agents/index.js');
+
+describe('FileRoomStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'bob-store-test-'));
+    store = new FileRoomStore({ directory });
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should round-trip rooms and their history', async () => {
+    store.saveRoom({ id: 'room-1', name: 'first', createdAt: new Date(1000) });
+    store.appendMessage('room-1', { id: 'm1', role: 'user', content: 'hello' });
+    store.appendMessage('room-1', { id: 'm2', role: 'agent', content: 'hi' });
+
+    const entries = await store.load();
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].room.name).toBe('first');
+    expect(entries[0].messages.map(m => m.content)).toEqual(['hello', 'hi']);
+  });
+
+  it('should load rooms in creation order', async () => {
+    store.saveRoom({ id: 'b', name: 'second', createdAt: new Date(2000) });
+    store.saveRoom({ id: 'a', name: 'first', createdAt: new Date(1000) });
+
+    const entries = await store.load();
+
+    expect(entries.map(e => e.room.name)).toEqual(['first', 'second']);
+  });
+
+  it('should skip a torn final history line', async () => {
+    store.saveRoom({ id: 'room-1', name: 'first', createdAt: new Date() });
+    store.appendMessage('room-1', { id: 'm1', role: 'user', content: 'hello' });
+    writeFileSync(join(directory, 'room-1.jsonl'),
+      readFileSync(join(directory, 'room-1.jsonl'), 'utf8') + '{"id":"m2","ro');
+
+    const [entry] = await store.load();
+
+    expect(entry.messages).toHaveLength(1);
+  });
+
+  it('should compact history beyond maxMessages', async () => {
+    store = new FileRoomStore({ directory, maxMessages: 2 });
+    store.saveRoom({ id: 'room-1', name: 'first', createdAt: new Date() });
+    for (let i = 0; i < 5; i++) {
+      store.appendMessage('room-1', { id: `m${i}`, content: String(i) });
+    }
+
+    const [entry] = await store.load();
+    const lines = readFileSync(join(directory, 'room-1.jsonl'), 'utf8').trim().split('\n');
+
+    expect(entry.messages.map(m => m.content)).toEqual(['3', '4']);
+    expect(lines).toHaveLength(2);
+  });
+
+  it('should forget removed rooms', async () => {
+    store.saveRoom({ id: 'room-1', name: 'first', createdAt: new Date() });
+    store.appendMessage('room-1', { id: 'm1', content: 'hello' });
+
+    store.removeRoom('room-1');
+
+    expect(await store.load()).toEqual([]);
+  });
+});
+
+describe('createStore', () => {
+  it('should default to a non-persistent store', () => {
+    const store = createStore();
+    expect(store).toBeInstanceOf(RoomStore);
+    expect(store.persistent).toBe(false);
+  });
+
+  it('should reject unknown store types', () => {
+    expect(() => createStore('redis')).toThrow('Unknown store type: redis');
+  });
+});
+
+describe('RoomManager persistence', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'bob-store-test-'));
+    createAgent.mockClear();
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should restore rooms, history and agent session after a restart', async () => {
+    const first = new RoomManager({ store: new FileRoomStore({ directory }) });
+    const room = await first.createRoom({ agentType: 'claude', directory, useWorktree: false });
+    room.addMessage('user', 'fix the login bug');
+    room.agent.emit('session', 'cli-session');
+    room.rename('login');
+    await first.destroyAll({ cleanupWorktrees: false, forget: false });
+
+    const second = new RoomManager({ store: new FileRoomStore({ directory }) });
+    const [restored] = await second.restoreRooms();
+
+    expect(restored.id).toBe(room.id);
+    expect(restored.name).toBe('login');
+    expect(restored.messages.some(m => m.content === 'fix the login bug')).toBe(true);
+    expect(createAgent).toHaveBeenLastCalledWith('claude', expect.objectContaining({
+      directory,
+      sessionId: 'cli-session',
+      resume: true
+    }));
+  });
+
+  it('should only resume sessions the agent reported', async () => {
+    const first = new RoomManager({ store: new FileRoomStore({ directory }) });
+    await first.createRoom({ agentType: 'claude', directory, useWorktree: false });
+    await first.destroyAll({ cleanupWorktrees: false, forget: false });
+
+    await new RoomManager({ store: new FileRoomStore({ directory }) }).restoreRooms();
+
+    expect(createAgent.mock.lastCall[1]).not.toHaveProperty('resume');
+    expect(createAgent.mock.lastCall[1]).not.toHaveProperty('sessionId');
+  });
+
+  it('should announce a restore without adding it to the history', async () => {
+    const first = new RoomManager({ store: new FileRoomStore({ directory }) });
+    const room = await first.createRoom({ agentType: 'claude', directory, useWorktree: false });
+    room.addMessage('user', 'hello');
+    await first.destroyAll({ cleanupWorktrees: false, forget: false });
+
+    for (let restart = 0; restart < 2; restart++) {
+      await new RoomManager({ store: new FileRoomStore({ directory }) }).restoreRooms();
+    }
+    const third = new RoomManager({ store: new FileRoomStore({ directory }) });
+    const [restored] = await third.restoreRooms();
+
+    expect(restored.messages.map(m => m.content)).toEqual(['hello']);
+    expect(restored.eventLog.at(-1)).toMatchObject({
+      type: 'message',
+      message: { role: 'system', content: 'Room restored after server restart' }
+    });
+  });
+
+  it('should keep a room\'s schedules across restarts', async () => {
+    const first = new RoomManager({ store: new FileRoomStore({ directory }) });
+    const room = await first.createRoom({ agentType: 'claude', directory, useWorktree: false });
+    room.addSchedule({ id: 's1', prompt: 'triage TODOs', cron: null, every: '1h', whenBusy: 'skip', nextRunAt: 1000, runCount: 0 });
+    room.updateSchedule('s1', { runCount: 1 });
+    await first.destroyAll({ cleanupWorktrees: false, forget: false });
+
+    const second = new RoomManager({ store: new FileRoomStore({ directory }) });
+    const [restored] = await second.restoreRooms();
+
+    expect(restored.schedules).toEqual([expect.objectContaining({ id: 's1', prompt: 'triage TODOs', every: '1h', runCount: 1 })]);
+  });
+
+  it('should keep a room\'s usage across restarts', async () => {
+    const first = new RoomManager({ store: new FileRoomStore({ directory }) });
+    const room = await first.createRoom({ agentType: 'claude', directory, useWorktree: false });
+    room.recordUsage({ inputTokens: 100, outputTokens: 10, costUsd: 0.2 });
+    await first.destroyAll({ cleanupWorktrees: false, forget: false });
+
+    const second = new RoomManager({ store: new FileRoomStore({ directory }) });
+    const [restored] = await second.restoreRooms();
+
+    expect(restored.usage.byUser.server).toMatchObject({ turns: 1, inputTokens: 100, costUsd: 0.2 });
+    expect(second.getStats().usage).toMatchObject({
+      total: { turns: 1 },
+      byAgent: { claude: { turns: 1 } },
+      byRoom: { [room.id]: { agentType: 'claude', turns: 1 } }
+    });
+  });
+
+  it('should merge configured agent defaults under the room\'s agentOptions', async () => {
+    const manager = new RoomManager({
+      agents: { codex: { model: 'o3', command: 'codex' } },
+      store: new FileRoomStore({ directory })
+    });
+    await manager.createRoom({ agentType: 'openai', directory, useWorktree: false, agentOptions: { model: 'gpt-5' } });
+
+    expect(createAgent).toHaveBeenLastCalledWith('openai', expect.objectContaining({
+      model: 'gpt-5',
+      command: 'codex'
+    }));
+  });
+
+  it('should forget rooms that are closed', async () => {
+    const manager = new RoomManager({ store: new FileRoomStore({ directory }) });
+    const room = await manager.createRoom({ agentType: 'claude', directory, useWorktree: false });
+
+    await manager.destroyRoom(room.id);
+
+    expect(await manager.store.load()).toEqual([]);
+  });
+});
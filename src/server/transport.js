@@ -0,0 +1,86 @@
+import { readFileSync, lstatSync, unlinkSync, chmodSync } from 'fs';
+import { resolve } from 'path';
+
+/**
+ * Listener and address helpers shared by the server and its clients
+ *
+ * Addresses clients can connect to:
+ *   host:port             plain WebSocket (ws://)
+ *   ws://host:port        plain WebSocket
+ *   wss://host:port       WebSocket over TLS
+ *   unix:/path/bob.sock   Unix domain socket on this machine
+ */
+
+/**
+ * Read the certificate files named in `server.tls`
+ * @param {object} tls - { cert, key, ca } file paths
+ * @returns {object} - Options for https.createServer
+ */
+export function loadTlsOptions(tls) {
+  const options = {};
+  for (const field of ['cert', 'key', 'ca']) {
+    if (!tls[field]) continue;
+    try {
+      options[field] = readFileSync(resolve(tls[field]));
+    } catch (error) {
+      throw new Error(`Could not read TLS ${field} ${tls[field]}: ${error.message}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Get a socket path ready to listen on, removing a socket left by an earlier run
+ * Refuses to remove anything that is not a socket.
+ */
+export function prepareSocketPath(path) {
+  let stats;
+  try {
+    stats = lstatSync(path);
+  } catch {
+    return; // Nothing there
+  }
+  if (!stats.isSocket()) {
+    throw new Error(`Cannot listen on ${path}: it exists and is not a socket`);
+  }
+  unlinkSync(path);
+}
+
+/**
+ * Restrict who can connect to a socket - this is its only access control
+ * @param {string} path - The socket
+ * @param {string} mode - Octal file mode, e.g. "0600"
+ */
+export function restrictSocket(path, mode = '0600') {
+  chmodSync(path, parseInt(mode, 8));
+}
+
+/**
+ * Get the token a client presented
+ * Prefers the Authorization header; the ?token= query parameter is still
+ * accepted for clients that cannot set headers (such as browsers).
+ */
+export function tokenFromRequest(req) {
+  const header = req.headers.authorization;
+  if (header) {
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+/**
+ * Turn an address given on the command line into a WebSocket URL
+ * @param {string} address - See the formats above
+ * @returns {{url: string, label: string}} - The URL for `ws` and a readable form for messages
+ */
+export function parseServerAddress(address) {
+  if (address.startsWith('unix:')) {
+    const path = resolve(address.slice('unix:'.length).replace(/^\/\/(?=\/)/, ''));
+    // ws addresses sockets as ws+unix:<socket path>:<request path>
+    return { url: `ws+unix:${path}:/`, label: `unix:${path}` };
+  }
+  const url = /^wss?:\/\//.test(address) ? address : `ws://${address}`;
+  return { url, label: url };
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { loadTlsOptions, prepareSocketPath, tokenFromRequest, parseServerAddress } from './transport.js';
+
+describe('tokenFromRequest', () => {
+  it('should prefer the Authorization header', () => {
+    const req = { url: '/?token=from-query', headers: { authorization: 'Bearer from-header' } };
+
+    expect(tokenFromRequest(req)).toBe('from-header');
+  });
+
+  it('should fall back to the query string', () => {
+    expect(tokenFromRequest({ url: '/?token=abc', headers: {} })).toBe('abc');
+    expect(tokenFromRequest({ url: '/', headers: {} })).toBeNull();
+  });
+
+  it('should not accept other authorization schemes', () => {
+    expect(tokenFromRequest({ url: '/?token=abc', headers: { authorization: 'Basic dXNlcg==' } })).toBeNull();
+  });
+});
+
+describe('parseServerAddress', () => {
+  it('should default to plain WebSocket', () => {
+    expect(parseServerAddress('example.com:8420')).toEqual({ url: 'ws://example.com:8420', label: 'ws://example.com:8420' });
+    expect(parseServerAddress('wss://example.com:8420').url).toBe('wss://example.com:8420');
+  });
+
+  it('should turn unix: addresses into ws+unix URLs', () => {
+    expect(parseServerAddress('unix:/run/bob.sock')).toEqual({ url: 'ws+unix:/run/bob.sock:/', label: 'unix:/run/bob.sock' });
+    expect(parseServerAddress('unix:///run/bob.sock').url).toBe('ws+unix:/run/bob.sock:/');
+  });
+});
+
+describe('listener files', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'bob-transport-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should refuse to replace a file that is not a socket', () => {
+    const path = join(directory, 'bob.sock');
+    writeFileSync(path, 'important');
+
+    expect(() => prepareSocketPath(path)).toThrow('it exists and is not a socket');
+    expect(existsSync(path)).toBe(true);
+    expect(() => prepareSocketPath(join(directory, 'missing.sock'))).not.toThrow();
+  });
+
+  it('should name the TLS file it could not read', () => {
+    expect(() => loadTlsOptions({ cert: join(directory, 'cert.pem'), key: join(directory, 'key.pem') }))
+      .toThrow(`Could not read TLS cert ${join(directory, 'cert.pem')}`);
+  });
+});
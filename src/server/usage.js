@@ -0,0 +1,128 @@
+/**
+ * Token usage and cost accounting
+ *
+ * Agents emit a 'usage' event for each turn with what their CLI reported (see
+ * BaseAgent.reportUsage). A room adds its turns up per user and keeps the totals
+ * in its record; the room manager's UsageTracker adds up every room's turns per
+ * user and per agent type, including rooms that have since been closed.
+ *
+ * Not every CLI reports everything: Claude reports tokens and cost, codex and
+ * Gemini only tokens. Turns without a cost are counted in unpricedTurns, so a
+ * total with any of them is a lower bound.
+ */
+
+export const TOKEN_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'];
+
+/**
+ * @returns {object} - Totals with nothing counted yet
+ */
+export function emptyUsage() {
+  return {
+    turns: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheWriteTokens: 0,
+    costUsd: 0,
+    unpricedTurns: 0 // Turns whose agent reported no cost
+  };
+}
+
+function count(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+}
+
+/**
+ * Clean up one turn's usage as reported by an adapter
+ * @param {object} usage - { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, costUsd }
+ * @returns {object|null} - null when nothing was reported
+ */
+export function normalizeUsage(usage = {}) {
+  const normalized = Object.fromEntries(TOKEN_FIELDS.map(field => [field, count(usage[field])]));
+  const cost = Number(usage.costUsd);
+  normalized.costUsd = usage.costUsd != null && Number.isFinite(cost) && cost >= 0 ? cost : null;
+
+  const empty = TOKEN_FIELDS.every(field => normalized[field] === 0) && normalized.costUsd === null;
+  return empty ? null : normalized;
+}
+
+/**
+ * Add one turn's usage to a set of totals
+ * @returns {object} - The totals
+ */
+export function addTurn(totals, usage) {
+  totals.turns++;
+  for (const field of TOKEN_FIELDS) {
+    totals[field] += usage[field] || 0;
+  }
+  if (usage.costUsd === null || usage.costUsd === undefined) {
+    totals.unpricedTurns++;
+  } else {
+    totals.costUsd += usage.costUsd;
+  }
+  return totals;
+}
+
+/**
+ * Add one set of totals to another
+ * @returns {object} - The totals added to
+ */
+export function mergeUsage(totals, other = {}) {
+  for (const field of ['turns', ...TOKEN_FIELDS, 'costUsd', 'unpricedTurns']) {
+    totals[field] += other[field] || 0;
+  }
+  return totals;
+}
+
+/**
+ * Every token of a turn or total, cached or not
+ */
+export function totalTokens(usage) {
+  return TOKEN_FIELDS.reduce((sum, field) => sum + (usage?.[field] || 0), 0);
+}
+
+/**
+ * Server-wide usage per user and per agent type
+ */
+export class UsageTracker {
+  constructor() {
+    this.total = emptyUsage();
+    this.byUser = {};
+    this.byAgent = {};
+  }
+
+  /**
+   * Count a turn
+   * @param {string} agentType - The room's agent
+   * @param {string} user - Who sent the prompt
+   */
+  record(agentType, user, usage) {
+    addTurn(this.total, usage);
+    addTurn(this.byUser[user] ??= emptyUsage(), usage);
+    addTurn(this.byAgent[agentType] ??= emptyUsage(), usage);
+  }
+
+  /**
+   * Count a restored room's earlier turns
+   */
+  addRoom(room) {
+    for (const [user, totals] of Object.entries(room.usage.byUser)) {
+      mergeUsage(this.total, totals);
+      mergeUsage(this.byUser[user] ??= emptyUsage(), totals);
+      mergeUsage(this.byAgent[room.agentType] ??= emptyUsage(), totals);
+    }
+  }
+
+  /**
+   * @returns {{total: object, byUser: object, byAgent: object}} - Copies of the totals
+   */
+  summary() {
+    const copy = (totals) => Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, { ...value }]));
+    return {
+      total: { ...this.total },
+      byUser: copy(this.byUser),
+      byAgent: copy(this.byAgent)
+    };
+  }
+}
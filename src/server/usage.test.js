@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { UsageTracker, normalizeUsage, addTurn, emptyUsage, totalTokens } from './usage.js';
+
+describe('normalizeUsage', () => {
+  it('should clean up reported counts and keep a missing cost as null', () => {
+    expect(normalizeUsage({ inputTokens: 12.4, outputTokens: '7', cacheReadTokens: -3, costUsd: 0.01 }))
+      .toEqual({ inputTokens: 12, outputTokens: 7, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: 0.01 });
+    expect(normalizeUsage({ inputTokens: 5 }).costUsd).toBeNull();
+    expect(normalizeUsage({ costUsd: 0 })).toMatchObject({ inputTokens: 0, costUsd: 0 });
+    expect(normalizeUsage({})).toBeNull();
+  });
+
+  it('should count turns without a cost separately', () => {
+    const totals = emptyUsage();
+    addTurn(totals, { inputTokens: 10, outputTokens: 5, cacheReadTokens: 100, cacheWriteTokens: 0, costUsd: 0.25 });
+    addTurn(totals, { inputTokens: 10, outputTokens: 5, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: null });
+
+    expect(totals).toMatchObject({ turns: 2, inputTokens: 20, costUsd: 0.25, unpricedTurns: 1 });
+    expect(totalTokens(totals)).toBe(130);
+  });
+});
+
+describe('UsageTracker', () => {
+  const turn = { inputTokens: 10, outputTokens: 5, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: 0.1 };
+
+  it('should add up turns per user and agent type', () => {
+    const tracker = new UsageTracker();
+    tracker.record('claude', 'alice', turn);
+    tracker.record('codex', 'alice', { ...turn, costUsd: null });
+    tracker.record('claude', 'bob', turn);
+
+    const summary = tracker.summary();
+    expect(summary.total).toMatchObject({ turns: 3, inputTokens: 30, unpricedTurns: 1 });
+    expect(summary.total.costUsd).toBeCloseTo(0.2);
+    expect(summary.byUser.alice).toMatchObject({ turns: 2, unpricedTurns: 1 });
+    expect(summary.byAgent).toMatchObject({ claude: { turns: 2 }, codex: { turns: 1, costUsd: 0 } });
+
+    summary.byUser.alice.turns = 99;
+    expect(tracker.byUser.alice.turns).toBe(2);
+  });
+
+  it('should count the earlier turns of restored rooms', () => {
+    const tracker = new UsageTracker();
+    const alice = addTurn(emptyUsage(), turn);
+    tracker.addRoom({ agentType: 'gemini', usage: { total: alice, byUser: { alice } } });
+
+    expect(tracker.summary()).toMatchObject({
+      total: { turns: 1, inputTokens: 10 },
+      byUser: { alice: { turns: 1 } },
+      byAgent: { gemini: { turns: 1 } }
+    });
+  });
+});
@@ -2,6 +2,16 @@
  * Command parser and handler for irssi-style commands
  */
 
+/**
+ * Parse a comma-separated permission list ("none" for no permissions)
+ */
+function parsePermissions(arg) {
+  if (arg === undefined) {
+    return undefined;
+  }
+  return arg === 'none' ? [] : arg.split(',').filter(Boolean);
+}
+
 export class CommandParser {
   constructor() {
     this.commands = new Map();
@@ -72,8 +82,15 @@ export class CommandParser {
 
     this.register('close', {
       description: 'Close a room and stop its agent',
-      usage: '/close [room-name-or-id]',
-      handler: (args, ctx) => ctx.closeRoom(args[0])
+      usage: '/close [--keep] [room-name-or-id]',
+      examples: [
+        '/close',
+        '/close --keep    (keep the worktree and branch on disk)'
+      ],
+      handler: (args, ctx) => ctx.closeRoom(
+        args.find(arg => !arg.startsWith('--')),
+        { keepWorktree: args.includes('--keep') }
+      )
     });
 
     this.register('switch', {
@@ -88,6 +105,12 @@ export class CommandParser {
       handler: (args, ctx) => ctx.showStatus()
     });
 
+    this.register('usage', {
+      description: 'Show tokens and cost per room, user and agent',
+      usage: '/usage',
+      handler: (args, ctx) => ctx.showUsage()
+    });
+
     this.register('clear', {
       description: 'Clear the chat window',
       usage: '/clear',
@@ -96,7 +119,7 @@ export class CommandParser {
 
     this.register('connect', {
       description: 'Connect to a bob-control server',
-      usage: '/connect <host:port>',
+      usage: '/connect <host:port|wss://host:port|unix:/path>',
       handler: (args, ctx) => ctx.connect(args[0])
     });
 
@@ -142,16 +165,197 @@ export class CommandParser {
       handler: (args, ctx) => ctx.resetRoom()
     });
 
+    this.register('approve', {
+      description: 'Approve a pending tool permission request',
+      usage: '/approve [--always] [request-id]',
+      examples: [
+        '/approve',
+        '/approve --always'
+      ],
+      handler: (args, ctx) => ctx.answerPermission(args, true)
+    });
+
+    this.register('deny', {
+      description: 'Deny a pending tool permission request',
+      usage: '/deny [--always] [request-id]',
+      handler: (args, ctx) => ctx.answerPermission(args, false)
+    });
+
+    this.register('fanout', {
+      description: 'Send one prompt to several agents and compare their answers',
+      usage: '/fanout [<agent,agent,...> <prompt>]',
+      examples: [
+        '/fanout claude,codex,gemini Add input validation to the signup form',
+        '/fanout    (show the last comparison again)'
+      ],
+      handler: (args, ctx) => ctx.fanout(args[0] ? args[0].split(',').filter(Boolean) : [], args.slice(1).join(' '))
+    });
+
+    this.register('pipeline', {
+      description: 'List or run the pipelines defined in .bob/pipelines',
+      usage: '/pipeline [list|run <name> [input...]]',
+      examples: [
+        '/pipeline list',
+        '/pipeline run plan-implement-review Add rate limiting to the API'
+      ],
+      handler: (args, ctx) => {
+        const [action = 'list', name, ...input] = args;
+        return ctx.pipeline(action, name, input.join(' '));
+      }
+    });
+
+    this.register('queue', {
+      description: 'Show or manage queued messages for the current room',
+      usage: '/queue [remove <n>|move <n> <position>|clear]',
+      examples: [
+        '/queue',
+        '/queue remove 2',
+        '/queue move 3 1',
+        '/queue clear'
+      ],
+      handler: (args, ctx) => ctx.queueCommand(args)
+    });
+
+    this.register('schedule', {
+      description: 'Send the current room a prompt on a schedule',
+      usage: '/schedule [list|add [--queue] <when> <prompt>|remove <n>]',
+      examples: [
+        '/schedule add every 30m Triage the new TODO comments',
+        '/schedule add cron 0 9 * * 1-5 Update the dependency report',
+        '/schedule add --queue @daily Summarize yesterday\'s commits',
+        '/schedule list',
+        '/schedule remove 1'
+      ],
+      handler: (args, ctx) => ctx.scheduleCommand(args)
+    });
+
+    this.register('tools', {
+      description: 'List recent tool calls, or show one in full',
+      usage: '/tools [n]',
+      examples: [
+        '/tools',
+        '/tools 3'
+      ],
+      handler: (args, ctx) => ctx.showToolCalls(args[0])
+    });
+
     this.register('timeout', {
       description: 'Set request timeout in seconds',
       usage: '/timeout <seconds>',
       handler: (args, ctx) => ctx.setTimeout(args[0])
     });
 
+    this.register('commit', {
+      description: 'Commit all changes in the room\'s worktree',
+      usage: '/commit <message>',
+      handler: (args, ctx) => ctx.commitRoom(args.join(' '))
+    });
+
+    this.register('merge', {
+      description: 'Merge the room\'s branch into the original repository',
+      usage: '/merge [--squash|--rebase] [target-branch]',
+      examples: [
+        '/merge',
+        '/merge --squash main',
+        '/merge --rebase develop'
+      ],
+      handler: (args, ctx) => ctx.mergeRoom({
+        strategy: args.includes('--squash') ? 'squash' : args.includes('--rebase') ? 'rebase' : 'merge',
+        targetBranch: args.find(arg => !arg.startsWith('--'))
+      })
+    });
+
+    this.register('export', {
+      description: 'Export the room\'s commits as patches or a bundle',
+      usage: '/export patch|bundle <path>',
+      examples: [
+        '/export patch ./login-fix.patch   (one squashed patch)',
+        '/export patch ./patches/          (one patch per commit)',
+        '/export bundle ./login-fix.bundle'
+      ],
+      handler: (args, ctx) => ctx.exportRoom(args[0], args[1])
+    });
+
+    this.register('diff', {
+      description: 'Show the file changes made in an agent turn',
+      usage: '/diff [turn]',
+      examples: [
+        '/diff',
+        '/diff 2'
+      ],
+      handler: (args, ctx) => ctx.showDiff(args[0])
+    });
+
     this.register('worktree', {
-      description: 'Show worktree info for current room',
-      usage: '/worktree',
-      handler: (args, ctx) => ctx.showWorktree()
+      description: 'Show worktree info, or adopt/prune orphaned worktrees',
+      usage: '/worktree [adopt <path> [agent]|prune [--force] [path]]',
+      examples: [
+        '/worktree',
+        '/worktree adopt /tmp/bob-control-worktrees/app-1234 claude',
+        '/worktree prune',
+        '/worktree prune --force /tmp/bob-control-worktrees/app-1234'
+      ],
+      handler: (args, ctx) => {
+        const [action, ...rest] = args;
+        switch (action) {
+          case 'adopt':
+            return ctx.adoptWorktree(rest[0], rest[1]);
+          case 'prune':
+            return ctx.pruneWorktrees({
+              force: rest.includes('--force'),
+              path: rest.find(arg => !arg.startsWith('--'))
+            });
+          default:
+            return ctx.showWorktree();
+        }
+      }
+    });
+
+    this.register('worktrees', {
+      description: 'List orphaned worktrees left behind by earlier runs',
+      usage: '/worktrees',
+      handler: (args, ctx) => ctx.listOrphanedWorktrees()
+    });
+
+    this.register('invite', {
+      description: 'Invite a user to the room, or change their permissions',
+      usage: '/invite <user> [send,cancel,close,manage|none]',
+      examples: [
+        '/invite alice                (send and cancel)',
+        '/invite alice send,manage',
+        '/invite bob none             (watch only)'
+      ],
+      handler: (args, ctx) => ctx.inviteUser(args[0], parsePermissions(args[1]))
+    });
+
+    this.register('kick', {
+      description: 'Remove a user from the room',
+      usage: '/kick <user>',
+      handler: (args, ctx) => ctx.kickUser(args[0])
+    });
+
+    this.register('acl', {
+      description: 'Show or change who can see and use the room',
+      usage: '/acl [public|invite-only|private|set <user> <perms>|owner <user>]',
+      examples: [
+        '/acl',
+        '/acl private',
+        '/acl set alice send,cancel,close',
+        '/acl owner alice'
+      ],
+      handler: (args, ctx) => {
+        const [action, ...rest] = args;
+        switch (action) {
+          case undefined:
+            return ctx.showAccess();
+          case 'set':
+            return ctx.inviteUser(rest[0], parsePermissions(rest[1]) || []);
+          case 'owner':
+            return ctx.setRoomAccess({ owner: rest[0] });
+          default:
+            return ctx.setRoomAccess({ visibility: action });
+        }
+      }
     });
 
     // Number shortcuts for switching rooms (like irssi)
@@ -243,8 +447,10 @@ export class CommandParser {
 
     const categories = {
       'Room Management': ['create', 'new', 'join', 'leave', 'list', 'close', 'switch'],
-      'Agent Control': ['cancel', 'reset', 'timeout'],
-      'Information': ['help', 'status', 'agents', 'git', 'worktree'],
+      'Agent Control': ['fanout', 'pipeline', 'cancel', 'reset', 'queue', 'schedule', 'approve', 'deny', 'tools', 'timeout'],
+      'Information': ['help', 'status', 'usage', 'agents', 'git', 'diff', 'worktree'],
+      'Git': ['commit', 'merge', 'export', 'worktrees'],
+      'Access': ['invite', 'kick', 'acl'],
       'Connection': ['connect', 'disconnect'],
       'Other': ['clear', 'name', 'browse', 'quit']
     };
@@ -0,0 +1,106 @@
+/**
+ * Side-by-side comparison of a fan-out's results (see /fanout)
+ */
+
+const GAP = ' │ ';
+const STATUS_COLORS = { done: 'green', failed: 'red', running: 'yellow', pending: 'gray' };
+
+/**
+ * Escape blessed tags in untrusted text
+ */
+function escapeTags(text) {
+  return String(text).replace(/[{}]/g, ch => (ch === '{' ? '{open}' : '{close}'));
+}
+
+/**
+ * Short duration, e.g. "42s" or "3m05s"
+ */
+export function formatElapsed(ms) {
+  if (ms === null || ms === undefined) return '-';
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * File-change stats of one result, e.g. "3 files +40 -12"
+ */
+export function formatChangeStats(changes) {
+  if (!changes) return 'no changes';
+  return `${changes.files} file${changes.files === 1 ? '' : 's'} +${changes.additions} -${changes.deletions}`;
+}
+
+/**
+ * Break text into lines of at most `width` characters, at spaces where possible
+ */
+export function wrapText(text, width) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      let rest = word;
+      // Words longer than a line are cut
+      while (rest.length > width) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(rest.slice(0, width));
+        rest = rest.slice(width);
+      }
+      if (!line) {
+        line = rest;
+      } else if (line.length + 1 + rest.length <= width) {
+        line += ` ${rest}`;
+      } else {
+        lines.push(line);
+        line = rest;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Render a comparison as columns, one per agent
+ * @param {object} comparison - A fanout_started or fanout_complete message (Fanout.toJSON)
+ * @param {number} width - Characters available
+ * @returns {string[]} - Lines with blessed tags
+ */
+export function renderComparison(comparison, width) {
+  const { results } = comparison;
+  const columnWidth = Math.max(10, Math.floor((width - GAP.length * (results.length - 1)) / results.length));
+
+  // Each cell is [text, color]; the text is padded before tags are added
+  const columns = results.map(result => {
+    const answer = result.status === 'failed'
+      ? `Error: ${result.error}`
+      : result.response ?? (result.status === 'done' ? '(no answer)' : '(waiting...)');
+    return [
+      [result.agentType, 'bold'],
+      [`${result.status} in ${formatElapsed(result.elapsedMs)}`, STATUS_COLORS[result.status]],
+      [formatChangeStats(result.changes), 'cyan'],
+      [result.branch || '', 'gray'],
+      ['─'.repeat(columnWidth), 'gray'],
+      ...wrapText(answer, columnWidth).map(line => [line, null])
+    ];
+  });
+
+  const lines = [
+    `{bold}Prompt:{/bold} ${escapeTags(comparison.prompt)}`,
+    comparison.baseCommit ? `{gray-fg}Base commit ${comparison.baseCommit.slice(0, 8)}{/gray-fg}` : '',
+    ''
+  ];
+  const height = Math.max(...columns.map(column => column.length));
+  for (let row = 0; row < height; row++) {
+    const cells = columns.map((column, index) => {
+      const [text, color] = column[row] || ['', null];
+      const fitted = text.slice(0, columnWidth);
+      const cell = escapeTags(index < columns.length - 1 ? fitted.padEnd(columnWidth) : fitted);
+      if (!color) return cell;
+      return color === 'bold' ? `{bold}${cell}{/bold}` : `{${color}-fg}${cell}{/${color}-fg}`;
+    });
+    lines.push(cells.join(GAP));
+  }
+  return lines;
+}
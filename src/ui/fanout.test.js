@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { renderComparison, wrapText, formatChangeStats } from './fanout.js';
+
+describe('renderComparison', () => {
+  const comparison = {
+    fanoutId: 'f1',
+    prompt: 'Fix {it}',
+    baseCommit: '0123456789abcdef',
+    results: [
+      { roomId: 'a', agentType: 'claude', status: 'done', response: 'Fixed the parser and added a test', elapsedMs: 83000, changes: { files: 2, additions: 10, deletions: 3 }, branch: 'bob/claude/fix' },
+      { roomId: 'b', agentType: 'codex', status: 'failed', response: null, error: 'Agent crashed', elapsedMs: 4000, changes: null, branch: 'bob/codex/fix' }
+    ]
+  };
+
+  it('should put each agent in its own column', () => {
+    const rendered = renderComparison(comparison, 43);
+    const lines = rendered.map(line => line.replace(/\{\/?[a-z-]+\}/g, ''));
+
+    expect(rendered[0]).toBe('{bold}Prompt:{/bold} Fix {open}it{close}');
+    expect(lines[1]).toBe('Base commit 01234567');
+    expect(lines.slice(3, 6)).toEqual([
+      'claude               │ codex',
+      'done in 1m23s        │ failed in 4s',
+      '2 files +10 -3       │ no changes'
+    ]);
+    expect(lines.slice(8)).toEqual([
+      'Fixed the parser and │ Error: Agent crashed',
+      'added a test         │ '
+    ]);
+  });
+
+  it('should escape tags in answers', () => {
+    const lines = renderComparison({ ...comparison, prompt: 'x', results: [{ ...comparison.results[0], response: '{bold}' }] }, 20);
+
+    expect(lines.at(-1)).toContain('{open}bold{close}');
+  });
+});
+
+describe('wrapText', () => {
+  it('should wrap at spaces and cut long words', () => {
+    expect(wrapText('one two three', 7)).toEqual(['one two', 'three']);
+    expect(wrapText('abcdefghij', 4)).toEqual(['abcd', 'efgh', 'ij']);
+    expect(wrapText('a\n\nb', 4)).toEqual(['a', '', 'b']);
+  });
+});
+
+describe('formatChangeStats', () => {
+  it('should summarise file changes', () => {
+    expect(formatChangeStats({ files: 1, additions: 2, deletions: 0 })).toBe('1 file +2 -0');
+    expect(formatChangeStats(null)).toBe('no changes');
+  });
+});
@@ -1,9 +1,36 @@
 import { createScreen } from './screen.js';
 import { CommandParser } from './commands.js';
 import { BobServer } from '../server/index.js';
+import { parseServerAddress } from '../server/transport.js';
+import { BobClient } from '../client/index.js';
 import { listAgentTypes } from '../agents/index.js';
 import { MarkdownRenderer } from './markdown.js';
-import WebSocket from 'ws';
+import { renderComparison, formatElapsed, formatChangeStats } from './fanout.js';
+import { PipelineRunner, loadPipeline, listPipelines } from '../server/pipeline.js';
+import { SCHEDULE_USAGE, parseScheduleArgs, formatSchedule } from './schedule.js';
+import { formatUsage, formatUsageShort, formatCost, formatTokens, sumUsage } from './usage.js';
+import { totalTokens } from '../server/usage.js';
+import { basename, isAbsolute, join, relative, resolve as resolvePath } from 'path';
+import { mkdirSync, writeFileSync } from 'fs';
+
+/**
+ * Write an export_result's files to a local path
+ * A series goes into the output directory; a patch or bundle is the output file
+ * @returns {string[]} - The paths written
+ */
+function saveExport(result, output) {
+  const write = (path, file) => writeFileSync(path, Buffer.from(file.content, result.encoding));
+  if (result.format !== 'series') {
+    write(output, result.files[0]);
+    return [output];
+  }
+  mkdirSync(output, { recursive: true });
+  return result.files.map((file) => {
+    const path = join(output, basename(file.name));
+    write(path, file);
+    return path;
+  });
+}
 
 /**
  * Main UI Controller
@@ -16,7 +43,7 @@ export class UIController {
     this.ui = createScreen();
     this.commands = new CommandParser();
     this.server = null;
-    this.ws = null;
+    this.client = null; // BobClient in remote mode
     this.rooms = new Map();
     this.roomBuffers = new Map(); // Output buffer per room
     this.roomRenderers = new Map(); // Markdown renderer per room (for streaming state)
@@ -24,10 +51,20 @@ export class UIController {
     this.userName = options.name || `user-${Math.random().toString(36).slice(2, 8)}`;
     this.inputHistory = [];
     this.historyIndex = -1;
+    this.historySize = options.historySize || 100; // Max input lines to remember
+    this.token = options.token || null; // Our token for remote servers that use named users
     this.serverMode = options.serverMode || false;
     this.useWorktrees = options.useWorktrees !== false;
     this.maxBufferLines = 500; // Max lines to keep per room
     this.roomPartialLines = new Map(); // Track partial line content per room (for streaming)
+    this.roomToolCalls = new Map(); // Recent tool calls per room, for /tools
+    this.maxToolCalls = 200; // Max tool calls to keep per room
+    this.lastFanout = null; // Latest fan-out comparison, for /fanout without arguments
+    this.roomSchedules = new Map(); // Room ID -> schedules last listed, for /schedule remove <n>
+
+    // Tool permission requests awaiting a decision, oldest first
+    this.pendingPermissions = []; // { roomId, request }
+    this.activePermission = null; // The one shown in the prompt
   }
 
   /**
@@ -77,6 +114,8 @@ export class UIController {
   async start() {
     this.setupInputHandlers();
     this.setupKeyBindings();
+    this.setupPermissionPrompt();
+    this.setupDiffViewer();
 
     this.log('{bold}{blue-fg}Bob Control{/blue-fg}{/bold} - Multi-Agent Terminal Interface');
     this.log('Type {green-fg}/help{/green-fg} for available commands');
@@ -102,12 +141,27 @@ export class UIController {
     this.server = new BobServer({
       port: this.options.port || 8420,
       host: this.options.host || '127.0.0.1',
-      useWorktrees: this.useWorktrees
+      tls: this.options.tls,
+      socket: this.options.socket,
+      useWorktrees: this.useWorktrees,
+      storage: this.options.storage,
+      permissions: this.options.permissions,
+      git: this.options.git,
+      agents: this.options.agents,
+      auth: this.options.auth,
+      authToken: this.options.authToken,
+      requireAuth: this.options.requireAuth,
+      requestTimeout: this.options.requestTimeout,
+      logLevel: this.options.logLevel,
+      config: this.options.config,
+      configPath: this.options.configPath
     });
 
     this.server.on('log', (msg) => this.log(`{gray-fg}[server]{/gray-fg} ${msg}`));
     this.server.on('roomCreated', (room) => this.onRoomCreated(room));
+    this.server.on('roomRestored', (room) => this.onRoomRestored(room));
     this.server.on('roomDestroyed', (roomId) => this.onRoomDestroyed(roomId));
+    this.server.on('scheduleRun', (run) => this.onScheduleRun(run));
 
     await this.server.start();
     this.log(`{green-fg}Server started on ws://${this.server.host}:${this.server.port}{/green-fg}`);
@@ -115,37 +169,44 @@ export class UIController {
 
   /**
    * Connect to a remote server
+   * Once connected, the client retries dropped connections with backoff
+   * and resumes joined rooms from the last event seen
    */
   async connect(address) {
-    const url = address.startsWith('ws://') ? address : `ws://${address}`;
-
-    return new Promise((resolve, reject) => {
-      this.log(`Connecting to ${url}...`);
-
-      this.ws = new WebSocket(url);
-
-      this.ws.on('open', () => {
-        this.log(`{green-fg}Connected to ${url}{/green-fg}`);
-        this.ws.send(JSON.stringify({
-          type: 'set_name',
-          name: this.userName
-        }));
-        resolve();
-      });
-
-      this.ws.on('message', (data) => {
-        this.handleServerMessage(JSON.parse(data.toString()));
-      });
-
-      this.ws.on('close', () => {
-        this.log('{yellow-fg}Disconnected from server{/yellow-fg}');
-        this.ws = null;
-      });
+    if (this.client) {
+      this.disconnect();
+    }
+    const { label } = parseServerAddress(address);
+    this.log(`Connecting to ${label}...`);
+
+    const client = new BobClient({
+      address,
+      token: this.token,
+      name: this.userName,
+      client: { name: 'bob-ui' }
+    });
+    client.on('event', (message) => this.handleServerMessage(message));
+    client.on('disconnected', () => this.log('{yellow-fg}Disconnected from server{/yellow-fg}'));
+    client.on('reconnecting', ({ delay }) => this.log(`{yellow-fg}Reconnecting in ${delay / 1000}s...{/yellow-fg}`));
+    client.on('reconnected', () => this.log(`{green-fg}Reconnected to ${label}{/green-fg}`));
+    client.on('error', (error) => this.log(`{red-fg}Connection error: ${error.message}{/red-fg}`));
+
+    try {
+      await client.connect();
+    } catch (error) {
+      this.log(`{red-fg}Connection error: ${error.message}{/red-fg}`);
+      throw error;
+    }
+    this.client = client;
+    this.log(`{green-fg}Connected to ${label}{/green-fg}`);
+  }
 
-      this.ws.on('error', (error) => {
-        this.log(`{red-fg}Connection error: ${error.message}{/red-fg}`);
-        reject(error);
-      });
+  /**
+   * Send a request to the remote server, logging it if it fails
+   */
+  request(message) {
+    return this.client.request(message).catch((error) => {
+      this.log(`{red-fg}Error: ${error.message}{/red-fg}`);
     });
   }
 
@@ -153,9 +214,10 @@ export class UIController {
    * Disconnect from server
    */
   disconnect() {
-    if (this.ws) {
-      this.ws.close();
-      this.ws = null;
+    if (this.client) {
+      this.client.removeAllListeners();
+      this.client.close();
+      this.client = null;
       this.log('Disconnected');
     }
   }
@@ -166,13 +228,32 @@ export class UIController {
   handleServerMessage(message) {
     switch (message.type) {
       case 'welcome':
-        this.log(`{cyan-fg}Connected as ${message.clientId.slice(0, 8)}{/cyan-fg}`);
+        this.log(`{cyan-fg}Connected as ${message.user?.name || message.clientId.slice(0, 8)}` +
+          (message.user ? ` (${message.user.role})` : '') + '{/cyan-fg}');
+        this.role = message.user?.role || null;
         for (const room of message.rooms) {
           this.rooms.set(room.id, room);
         }
         this.updateRoomList();
         break;
 
+      case 'hello':
+        this.log(`{gray-fg}Server ${message.serverVersion}, protocol v${message.protocolVersion}{/gray-fg}`);
+        break;
+
+      case 'name_set':
+        // Servers with named users decide our name from the token
+        if (message.bound && message.name !== this.userName) {
+          this.log(`{cyan-fg}Signed in as ${message.name}{/cyan-fg}`);
+        }
+        this.userName = message.name;
+        break;
+
+      case 'room_resumed':
+        // The client replays the missed events after this
+        this.log(`{green-fg}Resumed ${message.roomName} (${message.events.length} missed events){/green-fg}`);
+        break;
+
       case 'room_joined':
         this.rooms.set(message.roomId, message);
         this.currentRoom = message.roomId;
@@ -183,6 +264,11 @@ export class UIController {
         for (const msg of message.history.slice(-20)) {
           this.displayMessage(msg);
         }
+        this.roomToolCalls.set(message.roomId,
+          message.history.filter(msg => msg.toolCall).map(msg => msg.toolCall));
+        for (const request of message.pendingPermissions || []) {
+          this.onPermissionRequest(message.roomId, request);
+        }
         break;
 
       case 'room_left':
@@ -190,10 +276,34 @@ export class UIController {
           this.currentRoom = null;
           this.updateStatus();
         }
-        this.log('{yellow-fg}Left room{/yellow-fg}');
+        if (message.kicked) {
+          this.log(`{yellow-fg}You were removed from the room${message.by ? ` by ${message.by}` : ''}{/yellow-fg}`);
+        } else {
+          this.log('{yellow-fg}Left room{/yellow-fg}');
+        }
+        break;
+
+      case 'room_acl':
+        const aclRoom = this.rooms.get(message.roomId);
+        if (aclRoom) {
+          aclRoom.access = message.access;
+          aclRoom.owner = message.access.owner;
+          aclRoom.visibility = message.access.visibility;
+        }
+        if (message.roomId === this.currentRoom) {
+          this.showRoomAccess(message.access);
+        }
+        break;
+
+      case 'invited':
+        this.log(`{cyan-fg}${message.by || 'The server'} invited you to ${message.roomName}` +
+          ` (${message.permissions.join(', ') || 'view only'}) - /join ${message.roomName}{/cyan-fg}`);
         break;
 
       case 'message':
+        if (message.message.changes) {
+          this.onTurnChanges(message.roomId, message.message.changes);
+        }
         // Skip user messages (shown in sendMessage) and agent messages (shown via streaming)
         // Only show system messages
         if (message.message.role === 'system') {
@@ -284,25 +394,132 @@ export class UIController {
         break;
 
       case 'activity':
+        // Tool calls themselves are shown inline via tool_call events
         if (message.roomId === this.currentRoom && message.activity) {
           const activity = message.activity;
           const desc = activity.description || `Using ${activity.tool}`;
 
-          // Show in status bar
           this.ui.statusBar.setContent(
             ` {bold}Bob{/bold} | {cyan-fg}${desc}...{/cyan-fg} | Escape to cancel`
           );
-
-          // Also show inline in chat for better visibility
-          const toolIcon = this.getToolIcon(activity.tool);
-          const activityLine = `{gray-fg}${toolIcon} ${desc}{/gray-fg}`;
-          this.appendToBuffer(message.roomId, activityLine);
-          this.ui.chatBox.pushLine(activityLine);
-          this.ui.chatBox.setScrollPerc(100);
           this.ui.screen.render();
         }
         break;
 
+      case 'tool_call':
+        this.onToolCall(message.roomId, message.toolCall);
+        break;
+
+      case 'diff':
+        this.showDiff(message);
+        break;
+
+      case 'fanout_started':
+        this.onFanoutStarted(message);
+        break;
+
+      case 'fanout_result':
+        this.onFanoutResult(message.result);
+        break;
+
+      case 'fanout_complete':
+        this.showFanout(message);
+        break;
+
+      case 'pipelines':
+        this.showPipelines(message);
+        break;
+
+      case 'schedules':
+        this.showSchedules(message.roomId, message.schedules);
+        break;
+
+      case 'schedule_added':
+        this.onScheduleAdded(message.roomId, message.schedule);
+        break;
+
+      case 'schedule_removed':
+        this.onScheduleRemoved(message.roomId, message.scheduleId);
+        break;
+
+      case 'schedule_run':
+        this.onScheduleRun(message);
+        break;
+
+      case 'usage':
+        this.onUsage(message.roomId, message.total);
+        break;
+
+      case 'usage_summary':
+        if (message.roomId) {
+          this.showRoomUsage(message.roomId, message.usage);
+        } else {
+          this.showServerUsage(message.usage);
+        }
+        break;
+
+      case 'pipeline_started':
+        this.onPipelineStarted(message);
+        break;
+
+      case 'pipeline_stage':
+        this.onPipelineStage(message);
+        break;
+
+      case 'pipeline_complete':
+        this.onPipelineComplete(message);
+        break;
+
+      case 'commit_result':
+        this.showCommitResult(message);
+        break;
+
+      case 'merge_result':
+        this.showMergeResult(message);
+        break;
+
+      case 'export_result':
+        // Reported by /export once the files are written
+        break;
+
+      case 'worktrees':
+        this.showOrphanedWorktrees(message.orphans);
+        break;
+
+      case 'worktrees_pruned':
+        this.showPruneResults(message.results);
+        break;
+
+      case 'config_reloaded':
+        this.log(`{cyan-fg}Server config reloaded{/cyan-fg}` +
+          (message.applied.length ? ` - applied ${message.applied.join(', ')}` : ''));
+        if (message.restartRequired.length) {
+          this.log(`{yellow-fg}Restart the server to apply: ${message.restartRequired.join(', ')}{/yellow-fg}`);
+        }
+        break;
+
+      case 'queue':
+      case 'queue_updated':
+        const queueRoom = this.rooms.get(message.roomId);
+        if (queueRoom) {
+          queueRoom.queue = message.queue;
+          if (message.roomId === this.currentRoom) {
+            this.updateStatus();
+          }
+        }
+        if (message.type === 'queue') {
+          this.showQueue(message.queue);
+        }
+        break;
+
+      case 'permission_request':
+        this.onPermissionRequest(message.roomId, message.request);
+        break;
+
+      case 'permission_resolved':
+        this.onPermissionResolved(message.permissionId);
+        break;
+
       case 'room_list':
         this.rooms.clear();
         for (const room of message.rooms) {
@@ -419,6 +636,10 @@ export class UIController {
 
     // Escape to cancel current request (bind to inputBox too)
     const cancelHandler = () => {
+      // Escape must not cancel the agent while it waits on a permission decision
+      if (this.activePermission) return;
+      // ...or when it is only closing the diff viewer
+      if (!this.ui.diffViewer.hidden) return;
       if (this.currentRoom) {
         const ctx = this.createCommandContext();
         ctx.cancelRequest();
@@ -474,7 +695,7 @@ export class UIController {
 
     // Add to history
     this.inputHistory.push(input);
-    if (this.inputHistory.length > 100) {
+    if (this.inputHistory.length > this.historySize) {
       this.inputHistory.shift();
     }
     this.historyIndex = -1;
@@ -520,7 +741,8 @@ export class UIController {
           const room = await this.server.roomManager.createRoom({
             agentType,
             directory: targetDirectory || process.cwd(),
-            branch
+            branch,
+            user: this.userName
           });
           this.rooms.set(room.id, room.toJSON());
           this.currentRoom = room.id;
@@ -528,135 +750,116 @@ export class UIController {
           this.updateStatus();
           this.log(`{green-fg}Created room: ${room.name} (${agentType}){/green-fg}`);
 
-          // Setup room event handlers for local mode
-          room.on('message', (msg) => {
-            // Skip user messages (shown in sendMessage) and agent messages (shown via streaming)
-            // Only show system messages
-            if (msg.role === 'system') {
-              const time = new Date(msg.timestamp).toLocaleTimeString('en-US', {
-                hour12: false,
-                hour: '2-digit',
-                minute: '2-digit'
-              });
-              const formatted = `{gray-fg}${time}{/gray-fg} {yellow-fg}*{/yellow-fg} ${msg.content}`;
-
-              // Always buffer for this room
-              this.appendToBuffer(room.id, formatted);
-
-              // Only display if current room
-              if (this.currentRoom === room.id) {
-                this.ui.chatBox.log(formatted);
-                this.ui.screen.render();
-              }
-            }
-          });
-
-          // Handle streaming output with proper partial line support
-          room.agent?.on('stream', (chunk) => {
-            const renderer = this.getMarkdownRenderer(room.id);
-            const results = renderer.processChunk(chunk);
-
-            for (const { line, complete } of results) {
-              const hadPartial = this.hasPartialLine(room.id);
-
-              if (complete) {
-                // Complete line - add to buffer and display
-                this.appendToBuffer(room.id, line);
-                this.setPartialLine(room.id, false);
-                if (this.currentRoom === room.id) {
-                  if (hadPartial) {
-                    this.replaceLastLine(line);
-                  } else {
-                    this.ui.chatBox.pushLine(line);
-                  }
-                }
-              } else {
-                // Partial line - store content for later and update display
-                this.setPartialLine(room.id, line);
-                if (this.currentRoom === room.id) {
-                  if (hadPartial) {
-                    this.replaceLastLine(line);
-                  } else {
-                    this.ui.chatBox.pushLine(line);
-                  }
-                }
-              }
-            }
+          this.attachLocalRoom(room);
 
-            if (this.currentRoom === room.id) {
-              this.ui.chatBox.setScrollPerc(100);
-              this.ui.screen.render();
-            }
+        } else if (this.client) {
+          this.request({
+            type: 'create_room',
+            agentType,
+            directory: directory || process.cwd(),
+            branch
           });
+        } else {
+          this.log('{red-fg}Not connected to any server{/red-fg}');
+        }
+      },
 
-          // Handle status changes for visual feedback
-          room.agent?.on('status', (status) => {
-            // Update the room's status in our local state
-            const roomData = this.rooms.get(room.id);
-            if (roomData) {
-              roomData.status = status;
-            }
-
-            // Reset markdown renderer when starting a new response
-            if (status === 'busy') {
-              this.getMarkdownRenderer(room.id).reset();
-              this.setPartialLine(room.id, false);
-            } else if (status === 'ready') {
-              // Response complete - finalize any partial line into the buffer
-              this.finalizePartialLine(room.id);
-            }
-
-            // Update room list to reflect status indicator changes for all rooms
-            this.updateRoomList();
-            if (this.currentRoom === room.id) {
-              if (status === 'busy') {
-                this.ui.statusBar.setContent(
-                  ` {bold}Bob{/bold} | {yellow-fg}Agent thinking...{/yellow-fg} | Escape to cancel`
-                );
-              } else {
-                this.updateStatus();
-              }
-              this.ui.screen.render();
-            }
-          });
+      fanout: async (agents, prompt) => {
+        if (agents.length === 0) {
+          if (this.lastFanout) {
+            this.showFanout(this.lastFanout);
+          } else {
+            this.log('No fan-out yet. Usage: /fanout <agent,agent,...> <prompt>');
+          }
+          return;
+        }
+        if (agents.length < 2 || !prompt) {
+          this.log('{red-fg}Usage: /fanout <agent,agent,...> <prompt> (at least two agents){/red-fg}');
+          return;
+        }
 
-          // Handle activity events to show what the agent is doing
-          room.agent?.on('activity', (activity) => {
-            const desc = activity.description || `Using ${activity.tool}`;
+        if (this.server) {
+          let fanout;
+          try {
+            fanout = await this.server.roomManager.createFanout({
+              agents,
+              prompt,
+              directory: process.cwd(),
+              user: this.userName
+            });
+          } catch (error) {
+            this.log(`{red-fg}Fan-out failed: ${error.message}{/red-fg}`);
+            return;
+          }
+          for (const room of fanout.rooms) {
+            this.attachLocalRoom(room);
+          }
+          this.onFanoutStarted(fanout.toJSON());
+          fanout.on('result', (result) => this.onFanoutResult(result));
+          this.showFanout(await fanout.run('local'));
+        } else if (this.client) {
+          this.request({ type: 'fanout', agents, prompt, directory: process.cwd() });
+        } else {
+          this.log('{red-fg}Not connected to any server{/red-fg}');
+        }
+      },
 
-            // Show inline in chat for better visibility
-            const toolIcon = this.getToolIcon(activity.tool);
-            const activityLine = `{gray-fg}${toolIcon} ${desc}{/gray-fg}`;
-            this.appendToBuffer(room.id, activityLine);
+      pipeline: async (action, name, input) => {
+        if (action === 'list') {
+          if (this.server) {
+            this.showPipelines({ directory: process.cwd(), pipelines: listPipelines(process.cwd()) });
+          } else if (this.client) {
+            this.request({ type: 'list_pipelines', directory: process.cwd() });
+          } else {
+            this.log('{red-fg}Not connected to any server{/red-fg}');
+          }
+          return;
+        }
+        if (action !== 'run' || !name) {
+          this.log('{red-fg}Usage: /pipeline list | /pipeline run <name> [input...]{/red-fg}');
+          return;
+        }
 
-            if (this.currentRoom === room.id) {
-              this.ui.statusBar.setContent(
-                ` {bold}Bob{/bold} | {cyan-fg}${desc}...{/cyan-fg} | Escape to cancel`
-              );
-              this.ui.chatBox.pushLine(activityLine);
-              this.ui.chatBox.setScrollPerc(100);
-              this.ui.screen.render();
+        if (this.server) {
+          let runner;
+          try {
+            runner = new PipelineRunner({
+              roomManager: this.server.roomManager,
+              pipeline: loadPipeline(process.cwd(), name),
+              directory: process.cwd(),
+              input,
+              user: this.userName
+            });
+          } catch (error) {
+            this.log(`{red-fg}${this.escapeTags(error.message)}{/red-fg}`);
+            return;
+          }
+          runner.on('stage', (progress) => {
+            const room = this.server.roomManager.getRoom(progress.stage.roomId);
+            if (room && progress.stage.status === 'running') {
+              this.attachLocalRoom(room);
+              this.currentRoom = room.id;
+              this.displayRoomBuffer(room.id);
+              this.updateRoomList();
+              this.updateStatus();
             }
+            this.onPipelineStage(progress);
           });
-
-        } else if (this.ws) {
-          this.ws.send(JSON.stringify({
-            type: 'create_room',
-            agentType,
-            directory: directory || process.cwd(),
-            branch
-          }));
+          this.onPipelineStarted(runner.toJSON());
+          this.onPipelineComplete(await runner.run('local'));
+        } else if (this.client) {
+          this.request({ type: 'run_pipeline', name, input, directory: process.cwd() });
         } else {
           this.log('{red-fg}Not connected to any server{/red-fg}');
         }
       },
 
       joinRoom: (roomIdentifier) => {
-        if (this.ws) {
-          this.ws.send(JSON.stringify({
+        if (this.client) {
+          this.request({
             type: 'join_room',
             roomName: roomIdentifier
-          }));
+          });
         } else {
           // Local mode - just switch
           this.switchRoom(roomIdentifier);
@@ -664,11 +867,11 @@ export class UIController {
       },
 
       leaveRoom: () => {
-        if (this.ws && this.currentRoom) {
-          this.ws.send(JSON.stringify({
+        if (this.client && this.currentRoom) {
+          this.request({
             type: 'leave_room',
             roomId: this.currentRoom
-          }));
+          });
         }
         this.currentRoom = null;
         this.updateStatus();
@@ -689,8 +892,9 @@ export class UIController {
         }
       },
 
-      closeRoom: async (roomIdentifier) => {
+      closeRoom: async (roomIdentifier, options = {}) => {
         const roomId = roomIdentifier || this.currentRoom;
+        const { keepWorktree = false } = options;
 
         if (!roomId) {
           this.log('{red-fg}No room specified{/red-fg}');
@@ -698,7 +902,8 @@ export class UIController {
         }
 
         if (this.server) {
-          await this.server.roomManager.destroyRoom(roomId);
+          const room = this.server.roomManager.getRoom(roomId);
+          await this.server.roomManager.destroyRoom(roomId, { cleanupWorktree: !keepWorktree });
           this.rooms.delete(roomId);
           if (this.currentRoom === roomId) {
             this.currentRoom = null;
@@ -706,11 +911,136 @@ export class UIController {
           this.updateRoomList();
           this.updateStatus();
           this.log('{yellow-fg}Room closed{/yellow-fg}');
-        } else if (this.ws) {
-          this.ws.send(JSON.stringify({
+          if (keepWorktree && room?.metadata.worktree) {
+            this.log(`{gray-fg}Kept worktree ${room.directory} (branch: ${room.branch}){/gray-fg}`);
+          }
+        } else if (this.client) {
+          this.request({
             type: 'close_room',
-            roomId
-          }));
+            roomId,
+            keepWorktree
+          });
+        }
+      },
+
+      commitRoom: async (message) => {
+        if (!this.currentRoom) {
+          this.log('{red-fg}No room selected{/red-fg}');
+          return;
+        }
+        if (!message) {
+          this.log('{red-fg}Usage: /commit <message>{/red-fg}');
+          return;
+        }
+
+        if (this.server) {
+          try {
+            const result = await this.server.roomManager.commitRoom(this.currentRoom, message);
+            this.showCommitResult(result);
+          } catch (error) {
+            this.log(`{red-fg}Commit failed: ${error.message}{/red-fg}`);
+          }
+        } else if (this.client) {
+          this.request({ type: 'commit_room', roomId: this.currentRoom, message });
+        } else {
+          this.log('{red-fg}Not connected to any server{/red-fg}');
+        }
+      },
+
+      exportRoom: async (kind, path) => {
+        if (!this.currentRoom) {
+          this.log('{red-fg}No room selected{/red-fg}');
+          return;
+        }
+        if (!['patch', 'bundle'].includes(kind) || !path) {
+          this.log('{red-fg}Usage: /export patch|bundle <path>{/red-fg}');
+          return;
+        }
+
+        // A .patch/.diff file gets one squashed patch; anything else is a directory for the series
+        const format = kind === 'bundle' ? 'bundle' : /\.(patch|diff)$/.test(path) ? 'patch' : 'series';
+        const output = resolvePath(path);
+
+        if (this.server) {
+          try {
+            const result = await this.server.roomManager.exportRoom(this.currentRoom, { format, output });
+            this.showExportResult(result);
+          } catch (error) {
+            this.log(`{red-fg}Export failed: ${error.message}{/red-fg}`);
+          }
+        } else if (this.client) {
+          // The server sends the contents back and they are written here
+          const result = await this.request({ type: 'export_room_changes', roomId: this.currentRoom, format });
+          if (!result) return;
+          try {
+            this.showExportResult({ ...result, paths: saveExport(result, output) });
+          } catch (error) {
+            this.log(`{red-fg}Export failed: ${error.message}{/red-fg}`);
+          }
+        } else {
+          this.log('{red-fg}Not connected to any server{/red-fg}');
+        }
+      },
+
+      mergeRoom: async (options) => {
+        if (!this.currentRoom) {
+          this.log('{red-fg}No room selected{/red-fg}');
+          return;
+        }
+
+        if (this.server) {
+          try {
+            const result = await this.server.roomManager.mergeRoom(this.currentRoom, options);
+            this.showMergeResult(result);
+          } catch (error) {
+            this.log(`{red-fg}Merge failed: ${error.message}{/red-fg}`);
+          }
+        } else if (this.client) {
+          this.request({ type: 'merge_room', roomId: this.currentRoom, ...options });
+        } else {
+          this.log('{red-fg}Not connected to any server{/red-fg}');
+        }
+      },
+
+      inviteUser: (user, permissions) => {
+        if (!user) {
+          this.log('{red-fg}Usage: /invite <user> [send,cancel,close,manage|none]{/red-fg}');
+          return;
+        }
+        this.changeAccess('invite', { user, permissions },
+          room => room.invite(user, permissions, this.userName));
+      },
+
+      kickUser: (user) => {
+        if (!user) {
+          this.log('{red-fg}Usage: /kick <user>{/red-fg}');
+          return;
+        }
+        this.changeAccess('kick', { user }, room => {
+          if (!room.kick(user, this.userName)) {
+            throw new Error(`${user} is not in ${room.name}`);
+          }
+        });
+      },
+
+      setRoomAccess: (changes) => {
+        if (changes.owner === undefined && !changes.visibility) {
+          this.log('{red-fg}Usage: /acl [public|invite-only|private|set <user> <perms>|owner <user>]{/red-fg}');
+          return;
+        }
+        this.changeAccess('set_room_acl', changes, room => room.updateAccess(changes, this.userName));
+      },
+
+      showAccess: () => {
+        if (!this.currentRoom) {
+          this.log('{red-fg}No room selected{/red-fg}');
+          return;
+        }
+        const access = this.server
+          ? this.server.roomManager.getRoom(this.currentRoom)?.access.toJSON()
+          : this.rooms.get(this.currentRoom)?.access;
+        if (access) {
+          this.showRoomAccess(access);
         }
       },
 
@@ -794,11 +1124,10 @@ export class UIController {
           return;
         }
         this.userName = name;
-        if (this.ws) {
-          this.ws.send(JSON.stringify({
-            type: 'set_name',
-            name
-          }));
+        if (this.client) {
+          this.client.setName(name).catch((error) => {
+            this.log(`{red-fg}Error: ${error.message}{/red-fg}`);
+          });
         }
         this.log(`Name set to: ${name}`);
       },
@@ -819,11 +1148,11 @@ export class UIController {
               this.log('{gray-fg}No active request to cancel{/gray-fg}');
             }
           }
-        } else if (this.ws) {
-          this.ws.send(JSON.stringify({
+        } else if (this.client) {
+          this.request({
             type: 'cancel',
             roomId: this.currentRoom
-          }));
+          });
         }
       },
 
@@ -839,61 +1168,325 @@ export class UIController {
             room.resetStatus();
             this.log('{yellow-fg}Room status reset to ready{/yellow-fg}');
           }
-        } else if (this.ws) {
-          this.ws.send(JSON.stringify({
+        } else if (this.client) {
+          this.request({
             type: 'reset',
             roomId: this.currentRoom
-          }));
+          });
         }
       },
 
-      setTimeout: (seconds) => {
+      showToolCalls: (ref) => this.showToolCalls(ref),
+
+      showDiff: async (turnArg) => {
         if (!this.currentRoom) {
           this.log('{red-fg}No room selected{/red-fg}');
           return;
         }
 
-        const timeout = parseInt(seconds, 10);
-        if (isNaN(timeout) || timeout < 1) {
-          this.log('{red-fg}Usage: /timeout <seconds>{/red-fg}');
+        const turn = turnArg === undefined ? undefined : parseInt(turnArg, 10);
+        if (turnArg !== undefined && (isNaN(turn) || turn < 1)) {
+          this.log('{red-fg}Usage: /diff [turn]{/red-fg}');
           return;
         }
 
-        if (this.server) {
-          const room = this.server.roomManager.getRoom(this.currentRoom);
-          if (room) {
-            room.requestTimeout = timeout * 1000;
-            this.log(`Timeout set to ${timeout} seconds`);
+        const localRoom = this.server?.roomManager.getRoom(this.currentRoom);
+        if (localRoom) {
+          try {
+            const turnDiff = await localRoom.getTurnDiff(turn);
+            if (!turnDiff) {
+              this.log(turn ? `{yellow-fg}No changes recorded for turn ${turn}{/yellow-fg}` : '{yellow-fg}No changes recorded yet{/yellow-fg}');
+              return;
+            }
+            this.showDiff(turnDiff);
+          } catch (error) {
+            this.log(`{red-fg}Error: ${error.message}{/red-fg}`);
           }
+        } else if (this.client) {
+          this.request({ type: 'get_diff', roomId: this.currentRoom, turn });
         } else {
-          this.log('{yellow-fg}Timeout can only be set in server mode{/yellow-fg}');
+          this.log('{red-fg}Not connected to any server{/red-fg}');
         }
       },
 
-      showWorktree: () => {
+      queueCommand: (args) => {
         if (!this.currentRoom) {
           this.log('{red-fg}No room selected{/red-fg}');
           return;
         }
 
-        const room = this.rooms.get(this.currentRoom);
-        if (!room) {
-          this.log('{red-fg}Room not found{/red-fg}');
-          return;
-        }
+        const [action, ...rest] = args;
+        const localRoom = this.server?.roomManager.getRoom(this.currentRoom);
+        const queue = localRoom ? localRoom.getQueue() : (this.rooms.get(this.currentRoom)?.queue || []);
 
-        if (room.isWorktree || room.metadata?.worktree) {
-          this.log('{bold}Worktree Information:{/bold}');
-          this.log(`  {green-fg}Isolated:{/green-fg} Yes`);
-          this.log(`  {bold}Worktree path:{/bold} ${room.directory}`);
-          this.log(`  {bold}Original repo:{/bold} ${room.originalDirectory || room.metadata?.originalDirectory}`);
-          this.log(`  {bold}Branch:{/bold} ${room.branch}`);
-          this.log('');
-          this.log('{gray-fg}Changes are isolated from the main repository.{/gray-fg}');
-          this.log('{gray-fg}Worktree will be cleaned up when room is closed.{/gray-fg}');
-        } else {
-          this.log('{yellow-fg}This room is not using a worktree.{/yellow-fg}');
-          this.log(`Working directly in: ${room.directory}`);
+        // Queue entries are referenced by position, or by (a prefix of) their ID
+        const findItem = (ref) => {
+          const position = parseInt(ref, 10);
+          if (!isNaN(position)) return queue[position - 1];
+          return ref ? queue.find(item => item.id.startsWith(ref)) : undefined;
+        };
+
+        const sendRemote = (message) => {
+          if (this.client) {
+            this.request({ ...message, roomId: this.currentRoom });
+          } else {
+            this.log('{red-fg}Not connected to any server{/red-fg}');
+          }
+        };
+
+        switch (action) {
+          case undefined:
+            if (localRoom) {
+              this.showQueue(queue);
+            } else {
+              sendRemote({ type: 'list_queue' });
+            }
+            break;
+
+          case 'remove': {
+            const item = findItem(rest[0]);
+            if (!item) {
+              this.log('{red-fg}Usage: /queue remove <n>{/red-fg}');
+              return;
+            }
+            if (localRoom) {
+              localRoom.removeQueued(item.id);
+            } else {
+              sendRemote({ type: 'remove_queued', itemId: item.id });
+            }
+            this.log(`{yellow-fg}Removed queued message #${item.position}{/yellow-fg}`);
+            break;
+          }
+
+          case 'move': {
+            const item = findItem(rest[0]);
+            const position = parseInt(rest[1], 10);
+            if (!item || isNaN(position)) {
+              this.log('{red-fg}Usage: /queue move <n> <position>{/red-fg}');
+              return;
+            }
+            if (localRoom) {
+              localRoom.reorderQueue(item.id, position);
+            } else {
+              sendRemote({ type: 'reorder_queue', itemId: item.id, position });
+            }
+            break;
+          }
+
+          case 'clear':
+            if (localRoom) {
+              localRoom.clearQueue();
+            } else {
+              sendRemote({ type: 'remove_queued', all: true });
+            }
+            this.log('{yellow-fg}Queue cleared{/yellow-fg}');
+            break;
+
+          default:
+            this.log('{red-fg}Usage: /queue [remove <n>|move <n> <position>|clear]{/red-fg}');
+        }
+      },
+
+      scheduleCommand: (args) => {
+        if (!this.currentRoom) {
+          this.log('{red-fg}No room selected{/red-fg}');
+          return;
+        }
+
+        const [action = 'list', ...rest] = args;
+        const roomId = this.currentRoom;
+        const scheduler = this.server?.scheduler;
+        if (!scheduler && !this.client) {
+          this.log('{red-fg}Not connected to any server{/red-fg}');
+          return;
+        }
+
+        switch (action) {
+          case 'list':
+            if (scheduler) {
+              this.showSchedules(roomId, scheduler.list(roomId));
+            } else {
+              this.request({ type: 'schedule_list', roomId });
+            }
+            break;
+
+          case 'add': {
+            const options = parseScheduleArgs(rest);
+            if (!options) {
+              this.log(`{red-fg}Usage: ${SCHEDULE_USAGE}{/red-fg}`);
+              return;
+            }
+            if (!scheduler) {
+              this.request({ type: 'schedule_add', roomId, ...options });
+              return;
+            }
+            try {
+              this.onScheduleAdded(roomId, scheduler.add(roomId, options, this.userName));
+            } catch (error) {
+              this.log(`{red-fg}${this.escapeTags(error.message)}{/red-fg}`);
+            }
+            break;
+          }
+
+          case 'remove': {
+            // Schedules are referenced by their number in the last list, or by (a prefix of) their ID
+            const schedules = scheduler ? scheduler.list(roomId) : (this.roomSchedules.get(roomId) || []);
+            const position = parseInt(rest[0], 10);
+            const schedule = isNaN(position)
+              ? (rest[0] ? schedules.find(item => item.id.startsWith(rest[0])) : undefined)
+              : schedules[position - 1];
+            if (!schedule) {
+              this.log('{red-fg}Usage: /schedule remove <n> (see /schedule list){/red-fg}');
+              return;
+            }
+            if (scheduler) {
+              scheduler.remove(roomId, schedule.id);
+              this.onScheduleRemoved(roomId, schedule.id);
+            } else {
+              this.request({ type: 'schedule_remove', roomId, scheduleId: schedule.id });
+            }
+            break;
+          }
+
+          default:
+            this.log('{red-fg}Usage: /schedule [list|add [--queue] <when> <prompt>|remove <n>]{/red-fg}');
+        }
+      },
+
+      showUsage: () => {
+        if (this.server) {
+          if (this.currentRoom) {
+            const room = this.server.roomManager.getRoom(this.currentRoom);
+            if (room) this.showRoomUsage(room.id, room.usage);
+          }
+          this.showServerUsage(this.server.roomManager.getUsage());
+        } else if (this.client) {
+          if (this.currentRoom) {
+            this.request({ type: 'get_usage', roomId: this.currentRoom });
+          }
+          this.request({ type: 'get_usage' });
+        } else {
+          this.log('{red-fg}Not connected to any server{/red-fg}');
+        }
+      },
+
+      answerPermission: (args, approve) => {
+        const always = args.includes('--always');
+        const ref = args.find(arg => !arg.startsWith('--'));
+
+        // Default to the oldest request in the current room, then anywhere
+        const pending = ref
+          ? this.pendingPermissions.find(p => p.request.id.startsWith(ref))
+          : this.pendingPermissions.find(p => p.roomId === this.currentRoom) || this.pendingPermissions[0];
+
+        if (!pending) {
+          this.log('{gray-fg}No pending permission requests{/gray-fg}');
+          return;
+        }
+        this.answerPermission(pending.roomId, pending.request.id, approve, always);
+      },
+
+      setTimeout: (seconds) => {
+        if (!this.currentRoom) {
+          this.log('{red-fg}No room selected{/red-fg}');
+          return;
+        }
+
+        const timeout = parseInt(seconds, 10);
+        if (isNaN(timeout) || timeout < 1) {
+          this.log('{red-fg}Usage: /timeout <seconds>{/red-fg}');
+          return;
+        }
+
+        if (this.server) {
+          const room = this.server.roomManager.getRoom(this.currentRoom);
+          if (room) {
+            room.requestTimeout = timeout * 1000;
+            this.log(`Timeout set to ${timeout} seconds`);
+          }
+        } else {
+          this.log('{yellow-fg}Timeout can only be set in server mode{/yellow-fg}');
+        }
+      },
+
+      showWorktree: () => {
+        if (!this.currentRoom) {
+          this.log('{red-fg}No room selected{/red-fg}');
+          return;
+        }
+
+        const room = this.rooms.get(this.currentRoom);
+        if (!room) {
+          this.log('{red-fg}Room not found{/red-fg}');
+          return;
+        }
+
+        if (room.isWorktree || room.metadata?.worktree) {
+          this.log('{bold}Worktree Information:{/bold}');
+          this.log(`  {green-fg}Isolated:{/green-fg} Yes`);
+          this.log(`  {bold}Worktree path:{/bold} ${room.directory}`);
+          this.log(`  {bold}Original repo:{/bold} ${room.originalDirectory || room.metadata?.originalDirectory}`);
+          this.log(`  {bold}Branch:{/bold} ${room.branch}`);
+          this.log('');
+          this.log('{gray-fg}Changes are isolated from the main repository.{/gray-fg}');
+          this.log('{gray-fg}Worktree will be cleaned up when room is closed.{/gray-fg}');
+        } else {
+          this.log('{yellow-fg}This room is not using a worktree.{/yellow-fg}');
+          this.log(`Working directly in: ${room.directory}`);
+        }
+      },
+
+      listOrphanedWorktrees: async () => {
+        if (this.server) {
+          try {
+            this.showOrphanedWorktrees(await this.server.roomManager.findOrphanedWorktrees());
+          } catch (error) {
+            this.log(`{red-fg}Error: ${error.message}{/red-fg}`);
+          }
+        } else if (this.client) {
+          this.request({ type: 'list_worktrees' });
+        } else {
+          this.log('{red-fg}Not connected to any server{/red-fg}');
+        }
+      },
+
+      adoptWorktree: async (path, agentType = 'claude') => {
+        if (!path) {
+          this.log('{red-fg}Usage: /worktree adopt <path> [agent]{/red-fg}');
+          return;
+        }
+
+        if (this.server) {
+          try {
+            const room = await this.server.roomManager.adoptWorktree(path, { agentType });
+            this.rooms.set(room.id, room.toJSON());
+            this.currentRoom = room.id;
+            this.updateRoomList();
+            this.updateStatus();
+            this.log(`{green-fg}Adopted ${room.directory} as room ${room.name} (branch: ${room.branch}){/green-fg}`);
+            this.attachLocalRoom(room);
+          } catch (error) {
+            this.log(`{red-fg}Adopt failed: ${error.message}{/red-fg}`);
+          }
+        } else if (this.client) {
+          this.request({ type: 'adopt_worktree', path, agentType });
+        } else {
+          this.log('{red-fg}Not connected to any server{/red-fg}');
+        }
+      },
+
+      pruneWorktrees: async ({ force, path }) => {
+        const options = { force, paths: path ? [path] : undefined };
+        if (this.server) {
+          try {
+            this.showPruneResults(await this.server.roomManager.pruneOrphanedWorktrees(options));
+          } catch (error) {
+            this.log(`{red-fg}Prune failed: ${error.message}{/red-fg}`);
+          }
+        } else if (this.client) {
+          this.request({ type: 'prune_worktrees', ...options });
+        } else {
+          this.log('{red-fg}Not connected to any server{/red-fg}');
         }
       },
 
@@ -913,6 +1506,788 @@ export class UIController {
     };
   }
 
+  /**
+   * Setup room event handlers for local (embedded server) mode
+   */
+  attachLocalRoom(room) {
+    room.on('message', (msg) => {
+      if (msg.changes) {
+        this.onTurnChanges(room.id, msg.changes);
+      }
+
+      // Skip user messages (shown in sendMessage) and agent messages (shown via streaming)
+      // Only show system messages
+      if (msg.role === 'system') {
+        const time = new Date(msg.timestamp).toLocaleTimeString('en-US', {
+          hour12: false,
+          hour: '2-digit',
+          minute: '2-digit'
+        });
+        const formatted = `{gray-fg}${time}{/gray-fg} {yellow-fg}*{/yellow-fg} ${msg.content}`;
+
+        // Always buffer for this room
+        this.appendToBuffer(room.id, formatted);
+
+        // Only display if current room
+        if (this.currentRoom === room.id) {
+          this.ui.chatBox.log(formatted);
+          this.ui.screen.render();
+        }
+      }
+    });
+
+    // Handle streaming output with proper partial line support
+    room.agent?.on('stream', (chunk) => {
+      const renderer = this.getMarkdownRenderer(room.id);
+      const results = renderer.processChunk(chunk);
+
+      for (const { line, complete } of results) {
+        const hadPartial = this.hasPartialLine(room.id);
+
+        if (complete) {
+          // Complete line - add to buffer and display
+          this.appendToBuffer(room.id, line);
+          this.setPartialLine(room.id, false);
+          if (this.currentRoom === room.id) {
+            if (hadPartial) {
+              this.replaceLastLine(line);
+            } else {
+              this.ui.chatBox.pushLine(line);
+            }
+          }
+        } else {
+          // Partial line - store content for later and update display
+          this.setPartialLine(room.id, line);
+          if (this.currentRoom === room.id) {
+            if (hadPartial) {
+              this.replaceLastLine(line);
+            } else {
+              this.ui.chatBox.pushLine(line);
+            }
+          }
+        }
+      }
+
+      if (this.currentRoom === room.id) {
+        this.ui.chatBox.setScrollPerc(100);
+        this.ui.screen.render();
+      }
+    });
+
+    // Handle status changes for visual feedback
+    room.agent?.on('status', (status) => {
+      // Update the room's status in our local state
+      const roomData = this.rooms.get(room.id);
+      if (roomData) {
+        roomData.status = status;
+      }
+
+      // Reset markdown renderer when starting a new response
+      if (status === 'busy') {
+        this.getMarkdownRenderer(room.id).reset();
+        this.setPartialLine(room.id, false);
+      } else if (status === 'ready') {
+        // Response complete - finalize any partial line into the buffer
+        this.finalizePartialLine(room.id);
+      }
+
+      // Update room list to reflect status indicator changes for all rooms
+      this.updateRoomList();
+      if (this.currentRoom === room.id) {
+        if (status === 'busy') {
+          this.ui.statusBar.setContent(
+            ` {bold}Bob{/bold} | {yellow-fg}Agent thinking...{/yellow-fg} | Escape to cancel`
+          );
+        } else {
+          this.updateStatus();
+        }
+        this.ui.screen.render();
+      }
+    });
+
+    // Relay tool permission requests to the prompt
+    room.on('permissionRequest', (request) => this.onPermissionRequest(room.id, request));
+    room.on('permissionResolved', ({ requestId }) => this.onPermissionResolved(requestId));
+
+    // Keep the tokens and cost shown in the status panel current
+    room.on('usage', () => this.onUsage(room.id, room.usage.total));
+
+    // Keep the queue length shown in the status panel current
+    room.on('queueUpdated', (queue) => {
+      const roomData = this.rooms.get(room.id);
+      if (roomData) {
+        roomData.queue = queue;
+        if (this.currentRoom === room.id) {
+          this.updateStatus();
+        }
+      }
+    });
+
+    // Show what the agent is doing in the status bar
+    room.agent?.on('activity', (activity) => {
+      const desc = activity.description || `Using ${activity.tool}`;
+
+      if (this.currentRoom === room.id) {
+        this.ui.statusBar.setContent(
+          ` {bold}Bob{/bold} | {cyan-fg}${desc}...{/cyan-fg} | Escape to cancel`
+        );
+        this.ui.screen.render();
+      }
+    });
+
+    // Show each tool call inline, e.g. "✏️ Edit src/server/room.js"
+    this.roomToolCalls.set(room.id,
+      room.messages.filter(msg => msg.toolCall).map(msg => msg.toolCall));
+    room.on('toolCall', (toolCall) => this.onToolCall(room.id, toolCall));
+  }
+
+  /**
+   * Track a tool call update and render it as a single collapsed line
+   * Use /tools to expand inputs and results
+   */
+  onToolCall(roomId, toolCall) {
+    if (!this.roomToolCalls.has(roomId)) {
+      this.roomToolCalls.set(roomId, []);
+    }
+    const calls = this.roomToolCalls.get(roomId);
+    const index = calls.findIndex(call => call.id === toolCall.id);
+    if (index === -1) {
+      calls.push(toolCall);
+      while (calls.length > this.maxToolCalls) {
+        calls.shift();
+      }
+    } else {
+      calls[index] = toolCall;
+    }
+
+    let line = null;
+    if (toolCall.status === 'running' || index === -1) {
+      line = this.formatToolCall(roomId, toolCall);
+    } else if (toolCall.isError) {
+      line = `{red-fg}  ✗ ${toolCall.tool} failed${toolCall.result ? `: ${this.escapeTags(toolCall.result.split('\n')[0])}` : ''}{/red-fg}`;
+    }
+    if (!line) return;
+
+    this.appendToBuffer(roomId, line);
+    if (this.currentRoom === roomId) {
+      this.ui.chatBox.pushLine(line);
+      this.ui.chatBox.setScrollPerc(100);
+      this.ui.screen.render();
+    }
+  }
+
+  /**
+   * One-line rendering of a tool call, with paths relative to the room directory
+   */
+  formatToolCall(roomId, toolCall) {
+    const input = toolCall.input || {};
+    let subject = input.command ?? input.file_path ?? input.path ?? input.url ?? input.pattern ?? '';
+    if (Array.isArray(subject)) {
+      subject = subject.join(' ');
+    }
+    subject = String(subject).split('\n')[0];
+
+    const directory = this.rooms.get(roomId)?.directory;
+    if (directory && isAbsolute(subject) && subject.startsWith(directory)) {
+      subject = relative(directory, subject) || '.';
+    }
+    if (subject.length > 80) {
+      subject = subject.slice(0, 77) + '...';
+    }
+
+    const color = toolCall.isError ? 'red-fg' : 'gray-fg';
+    return `{${color}}${this.getToolIcon(toolCall.tool)} ${toolCall.tool}{/${color}} ${this.escapeTags(subject)}`;
+  }
+
+  /**
+   * Escape blessed tags in untrusted text
+   */
+  escapeTags(text) {
+    return String(text).replace(/[{}]/g, ch => (ch === '{' ? '{open}' : '{close}'));
+  }
+
+  /**
+   * List recent tool calls for the current room, or expand one
+   */
+  showToolCalls(ref) {
+    if (!this.currentRoom) {
+      this.log('{red-fg}No room selected{/red-fg}');
+      return;
+    }
+
+    const calls = this.roomToolCalls.get(this.currentRoom) || [];
+    if (calls.length === 0) {
+      this.log('No tool calls yet');
+      return;
+    }
+
+    if (ref === undefined) {
+      const shown = calls.slice(-20);
+      const offset = calls.length - shown.length;
+      this.log(`{bold}Tool calls (${calls.length}):{/bold}`);
+      shown.forEach((call, i) => {
+        const duration = call.endedAt ? ` {gray-fg}${((call.endedAt - call.startedAt) / 1000).toFixed(1)}s{/gray-fg}` : ' {yellow-fg}running{/yellow-fg}';
+        this.log(`  ${offset + i + 1}. ${this.formatToolCall(this.currentRoom, call)}${duration}`);
+      });
+      this.log('{gray-fg}Use /tools <n> to show input and result{/gray-fg}');
+      return;
+    }
+
+    const call = calls[parseInt(ref, 10) - 1];
+    if (!call) {
+      this.log(`{red-fg}No tool call #${ref}{/red-fg}`);
+      return;
+    }
+
+    this.log(`{bold}${this.formatToolCall(this.currentRoom, call)}{/bold}`);
+    this.log('{cyan-fg}Input:{/cyan-fg}');
+    for (const line of JSON.stringify(call.input, null, 2).split('\n')) {
+      this.log(`  ${this.escapeTags(line)}`);
+    }
+    const status = call.status === 'running' ? 'running' : call.isError ? '{red-fg}error{/red-fg}' : '{green-fg}ok{/green-fg}';
+    this.log(`{cyan-fg}Result:{/cyan-fg} ${status}`);
+    for (const line of (call.result || '').split('\n').filter(Boolean)) {
+      this.log(`  ${this.escapeTags(line)}`);
+    }
+  }
+
+  /**
+   * Report the outcome of /commit
+   */
+  showCommitResult(result) {
+    if (!result.commit) {
+      this.log('{yellow-fg}Nothing to commit{/yellow-fg}');
+      return;
+    }
+    const summary = result.summary || {};
+    this.log(`{green-fg}Committed ${result.commit.slice(0, 8)} on ${result.branch}{/green-fg} ` +
+      `{gray-fg}(${summary.changes ?? 0} files, +${summary.insertions ?? 0} -${summary.deletions ?? 0}){/gray-fg}`);
+  }
+
+  /**
+   * List orphaned worktrees with their branch, last commit and dirty state
+   */
+  showOrphanedWorktrees(orphans) {
+    if (!orphans || orphans.length === 0) {
+      this.log('No orphaned worktrees');
+      return;
+    }
+
+    this.log(`{bold}Orphaned worktrees (${orphans.length}):{/bold}`);
+    for (const orphan of orphans) {
+      const state = !orphan.exists
+        ? '{red-fg}missing{/red-fg}'
+        : orphan.dirty ? `{yellow-fg}${orphan.changes} uncommitted{/yellow-fg}` : '{green-fg}clean{/green-fg}';
+      this.log(`  ${this.escapeTags(orphan.path)} [${state}]`);
+      this.log(`    {gray-fg}repo:{/gray-fg} ${this.escapeTags(orphan.repoDirectory)}  {gray-fg}branch:{/gray-fg} ${orphan.branch || '-'}`);
+      if (orphan.lastCommit) {
+        const date = new Date(orphan.lastCommit.date).toLocaleString();
+        this.log(`    {gray-fg}last commit:{/gray-fg} ${orphan.lastCommit.hash.slice(0, 8)} ${this.escapeTags(orphan.lastCommit.message)} {gray-fg}(${date}){/gray-fg}`);
+      }
+    }
+    this.log('{gray-fg}Use /worktree adopt <path> to open a room on one, or /worktree prune to delete them{/gray-fg}');
+  }
+
+  /**
+   * Report the outcome of /worktree prune
+   */
+  showPruneResults(results) {
+    if (!results || results.length === 0) {
+      this.log('No orphaned worktrees to prune');
+      return;
+    }
+
+    for (const result of results) {
+      if (result.removed) {
+        const branch = result.branchDeleted ? ' and its branch' : ' (branch kept)';
+        this.log(`{green-fg}Removed ${this.escapeTags(result.path)}${branch}{/green-fg}`);
+      } else {
+        this.log(`{yellow-fg}Kept ${this.escapeTags(result.path)}: ${this.escapeTags(result.reason)}{/yellow-fg}`);
+      }
+    }
+  }
+
+  /**
+   * Report the outcome of /export
+   */
+  showExportResult(result) {
+    const paths = result.paths || [];
+    this.log(`{green-fg}Exported ${result.commits} commit(s) as ${result.format}{/green-fg}`);
+    for (const path of paths.slice(0, 10)) {
+      this.log(`  ${this.escapeTags(path)}`);
+    }
+    if (paths.length > 10) {
+      this.log(`  {gray-fg}...and ${paths.length - 10} more{/gray-fg}`);
+    }
+  }
+
+  /**
+   * Apply an ACL change to the current room
+   * Local rooms are changed directly; remote ones through the server.
+   * @param {string} type - Message type for the server
+   * @param {object} payload - Message fields
+   * @param {Function} apply - Applies the change to a local Room
+   */
+  changeAccess(type, payload, apply) {
+    if (!this.currentRoom) {
+      this.log('{red-fg}No room selected{/red-fg}');
+      return;
+    }
+
+    if (this.server) {
+      const room = this.server.roomManager.getRoom(this.currentRoom);
+      try {
+        apply(room);
+        this.showRoomAccess(room.access.toJSON());
+      } catch (error) {
+        this.log(`{red-fg}${error.message}{/red-fg}`);
+      }
+    } else if (this.client) {
+      this.request({ type, roomId: this.currentRoom, ...payload });
+    } else {
+      this.log('{red-fg}Not connected to any server{/red-fg}');
+    }
+  }
+
+  /**
+   * Show a room's owner, visibility and members
+   */
+  showRoomAccess(access) {
+    this.log(`{bold}Visibility:{/bold} ${access.visibility}`);
+    this.log(`{bold}Owner:{/bold} ${access.owner || '(none)'}`);
+    const members = Object.entries(access.members);
+    if (members.length === 0) {
+      this.log('{gray-fg}No members - use /invite <user> to add one{/gray-fg}');
+    }
+    for (const [name, permissions] of members) {
+      this.log(`  ${this.escapeTags(name)}: ${permissions.join(', ') || 'view only'}`);
+    }
+  }
+
+  /**
+   * Report the outcome of /merge, listing conflicting files
+   */
+  showMergeResult(result) {
+    if (result.success) {
+      this.log(`{green-fg}Merged ${result.source} into ${result.target} (${result.strategy}){/green-fg}`);
+      if (result.uncommitted) {
+        this.log(`{yellow-fg}${result.uncommitted} uncommitted file(s) in the worktree were not included - /commit them first{/yellow-fg}`);
+      }
+      this.log('{gray-fg}Use /close to remove the worktree{/gray-fg}');
+      return;
+    }
+
+    this.log(`{red-fg}Merge of ${result.source} into ${result.target} aborted - conflicts in:{/red-fg}`);
+    for (const file of result.conflicts) {
+      this.log(`  {red-fg}${this.escapeTags(file)}{/red-fg}`);
+    }
+    this.log('{gray-fg}Ask the agent to rebase onto the target, or resolve manually, then /merge again{/gray-fg}');
+  }
+
+  /**
+   * Setup keys for the diff viewer
+   */
+  setupDiffViewer() {
+    const viewer = this.ui.diffViewer;
+    viewer.key(['escape', 'q'], () => {
+      viewer.hide();
+      this.ui.inputBox.focus();
+      this.ui.screen.render();
+    });
+  }
+
+  /**
+   * Show a turn's diff in the diff viewer popup
+   * @param {{turn: number, changes: object, diff: string}} turnDiff
+   */
+  showDiff({ turn, changes, diff }) {
+    const viewer = this.ui.diffViewer;
+    const lines = [`{bold}${this.escapeTags(this.formatChanges(changes))}{/bold}`, ''];
+
+    for (const line of (diff || '').split('\n')) {
+      const text = this.escapeTags(line);
+      if (line.startsWith('diff --git')) {
+        lines.push(`{bold}{yellow-fg}${text}{/yellow-fg}{/bold}`);
+      } else if (line.startsWith('+++') || line.startsWith('---')) {
+        lines.push(`{bold}${text}{/bold}`);
+      } else if (line.startsWith('@@')) {
+        lines.push(`{cyan-fg}${text}{/cyan-fg}`);
+      } else if (line.startsWith('+')) {
+        lines.push(`{green-fg}${text}{/green-fg}`);
+      } else if (line.startsWith('-')) {
+        lines.push(`{red-fg}${text}{/red-fg}`);
+      } else {
+        lines.push(text);
+      }
+    }
+
+    viewer.setLabel(` Turn ${turn} diff (q/Escape to close) `);
+    viewer.setContent(lines.join('\n'));
+    viewer.scrollTo(0);
+    viewer.show();
+    viewer.focus();
+    this.ui.screen.render();
+  }
+
+  /**
+   * One-line summary of a turn's file changes
+   */
+  formatChanges(changes) {
+    const count = changes.files.length;
+    const files = changes.files.slice(0, 5).map(file => {
+      const marker = { added: 'A', deleted: 'D' }[file.status] || 'M';
+      return `${marker} ${file.path}`;
+    });
+    const more = count > 5 ? `, +${count - 5} more` : '';
+    return `Turn ${changes.turn}: ${count} file${count === 1 ? '' : 's'} changed ` +
+      `(+${changes.additions} -${changes.deletions})${count ? `: ${files.join(', ')}${more}` : ''}`;
+  }
+
+  /**
+   * Show a turn's change summary after the agent's reply
+   */
+  onTurnChanges(roomId, changes) {
+    if (!changes?.files.length) return;
+
+    const line = `{gray-fg}${this.escapeTags(this.formatChanges(changes))} - /diff ${changes.turn} to view{/gray-fg}`;
+    this.appendToBuffer(roomId, line);
+    if (this.currentRoom === roomId) {
+      this.ui.chatBox.pushLine(line);
+      this.ui.chatBox.setScrollPerc(100);
+      this.ui.screen.render();
+    }
+  }
+
+  /**
+   * Show a fan-out's prompt in each of its rooms and switch to the first
+   */
+  onFanoutStarted(comparison) {
+    const time = new Date().toLocaleTimeString('en-US', {
+      hour12: false,
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    const agents = comparison.results.map(result => result.agentType).join(', ');
+    for (const result of comparison.results) {
+      this.appendToBuffer(result.roomId, `{gray-fg}${time}{/gray-fg} {green-fg}<you>{/green-fg} ${this.escapeTags(comparison.prompt)}`);
+      this.appendToBuffer(result.roomId, `{gray-fg}Fan-out to ${agents} - the comparison opens when all have answered{/gray-fg}`);
+    }
+    this.currentRoom = comparison.results[0].roomId;
+    this.displayRoomBuffer(this.currentRoom);
+    this.updateRoomList();
+    this.updateStatus();
+    this.log(`{green-fg}Fan-out to ${agents}{/green-fg}` +
+      (comparison.baseCommit ? ` {gray-fg}(from ${comparison.baseCommit.slice(0, 8)}){/gray-fg}` : ''));
+  }
+
+  /**
+   * Report one agent finishing its part of a fan-out
+   */
+  onFanoutResult(result) {
+    const color = result.status === 'done' ? 'green' : 'red';
+    this.log(`{${color}-fg}${result.agentType} ${result.status} in ${formatElapsed(result.elapsedMs)}{/${color}-fg}` +
+      ` {gray-fg}(${formatChangeStats(result.changes)}){/gray-fg}` +
+      (result.error ? ` {red-fg}${this.escapeTags(result.error)}{/red-fg}` : ''));
+  }
+
+  /**
+   * Show a fan-out's results side by side in the viewer popup
+   */
+  showFanout(comparison) {
+    this.lastFanout = comparison;
+    const viewer = this.ui.diffViewer;
+    const width = (typeof viewer.width === 'number' ? viewer.width : this.ui.screen.width) - 4; // Border and scrollbar
+
+    viewer.setLabel(` Fan-out: ${comparison.results.length} agents (q/Escape to close, /fanout to reopen) `);
+    viewer.setContent(renderComparison(comparison, width).join('\n'));
+    viewer.scrollTo(0);
+    viewer.show();
+    viewer.focus();
+    this.ui.screen.render();
+  }
+
+  /**
+   * List the pipelines found in a repository
+   */
+  showPipelines({ directory, pipelines }) {
+    if (pipelines.length === 0) {
+      this.log(`No pipelines in ${this.escapeTags(directory)} - add one under .bob/pipelines/<name>.yaml`);
+      return;
+    }
+    this.log('{bold}Pipelines:{/bold}');
+    for (const pipeline of pipelines) {
+      if (pipeline.error) {
+        this.log(`  {red-fg}${pipeline.name}{/red-fg} {gray-fg}${this.escapeTags(pipeline.error.split('\n')[0])}{/gray-fg}`);
+      } else {
+        this.log(`  {cyan-fg}${pipeline.name}{/cyan-fg} ${pipeline.stages.join(' → ')}` +
+          (pipeline.description ? ` {gray-fg}- ${this.escapeTags(pipeline.description)}{/gray-fg}` : ''));
+      }
+    }
+  }
+
+  /**
+   * Announce a pipeline and its stages
+   */
+  onPipelineStarted(pipeline) {
+    const stages = pipeline.stages.map(stage => `${stage.name} (${stage.agentType})`).join(' → ');
+    this.log(`{green-fg}Pipeline ${pipeline.name} started:{/green-fg} ${stages}`);
+  }
+
+  /**
+   * Report a pipeline stage starting or finishing
+   */
+  onPipelineStage({ name, index, total, stage }) {
+    const step = `${name} ${index + 1}/${total} ${stage.name} (${stage.agentType})`;
+    if (stage.status === 'running') {
+      this.log(`{yellow-fg}${step} running{/yellow-fg}`);
+      return;
+    }
+    const color = stage.status === 'done' ? 'green' : 'red';
+    this.log(`{${color}-fg}${step} ${stage.status} in ${formatElapsed(stage.elapsedMs)}{/${color}-fg}` +
+      ` {gray-fg}(${formatChangeStats(stage.changes)}){/gray-fg}` +
+      (stage.error ? ` {red-fg}${this.escapeTags(stage.error)}{/red-fg}` : ''));
+  }
+
+  /**
+   * Summarize a finished pipeline
+   */
+  onPipelineComplete(pipeline) {
+    const skipped = pipeline.stages.filter(stage => stage.status === 'skipped').map(stage => stage.name);
+    if (pipeline.status === 'done') {
+      this.log(`{green-fg}Pipeline ${pipeline.name} finished in ${formatElapsed(pipeline.completedAt - pipeline.startedAt)}{/green-fg}` +
+        (pipeline.branch ? ` {gray-fg}- changes are on ${pipeline.branch}{/gray-fg}` : ''));
+    } else {
+      this.log(`{red-fg}Pipeline ${pipeline.name} failed{/red-fg}` +
+        (skipped.length ? ` {gray-fg}(skipped ${skipped.join(', ')}){/gray-fg}` : ''));
+    }
+  }
+
+  /**
+   * Setup keys for the permission prompt
+   */
+  setupPermissionPrompt() {
+    const prompt = this.ui.permissionPrompt;
+
+    const answer = (approve, always) => {
+      const active = this.activePermission;
+      if (active) {
+        this.answerPermission(active.roomId, active.request.id, approve, always);
+      }
+    };
+
+    prompt.key(['y'], () => answer(true, false));
+    prompt.key(['a'], () => answer(true, true));
+    prompt.key(['n'], () => answer(false, false));
+    prompt.key(['d'], () => answer(false, true));
+    // Decide later with /approve or /deny
+    prompt.key(['l'], () => this.hidePermissionPrompt());
+  }
+
+  /**
+   * Track a permission request and prompt for it if nothing else is showing
+   */
+  onPermissionRequest(roomId, request) {
+    if (this.pendingPermissions.some(p => p.request.id === request.id)) return;
+
+    this.pendingPermissions.push({ roomId, request });
+    if (!this.activePermission) {
+      this.showNextPermission();
+    }
+  }
+
+  /**
+   * Forget a request answered here, by another client, or expired
+   */
+  onPermissionResolved(requestId) {
+    this.pendingPermissions = this.pendingPermissions.filter(p => p.request.id !== requestId);
+    if (this.activePermission?.request.id === requestId) {
+      this.hidePermissionPrompt();
+      this.showNextPermission();
+    }
+  }
+
+  /**
+   * Show the oldest pending permission request in the prompt
+   */
+  showNextPermission() {
+    const next = this.pendingPermissions[0];
+    if (!next) return;
+
+    this.activePermission = next;
+    const { tool, input } = next.request;
+    const roomName = this.rooms.get(next.roomId)?.name || next.roomId.slice(0, 8);
+    const details = JSON.stringify(input ?? {}, null, 2)
+      .split('\n')
+      .slice(0, 12)
+      .join('\n')
+      .replace(/[{}]/g, (c) => (c === '{' ? '{open}' : '{close}'));
+
+    const prompt = this.ui.permissionPrompt;
+    prompt.setContent([
+      `{bold}${roomName}{/bold} wants to use {yellow-fg}${tool}{/yellow-fg}`,
+      '',
+      details,
+      '',
+      `{green-fg}[y]{/green-fg} approve  {green-fg}[a]{/green-fg} always allow ${tool}  ` +
+        `{red-fg}[n]{/red-fg} deny  {red-fg}[d]{/red-fg} always deny  [l] later`
+    ].join('\n'));
+    prompt.show();
+    prompt.focus();
+    this.ui.screen.render();
+  }
+
+  /**
+   * Hide the permission prompt (the request stays pending)
+   */
+  hidePermissionPrompt() {
+    this.activePermission = null;
+    this.ui.permissionPrompt.hide();
+    this.ui.inputBox.focus();
+    this.ui.screen.render();
+  }
+
+  /**
+   * Send a permission decision to the room
+   */
+  answerPermission(roomId, requestId, approve, always = false) {
+    if (this.server) {
+      const room = this.server.roomManager.getRoom(roomId);
+      room?.resolvePermission(requestId, approve, {
+        always,
+        clientId: 'local',
+        clientName: this.userName
+      });
+    } else if (this.client) {
+      this.request({
+        type: approve ? 'approve' : 'deny',
+        roomId,
+        permissionId: requestId,
+        always
+      });
+    }
+  }
+
+  /**
+   * Display a room's prompt queue
+   */
+  showQueue(queue) {
+    if (!queue || queue.length === 0) {
+      this.log('Queue is empty');
+      return;
+    }
+
+    this.log(`{bold}Queued messages (${queue.length}):{/bold}`);
+    for (const item of queue) {
+      const from = item.clientName || item.clientId?.slice(0, 8) || 'unknown';
+      const preview = item.content.length > 60 ? item.content.slice(0, 57) + '...' : item.content;
+      this.log(`  ${item.position}. {gray-fg}<${from}>{/gray-fg} ${preview}`);
+    }
+  }
+
+  /**
+   * Display a room's schedules, numbered for /schedule remove
+   */
+  showSchedules(roomId, schedules) {
+    this.roomSchedules.set(roomId, schedules);
+    if (schedules.length === 0) {
+      this.log(`No schedules - add one with ${SCHEDULE_USAGE}`);
+      return;
+    }
+
+    this.log(`{bold}Schedules (${schedules.length}):{/bold}`);
+    schedules.forEach((schedule, index) => {
+      this.log(`  ${index + 1}. ${formatSchedule(schedule)}`);
+    });
+  }
+
+  /**
+   * Keep a room's usage totals current
+   * While the agent is busy the status bar shows its activity; the closing status refreshes it.
+   */
+  onUsage(roomId, total) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+    room.usage = total;
+    if (room.status !== 'busy') {
+      this.updateStatus();
+    }
+  }
+
+  /**
+   * Show a room's usage, per user
+   */
+  showRoomUsage(roomId, usage) {
+    const name = this.rooms.get(roomId)?.name || roomId.slice(0, 8);
+    if (!usage.total.turns) {
+      this.log(`No usage reported in ${this.escapeTags(name)} yet`);
+      return;
+    }
+    this.log(`{bold}Usage in ${this.escapeTags(name)}:{/bold} ${formatUsage(usage.total)}`);
+    for (const [user, totals] of Object.entries(usage.byUser)) {
+      this.log(`  ${this.escapeTags(user)}: ${formatUsage(totals)}`);
+    }
+  }
+
+  /**
+   * Show the server's usage per agent type, user and open room
+   */
+  showServerUsage(usage) {
+    if (!usage.total.turns) {
+      this.log('No usage reported on this server yet');
+      return;
+    }
+    this.log(`{bold}Usage on this server:{/bold} ${formatUsage(usage.total)}`);
+    const sections = [
+      ['By agent', Object.entries(usage.byAgent || {})],
+      ['By user', Object.entries(usage.byUser)],
+      ['By room', Object.values(usage.byRoom || {}).filter(room => room.turns).map(room => [room.name, room])]
+    ];
+    for (const [title, entries] of sections) {
+      if (entries.length === 0) continue;
+      this.log(`  {bold}${title}:{/bold}`);
+      for (const [key, totals] of entries) {
+        this.log(`    ${this.escapeTags(key)}: ${formatUsage(totals)}`);
+      }
+    }
+  }
+
+  /**
+   * Confirm a new schedule
+   */
+  onScheduleAdded(roomId, schedule) {
+    this.roomSchedules.set(roomId, [...(this.roomSchedules.get(roomId) || []), schedule]);
+    this.log(`{green-fg}Scheduled:{/green-fg} ${formatSchedule(schedule)}`);
+  }
+
+  /**
+   * Confirm a schedule was removed
+   */
+  onScheduleRemoved(roomId, scheduleId) {
+    this.roomSchedules.set(roomId, (this.roomSchedules.get(roomId) || []).filter(schedule => schedule.id !== scheduleId));
+    this.log('{yellow-fg}Schedule removed{/yellow-fg}');
+  }
+
+  /**
+   * Show a scheduled prompt in its room when it starts
+   * Its answer streams in as usual; failures and skipped runs come as system messages.
+   */
+  onScheduleRun(run) {
+    if (run.status !== 'started' && run.status !== 'queued') return;
+
+    const time = new Date().toLocaleTimeString('en-US', {
+      hour12: false,
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    const line = `{gray-fg}${time}{/gray-fg} {magenta-fg}<schedule>{/magenta-fg} ${this.escapeTags(run.prompt)}` +
+      (run.status === 'queued' ? ' {gray-fg}(queued){/gray-fg}' : '');
+    this.appendToBuffer(run.roomId, line);
+    if (run.roomId === this.currentRoom) {
+      this.ui.chatBox.log(line);
+      this.ui.screen.render();
+    }
+  }
+
   /**
    * Switch to a different room
    */
@@ -983,6 +2358,12 @@ export class UIController {
     });
     this.log(`{gray-fg}${time}{/gray-fg} {green-fg}<you>{/green-fg} ${content}`);
 
+    const roomData = this.rooms.get(this.currentRoom);
+    const queued = roomData?.status === 'busy' || roomData?.queue?.length > 0;
+    if (queued) {
+      this.log('{gray-fg}Agent busy - message queued (/queue to manage){/gray-fg}');
+    }
+
     // Show thinking indicator
     this.ui.statusBar.setContent(
       ` {bold}Bob{/bold} | {yellow-fg}Agent thinking...{/yellow-fg} | Escape to cancel`
@@ -993,7 +2374,9 @@ export class UIController {
       const room = this.server.roomManager.getRoom(this.currentRoom);
       if (room) {
         try {
-          this.log('{gray-fg}───────────────{/gray-fg}');
+          if (!queued) {
+            this.log('{gray-fg}───────────────{/gray-fg}');
+          }
           await room.sendToAgent(content, 'local');
           this.log('{gray-fg}───────────────{/gray-fg}');
         } catch (error) {
@@ -1001,12 +2384,12 @@ export class UIController {
         }
         this.updateStatus();
       }
-    } else if (this.ws) {
-      this.ws.send(JSON.stringify({
+    } else if (this.client) {
+      this.request({
         type: 'send_message',
         roomId: this.currentRoom,
         content
-      }));
+      });
     }
   }
 
@@ -1023,7 +2406,9 @@ export class UIController {
     let prefix = '';
     switch (msg.role) {
       case 'user':
-        prefix = `{gray-fg}${time}{/gray-fg} {green-fg}<you>{/green-fg} `;
+        prefix = msg.scheduleId
+          ? `{gray-fg}${time}{/gray-fg} {magenta-fg}<schedule>{/magenta-fg} `
+          : `{gray-fg}${time}{/gray-fg} {green-fg}<you>{/green-fg} `;
         break;
       case 'agent':
         prefix = `{gray-fg}${time}{/gray-fg} {cyan-fg}<agent>{/cyan-fg} `;
@@ -1031,6 +2416,12 @@ export class UIController {
       case 'system':
         prefix = `{gray-fg}${time}{/gray-fg} {yellow-fg}*{/yellow-fg} `;
         break;
+      case 'tool':
+        if (msg.toolCall && this.currentRoom) {
+          this.log(this.formatToolCall(this.currentRoom, msg.toolCall));
+          return;
+        }
+        break;
     }
 
     this.log(prefix + msg.content);
@@ -1118,7 +2509,21 @@ export class UIController {
       'WebFetch': '🌐',
       'WebSearch': '🔎',
       'TodoWrite': '📋',
-      'NotebookEdit': '📓'
+      'NotebookEdit': '📓',
+      // Gemini CLI
+      'read_file': '📖',
+      'read_many_files': '📖',
+      'write_file': '📝',
+      'replace': '✏️',
+      'run_shell_command': '⚡',
+      'search_file_content': '🔍',
+      'glob': '📂',
+      'list_directory': '📂',
+      'web_fetch': '🌐',
+      'google_web_search': '🔎',
+      // Codex CLI
+      'shell': '⚡',
+      'apply_patch': '✏️'
     };
     return icons[toolName] || '🔧';
   }
@@ -1232,6 +2637,15 @@ export class UIController {
           `Status: ${statusText}`,
         ];
 
+        if (room.queue?.length > 0) {
+          lines.push(`Queued: ${room.queue.length}`);
+        }
+
+        if (room.usage?.turns > 0) {
+          lines.push(`Tokens: ${formatTokens(totalTokens(room.usage))}`);
+          lines.push(`Cost: ${formatCost(room.usage)}`);
+        }
+
         if (isWorktree) {
           lines.push(`{cyan-fg}Isolated{/cyan-fg}`);
           if (room.branch) {
@@ -1250,9 +2664,11 @@ export class UIController {
 
     // Update status bar
     const stats = this.server ? this.server.getStats() : { roomCount: this.rooms.size };
+    const usage = formatUsageShort(stats.usage?.total || sumUsage(Array.from(this.rooms.values(), room => room.usage)));
     this.ui.statusBar.setContent(
       ` {bold}Bob{/bold} | Rooms: ${stats.roomCount} | ` +
       (this.currentRoom ? `Current: ${this.rooms.get(this.currentRoom)?.name || 'unknown'}` : 'No room') +
+      (usage ? ` | ${usage}` : '') +
       ' | /help'
     );
 
@@ -1279,6 +2695,29 @@ export class UIController {
     });
   }
 
+  /**
+   * Handle a room restored from storage (local mode)
+   */
+  onRoomRestored(room) {
+    this.onRoomCreated(room);
+    this.attachLocalRoom(room);
+
+    // Seed the room's buffer with its persisted history
+    for (const msg of room.messages.slice(-100)) {
+      const time = new Date(msg.timestamp).toLocaleTimeString('en-US', {
+        hour12: false,
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+      const prefix = msg.role === 'user'
+        ? '{green-fg}<you>{/green-fg}'
+        : msg.role === 'agent'
+          ? '{cyan-fg}<agent>{/cyan-fg}'
+          : '{yellow-fg}*{/yellow-fg}';
+      this.appendToBuffer(room.id, `{gray-fg}${time}{/gray-fg} ${prefix} ${msg.content}`);
+    }
+  }
+
   /**
    * Handle room destruction event
    */
@@ -1301,9 +2740,7 @@ export class UIController {
     if (this.server) {
       await this.server.stop();
     }
-    if (this.ws) {
-      this.ws.close();
-    }
+    this.disconnect();
     process.exit(0);
   }
 }
@@ -0,0 +1,74 @@
+/**
+ * Parsing and display of room schedules (see /schedule)
+ */
+
+export const SCHEDULE_USAGE = '/schedule add [--queue] every <interval>|cron <m h dom mon dow>|@daily <prompt>';
+
+/**
+ * Escape blessed tags in untrusted text
+ */
+function escapeTags(text) {
+  return String(text).replace(/[{}]/g, ch => (ch === '{' ? '{open}' : '{close}'));
+}
+
+/**
+ * Parse the arguments of /schedule add
+ *
+ *   every 30m Triage new TODOs
+ *   cron 0 9 * * 1-5 Update the dependency report
+ *   @weekly Summarize this week's commits
+ *   --queue every 1h ...   (queue the run when the agent is busy instead of skipping it)
+ *
+ * @returns {{prompt: string, cron?: string, every?: string, whenBusy: string}|null} - null if they are incomplete
+ */
+export function parseScheduleArgs(args) {
+  let rest = args;
+  let whenBusy = 'skip';
+  if (rest[0] === '--queue') {
+    whenBusy = 'queue';
+    rest = rest.slice(1);
+  }
+
+  const [kind] = rest;
+  let timing;
+  if (kind === 'every' && rest[1]) {
+    timing = { every: rest[1] };
+    rest = rest.slice(2);
+  } else if (kind === 'cron' && rest.length > 5) {
+    timing = { cron: rest.slice(1, 6).join(' ') };
+    rest = rest.slice(6);
+  } else if (kind?.startsWith('@')) {
+    timing = { cron: kind };
+    rest = rest.slice(1);
+  } else {
+    return null;
+  }
+
+  const prompt = rest.join(' ').trim();
+  return prompt ? { ...timing, whenBusy, prompt } : null;
+}
+
+/**
+ * Short local time, with the weekday when it is not today
+ */
+export function formatRunTime(time, now = Date.now()) {
+  if (time === null || time === undefined) return 'never';
+  const date = new Date(time);
+  const clock = date.toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
+  return date.toDateString() === new Date(now).toDateString()
+    ? clock
+    : `${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })} ${clock}`;
+}
+
+/**
+ * One line describing a schedule (with blessed tags)
+ */
+export function formatSchedule(schedule, now = Date.now()) {
+  const timing = schedule.cron ? `cron ${schedule.cron}` : `every ${schedule.every}`;
+  const runs = `${schedule.runCount} run${schedule.runCount === 1 ? '' : 's'}`;
+  const color = schedule.lastStatus === 'done' ? 'green' : 'red';
+  const last = schedule.lastStatus ? `, last {${color}-fg}${schedule.lastStatus}{/${color}-fg}` : '';
+  return `{cyan-fg}${timing}{/cyan-fg} next ${formatRunTime(schedule.nextRunAt, now)}` +
+    (schedule.whenBusy === 'queue' ? ', queued when busy' : '') +
+    ` - ${escapeTags(schedule.prompt)} {gray-fg}(${runs}${last}){/gray-fg}`;
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { parseScheduleArgs, formatSchedule, formatRunTime } from './schedule.js';
+
+describe('parseScheduleArgs', () => {
+  it('should read intervals, cron expressions and shortcuts', () => {
+    expect(parseScheduleArgs(['every', '30m', 'Triage', 'new', 'TODOs']))
+      .toEqual({ every: '30m', whenBusy: 'skip', prompt: 'Triage new TODOs' });
+    expect(parseScheduleArgs(['cron', '0', '9', '*', '*', '1-5', 'Update', 'the', 'report']))
+      .toEqual({ cron: '0 9 * * 1-5', whenBusy: 'skip', prompt: 'Update the report' });
+    expect(parseScheduleArgs(['--queue', '@daily', 'Summarize']))
+      .toEqual({ cron: '@daily', whenBusy: 'queue', prompt: 'Summarize' });
+  });
+
+  it('should reject incomplete arguments', () => {
+    expect(parseScheduleArgs([])).toBeNull();
+    expect(parseScheduleArgs(['every', '30m'])).toBeNull();
+    expect(parseScheduleArgs(['cron', '0', '9', '*', 'report'])).toBeNull();
+    expect(parseScheduleArgs(['tomorrow', 'report'])).toBeNull();
+  });
+});
+
+describe('formatSchedule', () => {
+  const now = new Date(2026, 0, 5, 8, 0).getTime();
+
+  it('should describe the timing, next run and last result', () => {
+    const line = formatSchedule({
+      prompt: 'Fix {it}',
+      cron: null,
+      every: '1h',
+      whenBusy: 'queue',
+      nextRunAt: new Date(2026, 0, 5, 9, 0).getTime(),
+      lastStatus: 'failed',
+      runCount: 3
+    }, now);
+
+    expect(line.replace(/\{\/?[a-z]+-fg\}/g, ''))
+      .toBe('every 1h next 09:00, queued when busy - Fix {open}it{close} (3 runs, last failed)');
+  });
+
+  it('should show the day for runs after today', () => {
+    expect(formatRunTime(new Date(2026, 0, 6, 9, 0).getTime(), now)).toBe('Tue, Jan 6 09:00');
+    expect(formatRunTime(null, now)).toBe('never');
+  });
+});
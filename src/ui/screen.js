@@ -206,6 +206,62 @@ export function createScreen() {
     hidden: true
   });
 
+  // Tool permission prompt (hidden by default)
+  const permissionPrompt = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '60%',
+    height: 'shrink',
+    border: {
+      type: 'line'
+    },
+    style: {
+      border: {
+        fg: 'red'
+      }
+    },
+    label: ' Permission Request ',
+    padding: {
+      left: 1,
+      right: 1
+    },
+    tags: true,
+    keys: true,
+    hidden: true
+  });
+
+  // Scrollable diff viewer popup (hidden by default)
+  const diffViewer = blessed.box({
+    parent: screen,
+    top: 'center',
+    left: 'center',
+    width: '90%',
+    height: '90%',
+    border: {
+      type: 'line'
+    },
+    style: {
+      border: {
+        fg: 'cyan'
+      }
+    },
+    label: ' Diff ',
+    tags: true,
+    keys: true,
+    vi: true,
+    mouse: true,
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: {
+      ch: '│',
+      style: {
+        bg: 'cyan'
+      }
+    },
+    hidden: true
+  });
+
   return {
     screen,
     chatBox,
@@ -213,6 +269,8 @@ export function createScreen() {
     statusPanel,
     inputBox,
     statusBar,
-    directoryPicker
+    directoryPicker,
+    permissionPrompt,
+    diffViewer
   };
 }
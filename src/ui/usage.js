@@ -0,0 +1,49 @@
+import { emptyUsage, mergeUsage, totalTokens } from '../server/usage.js';
+
+/**
+ * Display of token usage and cost (see /usage and the status panel)
+ */
+
+/**
+ * Short token count, e.g. 950, 12.3k or 1.2M
+ */
+export function formatTokens(count) {
+  if (count < 1000) return String(count);
+  if (count < 1000000) return `${(count / 1000).toFixed(1)}k`;
+  return `${(count / 1000000).toFixed(1)}M`;
+}
+
+/**
+ * Reported cost; a trailing + means some turns had no cost reported
+ */
+export function formatCost(totals) {
+  if (totals.turns > 0 && totals.unpricedTurns === totals.turns) return 'not reported';
+  const cost = totals.costUsd > 0 && totals.costUsd < 0.01 ? '<$0.01' : `$${totals.costUsd.toFixed(2)}`;
+  return totals.unpricedTurns > 0 ? `${cost}+` : cost;
+}
+
+/**
+ * Tokens and cost in a few words, e.g. "12.3k tokens, $0.42" ('' before the first turn)
+ */
+export function formatUsageShort(totals) {
+  if (!totals?.turns) return '';
+  return `${formatTokens(totalTokens(totals))} tokens, ${formatCost(totals)}`;
+}
+
+/**
+ * One line with the token breakdown, cost and number of turns
+ */
+export function formatUsage(totals) {
+  const parts = [`${formatTokens(totals.inputTokens)} in`, `${formatTokens(totals.outputTokens)} out`];
+  if (totals.cacheReadTokens) parts.push(`${formatTokens(totals.cacheReadTokens)} cache read`);
+  if (totals.cacheWriteTokens) parts.push(`${formatTokens(totals.cacheWriteTokens)} cache write`);
+  return `${formatTokens(totalTokens(totals))} tokens (${parts.join(', ')}), ${formatCost(totals)}, ` +
+    `${totals.turns} turn${totals.turns === 1 ? '' : 's'}`;
+}
+
+/**
+ * Add up several rooms' totals (for clients that only know the rooms)
+ */
+export function sumUsage(totals) {
+  return totals.filter(Boolean).reduce((sum, item) => mergeUsage(sum, item), emptyUsage());
+}
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { formatTokens, formatCost, formatUsage, formatUsageShort, sumUsage } from './usage.js';
+import { emptyUsage } from '../server/usage.js';
+
+describe('usage display', () => {
+  const totals = { ...emptyUsage(), turns: 3, inputTokens: 12345, outputTokens: 950, cacheReadTokens: 2000000, costUsd: 0.4231 };
+
+  it('should shorten token counts and costs', () => {
+    expect([950, 12345, 2000000].map(formatTokens)).toEqual(['950', '12.3k', '2.0M']);
+    expect(formatCost(totals)).toBe('$0.42');
+    expect(formatCost({ ...totals, costUsd: 0.004 })).toBe('<$0.01');
+    expect(formatCost({ ...totals, unpricedTurns: 1 })).toBe('$0.42+');
+    expect(formatCost({ ...totals, costUsd: 0, unpricedTurns: 3 })).toBe('not reported');
+  });
+
+  it('should describe totals', () => {
+    expect(formatUsage(totals)).toBe('2.0M tokens (12.3k in, 950 out, 2.0M cache read), $0.42, 3 turns');
+    expect(formatUsageShort(totals)).toBe('2.0M tokens, $0.42');
+    expect(formatUsageShort(emptyUsage())).toBe('');
+    expect(sumUsage([totals, undefined, totals])).toMatchObject({ turns: 6, outputTokens: 1900 });
+  });
+});